@@ -1,56 +1,486 @@
 const Test = require('../models/Test');
 const PracticeQuestion = require('../models/PracticeQuestion');
+const UserTestRecord = require('../models/UserTestRecord');
 const { validateTestData, validateTestName, validateDuration, convertToLegacyFormat, createMinimalValidJson } = require('../utils/validation');
 const { cleanAndValidateJson } = require('../utils/jsonAnalyzer');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const Admin = require('../models/Admin');
+const { generateAdminToken, ADMIN_TOKEN_EXPIRES_IN } = require('../middleware/adminAuth');
+const AuditLog = require('../models/AuditLog');
+const { recordAudit } = require('../services/auditService');
+const { listEmailTemplates, hasEmailTemplate, renderEmailTemplate, getSampleData } = require('../services/emailTemplates');
+const { sendOTPEmail } = require('../services/emailService');
+const User = require('../models/User');
+const { notify, announceNewTest, buildSegmentFilter, broadcastToInbox } = require('../services/notificationService');
+const { runTestRescore } = require('../services/testGradingService');
+const { PRESET_NAMES, getScoringPreset, listScoringPresets } = require('../utils/markingScheme');
+const {
+  TWO_FACTOR_TOKEN_EXPIRES_IN,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  countRemainingBackupCodes,
+  disableTwoFactor,
+  recoveryAttemptsExhausted,
+  issueRecoveryCode,
+  verifyRecoveryCode,
+  createTwoFactorToken,
+  verifyTwoFactorToken
+} = require('../services/twoFactorService');
 
-// Admin login
+// Second login step for an admin: code entry, or authenticator enrollment when 2FA is not set up yet
+const buildAdminTwoFactorChallenge = async (admin) => {
+  const twoFactorToken = createTwoFactorToken(admin._id, 'admin');
+
+  if (admin.twoFactor?.enabled) {
+    return {
+      success: true,
+      message: 'Enter the code from your authenticator app to complete login',
+      twoFactorRequired: true,
+      twoFactorToken,
+      expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+      type: 'TWO_FACTOR_REQUIRED'
+    };
+  }
+
+  // Two-factor authentication is mandatory for admins
+  const { secret, otpauthUrl } = startEnrollment(admin.twoFactor, admin.email || admin.username);
+  await admin.save();
+
+  return {
+    success: true,
+    message: 'Two-factor authentication is required for admin accounts. Scan the QR code with your authenticator app and enter a code.',
+    twoFactorSetupRequired: true,
+    twoFactorToken,
+    expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+    secret,
+    otpauthUrl, // render as a QR code on the client
+    type: 'TWO_FACTOR_SETUP_REQUIRED'
+  };
+};
+
+// Load the admin behind a two-factor login token (null when the token or account is not usable)
+const findTwoFactorLoginAdmin = async (twoFactorToken) => {
+  const payload = verifyTwoFactorToken(twoFactorToken, 'admin');
+  if (!payload) {
+    return null;
+  }
+
+  const admin = await Admin.findByIdWithTwoFactor(payload.sub);
+  return admin && admin.isActive ? admin : null;
+};
+
+const invalidAdminTwoFactorTokenResponse = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Two-factor login session is invalid or expired. Please login again.',
+    type: 'INVALID_TWO_FACTOR_TOKEN'
+  });
+};
+
+// Admin login step 1: check the password (the admin JWT is only issued after the second factor)
 const adminLogin = async (req, res, next) => {
   try {
-    const { adminId, password } = req.body;
+    // "adminId" is still accepted as the username for older clients
+    const username = req.body.username || req.body.adminId;
+    const { password } = req.body;
 
-    if (!adminId || !password) {
+    if (!username || !password) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Admin ID and password are required' 
+        message: 'Username and password are required' 
       });
     }
 
-    // Check admin credentials
-    const validAdminId = process.env.ADMIN_ID || 'admin';
-    const validPassword = process.env.ADMIN_PASSWORD || 'admin123';
+    const admin = await Admin.findForLogin(username);
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid admin credentials',
+        type: 'INVALID_ADMIN_CREDENTIALS'
+      });
+    }
 
-    if (adminId !== validAdminId || password !== validPassword) {
+    if (admin.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Admin account is temporarily locked due to too many failed login attempts',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const isPasswordValid = await admin.comparePassword(password);
+    if (!isPasswordValid) {
+      await admin.incFailedLoginAttempts();
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid admin credentials' 
+        message: 'Invalid admin credentials',
+        type: 'INVALID_ADMIN_CREDENTIALS'
       });
     }
 
+    res.json(await buildAdminTwoFactorChallenge(admin));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin login step 2: verify the authenticator code (or confirm enrollment) and issue the admin JWT
+const verifyAdminTwoFactor = async (req, res, next) => {
+  try {
+    const { twoFactorToken, code, backupCode } = req.body;
+
+    const admin = await findTwoFactorLoginAdmin(twoFactorToken);
+    if (!admin) {
+      return invalidAdminTwoFactorTokenResponse(res);
+    }
+
+    if (admin.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Admin account is temporarily locked due to too many failed login attempts',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const enrolling = !admin.twoFactor.enabled;
+    let backupCodes = null;
+    let remainingBackupCodes;
+    let isCodeValid;
+
+    if (enrolling) {
+      backupCodes = code ? confirmEnrollment(admin.twoFactor, code) : null;
+      isCodeValid = Boolean(backupCodes);
+    } else {
+      const result = verifySecondFactor(admin.twoFactor, { code, backupCode });
+      isCodeValid = result.valid;
+      remainingBackupCodes = result.remainingBackupCodes;
+    }
+
+    if (!isCodeValid) {
+      await admin.incFailedLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        type: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    // Also saves the two-factor changes
+    await admin.recordLogin(req.ip);
+
+    req.admin = { id: admin._id, username: admin.username, role: admin.role };
+    if (enrolling) {
+      await recordAudit(req, {
+        action: 'admin.two_factor_enable',
+        entityType: 'Admin',
+        entityId: admin._id
+      });
+    }
+
+    console.log(`👤 Admin login: ${admin.username} (${admin.role})${enrolling ? ' - 2FA enrolled' : ''}`);
+
     res.json({ 
       success: true, 
       message: 'Admin login successful',
-      adminId: adminId
+      token: generateAdminToken(admin),
+      expiresIn: ADMIN_TOKEN_EXPIRES_IN,
+      admin: admin.toPublicJSON(),
+      adminId: admin.username,
+      ...(enrolling
+        ? { backupCodes } // shown once; store them somewhere safe
+        : { remainingBackupCodes })
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Get all tests for admin with test type filtering
-const getAdminTests = async (req, res, next) => {
+// Lost authenticator: email a recovery OTP to the admin's email address
+const sendAdminTwoFactorRecovery = async (req, res, next) => {
   try {
-    const { adminId, password } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid admin credentials' 
+    const admin = await findTwoFactorLoginAdmin(req.body.twoFactorToken);
+    if (!admin || !admin.twoFactor.enabled) {
+      return invalidAdminTwoFactorTokenResponse(res);
+    }
+
+    if (admin.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    if (!admin.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email address on this admin account. Ask a super-admin to reset two-factor authentication.',
+        type: 'RECOVERY_UNAVAILABLE'
+      });
+    }
+
+    if (recoveryAttemptsExhausted(admin.twoFactor)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many recovery attempts. Please try again later.',
+        type: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    const recoveryCode = issueRecoveryCode(admin.twoFactor);
+    await admin.save();
+
+    try {
+      await sendOTPEmail(admin.email, recoveryCode, 'two_factor_recovery');
+    } catch (emailError) {
+      console.error('📧 Admin two-factor recovery OTP failed:', emailError.message);
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send recovery OTP. Please try again.',
+        type: 'OTP_DELIVERY_FAILED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recovery OTP sent to the admin email address',
+      expiresAt: admin.twoFactor.recoveryExpiresAt.getTime(),
+      type: 'TWO_FACTOR_RECOVERY_SENT'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lost authenticator: verify the recovery OTP and start a fresh enrollment
+const verifyAdminTwoFactorRecovery = async (req, res, next) => {
+  try {
+    const { twoFactorToken, emailOTP } = req.body;
+
+    const admin = await findTwoFactorLoginAdmin(twoFactorToken);
+    if (!admin || !admin.twoFactor.enabled) {
+      return invalidAdminTwoFactorTokenResponse(res);
+    }
+
+    if (admin.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const result = verifyRecoveryCode(admin.twoFactor, emailOTP);
+    if (!result.valid) {
+      await admin.save(); // keep the attempt count
+      return res.status(400).json({
+        success: false,
+        message: result.reason === 'INVALID_RECOVERY_CODE'
+          ? 'Invalid recovery OTP'
+          : 'Recovery OTP expired. Please request a new one.',
+        type: result.reason
       });
     }
 
+    // Admins cannot go without 2FA, so the old authenticator is replaced straight away
+    disableTwoFactor(admin.twoFactor);
+
+    req.admin = { id: admin._id, username: admin.username, role: admin.role };
+    await recordAudit(req, {
+      action: 'admin.two_factor_recover',
+      entityType: 'Admin',
+      entityId: admin._id
+    });
+
+    notify(admin, {
+      category: 'security',
+      template: 'two-factor-changed',
+      data: {
+        enabled: false,
+        viaRecovery: true,
+        changedAt: new Date(),
+        ipAddress: req.ip || ''
+      }
+    }).catch(console.error);
+
+    console.log(`🔐 Admin two-factor recovered: ${admin.username}`);
+
+    res.json(await buildAdminTwoFactorChallenge(admin));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get current admin
+const getCurrentAdmin = async (req, res, next) => {
+  try {
+    const admin = await Admin.findByIdWithTwoFactor(req.admin.id);
+
+    res.json({
+      success: true,
+      admin: admin.toPublicJSON(),
+      remainingBackupCodes: countRemainingBackupCodes(admin.twoFactor)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Replace the current admin's backup codes (a current authenticator code is required)
+const regenerateAdminBackupCodes = async (req, res, next) => {
+  try {
+    const admin = await Admin.findByIdWithTwoFactor(req.admin.id);
+
+    if (!verifySecondFactor(admin.twoFactor, { code: req.body.code }).valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        type: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const backupCodes = regenerateBackupCodes(admin.twoFactor);
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'admin.backup_codes_regenerate',
+      entityType: 'Admin',
+      entityId: admin._id
+    });
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes,
+      type: 'BACKUP_CODES_REGENERATED'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ADMIN ACCOUNT MANAGEMENT (super-admin only)
+
+// List admin accounts
+const getAdmins = async (req, res, next) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      admins: admins.map(admin => admin.toPublicJSON()),
+      roles: Admin.ROLES
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create admin account
+const createAdmin = async (req, res, next) => {
+  try {
+    const { username, password, role, name = '', email = '' } = req.body;
+
+    const existing = await Admin.findOne({ username: username.toLowerCase().trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'An admin with this username already exists',
+        type: 'ADMIN_EXISTS'
+      });
+    }
+
+    const admin = await Admin.create({
+      username,
+      password,
+      role,
+      name,
+      email,
+      createdBy: req.admin.username
+    });
+
+    console.log(`👤 Admin created by ${req.admin.username}: ${admin.username} (${admin.role})`);
+
+    await recordAudit(req, {
+      action: 'admin.create',
+      entityType: 'Admin',
+      entityId: admin._id,
+      after: admin.toPublicJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin created successfully',
+      admin: admin.toPublicJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update admin role, status or password, or reset two-factor authentication
+const updateAdmin = async (req, res, next) => {
+  try {
+    const { adminId } = req.params;
+    const { role, isActive, password, name, email, resetTwoFactor } = req.body;
+
+    const admin = await Admin.findByIdWithTwoFactor(adminId);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin not found',
+        type: 'ADMIN_NOT_FOUND'
+      });
+    }
+
+    // Prevent super-admins from locking themselves out
+    if (admin._id.equals(req.admin.id) && ((role && role !== 'super-admin') || isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote or deactivate your own account',
+        type: 'SELF_MODIFICATION_NOT_ALLOWED'
+      });
+    }
+
+    const before = admin.toPublicJSON();
+
+    if (role !== undefined) admin.role = role;
+    if (isActive !== undefined) admin.isActive = isActive;
+    if (name !== undefined) admin.name = name;
+    if (email !== undefined) admin.email = email;
+    if (password) admin.password = password;
+    // The admin enrolls a new authenticator on their next login
+    if (resetTwoFactor === true) disableTwoFactor(admin.twoFactor);
+
+    await admin.save();
+
+    console.log(`👤 Admin updated by ${req.admin.username}: ${admin.username} (${admin.role}, active: ${admin.isActive})`);
+
+    await recordAudit(req, {
+      action: 'admin.update',
+      entityType: 'Admin',
+      entityId: admin._id,
+      before,
+      after: admin.toPublicJSON(),
+      metadata: { passwordChanged: Boolean(password), twoFactorReset: resetTwoFactor === true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Admin updated successfully',
+      admin: admin.toPublicJSON()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get all tests for admin with test type filtering
+const getAdminTests = async (req, res, next) => {
+  try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
@@ -110,6 +540,9 @@ const getAdminTests = async (req, res, next) => {
   }
 };
 
+// Boolean form fields arrive as strings from multipart uploads
+const isTrueFlag = (value) => value === true || value === 'true';
+
 // Create new test with FLEXIBLE validation and missing value handling
 const createTest = async (req, res, next) => {
   try {
@@ -120,16 +553,19 @@ const createTest = async (req, res, next) => {
       testType, 
       correctScore, 
       wrongScore, 
-      unansweredScore, 
-      adminId, 
-      password 
+      unansweredScore,
+      scoringPreset,
+      shuffleQuestions,
+      shuffleOptions
     } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid admin credentials' 
+
+    // A named marking scheme replaces the individual scores
+    const presetScoring = scoringPreset ? getScoringPreset(scoringPreset) : null;
+    if (scoringPreset && !presetScoring) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scoring preset. Use one of: ${PRESET_NAMES.join(', ')}`,
+        type: 'INVALID_SCORING_PRESET'
       });
     }
 
@@ -292,11 +728,16 @@ const createTest = async (req, res, next) => {
       cutoff: convertedData.cutoff || {
         Gen: 15, EWS: 15, OBC: 13, SC: 10, ST: 10
       },
-      scoring: {
+      scoring: presetScoring || {
         correct: correct,
         wrong: wrong,
         unanswered: unanswered
       },
+      sections: convertedData.sections || [],
+      shuffle: {
+        questions: isTrueFlag(shuffleQuestions),
+        options: isTrueFlag(shuffleOptions)
+      },
       questions: convertedData.questions || []
     });
 
@@ -314,6 +755,19 @@ const createTest = async (req, res, next) => {
       autoFixes: autoFixResult.fixes?.length || 0
     });
 
+    await recordAudit(req, {
+      action: 'test.create',
+      entityType: 'Test',
+      entityId: newTest._id,
+      after: newTest,
+      metadata: { source: req.file ? 'json_upload' : 'form', autoFixes: autoFixResult.fixes?.length || 0 }
+    });
+
+    // New-test notification in every user's inbox; don't wait for the fan-out
+    if (newTest.isActive) {
+      announceNewTest(newTest).catch(console.error);
+    }
+
     // Prepare comprehensive response with all warnings and fixes
     const allWarnings = [
       ...(validationResult.warnings || []),
@@ -337,6 +791,7 @@ const createTest = async (req, res, next) => {
       questionsCount: newTest.questions?.length || 0,
       scoring: newTest.scoring,
       cutoff: newTest.cutoff,
+      sections: newTest.sections,
       flexibleMode: true,
       processingInfo: {
         warnings: allWarnings,
@@ -409,20 +864,169 @@ const createTest = async (req, res, next) => {
   }
 };
 
-// Delete test (unchanged)
-const deleteTest = async (req, res, next) => {
+// Update per-test delivery settings (question/option shuffling); applies to sessions started afterwards
+const updateTestSettings = async (req, res, next) => {
   try {
     const { testId } = req.params;
-    const { adminId, password } = req.body;
+    const { shuffleQuestions, shuffleOptions } = req.body;
 
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid admin credentials' 
+    const test = await Test.findById(testId);
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
       });
     }
 
+    const before = { shuffle: { questions: test.shuffle.questions, options: test.shuffle.options } };
+    if (shuffleQuestions !== undefined) test.shuffle.questions = shuffleQuestions;
+    if (shuffleOptions !== undefined) test.shuffle.options = shuffleOptions;
+    await test.save();
+
+    await recordAudit(req, {
+      action: 'test.settings',
+      entityType: 'Test',
+      entityId: test._id,
+      before,
+      after: { shuffle: test.shuffle }
+    });
+
+    res.json({
+      success: true,
+      message: 'Test settings updated',
+      testId: test._id,
+      shuffle: test.shuffle
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Named marking schemes available for new tests
+const getScoringPresets = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      presets: listScoringPresets()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Correct a question's answer key and/or marking (bonus, dropped, weight); recorded
+// attempts are re-scored in the background (progress: GET /tests/:testId/rescore)
+const updateQuestionScoring = async (req, res, next) => {
+  try {
+    const { testId } = req.params;
+    const questionIndex = Number(req.params.questionIndex);
+    const { correctOption, mode, weight } = req.body;
+
+    const test = await Test.findById(testId);
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const question = test.questions[questionIndex];
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: `Question ${questionIndex} not found in this test`,
+        type: 'QUESTION_NOT_FOUND'
+      });
+    }
+
+    if (correctOption !== undefined && !question.options.some(option => option.key === correctOption)) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${questionIndex} has no option ${correctOption}`,
+        type: 'INVALID_OPTION'
+      });
+    }
+
+    const snapshot = () => ({
+      correctOption: question.options.find(option => option.correct)?.key || null,
+      marking: { mode: question.marking?.mode || 'normal', weight: question.marking?.weight ?? 1 }
+    });
+    const before = snapshot();
+
+    if (correctOption !== undefined) {
+      question.options.forEach(option => {
+        option.correct = option.key === correctOption;
+      });
+    }
+    if (mode !== undefined) question.marking.mode = mode;
+    if (weight !== undefined) question.marking.weight = weight;
+    await test.save();
+
+    // Bumped atomically after the change is stored, so every change gets its own version
+    const { scoringVersion } = await Test.findByIdAndUpdate(test._id, { $inc: { scoringVersion: 1 } }, { new: true }).select('scoringVersion');
+
+    await recordAudit(req, {
+      action: 'test.rescore',
+      entityType: 'Test',
+      entityId: test._id,
+      before: { questionIndex, ...before },
+      after: { questionIndex, ...snapshot() },
+      metadata: { scoringVersion }
+    });
+
+    runTestRescore(test._id).catch(error => {
+      console.error(`Re-scoring of test ${test._id} failed:`, error);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Question ${questionIndex} updated; recorded attempts are being re-scored`,
+      testId: test._id,
+      questionIndex,
+      question: { questionIndex, ...snapshot() },
+      maxScore: test.calculateMaxScore(),
+      scoringVersion
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Progress of re-scoring a test's recorded attempts
+const getTestRescoreStatus = async (req, res, next) => {
+  try {
+    const test = await Test.findById(req.params.testId).select('name scoringVersion rescore');
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const pending = await UserTestRecord.countDocuments({
+      testId: test._id,
+      $or: [{ scoringVersion: { $lt: test.scoringVersion } }, { scoringVersion: { $exists: false } }]
+    });
+
+    res.json({
+      success: true,
+      testId: test._id,
+      scoringVersion: test.scoringVersion,
+      running: Boolean(test.rescore?.runningSince),
+      runningSince: test.rescore?.runningSince || null,
+      finishedAt: test.rescore?.finishedAt || null,
+      lastResult: test.rescore?.lastResult || null,
+      pendingRecords: pending
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete test (unchanged)
+const deleteTest = async (req, res, next) => {
+  try {
+    const { testId } = req.params;
     const test = await Test.findById(testId);
     if (!test) {
       return res.status(404).json({ 
@@ -433,6 +1037,13 @@ const deleteTest = async (req, res, next) => {
 
     await Test.findByIdAndDelete(testId);
 
+    await recordAudit(req, {
+      action: 'test.delete',
+      entityType: 'Test',
+      entityId: testId,
+      before: test
+    });
+
     res.json({ 
       success: true, 
       message: 'Test deleted successfully',
@@ -457,16 +1068,6 @@ const deleteTest = async (req, res, next) => {
 // Get test statistics with test type breakdown
 const getTestStatistics = async (req, res, next) => {
   try {
-    const { adminId, password } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid admin credentials' 
-      });
-    }
-
     const totalTests = await Test.countDocuments();
     const totalQuestions = await Test.aggregate([
       { $project: { questionCount: { $size: { $ifNull: ["$questions", []] } } } },
@@ -529,15 +1130,7 @@ const uploadQuestionBank = async (req, res, next) => {
   try {
     console.log('🔥 STARTING BULLETPROOF QUESTION BANK UPLOAD...');
     
-    const { adminId, password } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
+    const adminId = req.admin.username;
     
     if (!req.file) {
       return res.status(400).json({
@@ -712,6 +1305,20 @@ const uploadQuestionBank = async (req, res, next) => {
     
     // Final log
     console.log(`📚 Question Bank Upload by ${adminId}: ${results.inserted} new, ${results.duplicates} duplicates, ${results.errors} errors`);
+
+    await recordAudit(req, {
+      action: 'question_bank.upload',
+      entityType: 'QuestionBankUpload',
+      entityId: uploadSession,
+      after: {
+        uploadSession,
+        totalQuestions: questions.length,
+        inserted: results.inserted,
+        duplicates: results.duplicates,
+        errors: results.errors
+      },
+      metadata: { fileName: req.file.originalname, fileSize: req.file.size }
+    });
     
     res.json({
       success: true,
@@ -739,16 +1346,6 @@ const uploadQuestionBank = async (req, res, next) => {
 // Get question bank statistics
 const getQuestionBankStats = async (req, res, next) => {
   try {
-    const { adminId, password } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
-    
     const totalQuestions = await PracticeQuestion.countDocuments({ isActive: true });
     const verifiedQuestions = await PracticeQuestion.countDocuments({ isActive: true, isVerified: true });
     
@@ -836,16 +1433,6 @@ const getQuestionBankStats = async (req, res, next) => {
 // Get question bank list with filters
 const getQuestionBankList = async (req, res, next) => {
   try {
-    const { adminId, password } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
-    
     const page = parseInt(req.query.page) || 1;
     const limit = Math.min(parseInt(req.query.limit) || 20, 50);
     const skip = (page - 1) * limit;
@@ -921,15 +1508,8 @@ const getQuestionBankList = async (req, res, next) => {
 // Delete questions from question bank
 const deleteQuestionBankQuestions = async (req, res, next) => {
   try {
-    const { adminId, password, questionIds } = req.body;
-    
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
+    const { questionIds } = req.body;
+    const adminId = req.admin.username;
     
     if (!questionIds || !Array.isArray(questionIds) || questionIds.length === 0) {
       return res.status(400).json({
@@ -938,11 +1518,28 @@ const deleteQuestionBankQuestions = async (req, res, next) => {
       });
     }
     
+    // Snapshot the questions that are about to be deactivated
+    const affectedQuestions = await PracticeQuestion.find(
+      { _id: { $in: questionIds }, isActive: true },
+      { questionId: 1, question: 1, area: 1, subarea: 1, difficulty: 1, isActive: 1 }
+    ).lean();
+    const affectedIds = affectedQuestions.map(question => question._id);
+
     // Soft delete (mark as inactive)
+    const deactivatedAt = new Date();
     const result = await PracticeQuestion.updateMany(
-      { _id: { $in: questionIds }, isActive: true },
-      { $set: { isActive: false, deactivatedAt: new Date(), deactivatedBy: adminId } }
+      { _id: { $in: affectedIds }, isActive: true },
+      { $set: { isActive: false, deactivatedAt, deactivatedBy: adminId } }
     );
+
+    await recordAudit(req, {
+      action: 'question_bank.delete',
+      entityType: 'PracticeQuestion',
+      entityId: affectedIds.length === 1 ? affectedIds[0] : '',
+      before: { questions: affectedQuestions },
+      after: { questionIds: affectedIds, isActive: false, deactivatedAt, deactivatedBy: adminId },
+      metadata: { requestedCount: questionIds.length, deactivatedCount: result.modifiedCount }
+    });
     
     console.log(`🗑️ Question Bank Deletion by ${adminId}: ${result.modifiedCount} questions deactivated`);
     
@@ -961,26 +1558,20 @@ const deleteQuestionBankQuestions = async (req, res, next) => {
 // Generate test from question bank
 const generateTestFromQuestionBank = async (req, res, next) => {
   try {
+    const adminId = req.admin.username;
     const { 
-      adminId, 
-      password, 
       testName, 
       duration, 
       questionCount,
       filters = {},
       testType = 'Practice',
       year,
-      paper
+      paper,
+      scoringPreset,
+      shuffleQuestions,
+      shuffleOptions
     } = req.body;
     
-    // Verify admin credentials
-    if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
-    
     // Validate required fields
     if (!testName || !duration || !questionCount) {
       return res.status(400).json({
@@ -988,6 +1579,15 @@ const generateTestFromQuestionBank = async (req, res, next) => {
         message: 'Test name, duration, and question count are required'
       });
     }
+
+    const presetScoring = scoringPreset ? getScoringPreset(scoringPreset) : null;
+    if (scoringPreset && !presetScoring) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown scoring preset. Use one of: ${PRESET_NAMES.join(', ')}`,
+        type: 'INVALID_SCORING_PRESET'
+      });
+    }
     
     if (questionCount > 200) {
       return res.status(400).json({
@@ -1053,6 +1653,11 @@ const generateTestFromQuestionBank = async (req, res, next) => {
       duration: duration,
       questions: testQuestions,
       createdBy: adminId,
+      ...(presetScoring && { scoring: presetScoring }),
+      shuffle: {
+        questions: isTrueFlag(shuffleQuestions),
+        options: isTrueFlag(shuffleOptions)
+      },
       tags: ['generated', 'question-bank'],
       description: `Generated from question bank with ${questionCount} questions`
     };
@@ -1061,6 +1666,16 @@ const generateTestFromQuestionBank = async (req, res, next) => {
     const newTest = await Test.create(testData);
     
     console.log(`🧪 Test Generated from Question Bank by ${adminId}: ${testName} (${questionCount} questions)`);
+
+    await recordAudit(req, {
+      action: 'test.generate',
+      entityType: 'Test',
+      entityId: newTest._id,
+      after: newTest,
+      metadata: { filters, sourceQuestionIds: selectedQuestions.map(question => question._id) }
+    });
+
+    announceNewTest(newTest).catch(console.error);
     
     res.json({
       success: true,
@@ -1073,6 +1688,7 @@ const generateTestFromQuestionBank = async (req, res, next) => {
         paper: newTest.paper,
         questionCount: newTest.questions.length,
         duration: newTest.duration,
+        scoring: newTest.scoring,
         createdAt: newTest.createdAt
       }
     });
@@ -1083,10 +1699,176 @@ const generateTestFromQuestionBank = async (req, res, next) => {
   }
 };
 
+// Get audit log with filters
+const getAuditLog = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    const { action, entityType, entityId, actor, from, to } = req.query;
+
+    // Build query object
+    const query = {};
+    if (action) query.action = action;
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = entityId;
+    if (actor) query['actor.username'] = actor.toLowerCase();
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    // Snapshots can be large, so they are only included when asked for
+    const projection = req.query.includeSnapshots === 'true' ? {} : { before: 0, after: 0 };
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query, projection).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single audit log entry with snapshots
+const getAuditLogEntry = async (req, res, next) => {
+  try {
+    const entry = await AuditLog.findById(req.params.entryId).lean();
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List transactional email templates
+const getEmailTemplates = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      templates: listEmailTemplates()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Render an email template with its sample data
+// Query params: language (en/hi), format (json/html/text)
+const previewEmailTemplate = async (req, res, next) => {
+  try {
+    const { template } = req.params;
+    if (!hasEmailTemplate(template)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Email template not found',
+        type: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    const rendered = renderEmailTemplate(template, req.query.language, getSampleData(template));
+
+    // html/text formats return the email body directly so it can be opened in a browser
+    if (req.query.format === 'html') {
+      return res.type('html').send(rendered.html);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text').send(rendered.text);
+    }
+
+    res.json({
+      success: true,
+      preview: rendered
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Send an in-app notification to all users or a segment of them
+// Body: title, message, link, category, segment { categories, plans, inactiveSince }, dryRun
+const broadcastNotification = async (req, res, next) => {
+  try {
+    const { title, message = '', link = '', category = 'announcements', segment = {}, dryRun = false } = req.body;
+    const userFilter = buildSegmentFilter(segment);
+
+    // Dry run: only report how many users the segment reaches
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        recipients: await User.countDocuments(userFilter),
+        segment
+      });
+    }
+
+    const { broadcastId, recipients } = await broadcastToInbox(userFilter, {
+      category,
+      source: 'broadcast',
+      title,
+      message,
+      link
+    });
+
+    console.log(`📣 Broadcast by ${req.admin.username}: "${title}" to ${recipients} users`);
+
+    await recordAudit(req, {
+      action: 'notification.broadcast',
+      entityType: 'Notification',
+      entityId: broadcastId,
+      after: { title, message, link, category },
+      metadata: { segment, recipients }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Notification sent to ${recipients} users`,
+      broadcastId,
+      recipients,
+      segment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   adminLogin,
+  verifyAdminTwoFactor,
+  sendAdminTwoFactorRecovery,
+  verifyAdminTwoFactorRecovery,
+  regenerateAdminBackupCodes,
+  getCurrentAdmin,
+  getAdmins,
+  createAdmin,
+  updateAdmin,
   getAdminTests,
   createTest,
+  updateTestSettings,
+  getScoringPresets,
+  updateQuestionScoring,
+  getTestRescoreStatus,
   deleteTest,
   getTestStatistics,
   // NEW QUESTION BANK FUNCTIONS
@@ -1094,5 +1876,13 @@ module.exports = {
   getQuestionBankStats,
   getQuestionBankList,
   deleteQuestionBankQuestions,
-  generateTestFromQuestionBank
+  generateTestFromQuestionBank,
+  // AUDIT LOG
+  getAuditLog,
+  getAuditLogEntry,
+  // EMAIL TEMPLATES
+  getEmailTemplates,
+  previewEmailTemplate,
+  // NOTIFICATIONS
+  broadcastNotification
 };
\ No newline at end of file
@@ -3,7 +3,10 @@ const UserTestRecord = require('../models/UserTestRecord');
 const UserQuestionProgress = require('../models/UserQuestionProgress');
 const Test = require('../models/Test');
 const PracticeQuestion = require('../models/PracticeQuestion');
+const AuthEvent = require('../models/AuthEvent');
+const QuestionStat = require('../models/QuestionStat');
 const mongoose = require('mongoose');
+const { recordAudit } = require('../services/auditService');
 
 // =============================================================================
 // USER ANALYTICS
@@ -23,8 +26,11 @@ exports.getAllUsers = async (req, res) => {
     const sortBy = req.query.sortBy || 'createdAt';
     const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
 
-    // Build search query
+    // Build search query (deactivated accounts are hidden unless requested)
     const searchQuery = {};
+    if (req.query.includeDeactivated !== 'true') {
+      searchQuery['security.isActive'] = { $ne: false };
+    }
     if (search) {
       searchQuery.$or = [
         { email: { $regex: search, $options: 'i' } },
@@ -444,6 +450,10 @@ exports.getUserDetailedAnalytics = async (req, res) => {
  */
 exports.getPlatformDashboard = async (req, res) => {
   try {
+    // Deactivated users are excluded from activity statistics
+    const hiddenUserIds = await User.getDeactivatedUserIds();
+    const visibleUsersMatch = { $match: { userId: { $nin: hiddenUserIds } } };
+
     // Get total users
     const totalUsers = await User.countDocuments();
     const activeUsers = await User.countDocuments({ 'security.isActive': true });
@@ -460,6 +470,7 @@ exports.getPlatformDashboard = async (req, res) => {
 
     // Get test attempts statistics
     const testStats = await UserTestRecord.aggregate([
+      visibleUsersMatch,
       {
         $group: {
           _id: null,
@@ -473,6 +484,7 @@ exports.getPlatformDashboard = async (req, res) => {
 
     // Get test attempts by type
     const testsByType = await UserTestRecord.aggregate([
+      visibleUsersMatch,
       {
         $group: {
           _id: '$testType',
@@ -485,6 +497,7 @@ exports.getPlatformDashboard = async (req, res) => {
     const totalPracticeQuestions = await PracticeQuestion.countDocuments({ isActive: true });
 
     const practiceStats = await UserQuestionProgress.aggregate([
+      visibleUsersMatch,
       {
         $group: {
           _id: null,
@@ -512,7 +525,8 @@ exports.getPlatformDashboard = async (req, res) => {
     const dailyActivity = await UserTestRecord.aggregate([
       {
         $match: {
-          'completion.completedAt': { $gte: thirtyDaysAgo }
+          'completion.completedAt': { $gte: thirtyDaysAgo },
+          userId: { $nin: hiddenUserIds }
         }
       },
       {
@@ -539,6 +553,7 @@ exports.getPlatformDashboard = async (req, res) => {
 
     // Get top performing users
     const topUsers = await UserTestRecord.aggregate([
+      visibleUsersMatch,
       {
         $group: {
           _id: '$userId',
@@ -577,6 +592,7 @@ exports.getPlatformDashboard = async (req, res) => {
 
     // Get most attempted tests
     const popularTests = await UserTestRecord.aggregate([
+      visibleUsersMatch,
       {
         $group: {
           _id: '$testId',
@@ -834,6 +850,18 @@ exports.exportUserData = async (req, res) => {
       totalPracticeQuestions: practiceRecords.length
     };
 
+    // Exports contain personal data, so every export is audited
+    await recordAudit(req, {
+      action: 'user.export',
+      entityType: 'User',
+      entityId: userId,
+      metadata: {
+        email: user.email,
+        totalTimedTests: testRecords.length,
+        totalPracticeQuestions: practiceRecords.length
+      }
+    });
+
     res.json({
       success: true,
       data: exportData
@@ -846,4 +874,193 @@ exports.exportUserData = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// =============================================================================
+// TEST ANALYTICS
+// =============================================================================
+
+/**
+ * Per-question answer statistics of a test, including the anonymous totals of deleted users
+ * GET /api/admin/analytics/tests/:testId/question-stats
+ */
+exports.getTestQuestionStats = async (req, res) => {
+  try {
+    const { testId } = req.params;
+
+    const test = await Test.findById(testId)
+      .select('name questions.qid questions.area questions.difficulty questions.options.key questions.options.correct')
+      .lean();
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const stats = await QuestionStat.getTestQuestionStats(test);
+
+    res.json({
+      success: true,
+      data: {
+        testId,
+        testName: test.name,
+        questions: stats.map(stat => ({
+          ...stat,
+          qid: test.questions[stat.questionIndex]?.qid || null,
+          area: test.questions[stat.questionIndex]?.area ?? null,
+          difficulty: test.questions[stat.questionIndex]?.difficulty || null
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get test question stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get question statistics',
+      error: error.message
+    });
+  }
+};
+
+// =============================================================================
+// AUTHENTICATION ANALYTICS
+// =============================================================================
+
+// Percentage helper used by the auth stats response
+const toRate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Get authentication analytics (signups, OTP delivery/verification, logins,
+ * lockouts and password resets)
+ * GET /api/auth/analytics/auth-stats
+ * Query params: from, to (ISO dates, default last 30 days)
+ */
+exports.getAuthStats = async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'from must be before to',
+        type: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const range = { $gte: from, $lte: to };
+
+    // Signups per day, split by registration source
+    const signupsByDay = await User.aggregate([
+      { $match: { createdAt: range } },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            source: { $ifNull: ['$metadata.registrationSource', 'web'] }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.date': 1 } }
+    ]);
+
+    const signupDays = {};
+    const signupsBySource = {};
+    signupsByDay.forEach(({ _id, count }) => {
+      signupDays[_id.date] = signupDays[_id.date] || { date: _id.date, total: 0, bySource: {} };
+      signupDays[_id.date].total += count;
+      signupDays[_id.date].bySource[_id.source] = count;
+      signupsBySource[_id.source] = (signupsBySource[_id.source] || 0) + count;
+    });
+
+    // All auth events in the range, counted by type, channel and outcome
+    const eventCounts = await AuthEvent.aggregate([
+      { $match: { createdAt: range } },
+      {
+        $group: {
+          _id: { type: '$type', channel: '$channel', success: '$success' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const countEvents = (type, { channel, success } = {}) => eventCounts
+      .filter(({ _id }) => _id.type === type
+        && (channel === undefined || _id.channel === channel)
+        && (success === undefined || _id.success === success))
+      .reduce((sum, { count }) => sum + count, 0);
+
+    const otpStats = (channel) => {
+      const sent = countEvents('otp_send', { channel, success: true });
+      const sendFailed = countEvents('otp_send', { channel, success: false });
+      const verified = countEvents('otp_verify', { channel, success: true });
+      const verifyFailed = countEvents('otp_verify', { channel, success: false });
+
+      return {
+        sent,
+        sendFailed,
+        deliverySuccessRate: toRate(sent, sent + sendFailed),
+        verified,
+        verifyFailed,
+        verifySuccessRate: toRate(verified, verified + verifyFailed)
+      };
+    };
+
+    // Login failure reasons
+    const loginFailureReasons = await AuthEvent.aggregate([
+      { $match: { createdAt: range, type: 'login', success: false } },
+      { $group: { _id: '$reason', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+
+    const lockedUsers = await AuthEvent.distinct('userId', { createdAt: range, type: 'account_locked' });
+
+    const loginSuccess = countEvents('login', { success: true });
+    const loginFailure = countEvents('login', { success: false });
+    const resetsRequested = countEvents('password_reset_request');
+    const resetsCompleted = countEvents('password_reset_complete');
+
+    res.json({
+      success: true,
+      data: {
+        range: { from, to },
+        signups: {
+          total: Object.values(signupsBySource).reduce((sum, count) => sum + count, 0),
+          bySource: signupsBySource,
+          byDay: Object.values(signupDays)
+        },
+        otp: {
+          email: otpStats('email'),
+          sms: otpStats('sms')
+        },
+        logins: {
+          success: loginSuccess,
+          failure: loginFailure,
+          successRate: toRate(loginSuccess, loginSuccess + loginFailure),
+          failureReasons: loginFailureReasons.reduce((acc, reason) => {
+            acc[reason._id || 'UNKNOWN'] = reason.count;
+            return acc;
+          }, {})
+        },
+        lockouts: {
+          total: countEvents('account_locked'),
+          uniqueUsers: lockedUsers.length
+        },
+        passwordResets: {
+          requested: resetsRequested,
+          completed: resetsCompleted,
+          completionRate: toRate(resetsCompleted, resetsRequested)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get auth stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch authentication analytics',
+      error: error.message
+    });
+  }
+};
@@ -1,23 +1,128 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const OtpSession = require('../models/OtpSession');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const AuthEvent = require('../models/AuthEvent');
+const UserTestRecord = require('../models/UserTestRecord');
+const TestSession = require('../models/TestSession');
+const { issueTokens, rotateRefreshToken, revokeSession, revokeAllSessions, getClientContext } = require('../services/tokenService');
+const { recordReferral } = require('../services/referralService');
+const { purgeUserData } = require('../services/accountDataService');
 const { sendOTPEmail } = require('../services/emailService');
+const { notify } = require('../services/notificationService');
+const {
+  TWO_FACTOR_TOKEN_EXPIRES_IN,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  countRemainingBackupCodes,
+  disableTwoFactor,
+  recoveryAttemptsExhausted,
+  issueRecoveryCode,
+  verifyRecoveryCode,
+  createTwoFactorToken,
+  verifyTwoFactorToken
+} = require('../services/twoFactorService');
 const { sendOTPSMS, verifySMSOTP } = require('../services/smsService');
 const { CustomError } = require('../middleware/errorHandler');
 const { validationResult } = require('express-validator');
 
-// Temporary storage for OTP sessions (in production, use Redis)
-const otpSessions = new Map();
+// OTP session limits (sessions themselves live in MongoDB and expire via TTL index)
+const MAX_VERIFICATION_ATTEMPTS = 5;
+const MAX_RESEND_ATTEMPTS = 3;
 
 // OTP generation utility
 const generateOTP = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
+// Record an authentication event for analytics (never blocks the request)
+const trackAuthEvent = (req, type, details = {}) => {
+  AuthEvent.record(type, {
+    ipAddress: req.ip || req.connection?.remoteAddress || '',
+    ...details
+  });
+};
+
 // Create session key utility
 const createSessionKey = () => {
   return Math.random().toString(36).substring(2) + Date.now().toString(36);
 };
 
+// Reasons an existing account cannot sign in (shared by password and OTP login).
+// While reactivating, a deactivated account passes as long as its grace period lasts.
+const getLoginRestriction = (user, { reactivating = false } = {}) => {
+  // Locked by an administrator, until they unlock it
+  if (user.security.accountLocked) {
+    return {
+      status: 403,
+      body: {
+        message: 'Account has been suspended. Please contact support.',
+        type: 'ACCOUNT_SUSPENDED'
+      }
+    };
+  }
+
+  if (user.isLocked) {
+    return {
+      status: 423,
+      body: {
+        message: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      }
+    };
+  }
+
+  if (reactivating && !user.security.isActive) {
+    if (!user.canReactivate) {
+      return {
+        status: 410,
+        body: {
+          message: 'The reactivation period for this account has ended. Please contact support.',
+          type: 'REACTIVATION_WINDOW_EXPIRED'
+        }
+      };
+    }
+  } else if (!user.security.isActive) {
+    return {
+      status: 403,
+      body: {
+        message: user.canReactivate
+          ? 'Account is deactivated. You can reactivate it before it is permanently deleted.'
+          : 'Account is deactivated. Please contact support.',
+        type: 'ACCOUNT_DEACTIVATED',
+        canReactivate: user.canReactivate,
+        scheduledDeletionAt: user.canReactivate ? user.security.scheduledDeletionAt.getTime() : null
+      }
+    };
+  }
+
+  if (!user.security.isVerified) {
+    return {
+      status: 403,
+      body: {
+        message: 'Account is not verified. Please complete the signup process.',
+        type: 'ACCOUNT_NOT_VERIFIED'
+      }
+    };
+  }
+
+  return null;
+};
+
+// Response asking for the second factor after a successful first login step (no tokens yet)
+const buildTwoFactorChallenge = (user, method) => {
+  return {
+    success: true,
+    message: 'Enter the code from your authenticator app to complete login',
+    twoFactorRequired: true,
+    twoFactorToken: createTwoFactorToken(user._id, 'user', { method }),
+    expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+    type: 'TWO_FACTOR_REQUIRED'
+  };
+};
+
 // SIGNUP FLOW
 
 // Step 1: Send OTP for Signup
@@ -34,7 +139,7 @@ const sendSignupOTP = async (req, res, next) => {
       });
     }
 
-    const { email, phoneNumber } = req.body;
+    const { email, phoneNumber, language } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findByEmailOrPhone(email, phoneNumber);
@@ -46,40 +151,42 @@ const sendSignupOTP = async (req, res, next) => {
       });
     }
 
-    // Generate OTPs
+    // Generate OTP (phone OTP is generated and verified by the SMS provider)
     const emailOTP = generateOTP();
-    const phoneOTP = generateOTP();
     const sessionKey = createSessionKey();
 
+    // Drop any earlier pending signup for this email before starting a new one
+    await OtpSession.deleteMany({ email: email.toLowerCase().trim(), purpose: 'signup' });
+
     // Store session data
-    const sessionData = {
+    const sessionData = new OtpSession({
+      sessionKey,
+      purpose: 'signup',
       email: email.toLowerCase().trim(),
       phoneNumber: phoneNumber.trim(),
-      emailOTP,
-      phoneOTP,
-      emailVerified: false,
-      phoneVerified: false,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + (10 * 60 * 1000), // 10 minutes
-      type: 'signup',
-      attempts: 0
-    };
+      language: language || 'English'
+    });
+    sessionData.setEmailOTP(emailOTP);
 
-    otpSessions.set(sessionKey, sessionData);
+    await sessionData.save();
 
     // Send OTP emails and SMS
     try {
-      await sendOTPEmail(email, emailOTP, 'signup');
+      await sendOTPEmail(email, emailOTP, 'signup', { language: sessionData.language });
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'signup' });
       console.log('📧 Email OTP sent successfully to:', email);
     } catch (emailError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'signup', success: false, reason: emailError.message });
       console.error('📧 Email OTP failed:', emailError.message);
       // Continue with phone OTP even if email fails
     }
 
     try {
       await sendOTPSMS(phoneNumber);
+      trackAuthEvent(req, 'otp_send', { channel: 'sms', purpose: 'signup' });
       console.log('📱 SMS OTP sent successfully to:', phoneNumber);
     } catch (smsError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'sms', purpose: 'signup', success: false, reason: smsError.message });
       console.error('📱 SMS OTP failed:', smsError.message);
       // Continue even if SMS fails, user can retry
     }
@@ -90,7 +197,7 @@ const sendSignupOTP = async (req, res, next) => {
       sessionKey,
       email: email.toLowerCase().trim(),
       phoneNumber: phoneNumber.trim(),
-      expiresAt: sessionData.expiresAt,
+      expiresAt: sessionData.expiresAt.getTime(),
       type: 'signup'
     });
 
@@ -117,8 +224,8 @@ const verifySignupOTP = async (req, res, next) => {
     const { sessionKey, emailOTP, phoneOTP } = req.body;
 
     // Get session data
-    const sessionData = otpSessions.get(sessionKey);
-    if (!sessionData) {
+    const existingSession = await OtpSession.findOne({ sessionKey });
+    if (!existingSession) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired session',
@@ -127,8 +234,8 @@ const verifySignupOTP = async (req, res, next) => {
     }
 
     // Check session expiry
-    if (Date.now() > sessionData.expiresAt) {
-      otpSessions.delete(sessionKey);
+    if (existingSession.isExpired) {
+      await existingSession.deleteOne();
       return res.status(400).json({
         success: false,
         message: 'OTP session expired. Please request new OTP.',
@@ -137,7 +244,7 @@ const verifySignupOTP = async (req, res, next) => {
     }
 
     // Check session type
-    if (sessionData.type !== 'signup') {
+    if (existingSession.purpose !== 'signup') {
       return res.status(400).json({
         success: false,
         message: 'Invalid session type for signup',
@@ -146,9 +253,9 @@ const verifySignupOTP = async (req, res, next) => {
     }
 
     // Increment verification attempts
-    sessionData.attempts += 1;
-    if (sessionData.attempts > 5) {
-      otpSessions.delete(sessionKey);
+    const sessionData = await OtpSession.registerAttempt(sessionKey);
+    if (!sessionData || sessionData.attempts > MAX_VERIFICATION_ATTEMPTS) {
+      await OtpSession.deleteOne({ sessionKey });
       return res.status(429).json({
         success: false,
         message: 'Too many verification attempts. Please request new OTP.',
@@ -161,11 +268,14 @@ const verifySignupOTP = async (req, res, next) => {
 
     // Verify Email OTP
     if (!emailVerified && emailOTP) {
-      if (emailOTP.trim() === sessionData.emailOTP) {
+      if (sessionData.compareEmailOTP(emailOTP)) {
         emailVerified = true;
         sessionData.emailVerified = true;
+        await sessionData.save();
+        trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'signup' });
         console.log('✅ Email OTP verified for:', sessionData.email);
       } else {
+        trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'signup', success: false, reason: 'INVALID_EMAIL_OTP' });
         return res.status(400).json({
           success: false,
           message: 'Invalid email OTP',
@@ -183,8 +293,11 @@ const verifySignupOTP = async (req, res, next) => {
         if (phoneVerification.success) {
           phoneVerified = true;
           sessionData.phoneVerified = true;
+          await sessionData.save();
+          trackAuthEvent(req, 'otp_verify', { channel: 'sms', purpose: 'signup' });
           console.log('✅ Phone OTP verified for:', sessionData.phoneNumber);
         } else {
+          trackAuthEvent(req, 'otp_verify', { channel: 'sms', purpose: 'signup', success: false, reason: 'INVALID_PHONE_OTP' });
           return res.status(400).json({
             success: false,
             message: phoneVerification.error || 'Invalid phone OTP',
@@ -209,7 +322,8 @@ const verifySignupOTP = async (req, res, next) => {
     if (emailVerified && phoneVerified) {
       // Mark session as verified
       sessionData.verified = true;
-      sessionData.verifiedAt = Date.now();
+      sessionData.verifiedAt = new Date();
+      await sessionData.save();
       
       res.json({
         success: true,
@@ -250,11 +364,11 @@ const completeSignup = async (req, res, next) => {
       });
     }
 
-    const { sessionKey, password, firstName, lastName } = req.body;
+    const { sessionKey, password, firstName, lastName, referralCode } = req.body;
 
     // Get session data
-    const sessionData = otpSessions.get(sessionKey);
-    if (!sessionData || !sessionData.verified) {
+    const sessionData = await OtpSession.findActive(sessionKey);
+    if (!sessionData || sessionData.purpose !== 'signup' || !sessionData.verified) {
       return res.status(400).json({
         success: false,
         message: 'Invalid session or OTP not verified',
@@ -265,7 +379,7 @@ const completeSignup = async (req, res, next) => {
     // Check if user already exists (double check)
     const existingUser = await User.findByEmailOrPhone(sessionData.email, sessionData.phoneNumber);
     if (existingUser) {
-      otpSessions.delete(sessionKey);
+      await OtpSession.deleteOne({ sessionKey });
       return res.status(409).json({
         success: false,
         message: 'User already exists',
@@ -273,6 +387,19 @@ const completeSignup = async (req, res, next) => {
       });
     }
 
+    // Resolve the referral code before creating the account so a typo can be corrected
+    let referrer = null;
+    if (referralCode) {
+      referrer = await User.findByReferralCode(referralCode);
+      if (!referrer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid referral code',
+          type: 'INVALID_REFERRAL_CODE'
+        });
+      }
+    }
+
     // Create new user
     const userData = {
       email: sessionData.email,
@@ -282,12 +409,19 @@ const completeSignup = async (req, res, next) => {
         firstName: firstName || '',
         lastName: lastName || ''
       },
+      preferences: {
+        language: sessionData.language || 'English'
+      },
       security: {
         isVerified: true,
         lastLoginAt: new Date(),
         loginCount: 1,
         lastLoginIP: req.ip || '',
         isActive: true
+      },
+      metadata: {
+        registrationSource: referrer ? 'referral' : 'web',
+        referredBy: referrer ? referrer._id : null
       }
     };
 
@@ -295,30 +429,32 @@ const completeSignup = async (req, res, next) => {
     await newUser.save();
 
     // Clean up session
-    otpSessions.delete(sessionKey);
+    await OtpSession.deleteOne({ sessionKey });
 
-    // Generate JWT token for immediate login
-    const token = generateToken({
-      userId: newUser._id,
-      email: newUser.email,
-      phoneNumber: newUser.phoneNumber
-    });
+    const clientContext = getClientContext(req);
+
+    // Fraud checks run before the referee's own session exists
+    if (referrer) {
+      await recordReferral({ referrer, referee: newUser, code: referrer.metadata.referralCode, context: clientContext });
+    }
+
+    // Issue access/refresh tokens for immediate login
+    const tokens = await issueTokens(newUser, clientContext);
 
     console.log(`✅ User signup completed: ${newUser.email}`);
 
     // Send welcome email (don't wait for it)
-    try {
-      const { sendWelcomeEmail } = require('../services/emailService');
-      sendWelcomeEmail(newUser.email).catch(console.error);
-    } catch (error) {
-      console.error('Welcome email error:', error);
-    }
+    notify(newUser, {
+      category: 'account',
+      template: 'welcome',
+      data: { firstName: newUser.profile.firstName }
+    }).catch(console.error);
 
     res.status(201).json({
       success: true,
       message: 'Signup completed successfully',
       user: newUser.getPublicProfile(),
-      token,
+      ...tokens,
       type: 'SIGNUP_SUCCESS'
     });
 
@@ -349,6 +485,7 @@ const login = async (req, res, next) => {
     // Find user by email or phone
     const user = await User.findByEmailOrPhone(identifier, identifier);
     if (!user) {
+      trackAuthEvent(req, 'login', { success: false, reason: 'INVALID_CREDENTIALS' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -356,30 +493,11 @@ const login = async (req, res, next) => {
       });
     }
 
-    // Check if account is locked
-    if (user.isLocked) {
-      return res.status(423).json({
-        success: false,
-        message: 'Account is temporarily locked due to too many failed login attempts. Please try again later.',
-        type: 'ACCOUNT_LOCKED'
-      });
-    }
-
-    // Check if account is active and verified
-    if (!user.security.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: 'Account is deactivated. Please contact support.',
-        type: 'ACCOUNT_DEACTIVATED'
-      });
-    }
-
-    if (!user.security.isVerified) {
-      return res.status(403).json({
-        success: false,
-        message: 'Account is not verified. Please complete the signup process.',
-        type: 'ACCOUNT_NOT_VERIFIED'
-      });
+    // Check if account is locked, deactivated or unverified
+    const restriction = getLoginRestriction(user);
+    if (restriction) {
+      trackAuthEvent(req, 'login', { userId: user._id, success: false, reason: restriction.body.type });
+      return res.status(restriction.status).json({ success: false, ...restriction.body });
     }
 
     // Verify password
@@ -387,6 +505,7 @@ const login = async (req, res, next) => {
     if (!isPasswordValid) {
       // Increment failed login attempts
       await user.incFailedLoginAttempts();
+      trackAuthEvent(req, 'login', { userId: user._id, success: false, reason: 'INVALID_CREDENTIALS' });
       
       return res.status(401).json({
         success: false,
@@ -395,15 +514,18 @@ const login = async (req, res, next) => {
       });
     }
 
+    // Accounts with 2FA get their tokens only after the second factor
+    if (user.security.twoFactor?.enabled) {
+      return res.json(buildTwoFactorChallenge(user, 'password'));
+    }
+
     // Update login information
     await user.updateLoginInfo(clientIP);
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user._id,
-      email: user.email,
-      phoneNumber: user.phoneNumber
-    });
+    // Issue access/refresh tokens for this device
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    trackAuthEvent(req, 'login', { userId: user._id });
 
     console.log(`✅ User login successful: ${user.email}`);
 
@@ -411,7 +533,7 @@ const login = async (req, res, next) => {
       success: true,
       message: 'Login successful',
       user: user.getPublicProfile(),
-      token,
+      ...tokens,
       type: 'LOGIN_SUCCESS'
     });
 
@@ -421,10 +543,10 @@ const login = async (req, res, next) => {
   }
 };
 
-// FORGOT PASSWORD FLOW
+// OTP LOGIN FLOW
 
-// Step 1: Send Reset OTP for Forgot Password
-const forgotPassword = async (req, res, next) => {
+// Step 1: Send a login OTP to the account's email or phone
+const sendLoginOTP = async (req, res, next) => {
   try {
     // Handle validation errors
     const errors = validationResult(req);
@@ -438,80 +560,90 @@ const forgotPassword = async (req, res, next) => {
     }
 
     const { identifier } = req.body; // Can be email or phone
+    // Default to the channel matching the identifier that was entered
+    const channel = req.body.channel || (identifier.includes('@') ? 'email' : 'sms');
 
-    // Find user by email or phone
     const user = await User.findByEmailOrPhone(identifier, identifier);
     if (!user) {
-      // For security, don't reveal if user exists or not
+      // For security, don't reveal if user exists or not: answer with a session
+      // key that was never stored, so verification fails like a wrong OTP would
+      trackAuthEvent(req, 'login', { channel, success: false, reason: 'INVALID_CREDENTIALS' });
       return res.json({
         success: true,
-        message: 'If an account with this email/phone exists, you will receive a password reset OTP.',
-        type: 'FORGOT_PASSWORD_INITIATED'
-      });
-    }
-
-    // Check if account is active
-    if (!user.security.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: 'Account is deactivated. Please contact support.',
-        type: 'ACCOUNT_DEACTIVATED'
+        message: `Login OTP sent to your registered ${channel === 'email' ? 'email' : 'phone'}`,
+        sessionKey: createSessionKey(),
+        channel,
+        expiresAt: Date.now() + 10 * 60 * 1000,
+        type: 'LOGIN_OTP_SENT'
       });
     }
 
-    // Generate OTPs
-    const emailOTP = generateOTP();
-    const phoneOTP = generateOTP();
+    // Locked, deactivated and unverified accounts get an OTP too: revealing their
+    // state here would tell anyone who knows the identifier. verifyLoginOTP reports
+    // it once the OTP proves the account is theirs.
     const sessionKey = createSessionKey();
 
-    // Store session data for password reset
-    const sessionData = {
-      userId: user._id.toString(),
+    // Only one OTP login can be pending per user
+    await OtpSession.deleteMany({ userId: user._id, purpose: 'login' });
+
+    const sessionData = new OtpSession({
+      sessionKey,
+      purpose: 'login',
+      channel,
+      userId: user._id,
       email: user.email,
       phoneNumber: user.phoneNumber,
-      emailOTP,
-      phoneOTP,
-      emailVerified: false,
-      phoneVerified: false,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + (10 * 60 * 1000), // 10 minutes
-      type: 'password_reset',
-      attempts: 0
-    };
-
-    otpSessions.set(sessionKey, sessionData);
+      language: user.preferences?.language
+    });
 
-    // Send OTP to email and SMS
-    try {
-      await sendOTPEmail(user.email, emailOTP, 'password reset');
-      console.log('📧 Password reset email OTP sent to:', user.email);
-    } catch (emailError) {
-      console.error('📧 Password reset email OTP failed:', emailError.message);
+    // Email OTPs are ours; SMS OTPs are generated and verified by the SMS provider
+    let emailOTP = null;
+    if (channel === 'email') {
+      emailOTP = generateOTP();
+      sessionData.setEmailOTP(emailOTP);
     }
 
+    await sessionData.save();
+
     try {
-      await sendOTPSMS(user.phoneNumber);
-      console.log('📱 Password reset SMS OTP sent to:', user.phoneNumber);
-    } catch (smsError) {
-      console.error('📱 Password reset SMS OTP failed:', smsError.message);
+      if (channel === 'email') {
+        await sendOTPEmail(user.email, emailOTP, 'login', { language: sessionData.language });
+        console.log('📧 Login email OTP sent to:', user.email);
+      } else {
+        await sendOTPSMS(user.phoneNumber);
+        console.log('📱 Login SMS OTP sent to:', user.phoneNumber);
+      }
+      trackAuthEvent(req, 'otp_send', { channel, purpose: 'login', userId: user._id });
+    } catch (deliveryError) {
+      trackAuthEvent(req, 'otp_send', { channel, purpose: 'login', userId: user._id, success: false, reason: deliveryError.message });
+      console.error('Login OTP delivery failed:', deliveryError.message);
+
+      // Nothing to verify against, so don't leave the session behind
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send login OTP. Please try again or use your password.',
+        type: 'OTP_DELIVERY_FAILED'
+      });
     }
 
     res.json({
       success: true,
-      message: 'Password reset OTP sent to your registered email and phone number',
+      message: `Login OTP sent to your registered ${channel === 'email' ? 'email' : 'phone'}`,
       sessionKey,
-      expiresAt: sessionData.expiresAt,
-      type: 'FORGOT_PASSWORD_OTP_SENT'
+      channel,
+      expiresAt: sessionData.expiresAt.getTime(),
+      type: 'LOGIN_OTP_SENT'
     });
 
   } catch (error) {
-    console.error('Forgot password error:', error);
-    next(new CustomError('Failed to send reset OTP', 500, 'FORGOT_PASSWORD_ERROR'));
+    console.error('Send login OTP error:', error);
+    next(new CustomError('Failed to send login OTP', 500, 'LOGIN_OTP_ERROR'));
   }
 };
 
-// Step 2: Reset Password with OTP
-const resetPassword = async (req, res, next) => {
+// Step 2: Verify the login OTP and issue tokens
+const verifyLoginOTP = async (req, res, next) => {
   try {
     // Handle validation errors
     const errors = validationResult(req);
@@ -524,11 +656,11 @@ const resetPassword = async (req, res, next) => {
       });
     }
 
-    const { sessionKey, emailOTP, phoneOTP, newPassword } = req.body;
+    const { sessionKey, otp } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress || '';
 
-    // Get session data
-    const sessionData = otpSessions.get(sessionKey);
-    if (!sessionData) {
+    const existingSession = await OtpSession.findOne({ sessionKey });
+    if (!existingSession) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired session',
@@ -537,99 +669,38 @@ const resetPassword = async (req, res, next) => {
     }
 
     // Check session expiry
-    if (Date.now() > sessionData.expiresAt) {
-      otpSessions.delete(sessionKey);
+    if (existingSession.isExpired) {
+      await existingSession.deleteOne();
       return res.status(400).json({
         success: false,
-        message: 'Reset session expired. Please request a new password reset.',
+        message: 'Login session expired. Please request a new OTP.',
         type: 'SESSION_EXPIRED'
       });
     }
 
     // Check session type
-    if (sessionData.type !== 'password_reset') {
+    if (existingSession.purpose !== 'login') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid session type for password reset',
+        message: 'Invalid session type for OTP login',
         type: 'INVALID_SESSION_TYPE'
       });
     }
 
     // Increment verification attempts
-    sessionData.attempts += 1;
-    if (sessionData.attempts > 5) {
-      otpSessions.delete(sessionKey);
+    const sessionData = await OtpSession.registerAttempt(sessionKey);
+    if (!sessionData || sessionData.attempts > MAX_VERIFICATION_ATTEMPTS) {
+      await OtpSession.deleteOne({ sessionKey });
       return res.status(429).json({
         success: false,
-        message: 'Too many verification attempts. Please request a new password reset.',
+        message: 'Too many verification attempts. Please request a new OTP.',
         type: 'TOO_MANY_ATTEMPTS'
       });
     }
 
-    let emailVerified = sessionData.emailVerified;
-    let phoneVerified = sessionData.phoneVerified;
-
-    // Verify Email OTP
-    if (!emailVerified && emailOTP) {
-      if (emailOTP.trim() === sessionData.emailOTP) {
-        emailVerified = true;
-        sessionData.emailVerified = true;
-        console.log('✅ Password reset email OTP verified for:', sessionData.email);
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid email OTP',
-          type: 'INVALID_EMAIL_OTP',
-          emailVerified: false,
-          phoneVerified: sessionData.phoneVerified
-        });
-      }
-    }
-
-    // Verify Phone OTP using Twilio
-    if (!phoneVerified && phoneOTP) {
-      try {
-        const phoneVerification = await verifySMSOTP(sessionData.phoneNumber, phoneOTP.trim());
-        if (phoneVerification.success) {
-          phoneVerified = true;
-          sessionData.phoneVerified = true;
-          console.log('✅ Password reset phone OTP verified for:', sessionData.phoneNumber);
-        } else {
-          return res.status(400).json({
-            success: false,
-            message: phoneVerification.error || 'Invalid phone OTP',
-            type: 'INVALID_PHONE_OTP',
-            emailVerified: sessionData.emailVerified,
-            phoneVerified: false
-          });
-        }
-      } catch (error) {
-        console.error('Phone OTP verification error:', error);
-        return res.status(400).json({
-          success: false,
-          message: 'Phone OTP verification failed',
-          type: 'PHONE_OTP_ERROR',
-          emailVerified: sessionData.emailVerified,
-          phoneVerified: false
-        });
-      }
-    }
-
-    // Check if both OTPs are verified
-    if (!emailVerified || !phoneVerified) {
-      return res.json({
-        success: false,
-        message: 'Both email and phone OTP verification required for password reset',
-        emailVerified,
-        phoneVerified,
-        type: 'PARTIAL_VERIFICATION'
-      });
-    }
-
-    // Both OTPs verified, proceed with password reset
     const user = await User.findById(sessionData.userId);
     if (!user) {
-      otpSessions.delete(sessionKey);
+      await OtpSession.deleteOne({ sessionKey });
       return res.status(404).json({
         success: false,
         message: 'User not found',
@@ -637,80 +708,1863 @@ const resetPassword = async (req, res, next) => {
       });
     }
 
-    // Update password
-    user.password = newPassword;
-    user.security.failedLoginAttempts = 0; // Reset failed login attempts
-    user.security.lockUntil = undefined; // Remove any account lock
-    
-    await user.save();
+    const { channel } = sessionData;
+
+    let isOTPValid;
+    if (channel === 'email') {
+      isOTPValid = sessionData.compareEmailOTP(otp);
+    } else {
+      const phoneVerification = await verifySMSOTP(sessionData.phoneNumber, otp.trim());
+      isOTPValid = phoneVerification.success;
+    }
+
+    if (!isOTPValid) {
+      // Wrong OTPs count toward the same lockout as wrong passwords
+      await user.incFailedLoginAttempts();
+      trackAuthEvent(req, 'otp_verify', { channel, purpose: 'login', userId: user._id, success: false, reason: 'INVALID_OTP' });
+      trackAuthEvent(req, 'login', { userId: user._id, channel, success: false, reason: 'INVALID_OTP' });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid OTP',
+        type: 'INVALID_OTP'
+      });
+    }
+
+    trackAuthEvent(req, 'otp_verify', { channel, purpose: 'login', userId: user._id });
+
+    // Locked, deactivated and unverified accounts are only told so after proving ownership
+    const restriction = getLoginRestriction(user);
+    if (restriction) {
+      await OtpSession.deleteOne({ sessionKey });
+      trackAuthEvent(req, 'login', { userId: user._id, channel, success: false, reason: restriction.body.type });
+      return res.status(restriction.status).json({ success: false, ...restriction.body });
+    }
 
     // Clean up session
-    otpSessions.delete(sessionKey);
+    await OtpSession.deleteOne({ sessionKey });
 
-    console.log(`✅ Password reset successful for: ${user.email}`);
+    // Accounts with 2FA get their tokens only after the second factor
+    if (user.security.twoFactor?.enabled) {
+      return res.json(buildTwoFactorChallenge(user, `otp_${channel}`));
+    }
+
+    // Update login information
+    await user.updateLoginInfo(clientIP);
+
+    // Issue the same access/refresh tokens as password login
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    trackAuthEvent(req, 'login', { userId: user._id, channel });
+
+    console.log(`✅ User OTP login successful: ${user.email} (${channel})`);
 
     res.json({
       success: true,
-      message: 'Password reset successful. You can now login with your new password.',
-      type: 'PASSWORD_RESET_SUCCESS'
+      message: 'Login successful',
+      user: user.getPublicProfile(),
+      ...tokens,
+      type: 'LOGIN_SUCCESS'
     });
 
   } catch (error) {
-    console.error('Reset password error:', error);
-    next(new CustomError('Password reset failed', 500, 'PASSWORD_RESET_ERROR'));
+    console.error('Verify login OTP error:', error);
+    next(new CustomError('Login failed', 500, 'LOGIN_ERROR'));
   }
 };
 
-// UTILITY FUNCTIONS
+// TWO-FACTOR AUTHENTICATION
 
-// Resend OTP (works for both signup and login flows)
-const resendOTP = async (req, res, next) => {
-  try {
-    const { sessionKey, type = 'both' } = req.body;
+// Load the user behind a two-factor login token and the first step it was issued
+// for ('password', 'otp_email', 'reactivation', ...); user is null when the token is invalid
+const findTwoFactorLoginUser = async (twoFactorToken) => {
+  const payload = verifyTwoFactorToken(twoFactorToken, 'user');
+  if (!payload) {
+    return { user: null };
+  }
+  return { user: await User.findByIdWithTwoFactor(payload.sub), method: payload.method };
+};
 
-    const sessionData = otpSessions.get(sessionKey);
-    if (!sessionData) {
+const invalidTwoFactorTokenResponse = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Two-factor login session is invalid or expired. Please login again.',
+    type: 'INVALID_TWO_FACTOR_TOKEN'
+  });
+};
+
+// Login step 2: verify the authenticator code (or a backup code) and issue tokens
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired session',
-        type: 'INVALID_SESSION'
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
       });
     }
 
-    // Check if too many resend attempts
-    if (sessionData.resendCount >= 3) {
-      return res.status(429).json({
-        success: false,
-        message: 'Too many resend attempts. Please start over.',
-        type: 'TOO_MANY_RESENDS'
-      });
+    const { twoFactorToken, code, backupCode } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress || '';
+
+    const { user, method } = await findTwoFactorLoginUser(twoFactorToken);
+    if (!user || !user.security.twoFactor.enabled) {
+      return invalidTwoFactorTokenResponse(res);
     }
 
-    // Generate new OTPs
-    if (type === 'email' || type === 'both') {
-      sessionData.emailOTP = generateOTP();
-      sessionData.emailVerified = false;
+    // The account may have been locked or deactivated since the first step
+    const reactivating = method === 'reactivation';
+    const restriction = getLoginRestriction(user, { reactivating });
+    if (restriction) {
+      trackAuthEvent(req, 'login', { userId: user._id, success: false, reason: restriction.body.type });
+      return res.status(restriction.status).json({ success: false, ...restriction.body });
     }
 
-    if (type === 'sms' || type === 'both') {
-      sessionData.phoneOTP = generateOTP();
-      sessionData.phoneVerified = false;
+    const result = verifySecondFactor(user.security.twoFactor, { code, backupCode });
+    if (!result.valid) {
+      // Wrong codes count toward the same lockout as wrong passwords
+      await user.incFailedLoginAttempts();
+      trackAuthEvent(req, 'login', { userId: user._id, success: false, reason: 'INVALID_TWO_FACTOR_CODE' });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        type: 'INVALID_TWO_FACTOR_CODE'
+      });
     }
 
-    // Update session
-    sessionData.resendCount = (sessionData.resendCount || 0) + 1;
-    sessionData.expiresAt = Date.now() + (10 * 60 * 1000); // Extend expiry
+    // A reactivation only takes effect once the second factor has been verified
+    if (reactivating && !user.security.isActive) {
+      await user.reactivate();
+      console.log(`✅ Account reactivated: ${user.email}`);
+    }
+
+    // Update login information (also saves the used code/backup code)
+    await user.updateLoginInfo(clientIP);
+
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    trackAuthEvent(req, 'login', { userId: user._id });
+
+    console.log(`✅ User login successful with 2FA (${result.method}): ${user.email}`);
+
+    res.json({
+      success: true,
+      message: reactivating ? 'Account reactivated successfully. Welcome back!' : 'Login successful',
+      user: user.getPublicProfile(),
+      ...tokens,
+      twoFactorMethod: result.method,
+      remainingBackupCodes: result.remainingBackupCodes,
+      type: reactivating ? 'ACCOUNT_REACTIVATED' : 'LOGIN_SUCCESS'
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    next(new CustomError('Login failed', 500, 'LOGIN_ERROR'));
+  }
+};
+
+// Recovery step 1: email an OTP to the account that lost its authenticator
+const sendTwoFactorRecovery = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { user } = await findTwoFactorLoginUser(req.body.twoFactorToken);
+    if (!user || !user.security.twoFactor.enabled) {
+      return invalidTwoFactorTokenResponse(res);
+    }
+
+    if (recoveryAttemptsExhausted(user.security.twoFactor)) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many recovery attempts. Please try again later.',
+        type: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    const recoveryCode = issueRecoveryCode(user.security.twoFactor);
+    await user.save();
+
+    try {
+      await sendOTPEmail(user.email, recoveryCode, 'two_factor_recovery', { language: user.preferences?.language });
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'two_factor_recovery', userId: user._id });
+      console.log('📧 Two-factor recovery OTP sent to:', user.email);
+    } catch (emailError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'two_factor_recovery', userId: user._id, success: false, reason: emailError.message });
+      console.error('📧 Two-factor recovery OTP failed:', emailError.message);
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send recovery OTP. Please try again.',
+        type: 'OTP_DELIVERY_FAILED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Recovery OTP sent to your registered email',
+      expiresAt: user.security.twoFactor.recoveryExpiresAt.getTime(),
+      type: 'TWO_FACTOR_RECOVERY_SENT'
+    });
+
+  } catch (error) {
+    console.error('Two-factor recovery error:', error);
+    next(new CustomError('Failed to start two-factor recovery', 500, 'TWO_FACTOR_RECOVERY_ERROR'));
+  }
+};
+
+// Recovery step 2: verify the email OTP, turn 2FA off and complete the login
+const verifyTwoFactorRecovery = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { twoFactorToken, emailOTP } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress || '';
+
+    const { user, method } = await findTwoFactorLoginUser(twoFactorToken);
+    if (!user || !user.security.twoFactor.enabled) {
+      return invalidTwoFactorTokenResponse(res);
+    }
+
+    const reactivating = method === 'reactivation';
+    const restriction = getLoginRestriction(user, { reactivating });
+    if (restriction) {
+      return res.status(restriction.status).json({ success: false, ...restriction.body });
+    }
+
+    const result = verifyRecoveryCode(user.security.twoFactor, emailOTP);
+    if (!result.valid) {
+      await user.save(); // keep the attempt count
+      trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'two_factor_recovery', userId: user._id, success: false, reason: result.reason });
+
+      const messages = {
+        RECOVERY_EXPIRED: 'Recovery OTP expired. Please request a new one.',
+        TOO_MANY_ATTEMPTS: 'Too many incorrect codes. Please request a new recovery OTP.',
+        INVALID_RECOVERY_CODE: 'Invalid recovery OTP'
+      };
+      return res.status(400).json({
+        success: false,
+        message: messages[result.reason],
+        type: result.reason
+      });
+    }
+
+    trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'two_factor_recovery', userId: user._id });
+
+    // The lost authenticator is unusable from now on; the user can enroll again
+    disableTwoFactor(user.security.twoFactor);
+    if (reactivating && !user.security.isActive) {
+      await user.reactivate();
+      console.log(`✅ Account reactivated: ${user.email}`);
+    }
+    await user.updateLoginInfo(clientIP);
+
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    trackAuthEvent(req, 'login', { userId: user._id, channel: 'email' });
+
+    notify(user, {
+      category: 'security',
+      template: 'two-factor-changed',
+      data: {
+        enabled: false,
+        viaRecovery: true,
+        changedAt: new Date(),
+        ipAddress: clientIP
+      }
+    }).catch(console.error);
+
+    console.log(`✅ Two-factor authentication recovered for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication has been turned off. Please set it up again.',
+      user: user.getPublicProfile(),
+      ...tokens,
+      type: 'TWO_FACTOR_RECOVERED'
+    });
+
+  } catch (error) {
+    console.error('Two-factor recovery verification error:', error);
+    next(new CustomError('Two-factor recovery failed', 500, 'TWO_FACTOR_RECOVERY_ERROR'));
+  }
+};
+
+// Two-factor status of the current user
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findByIdWithTwoFactor(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    const { twoFactor } = user.security;
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: twoFactor.enabled,
+        enabledAt: twoFactor.enabledAt ? twoFactor.enabledAt.getTime() : null,
+        enrollmentPending: !twoFactor.enabled && Boolean(twoFactor.pendingSecret),
+        remainingBackupCodes: twoFactor.enabled ? countRemainingBackupCodes(twoFactor) : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    next(new CustomError('Failed to get two-factor status', 500, 'TWO_FACTOR_ERROR'));
+  }
+};
+
+// Enrollment step 1: confirm the password and generate a secret for the authenticator app
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.security.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        type: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      await user.incFailedLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+        type: 'INVALID_PASSWORD'
+      });
+    }
+
+    const { secret, otpauthUrl } = startEnrollment(user.security.twoFactor, user.email);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl, // render as a QR code on the client
+      type: 'TWO_FACTOR_SETUP_STARTED'
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    next(new CustomError('Failed to start two-factor setup', 500, 'TWO_FACTOR_ERROR'));
+  }
+};
+
+// Enrollment step 2: confirm the first code, enable 2FA and hand out backup codes
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.security.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        type: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!user.security.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+        type: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    const backupCodes = confirmEnrollment(user.security.twoFactor, req.body.code);
+    if (!backupCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code. Check the time on your device and try again.',
+        type: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await user.save();
+
+    notify(user, {
+      category: 'security',
+      template: 'two-factor-changed',
+      data: {
+        enabled: true,
+        changedAt: new Date(),
+        ipAddress: req.ip || ''
+      }
+    }).catch(console.error);
+
+    console.log(`🔐 Two-factor authentication enabled for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes,
+      type: 'TWO_FACTOR_ENABLED'
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    next(new CustomError('Failed to enable two-factor authentication', 500, 'TWO_FACTOR_ERROR'));
+  }
+};
+
+// Turn 2FA off (password and a current code required)
+const disableTwoFactorAuth = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findByIdWithTwoFactor(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.security.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        type: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await user.incFailedLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+        type: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (!verifySecondFactor(user.security.twoFactor, { code, backupCode }).valid) {
+      await user.incFailedLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        type: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    disableTwoFactor(user.security.twoFactor);
+    await user.save();
+
+    notify(user, {
+      category: 'security',
+      template: 'two-factor-changed',
+      data: {
+        enabled: false,
+        changedAt: new Date(),
+        ipAddress: req.ip || ''
+      }
+    }).catch(console.error);
+
+    console.log(`🔓 Two-factor authentication disabled for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      type: 'TWO_FACTOR_DISABLED'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    next(new CustomError('Failed to disable two-factor authentication', 500, 'TWO_FACTOR_ERROR'));
+  }
+};
+
+// Replace the backup codes (a current code is required)
+const regenerateTwoFactorBackupCodes = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByIdWithTwoFactor(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.security.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        type: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const { code, backupCode } = req.body;
+    if (!verifySecondFactor(user.security.twoFactor, { code, backupCode }).valid) {
+      await user.incFailedLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        type: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const backupCodes = regenerateBackupCodes(user.security.twoFactor);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes,
+      type: 'BACKUP_CODES_REGENERATED'
+    });
+
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    next(new CustomError('Failed to regenerate backup codes', 500, 'TWO_FACTOR_ERROR'));
+  }
+};
+
+// FORGOT PASSWORD FLOW
+
+// Step 1: Send Reset OTP for Forgot Password
+const forgotPassword = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { identifier } = req.body; // Can be email or phone
+
+    // Find user by email or phone
+    const user = await User.findByEmailOrPhone(identifier, identifier);
+    if (!user) {
+      // For security, don't reveal if user exists or not
+      return res.json({
+        success: true,
+        message: 'If an account with this email/phone exists, you will receive a password reset OTP.',
+        type: 'FORGOT_PASSWORD_INITIATED'
+      });
+    }
+
+    // Check if account is active
+    if (!user.security.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated. Please contact support.',
+        type: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // Generate OTP (phone OTP is generated and verified by the SMS provider)
+    const emailOTP = generateOTP();
+    const sessionKey = createSessionKey();
+
+    // Only one password reset can be pending per user
+    await OtpSession.deleteMany({ userId: user._id, purpose: 'password_reset' });
+
+    // Store session data for password reset
+    const sessionData = new OtpSession({
+      sessionKey,
+      purpose: 'password_reset',
+      userId: user._id,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      language: user.preferences?.language
+    });
+    sessionData.setEmailOTP(emailOTP);
+
+    await sessionData.save();
+
+    // Send OTP to email and SMS
+    trackAuthEvent(req, 'password_reset_request', { userId: user._id });
+
+    try {
+      await sendOTPEmail(user.email, emailOTP, 'password_reset', { language: sessionData.language });
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'password_reset', userId: user._id });
+      console.log('📧 Password reset email OTP sent to:', user.email);
+    } catch (emailError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'password_reset', userId: user._id, success: false, reason: emailError.message });
+      console.error('📧 Password reset email OTP failed:', emailError.message);
+    }
+
+    try {
+      await sendOTPSMS(user.phoneNumber);
+      trackAuthEvent(req, 'otp_send', { channel: 'sms', purpose: 'password_reset', userId: user._id });
+      console.log('📱 Password reset SMS OTP sent to:', user.phoneNumber);
+    } catch (smsError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'sms', purpose: 'password_reset', userId: user._id, success: false, reason: smsError.message });
+      console.error('📱 Password reset SMS OTP failed:', smsError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Password reset OTP sent to your registered email and phone number',
+      sessionKey,
+      expiresAt: sessionData.expiresAt.getTime(),
+      type: 'FORGOT_PASSWORD_OTP_SENT'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    next(new CustomError('Failed to send reset OTP', 500, 'FORGOT_PASSWORD_ERROR'));
+  }
+};
+
+// Step 2: Reset Password with OTP
+const resetPassword = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionKey, emailOTP, phoneOTP, newPassword } = req.body;
+
+    // Get session data
+    const existingSession = await OtpSession.findOne({ sessionKey });
+    if (!existingSession) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired session',
+        type: 'INVALID_SESSION'
+      });
+    }
+
+    // Check session expiry
+    if (existingSession.isExpired) {
+      await existingSession.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'Reset session expired. Please request a new password reset.',
+        type: 'SESSION_EXPIRED'
+      });
+    }
+
+    // Check session type
+    if (existingSession.purpose !== 'password_reset') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session type for password reset',
+        type: 'INVALID_SESSION_TYPE'
+      });
+    }
+
+    // Increment verification attempts
+    const sessionData = await OtpSession.registerAttempt(sessionKey);
+    if (!sessionData || sessionData.attempts > MAX_VERIFICATION_ATTEMPTS) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification attempts. Please request a new password reset.',
+        type: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    let emailVerified = sessionData.emailVerified;
+    let phoneVerified = sessionData.phoneVerified;
+
+    // Verify Email OTP
+    if (!emailVerified && emailOTP) {
+      if (sessionData.compareEmailOTP(emailOTP)) {
+        emailVerified = true;
+        sessionData.emailVerified = true;
+        await sessionData.save();
+        trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'password_reset', userId: sessionData.userId });
+        console.log('✅ Password reset email OTP verified for:', sessionData.email);
+      } else {
+        trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'password_reset', userId: sessionData.userId, success: false, reason: 'INVALID_EMAIL_OTP' });
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid email OTP',
+          type: 'INVALID_EMAIL_OTP',
+          emailVerified: false,
+          phoneVerified: sessionData.phoneVerified
+        });
+      }
+    }
+
+    // Verify Phone OTP using Twilio
+    if (!phoneVerified && phoneOTP) {
+      try {
+        const phoneVerification = await verifySMSOTP(sessionData.phoneNumber, phoneOTP.trim());
+        if (phoneVerification.success) {
+          phoneVerified = true;
+          sessionData.phoneVerified = true;
+          await sessionData.save();
+          trackAuthEvent(req, 'otp_verify', { channel: 'sms', purpose: 'password_reset', userId: sessionData.userId });
+          console.log('✅ Password reset phone OTP verified for:', sessionData.phoneNumber);
+        } else {
+          trackAuthEvent(req, 'otp_verify', { channel: 'sms', purpose: 'password_reset', userId: sessionData.userId, success: false, reason: 'INVALID_PHONE_OTP' });
+          return res.status(400).json({
+            success: false,
+            message: phoneVerification.error || 'Invalid phone OTP',
+            type: 'INVALID_PHONE_OTP',
+            emailVerified: sessionData.emailVerified,
+            phoneVerified: false
+          });
+        }
+      } catch (error) {
+        console.error('Phone OTP verification error:', error);
+        return res.status(400).json({
+          success: false,
+          message: 'Phone OTP verification failed',
+          type: 'PHONE_OTP_ERROR',
+          emailVerified: sessionData.emailVerified,
+          phoneVerified: false
+        });
+      }
+    }
+
+    // Check if both OTPs are verified
+    if (!emailVerified || !phoneVerified) {
+      return res.json({
+        success: false,
+        message: 'Both email and phone OTP verification required for password reset',
+        emailVerified,
+        phoneVerified,
+        type: 'PARTIAL_VERIFICATION'
+      });
+    }
+
+    // Both OTPs verified, proceed with password reset
+    const user = await User.findById(sessionData.userId).select('+security.passwordHistory');
+    if (!user) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Update password (also invalidates previously issued tokens)
+    user.setPassword(newPassword);
+    user.security.failedLoginAttempts = 0; // Reset failed login attempts
+    user.security.lockUntil = undefined; // Remove any account lock
+    
+    await user.save();
+
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, 'password_change');
+
+    // Clean up session
+    await OtpSession.deleteOne({ sessionKey });
+
+    trackAuthEvent(req, 'password_reset_complete', { userId: user._id });
+
+    console.log(`✅ Password reset successful for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successful. You can now login with your new password.',
+      type: 'PASSWORD_RESET_SUCCESS'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    next(new CustomError('Password reset failed', 500, 'PASSWORD_RESET_ERROR'));
+  }
+};
+
+// CHANGE PASSWORD (authenticated)
+
+const changePassword = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress || '';
+
+    const user = await User.findById(req.user.userId).select('+security.passwordHistory');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    // Verify current password
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      // Wrong current password counts towards the account lock
+      await user.incFailedLoginAttempts();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect',
+        type: 'INVALID_CURRENT_PASSWORD'
+      });
+    }
+
+    // Prevent reuse of the current or recent passwords
+    if (await user.isRecentPassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from your recent passwords',
+        type: 'PASSWORD_REUSED'
+      });
+    }
+
+    user.setPassword(newPassword);
+    user.security.failedLoginAttempts = 0;
+    user.security.lockUntil = undefined;
+    await user.save();
+
+    // End every existing session and start a fresh one for this device
+    await revokeAllSessions(user._id, 'password_change');
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    // Send confirmation email (don't wait for it)
+    notify(user, {
+      category: 'security',
+      template: 'password-changed',
+      data: {
+        changedAt: new Date(),
+        ipAddress: clientIP
+      }
+    }).catch(console.error);
+
+    console.log(`✅ Password changed for: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been signed out.',
+      ...tokens,
+      type: 'PASSWORD_CHANGED'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    next(new CustomError('Password change failed', 500, 'PASSWORD_CHANGE_ERROR'));
+  }
+};
+
+// CONTACT CHANGE (authenticated)
+
+// Send the contact change OTPs to both the current and the new email/phone
+const sendContactChangeOTPs = async (req, sessionData) => {
+  const { field, newValue } = sessionData.contactChange;
+  const otpEvent = { purpose: 'contact_change', userId: sessionData.userId };
+
+  if (field === 'email') {
+    const currentOTP = generateOTP();
+    const newOTP = generateOTP();
+    sessionData.setEmailOTP(currentOTP);
+    sessionData.setNewEmailOTP(newOTP);
+    await sessionData.save();
+
+    await sendOTPEmail(sessionData.email, currentOTP, 'contact_change', { language: sessionData.language });
+    await sendOTPEmail(newValue, newOTP, 'contact_change', { language: sessionData.language });
+    trackAuthEvent(req, 'otp_send', { ...otpEvent, channel: 'email' });
+    console.log('📧 Contact change OTPs sent to:', sessionData.email, 'and', newValue);
+  } else {
+    sessionData.contactChange.currentVerified = false;
+    sessionData.contactChange.newVerified = false;
+    await sessionData.save();
+
+    await sendOTPSMS(sessionData.phoneNumber);
+    await sendOTPSMS(newValue);
+    trackAuthEvent(req, 'otp_send', { ...otpEvent, channel: 'sms' });
+    console.log('📱 Contact change OTPs sent to:', sessionData.phoneNumber, 'and', newValue);
+  }
+};
+
+// Step 1: Request an email or phone number change
+const requestContactChange = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { field } = req.body; // "email" or "phoneNumber"
+    const newValue = field === 'email' ? req.body.newValue.toLowerCase().trim() : req.body.newValue.trim();
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user[field] === newValue) {
+      return res.status(400).json({
+        success: false,
+        message: `The new ${field === 'email' ? 'email' : 'phone number'} is the same as the current one`,
+        type: 'SAME_CONTACT'
+      });
+    }
+
+    // The new email/phone must not belong to any account (as email or as phone)
+    const existingUser = await User.findByEmailOrPhone(newValue, newValue);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${field === 'email' ? 'email' : 'phone number'} is already registered`,
+        type: 'CONTACT_IN_USE'
+      });
+    }
+
+    const sessionKey = createSessionKey();
+
+    // Only one contact change can be pending per user
+    await OtpSession.deleteMany({ userId: user._id, purpose: 'contact_change' });
+
+    const sessionData = new OtpSession({
+      sessionKey,
+      purpose: 'contact_change',
+      channel: field === 'email' ? 'email' : 'sms',
+      userId: user._id,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      language: user.preferences?.language,
+      contactChange: { field, newValue }
+    });
+
+    try {
+      await sendContactChangeOTPs(req, sessionData);
+    } catch (deliveryError) {
+      trackAuthEvent(req, 'otp_send', { channel: sessionData.channel, purpose: 'contact_change', userId: user._id, success: false, reason: deliveryError.message });
+      console.error('Contact change OTP delivery failed:', deliveryError.message);
+
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send verification OTPs. Please try again.',
+        type: 'OTP_DELIVERY_FAILED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `OTPs sent to your current and new ${field === 'email' ? 'email addresses' : 'phone numbers'}`,
+      sessionKey,
+      field,
+      expiresAt: sessionData.expiresAt.getTime(),
+      type: 'CONTACT_CHANGE_OTP_SENT'
+    });
+
+  } catch (error) {
+    console.error('Request contact change error:', error);
+    next(new CustomError('Failed to start contact change', 500, 'CONTACT_CHANGE_ERROR'));
+  }
+};
+
+// Step 2: Verify both OTPs and apply the change
+const verifyContactChange = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionKey, currentOTP, newOTP } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress || '';
+
+    const existingSession = await OtpSession.findOne({ sessionKey });
+    if (!existingSession || String(existingSession.userId) !== String(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired session',
+        type: 'INVALID_SESSION'
+      });
+    }
+
+    // Check session expiry
+    if (existingSession.isExpired) {
+      await existingSession.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'Contact change session expired. Please start again.',
+        type: 'SESSION_EXPIRED'
+      });
+    }
+
+    // Check session type
+    if (existingSession.purpose !== 'contact_change') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session type for contact change',
+        type: 'INVALID_SESSION_TYPE'
+      });
+    }
+
+    // Increment verification attempts
+    const sessionData = await OtpSession.registerAttempt(sessionKey);
+    if (!sessionData || sessionData.attempts > MAX_VERIFICATION_ATTEMPTS) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification attempts. Please start again.',
+        type: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    const { field, newValue } = sessionData.contactChange;
+    const channel = sessionData.channel;
+    const otpEvent = { channel, purpose: 'contact_change', userId: sessionData.userId };
+    let { currentVerified, newVerified } = sessionData.contactChange;
+
+    // Verify the OTP sent to the current email/phone
+    if (!currentVerified && currentOTP) {
+      currentVerified = field === 'email'
+        ? sessionData.compareEmailOTP(currentOTP)
+        : (await verifySMSOTP(sessionData.phoneNumber, currentOTP.trim())).success;
+
+      if (!currentVerified) {
+        trackAuthEvent(req, 'otp_verify', { ...otpEvent, success: false, reason: 'INVALID_CURRENT_OTP' });
+        return res.status(400).json({
+          success: false,
+          message: `Invalid OTP for your current ${field === 'email' ? 'email' : 'phone number'}`,
+          type: 'INVALID_CURRENT_OTP',
+          currentVerified: false,
+          newVerified
+        });
+      }
+
+      sessionData.contactChange.currentVerified = true;
+      await sessionData.save();
+      trackAuthEvent(req, 'otp_verify', otpEvent);
+    }
+
+    // Verify the OTP sent to the new email/phone
+    if (!newVerified && newOTP) {
+      newVerified = field === 'email'
+        ? sessionData.compareNewEmailOTP(newOTP)
+        : (await verifySMSOTP(newValue, newOTP.trim())).success;
+
+      if (!newVerified) {
+        trackAuthEvent(req, 'otp_verify', { ...otpEvent, success: false, reason: 'INVALID_NEW_OTP' });
+        return res.status(400).json({
+          success: false,
+          message: `Invalid OTP for your new ${field === 'email' ? 'email' : 'phone number'}`,
+          type: 'INVALID_NEW_OTP',
+          currentVerified,
+          newVerified: false
+        });
+      }
+
+      sessionData.contactChange.newVerified = true;
+      await sessionData.save();
+      trackAuthEvent(req, 'otp_verify', otpEvent);
+    }
+
+    // Check if both OTPs are verified
+    if (!currentVerified || !newVerified) {
+      return res.json({
+        success: false,
+        message: 'Both the current and the new contact must be verified',
+        currentVerified,
+        newVerified,
+        type: 'PARTIAL_VERIFICATION'
+      });
+    }
+
+    const user = await User.findById(sessionData.userId);
+    if (!user) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Someone may have registered the new contact while the OTPs were pending
+    const existingUser = await User.findByEmailOrPhone(newValue, newValue);
+    if (existingUser && !existingUser._id.equals(user._id)) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(409).json({
+        success: false,
+        message: `This ${field === 'email' ? 'email' : 'phone number'} is already registered`,
+        type: 'CONTACT_IN_USE'
+      });
+    }
+
+    const previousEmail = user.email;
+    user[field] = newValue;
+    await user.save();
+
+    // Test records and in-progress sessions are still looked up by email in places
+    if (field === 'email') {
+      await Promise.all([
+        UserTestRecord.updateMany({ email: previousEmail }, { $set: { email: newValue } }),
+        TestSession.updateMany({ email: previousEmail }, { $set: { email: newValue } })
+      ]);
+    }
+
+    // Clean up session
+    await OtpSession.deleteOne({ sessionKey });
+
+    // Tokens carry the old email/phone: end every session and start a fresh one here
+    await revokeAllSessions(user._id, 'contact_change');
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    // Let the previous address know (for phone changes the email is unchanged)
+    notify(user, {
+      category: 'security',
+      template: 'contact-changed',
+      email: previousEmail,
+      data: {
+        field,
+        newValue,
+        changedAt: new Date(),
+        ipAddress: clientIP
+      }
+    }).catch(console.error);
+
+    console.log(`✅ ${field === 'email' ? 'Email' : 'Phone number'} changed for user: ${user._id}`);
+
+    res.json({
+      success: true,
+      message: `${field === 'email' ? 'Email' : 'Phone number'} updated successfully`,
+      user: user.getPublicProfile(),
+      ...tokens,
+      type: 'CONTACT_CHANGED'
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email or phone number is already registered',
+        type: 'CONTACT_IN_USE'
+      });
+    }
+    console.error('Verify contact change error:', error);
+    next(new CustomError('Contact change failed', 500, 'CONTACT_CHANGE_ERROR'));
+  }
+};
+
+// ACCOUNT LIFECYCLE
+
+// Deactivate account (hard deletion happens after the grace period)
+const deactivateAccount = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { password, reason = '' } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await user.incFailedLoginAttempts();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+        type: 'INVALID_PASSWORD'
+      });
+    }
+
+    await user.deactivate(reason.trim());
+    await revokeAllSessions(user._id, 'account_deactivated');
+
+    // Drop any pending OTP flows for this account
+    await OtpSession.deleteMany({ $or: [{ userId: user._id }, { email: user.email }] });
+
+    console.log(`🔒 Account deactivated: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account deactivated. You can reactivate it before the scheduled deletion date.',
+      deactivatedAt: user.security.deactivatedAt.getTime(),
+      scheduledDeletionAt: user.security.scheduledDeletionAt.getTime(),
+      type: 'ACCOUNT_DEACTIVATED'
+    });
+
+  } catch (error) {
+    console.error('Deactivate account error:', error);
+    next(new CustomError('Account deactivation failed', 500, 'DEACTIVATION_ERROR'));
+  }
+};
+
+// Step 1: Verify password and send reactivation OTP
+const reactivateAccount = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { identifier, password } = req.body;
+
+    const user = await User.findByEmailOrPhone(identifier, identifier);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+        type: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await user.incFailedLoginAttempts();
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials',
+        type: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (user.security.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is already active. Please login.',
+        type: 'ACCOUNT_ALREADY_ACTIVE'
+      });
+    }
+
+    if (!user.canReactivate) {
+      return res.status(410).json({
+        success: false,
+        message: 'The reactivation period for this account has ended. Please contact support.',
+        type: 'REACTIVATION_WINDOW_EXPIRED'
+      });
+    }
+
+    // Generate OTP
+    const emailOTP = generateOTP();
+    const sessionKey = createSessionKey();
+
+    // Only one reactivation can be pending per user
+    await OtpSession.deleteMany({ userId: user._id, purpose: 'account_reactivation' });
+
+    const sessionData = new OtpSession({
+      sessionKey,
+      purpose: 'account_reactivation',
+      channel: 'email',
+      userId: user._id,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      language: user.preferences?.language
+    });
+    sessionData.setEmailOTP(emailOTP);
+
+    await sessionData.save();
+
+    try {
+      await sendOTPEmail(user.email, emailOTP, 'account_reactivation', { language: sessionData.language });
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'account_reactivation', userId: user._id });
+      console.log('📧 Reactivation email OTP sent to:', user.email);
+    } catch (emailError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'account_reactivation', userId: user._id, success: false, reason: emailError.message });
+      console.error('📧 Reactivation email OTP failed:', emailError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Reactivation OTP sent to your registered email',
+      sessionKey,
+      expiresAt: sessionData.expiresAt.getTime(),
+      type: 'REACTIVATION_OTP_SENT'
+    });
+
+  } catch (error) {
+    console.error('Reactivate account error:', error);
+    next(new CustomError('Failed to start account reactivation', 500, 'REACTIVATION_ERROR'));
+  }
+};
+
+// Step 2: Verify OTP and restore the account
+const verifyReactivation = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionKey, emailOTP } = req.body;
+    const clientIP = req.ip || req.connection.remoteAddress || '';
+
+    const existingSession = await OtpSession.findOne({ sessionKey });
+    if (!existingSession) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired session',
+        type: 'INVALID_SESSION'
+      });
+    }
+
+    // Check session expiry
+    if (existingSession.isExpired) {
+      await existingSession.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivation session expired. Please start again.',
+        type: 'SESSION_EXPIRED'
+      });
+    }
+
+    // Check session type
+    if (existingSession.purpose !== 'account_reactivation') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session type for account reactivation',
+        type: 'INVALID_SESSION_TYPE'
+      });
+    }
+
+    // Increment verification attempts
+    const sessionData = await OtpSession.registerAttempt(sessionKey);
+    if (!sessionData || sessionData.attempts > MAX_VERIFICATION_ATTEMPTS) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification attempts. Please start again.',
+        type: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    if (!sessionData.compareEmailOTP(emailOTP)) {
+      trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'account_reactivation', userId: sessionData.userId, success: false, reason: 'INVALID_EMAIL_OTP' });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email OTP',
+        type: 'INVALID_EMAIL_OTP'
+      });
+    }
+
+    trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'account_reactivation', userId: sessionData.userId });
+
+    const user = await User.findById(sessionData.userId);
+    if (!user) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // The account may have been locked, or the grace period may have ended, while the OTP was pending
+    const restriction = getLoginRestriction(user, { reactivating: true });
+    if (restriction) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(restriction.status).json({ success: false, ...restriction.body });
+    }
+
+    // Clean up session
+    await OtpSession.deleteOne({ sessionKey });
+
+    // With 2FA on, the account stays deactivated until the second factor is verified
+    if (user.security.twoFactor?.enabled) {
+      return res.json(buildTwoFactorChallenge(user, 'reactivation'));
+    }
+
+    await user.reactivate();
+    await user.updateLoginInfo(clientIP);
+
+    const tokens = await issueTokens(user, getClientContext(req));
+
+    console.log(`✅ Account reactivated: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Account reactivated successfully. Welcome back!',
+      user: user.getPublicProfile(),
+      ...tokens,
+      type: 'ACCOUNT_REACTIVATED'
+    });
+
+  } catch (error) {
+    console.error('Verify reactivation error:', error);
+    next(new CustomError('Account reactivation failed', 500, 'REACTIVATION_ERROR'));
+  }
+};
+
+// Delete account - Step 1: verify password (and 2FA code when enabled) and email an OTP
+const requestAccountDeletion = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findByIdWithTwoFactor(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed attempts. Please try again later.',
+        type: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await user.incFailedLoginAttempts();
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect',
+        type: 'INVALID_PASSWORD'
+      });
+    }
+
+    if (user.security.twoFactor.enabled) {
+      if (!code && !backupCode) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication code is required',
+          type: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      if (!verifySecondFactor(user.security.twoFactor, { code, backupCode }).valid) {
+        await user.incFailedLoginAttempts();
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid authentication code',
+          type: 'INVALID_TWO_FACTOR_CODE'
+        });
+      }
+      await user.save(); // persist the used code
+    }
+
+    // Generate OTP
+    const emailOTP = generateOTP();
+    const sessionKey = createSessionKey();
+
+    // Only one deletion can be pending per user
+    await OtpSession.deleteMany({ userId: user._id, purpose: 'account_deletion' });
+
+    const sessionData = new OtpSession({
+      sessionKey,
+      purpose: 'account_deletion',
+      channel: 'email',
+      userId: user._id,
+      email: user.email,
+      phoneNumber: user.phoneNumber,
+      language: user.preferences?.language
+    });
+    sessionData.setEmailOTP(emailOTP);
+
+    await sessionData.save();
+
+    try {
+      await sendOTPEmail(user.email, emailOTP, 'account_deletion', { language: sessionData.language });
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'account_deletion', userId: user._id });
+      console.log('📧 Account deletion email OTP sent to:', user.email);
+    } catch (emailError) {
+      trackAuthEvent(req, 'otp_send', { channel: 'email', purpose: 'account_deletion', userId: user._id, success: false, reason: emailError.message });
+      console.error('📧 Account deletion email OTP failed:', emailError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Enter the OTP sent to your registered email to permanently delete your account',
+      sessionKey,
+      expiresAt: sessionData.expiresAt.getTime(),
+      dataExport: 'GET /api/user/data-export', // download your data first, deletion cannot be undone
+      type: 'DELETION_OTP_SENT'
+    });
+
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    next(new CustomError('Failed to start account deletion', 500, 'DELETION_ERROR'));
+  }
+};
+
+// Delete account - Step 2: verify OTP and permanently delete the account and its data
+const confirmAccountDeletion = async (req, res, next) => {
+  try {
+    // Handle validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        type: 'VALIDATION_ERROR',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionKey, emailOTP } = req.body;
+
+    // The session must belong to the logged-in user
+    const existingSession = await OtpSession.findOne({ sessionKey });
+    if (!existingSession || String(existingSession.userId) !== String(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired session',
+        type: 'INVALID_SESSION'
+      });
+    }
+
+    // Check session expiry
+    if (existingSession.isExpired) {
+      await existingSession.deleteOne();
+      return res.status(400).json({
+        success: false,
+        message: 'Deletion session expired. Please start again.',
+        type: 'SESSION_EXPIRED'
+      });
+    }
+
+    // Check session type
+    if (existingSession.purpose !== 'account_deletion') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session type for account deletion',
+        type: 'INVALID_SESSION_TYPE'
+      });
+    }
+
+    // Increment verification attempts
+    const sessionData = await OtpSession.registerAttempt(sessionKey);
+    if (!sessionData || sessionData.attempts > MAX_VERIFICATION_ATTEMPTS) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification attempts. Please start again.',
+        type: 'TOO_MANY_ATTEMPTS'
+      });
+    }
+
+    if (!sessionData.compareEmailOTP(emailOTP)) {
+      trackAuthEvent(req, 'otp_verify', { channel: 'email', purpose: 'account_deletion', userId: sessionData.userId, success: false, reason: 'INVALID_EMAIL_OTP' });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email OTP',
+        type: 'INVALID_EMAIL_OTP'
+      });
+    }
+
+    const user = await User.findById(sessionData.userId);
+    if (!user) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Recorded without the user or IP, like the events the purge anonymizes
+    await AuthEvent.record('otp_verify', { channel: 'email', purpose: 'account_deletion' });
+
+    if (!await purgeUserData(user)) {
+      await OtpSession.deleteOne({ sessionKey });
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    console.log(`🗑️ Account deleted by its owner: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Your account and personal data have been permanently deleted. Invoices for past payments are kept as required for tax records.',
+      type: 'ACCOUNT_DELETED'
+    });
+
+  } catch (error) {
+    console.error('Confirm account deletion error:', error);
+    next(new CustomError('Account deletion failed', 500, 'DELETION_ERROR'));
+  }
+};
+
+// UTILITY FUNCTIONS
+
+// Resend OTP (works for signup, password reset, reactivation, OTP login and contact change flows)
+const resendOTP = async (req, res, next) => {
+  try {
+    const { sessionKey } = req.body;
+
+    const sessionData = await OtpSession.findActive(sessionKey);
+    if (!sessionData) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired session',
+        type: 'INVALID_SESSION'
+      });
+    }
+
+    // Contact changes resend to both the current and the new contact
+    if (sessionData.purpose === 'contact_change') {
+      if (String(sessionData.userId) !== String(req.user?.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired session',
+          type: 'INVALID_SESSION'
+        });
+      }
+
+      if (sessionData.resendCount >= MAX_RESEND_ATTEMPTS) {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many resend attempts. Please start over.',
+          type: 'TOO_MANY_RESENDS'
+        });
+      }
+
+      sessionData.resendCount += 1;
+      sessionData.extendExpiry();
+
+      try {
+        await sendContactChangeOTPs(req, sessionData);
+      } catch (error) {
+        trackAuthEvent(req, 'otp_send', { channel: sessionData.channel, purpose: 'contact_change', userId: sessionData.userId, success: false, reason: error.message });
+        console.error('Resend OTP error:', error);
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to resend OTP. Please try again.',
+          type: 'RESEND_FAILED'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'OTP resent successfully',
+        sessionKey,
+        type: sessionData.channel,
+        expiresAt: sessionData.expiresAt.getTime()
+      });
+    }
+
+    // Single-channel sessions (OTP login, reactivation, account deletion) are always resent on their own channel
+    const type = sessionData.channel || req.body.type || 'both';
+
+    // Check if too many resend attempts
+    if (sessionData.resendCount >= MAX_RESEND_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many resend attempts. Please start over.',
+        type: 'TOO_MANY_RESENDS'
+      });
+    }
+
+    // Generate new OTPs
+    let emailOTP = null;
+    if (type === 'email' || type === 'both') {
+      emailOTP = generateOTP();
+      sessionData.setEmailOTP(emailOTP);
+    }
+
+    if (type === 'sms' || type === 'both') {
+      sessionData.phoneVerified = false;
+    }
+
+    // Update session
+    sessionData.resendCount += 1;
+    sessionData.extendExpiry();
+
+    await sessionData.save();
 
     // Send OTPs
+    const otpEvent = { purpose: sessionData.purpose, userId: sessionData.userId };
+    let channel = null;
     try {
       if (type === 'email' || type === 'both') {
-        const purpose = sessionData.type === 'password_reset' ? 'password reset' : sessionData.type;
-        await sendOTPEmail(sessionData.email, sessionData.emailOTP, purpose);
+        channel = 'email';
+        await sendOTPEmail(sessionData.email, emailOTP, sessionData.purpose, { language: sessionData.language });
+        trackAuthEvent(req, 'otp_send', { ...otpEvent, channel });
         console.log('📧 Email OTP resent to:', sessionData.email);
       }
 
       if (type === 'sms' || type === 'both') {
+        channel = 'sms';
         await sendOTPSMS(sessionData.phoneNumber);
+        trackAuthEvent(req, 'otp_send', { ...otpEvent, channel });
         console.log('📱 SMS OTP resent to:', sessionData.phoneNumber);
       }
 
@@ -719,10 +2573,11 @@ const resendOTP = async (req, res, next) => {
         message: 'OTP resent successfully',
         sessionKey,
         type,
-        expiresAt: sessionData.expiresAt
+        expiresAt: sessionData.expiresAt.getTime()
       });
 
     } catch (error) {
+      trackAuthEvent(req, 'otp_send', { ...otpEvent, channel, success: false, reason: error.message });
       console.error('Resend OTP error:', error);
       res.status(500).json({
         success: false,
@@ -742,7 +2597,7 @@ const getSessionStatus = async (req, res, next) => {
   try {
     const { sessionKey } = req.params;
 
-    const sessionData = otpSessions.get(sessionKey);
+    const sessionData = await OtpSession.findOne({ sessionKey });
     if (!sessionData) {
       return res.status(404).json({
         success: false,
@@ -752,10 +2607,10 @@ const getSessionStatus = async (req, res, next) => {
     }
 
     const now = Date.now();
-    const isExpired = now > sessionData.expiresAt;
+    const expiresAt = sessionData.expiresAt.getTime();
 
-    if (isExpired) {
-      otpSessions.delete(sessionKey);
+    if (sessionData.isExpired) {
+      await sessionData.deleteOne();
       return res.status(400).json({
         success: false,
         message: 'Session expired',
@@ -767,14 +2622,14 @@ const getSessionStatus = async (req, res, next) => {
       success: true,
       status: {
         sessionKey,
-        type: sessionData.type,
-        emailVerified: sessionData.emailVerified || false,
-        phoneVerified: sessionData.phoneVerified || false,
-        verified: sessionData.verified || false,
-        expiresAt: sessionData.expiresAt,
-        timeRemaining: Math.max(0, sessionData.expiresAt - now),
-        attempts: sessionData.attempts || 0,
-        resendCount: sessionData.resendCount || 0
+        type: sessionData.purpose,
+        emailVerified: sessionData.emailVerified,
+        phoneVerified: sessionData.phoneVerified,
+        verified: sessionData.verified,
+        expiresAt,
+        timeRemaining: Math.max(0, expiresAt - now),
+        attempts: sessionData.attempts,
+        resendCount: sessionData.resendCount
       }
     });
 
@@ -808,11 +2663,55 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-// Logout
+// Refresh access token (rotates the refresh token)
+const refreshToken = async (req, res, next) => {
+  try {
+    const result = await rotateRefreshToken(req.body.refreshToken, getClientContext(req));
+
+    if (result.error) {
+      const messages = {
+        INVALID_REFRESH_TOKEN: 'Invalid refresh token. Please login again.',
+        REFRESH_TOKEN_EXPIRED: 'Refresh token expired. Please login again.',
+        REFRESH_TOKEN_REVOKED: 'Session has ended. Please login again.',
+        REFRESH_TOKEN_REUSED: 'Refresh token was already used. All sessions for this login have been revoked.',
+        ACCOUNT_UNAVAILABLE: 'Account is not available. Please login again.'
+      };
+
+      return res.status(401).json({
+        success: false,
+        message: messages[result.error],
+        type: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      ...result.tokens,
+      type: 'TOKEN_REFRESHED'
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    next(new CustomError('Token refresh failed', 500, 'TOKEN_REFRESH_ERROR'));
+  }
+};
+
+// Logout (revokes the current session)
 const logout = async (req, res, next) => {
   try {
-    // In a stateless JWT system, logout is mainly client-side
-    // But we can log the event for analytics
+    if (req.user.sid) {
+      await revokeSession(req.user.sid, 'logout');
+    }
+
+    // Also accept the refresh token so sessions without a bound access token can end
+    if (req.body?.refreshToken) {
+      const tokenDoc = await RefreshToken.findByToken(req.body.refreshToken);
+      if (tokenDoc && tokenDoc.userId.toString() === req.user.userId.toString()) {
+        await revokeSession(tokenDoc.family, 'logout');
+      }
+    }
+
     console.log(`User logout: ${req.user.email}`);
 
     res.json({
@@ -826,25 +2725,79 @@ const logout = async (req, res, next) => {
   }
 };
 
-// Clean up expired sessions (should be called periodically)
-const cleanupExpiredSessions = () => {
-  const now = Date.now();
-  let cleanedCount = 0;
+// SESSION MANAGEMENT
 
-  for (const [sessionKey, sessionData] of otpSessions.entries()) {
-    if (now > sessionData.expiresAt) {
-      otpSessions.delete(sessionKey);
-      cleanedCount++;
-    }
+// List active sessions (devices) of the current user
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await UserSession.findActiveForUser(req.user.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => session.toPublicJSON(req.user.sid)),
+      totalSessions: sessions.length
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    next(new CustomError('Failed to get sessions', 500, 'SESSIONS_ERROR'));
   }
+};
+
+// Revoke one of the current user's sessions
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = await UserSession.findOne({ sessionId, userId: req.user.userId });
+    if (!session || !session.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found or already ended',
+        type: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await revokeSession(sessionId, 'logout');
+
+    console.log(`Session revoked for ${req.user.email}: ${session.deviceName}`);
+
+    res.json({
+      success: true,
+      message: sessionId === req.user.sid ? 'Logged out from this device' : 'Session revoked successfully',
+      sessionId,
+      current: sessionId === req.user.sid
+    });
 
-  if (cleanedCount > 0) {
-    console.log(`🧹 Cleaned up ${cleanedCount} expired OTP sessions`);
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    next(new CustomError('Failed to revoke session', 500, 'SESSION_REVOKE_ERROR'));
   }
 };
 
-// Run cleanup every 30 minutes
-setInterval(cleanupExpiredSessions, 30 * 60 * 1000);
+// Logout from all devices
+const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.userId, 'logout_all');
+
+    // Also reject access tokens that are not bound to a session
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $set: { 'security.sessionsRevokedAt': new Date() } }
+    );
+
+    console.log(`User logout from all devices: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    next(new CustomError('Logout from all devices failed', 500, 'LOGOUT_ALL_ERROR'));
+  }
+};
 
 module.exports = {
   // Signup flow
@@ -854,15 +2807,44 @@ module.exports = {
   
   // Login flow
   login,
+  sendLoginOTP,
+  verifyLoginOTP,
+  verifyTwoFactorLogin,
+  
+  // Two-factor authentication
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorBackupCodes,
+  sendTwoFactorRecovery,
+  verifyTwoFactorRecovery,
   
   // Forgot password flow
   forgotPassword,
   resetPassword,
   
+  // Password management
+  changePassword,
+  requestContactChange,
+  verifyContactChange,
+  
+  // Account lifecycle
+  deactivateAccount,
+  reactivateAccount,
+  verifyReactivation,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  
   // Utility functions
   resendOTP,
   getSessionStatus,
   verifyToken,
+  refreshToken,
   logout,
-  cleanupExpiredSessions
+  logoutAll,
+  
+  // Session management
+  getSessions,
+  revokeUserSession
 };
\ No newline at end of file
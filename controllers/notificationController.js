@@ -0,0 +1,253 @@
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { CustomError } = require('../middleware/errorHandler');
+const { getCategory } = require('../utils/notificationCategories');
+const { verifyUnsubscribeToken } = require('../services/notificationService');
+
+// Channel switches and per-category settings of the current user
+const getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      preferences: user.getNotificationPreferences()
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    next(new CustomError('Failed to get notification preferences', 500, 'NOTIFICATION_PREFERENCES_ERROR'));
+  }
+};
+
+// Update channel switches ({ channels: { email, sms } }) and/or categories ({ categories: { results: { email, sms } } })
+const updatePreferences = async (req, res, next) => {
+  try {
+    const { channels = {}, categories = {} } = req.body;
+    const updates = {};
+
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      updates[`preferences.notifications.${channel}`] = enabled;
+    });
+
+    Object.entries(categories).forEach(([category, settings]) => {
+      Object.entries(settings).forEach(([channel, enabled]) => {
+        updates[`preferences.notifications.categories.${category}.${channel}`] = enabled;
+      });
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      preferences: user.getNotificationPreferences()
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    next(new CustomError('Failed to update notification preferences', 500, 'NOTIFICATION_PREFERENCES_ERROR'));
+  }
+};
+
+const invalidUnsubscribeLinkResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'This unsubscribe link is invalid or has expired. Please update your preferences from your account.',
+    type: 'INVALID_UNSUBSCRIBE_TOKEN'
+  });
+};
+
+// Describe what an unsubscribe link applies to, without changing anything
+// (email scanners open links, so only POST unsubscribes)
+const getUnsubscribeDetails = async (req, res, next) => {
+  try {
+    const payload = verifyUnsubscribeToken(req.query.token);
+    const category = payload && getCategory(payload.category);
+    if (!category || category.mandatory) {
+      return invalidUnsubscribeLinkResponse(res);
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return invalidUnsubscribeLinkResponse(res);
+    }
+
+    res.json({
+      success: true,
+      category: payload.category,
+      label: category.label,
+      description: category.description,
+      subscribed: user.allowsNotification(payload.category, 'email')
+    });
+
+  } catch (error) {
+    console.error('Get unsubscribe details error:', error);
+    next(new CustomError('Failed to read unsubscribe link', 500, 'UNSUBSCRIBE_ERROR'));
+  }
+};
+
+// Turn off emails of the link's category. Token in the body (unsubscribe page)
+// or the query string (one-click unsubscribe from the mail client).
+const unsubscribe = async (req, res, next) => {
+  try {
+    const payload = verifyUnsubscribeToken(req.body?.token || req.query.token);
+    const category = payload && getCategory(payload.category);
+    if (!category || category.mandatory) {
+      return invalidUnsubscribeLinkResponse(res);
+    }
+
+    const user = await User.findByIdAndUpdate(payload.sub, {
+      $set: { [`preferences.notifications.categories.${payload.category}.email`]: false }
+    });
+    if (!user) {
+      return invalidUnsubscribeLinkResponse(res);
+    }
+
+    console.log(`🔕 ${user.email} unsubscribed from ${payload.category} emails`);
+
+    res.json({
+      success: true,
+      message: `You will no longer receive ${category.label.toLowerCase()} emails`,
+      category: payload.category,
+      type: 'UNSUBSCRIBED'
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    next(new CustomError('Failed to unsubscribe', 500, 'UNSUBSCRIBE_ERROR'));
+  }
+};
+
+// INBOX
+
+// Inbox of the current user, newest first
+// Query params: unread (true = unread only), category, page, limit
+const getNotifications = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user.userId };
+    if (req.query.unread === 'true') query.readAt = null;
+    if (req.query.category) query.category = req.query.category;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countDocuments(query),
+      Notification.countUnread(req.user.userId)
+    ]);
+
+    res.json({
+      success: true,
+      notifications: notifications.map(notification => notification.toInboxItem()),
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    next(new CustomError('Failed to get notifications', 500, 'NOTIFICATIONS_ERROR'));
+  }
+};
+
+// Unread badge count
+const getUnreadCount = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      unreadCount: await Notification.countUnread(req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    next(new CustomError('Failed to get unread notification count', 500, 'NOTIFICATIONS_ERROR'));
+  }
+};
+
+// Mark one notification as read
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      userId: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+        type: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      notification: notification.toInboxItem(),
+      unreadCount: await Notification.countUnread(req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    next(new CustomError('Failed to mark notification as read', 500, 'NOTIFICATIONS_ERROR'));
+  }
+};
+
+// Mark every unread notification as read
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const updated = await Notification.markRead(req.user.userId);
+
+    res.json({
+      success: true,
+      message: updated > 0 ? `${updated} notifications marked as read` : 'No unread notifications',
+      updated,
+      unreadCount: 0
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    next(new CustomError('Failed to mark notifications as read', 500, 'NOTIFICATIONS_ERROR'));
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences,
+  getUnsubscribeDetails,
+  unsubscribe
+};
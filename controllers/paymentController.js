@@ -0,0 +1,362 @@
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const User = require('../models/User');
+const { CustomError } = require('../middleware/errorHandler');
+const { recordAudit } = require('../services/auditService');
+const { PLAN_NAMES, PLANS, getPurchasablePlans } = require('../utils/subscriptionPlans');
+const {
+  getPaymentGateway,
+  quotePlan,
+  createPlanOrder,
+  activateOrder,
+  refundOrder,
+  processWebhookEvent
+} = require('../services/paymentService');
+
+// Send expected payment errors (thrown as CustomError by the payment service) as JSON
+const sendPaymentError = (res, error) => {
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message,
+    type: error.type
+  });
+};
+
+// Load an order of the current user (null when it does not exist or belongs to someone else)
+const findUserOrder = (req) => {
+  return Order.findOne({ _id: req.params.orderId, userId: req.user.userId });
+};
+
+// Plan catalogue with prices including GST (IGST assumed until the billing state is known)
+const getPlans = async (req, res, next) => {
+  try {
+    const purchasable = getPurchasablePlans();
+
+    res.json({
+      success: true,
+      currency: 'INR',
+      plans: PLAN_NAMES.map(name => ({
+        ...PLANS[name],
+        purchasable: purchasable.includes(name),
+        pricing: purchasable.includes(name) ? quotePlan(name, req.query.stateCode) : null
+      }))
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    next(new CustomError('Failed to get plans', 500, 'PLANS_ERROR'));
+  }
+};
+
+// Create an order for a plan and return what the checkout widget needs
+const createOrder = async (req, res, next) => {
+  try {
+    const { plan, billing = {} } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    const order = await createPlanOrder(user, plan, billing);
+    const gateway = getPaymentGateway();
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created',
+      order: order.toPublicJSON(),
+      checkout: {
+        gateway: gateway.name,
+        key: gateway.getCheckoutKey(),
+        gatewayOrderId: order.gatewayOrderId,
+        amount: order.pricing.total,
+        currency: order.currency,
+        name: 'Civils Coach',
+        description: `${order.plan} plan - ${order.billingPeriodDays} days`,
+        prefill: {
+          name: order.billing.name,
+          email: user.email,
+          contact: user.phoneNumber
+        }
+      },
+      type: 'ORDER_CREATED'
+    });
+
+  } catch (error) {
+    if (error.isCustomError) {
+      return sendPaymentError(res, error);
+    }
+    console.error('Create order error:', error);
+    next(new CustomError('Failed to create order', 500, 'ORDER_ERROR'));
+  }
+};
+
+// Checkout callback: verify the gateway signature and activate the plan
+const verifyPayment = async (req, res, next) => {
+  try {
+    const { gatewayPaymentId, signature } = req.body;
+
+    const order = await findUserOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        type: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    const gateway = getPaymentGateway();
+    const isSignatureValid = order.gateway === gateway.name && gateway.verifyPaymentSignature({
+      gatewayOrderId: order.gatewayOrderId,
+      gatewayPaymentId,
+      signature
+    });
+
+    if (!isSignatureValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment could not be verified',
+        type: 'INVALID_PAYMENT_SIGNATURE'
+      });
+    }
+
+    if (['refunding', 'refunded'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order has been refunded',
+        type: 'ORDER_REFUNDED'
+      });
+    }
+
+    const { order: paidOrder } = await activateOrder(order, { gatewayPaymentId, source: 'checkout' });
+    const user = await User.findById(req.user.userId);
+
+    res.json({
+      success: true,
+      message: `${paidOrder.plan} plan activated`,
+      order: paidOrder.toPublicJSON(),
+      subscription: user ? user.getSubscriptionSummary() : null,
+      type: 'PAYMENT_VERIFIED'
+    });
+
+  } catch (error) {
+    console.error('Verify payment error:', error);
+    next(new CustomError('Failed to verify payment', 500, 'PAYMENT_VERIFICATION_ERROR'));
+  }
+};
+
+// Orders of the current user
+const getOrders = async (req, res, next) => {
+  try {
+    const orders = await Order.find({ userId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      orders: orders.map(order => order.toPublicJSON())
+    });
+
+  } catch (error) {
+    console.error('Get orders error:', error);
+    next(new CustomError('Failed to get orders', 500, 'ORDER_ERROR'));
+  }
+};
+
+// Invoice of the current user
+const getInvoice = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findOne({ _id: req.params.invoiceId, userId: req.user.userId }).lean();
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found',
+        type: 'INVOICE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    next(new CustomError('Failed to get invoice', 500, 'INVOICE_ERROR'));
+  }
+};
+
+// Gateway webhook (no user auth - authenticated by the signature over the raw body)
+const handleWebhook = async (req, res, next) => {
+  try {
+    const gateway = getPaymentGateway();
+
+    if (!gateway.verifyWebhookSignature(req.rawBody, req.headers)) {
+      console.error('⚠️ Payment webhook with an invalid signature rejected');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        type: 'INVALID_WEBHOOK_SIGNATURE'
+      });
+    }
+
+    const event = gateway.parseWebhookEvent(req.body, req.headers);
+    const status = event ? await processWebhookEvent(event) : 'ignored';
+
+    res.json({
+      success: true,
+      status
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    next(new CustomError('Webhook processing failed', 500, 'WEBHOOK_ERROR'));
+  }
+};
+
+// Development only: complete or fail checkout for an order on the local gateway
+const simulateLocalPayment = async (req, res, next) => {
+  try {
+    const gateway = getPaymentGateway();
+    if (gateway.name !== 'local' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const order = await findUserOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        type: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    const { checkout, webhook } = gateway.simulatePayment(order, req.body.outcome);
+
+    // Deliver the webhook through the same verification path as a real gateway
+    const body = JSON.parse(webhook.rawBody.toString());
+    const status = gateway.verifyWebhookSignature(webhook.rawBody, webhook.headers)
+      ? await processWebhookEvent(gateway.parseWebhookEvent(body, webhook.headers))
+      : 'ignored';
+
+    res.json({
+      success: true,
+      message: checkout ? 'Payment simulated' : 'Payment failure simulated',
+      checkout, // pass to POST /api/payments/orders/:orderId/verify like a real checkout response
+      webhookStatus: status,
+      order: (await Order.findById(order._id)).toPublicJSON()
+    });
+
+  } catch (error) {
+    console.error('Simulate payment error:', error);
+    next(new CustomError('Failed to simulate payment', 500, 'PAYMENT_SIMULATION_ERROR'));
+  }
+};
+
+// ADMIN
+
+// All orders, optionally filtered by status or user
+const getAllOrders = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'email phoneNumber'),
+      Order.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      orders: orders.map(order => ({
+        ...order.toPublicJSON(),
+        user: order.userId,
+        gateway: order.gateway,
+        gatewayOrderId: order.gatewayOrderId,
+        gatewayPaymentId: order.payment.gatewayPaymentId
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get all orders error:', error);
+    next(new CustomError('Failed to get orders', 500, 'ORDER_ERROR'));
+  }
+};
+
+// Refund what is left of a paid order and downgrade the plan
+const refundOrderByAdmin = async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        type: 'ORDER_NOT_FOUND'
+      });
+    }
+
+    const before = order.toPublicJSON();
+    const { order: refundedOrder, refunded } = await refundOrder(order, {
+      reason: req.body.reason,
+      refundedBy: req.admin.username,
+      source: 'admin'
+    });
+
+    if (refunded) {
+      await recordAudit(req, {
+        action: 'order.refund',
+        entityType: 'Order',
+        entityId: refundedOrder._id,
+        before,
+        after: refundedOrder.toPublicJSON(),
+        metadata: { reason: req.body.reason }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: refunded ? 'Order refunded' : 'Order was already refunded',
+      order: refundedOrder.toPublicJSON(),
+      type: 'ORDER_REFUNDED'
+    });
+
+  } catch (error) {
+    if (error.isCustomError) {
+      return sendPaymentError(res, error);
+    }
+    console.error('Refund order error:', error);
+    next(new CustomError('Refund failed', 500, 'REFUND_ERROR'));
+  }
+};
+
+module.exports = {
+  getPlans,
+  createOrder,
+  verifyPayment,
+  getOrders,
+  getInvoice,
+  handleWebhook,
+  simulateLocalPayment,
+  getAllOrders,
+  refundOrderByAdmin
+};
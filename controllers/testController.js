@@ -3,6 +3,15 @@ const TestSession = require('../models/TestSession');
 const UserTestRecord = require('../models/UserTestRecord');
 const User = require('../models/User');
 const { validateEmail } = require('../utils/validation');
+const { gradeTestSession } = require('../services/testGradingService');
+const { getPlan, getPlansWithTestType } = require('../utils/subscriptionPlans');
+const {
+  createShuffleSeed,
+  toCanonicalAnswer,
+  toServedAnswer,
+  toCanonicalAnswers,
+  getServedQuestions
+} = require('../utils/questionShuffle');
 const crypto = require('crypto');
 
 // Get all tests with optional test type filtering (Public)
@@ -118,9 +127,46 @@ const getTestById = async (req, res, next) => {
       });
     }
 
+    // Questions only for plans that include the test type (visitors count as Free)
+    const user = req.user ? await User.findById(req.user.userId).select('subscription') : null;
+    const plan = getPlan(user ? user.effectivePlan : 'Free');
+    const questionsIncluded = plan.testTypes.includes(test.testType);
+
+    // Public view: no answer key, explanations or delivery settings (admins use the admin routes)
     res.json({ 
       success: true, 
-      test 
+      test: {
+        _id: test._id,
+        name: test.name,
+        year: test.year,
+        paper: test.paper,
+        testType: test.testType,
+        duration: test.duration,
+        timeInMins: test.timeInMins,
+        numberOfQuestions: test.questions.length || test.numberOfQuestions,
+        cutoff: test.cutoff,
+        scoring: {
+          correct: test.scoring.correct,
+          wrong: test.scoring.wrong,
+          unanswered: test.scoring.unanswered
+        },
+        sections: test.sections.map(section => ({
+          name: section.name,
+          questionCount: section.questionCount,
+          duration: section.duration
+        })),
+        createdAt: test.createdAt,
+        questions: questionsIncluded ? getServedQuestions(test, null) : []
+      },
+      ...(!questionsIncluded && {
+        access: {
+          allowed: false,
+          type: 'PLAN_UPGRADE_REQUIRED',
+          reason: `${test.testType} tests are not included in the ${plan.name} plan`,
+          currentPlan: plan.name,
+          upgradePlans: getPlansWithTestType(test.testType)
+        }
+      })
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -149,24 +195,32 @@ const startTestSession = async (req, res, next) => {
       });
     }
 
-    // Check if user can take the test (subscription limits, etc.)
-    let user = null;
-    try {
-      user = await User.findById(userId);
-      if (user) {
-        const canTake = user.canTakeTest();
-        if (!canTake.allowed) {
-          return res.status(403).json({
-            success: false,
-            message: canTake.reason,
-            type: 'TEST_LIMIT_EXCEEDED',
-            remainingTests: canTake.remaining || 0
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error checking user test permissions:', error);
-      // Continue even if user check fails
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Usage counters restart every calendar month
+    if (user.resetUsageIfNewPeriod()) {
+      await user.save();
+    }
+
+    // Account restrictions block resuming too; plan limits only apply to new attempts (below)
+    const canTake = user.canTakeTest(test);
+    const sendAccessDenied = () => {
+      const { allowed, status, reason, ...details } = canTake;
+      return res.status(status).json({
+        success: false,
+        message: reason,
+        ...details
+      });
+    };
+    if (!canTake.allowed && canTake.status === 403) {
+      return sendAccessDenied();
     }
 
     // Check for existing active session
@@ -177,19 +231,25 @@ const startTestSession = async (req, res, next) => {
     });
 
     if (existingSession) {
-      // Calculate if session is still valid (within test duration + 30 minutes grace)
-      const timeElapsed = (new Date() - existingSession.startTime) / 1000 / 60;
-      const gracePeriod = 30; // 30 minutes grace period
-      
-      if (timeElapsed <= test.duration + gracePeriod) {
+      // Resuming does not count against the monthly quota again
+      if (existingSession.acceptsAnswers(test.duration)) {
+        const secondsRemaining = existingSession.getSecondsRemaining(test.duration);
+        const layout = existingSession.getLayout(test);
         return res.json({
           success: true,
           sessionId: existingSession.sessionId,
           duration: test.duration,
           scoring: test.scoring,
           testType: test.testType,
-          timeRemaining: Math.max(0, test.duration - timeElapsed),
+          timeRemaining: secondsRemaining / 60,
+          secondsRemaining,
+          deadline: existingSession.getDeadline(test.duration),
           isResuming: true,
+          sections: existingSession.getSectionTimeline(test),
+          shuffled: Boolean(layout),
+          questions: getServedQuestions(test, layout),
+          savedAnswers: existingSession.getSavedAnswers().map(answer => toServedAnswer(layout, answer)),
+          lastSavedAt: existingSession.lastSavedAt || null,
           user: {
             email: email,
             phoneNumber: req.user.phoneNumber,
@@ -197,29 +257,46 @@ const startTestSession = async (req, res, next) => {
           },
           message: 'Resuming existing test session'
         });
-      } else {
-        // Mark old session as expired and create new one
-        await TestSession.findOneAndUpdate(
-          { sessionId: existingSession.sessionId },
-          { 
-            completed: true,
-            timeExpired: true,
-            endTime: new Date()
-          }
-        );
       }
+
+      // Time ran out before the sweeper got to it: grade the saved answers, then start afresh
+      existingSession.testId = test;
+      await gradeTestSession(existingSession, { submissionType: 'timeout' });
+    }
+
+    // Check plan entitlements (test type and monthly quota) before starting a new attempt
+    if (!canTake.allowed) {
+      return sendAccessDenied();
+    }
+
+    if (!(await user.consumeUsage('tests'))) {
+      return res.status(402).json({
+        success: false,
+        message: 'Your monthly test quota has been used up',
+        type: 'TEST_QUOTA_EXCEEDED',
+        currentPlan: user.effectivePlan,
+        remaining: 0
+      });
     }
 
     // Generate unique session ID
     const sessionId = `test_${id}_${Date.now()}_${crypto.randomBytes(8).toString('hex')}`;
 
-    // Create new test session
+    // Create new test session; the server-side deadline is what the timer counts down to
+    const startTime = new Date();
     const testSession = new TestSession({
       sessionId,
       testId: id,
       email: email.toLowerCase().trim(),
-      startTime: new Date()
+      startTime,
+      deadline: new Date(startTime.getTime() + test.duration * 60 * 1000),
+      shuffle: test.shuffle?.questions || test.shuffle?.options ? {
+        seed: createShuffleSeed(),
+        questions: test.shuffle.questions,
+        options: test.shuffle.options
+      } : undefined
     });
+    const layout = testSession.getLayout(test);
 
     await testSession.save();
 
@@ -238,7 +315,13 @@ const startTestSession = async (req, res, next) => {
       scoring: test.scoring,
       testType: test.testType,
       timeRemaining: test.duration,
+      secondsRemaining: test.duration * 60,
+      deadline: testSession.deadline,
       isResuming: false,
+      sections: testSession.getSectionTimeline(test, startTime),
+      shuffled: Boolean(layout),
+      questions: getServedQuestions(test, layout),
+      remainingTests: user.remainingTests,
       user: {
         email: email,
         phoneNumber: req.user.phoneNumber,
@@ -252,12 +335,128 @@ const startTestSession = async (req, res, next) => {
   }
 };
 
+// Autosave answer changes while the test is running
+// Body: answers [{ questionIndex, selectedOption ('' or null clears it), timeSpent (seconds) }]
+const saveAnswers = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    const { answers } = req.body;
+
+    const testSession = await TestSession.findOne({ sessionId }).populate('testId', 'duration questions sections scoring shuffle');
+    if (!testSession) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test session not found',
+        type: 'TEST_SESSION_NOT_FOUND'
+      });
+    }
+
+    // Verify session belongs to user
+    if (testSession.email !== req.user.email.toLowerCase().trim()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized to update this test session'
+      });
+    }
+
+    if (testSession.completed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Test already completed',
+        type: 'TEST_ALREADY_COMPLETED'
+      });
+    }
+
+    // Late changes are rejected; the session is graded from what was saved in time
+    const test = testSession.testId;
+    if (!testSession.acceptsAnswers(test.duration)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Test time is over. Please submit the test.',
+        type: 'TEST_TIME_EXPIRED'
+      });
+    }
+
+    const invalidAnswer = answers.find(answer => answer.questionIndex >= test.questions.length);
+    if (invalidAnswer) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${invalidAnswer.questionIndex} does not exist in this test`,
+        type: 'INVALID_QUESTION_INDEX'
+      });
+    }
+
+    // Saved by canonical question index and option key; the last change of a question in the batch wins
+    const layout = testSession.getLayout(test);
+    const changes = new Map(answers
+      .map(answer => toCanonicalAnswer(layout, answer))
+      .map(answer => [String(answer.questionIndex), answer]));
+    const savedAt = new Date();
+
+    // Sectional tests: only questions of the open section can be changed
+    const lockedIndex = [...changes.keys()].find(questionIndex => !testSession.acceptsAnswerFor(test, Number(questionIndex), savedAt));
+    if (lockedIndex !== undefined) {
+      const section = testSession.getSectionTimeline(test, savedAt).find(item => Number(lockedIndex) >= item.start && Number(lockedIndex) < item.end);
+      return res.status(409).json({
+        success: false,
+        message: section?.status === 'upcoming'
+          ? `Section "${section.name}" has not started yet`
+          : `Section "${section?.name}" is closed and its answers can no longer be changed`,
+        type: 'SECTION_LOCKED',
+        section: section ? { index: section.index, name: section.name, status: section.status } : null
+      });
+    }
+    const update = { $set: { lastSavedAt: savedAt }, $unset: {}, $inc: {} };
+
+    changes.forEach(({ selectedOption, timeSpent }, questionIndex) => {
+      if (selectedOption) {
+        update.$set[`answers.${questionIndex}`] = selectedOption;
+      } else {
+        update.$unset[`answers.${questionIndex}`] = '';
+      }
+      if (timeSpent !== undefined) {
+        update.$set[`answerDetails.${questionIndex}.timeSpent`] = Math.round(timeSpent);
+      }
+      update.$set[`answerDetails.${questionIndex}.savedAt`] = savedAt;
+      update.$inc[`answerDetails.${questionIndex}.attempts`] = 1;
+    });
+    if (Object.keys(update.$unset).length === 0) {
+      delete update.$unset;
+    }
+
+    // Atomic so concurrent saves don't overwrite each other; fails if the test was submitted meanwhile
+    const updatedSession = await TestSession.findOneAndUpdate(
+      { sessionId, completed: false },
+      update,
+      { new: true }
+    );
+
+    if (!updatedSession) {
+      return res.status(409).json({
+        success: false,
+        message: 'Test already completed',
+        type: 'TEST_ALREADY_COMPLETED'
+      });
+    }
+
+    res.json({
+      success: true,
+      saved: changes.size,
+      answeredCount: updatedSession.answers.size,
+      savedAt,
+      secondsRemaining: updatedSession.getSecondsRemaining(test.duration)
+    });
+  } catch (error) {
+    console.error('Error saving test answers:', error);
+    next(error);
+  }
+};
+
 // Submit test answers (enhanced with detailed answer tracking)
 const submitTest = async (req, res, next) => {
   try {
     const { sessionId } = req.params;
     const { answers, timeExpired: clientTimeExpired, deviceInfo, analytics } = req.body;
-    const userId = req.user.userId;
 
     console.log('Submitting test for session:', sessionId);
 
@@ -277,179 +476,58 @@ const submitTest = async (req, res, next) => {
       });
     }
 
-    // Check if time has expired
-    const timeElapsed = (new Date() - testSession.startTime) / 1000 / 60; // in minutes
-    const timeExpired = timeElapsed > testSession.testId.duration || clientTimeExpired;
-
-    // Calculate score using custom scoring system
-    let correctAnswers = 0;
-    let wrongAnswers = 0;
-    let unanswered = 0;
-    let totalScore = 0;
-    const test = testSession.testId;
-    
-    // Get scoring configuration or use defaults
-    const scoring = test.scoring || {
-      correct: 4,
-      wrong: -1,
-      unanswered: 0
-    };
-
-    // Convert answers array to object for easier processing
-    const answersMap = {};
-    const detailedAnswers = new Map();
-    
-    if (Array.isArray(answers)) {
-      answers.forEach(answer => {
-        if (answer && typeof answer === 'object' && 'questionIndex' in answer) {
-          answersMap[answer.questionIndex] = answer.selectedOption;
-          
-          // Store detailed answer information
-          const questionIndex = answer.questionIndex.toString();
-          const question = test.questions[answer.questionIndex];
-          const correctOption = question?.options?.find(opt => opt.correct);
-          const selectedOption = answer.selectedOption || '';
-          const isCorrect = selectedOption === correctOption?.key;
-          
-          detailedAnswers.set(questionIndex, {
-            selectedOption,
-            correctOption: correctOption?.key || 'A',
-            isCorrect,
-            timeSpent: answer.timeSpent || 0,
-            attempts: answer.attempts || 1,
-            difficulty: question?.difficulty || 'Medium',
-            area: question?.area || 1,
-            subarea: question?.subarea || '',
-            questionText: question?.question || '',
-            explanation: question?.explanation || ''
-          });
-        }
-      });
-    } else if (answers && typeof answers === 'object') {
-      Object.assign(answersMap, answers);
-      
-      // Create detailed answers for legacy format
-      Object.entries(answersMap).forEach(([questionIndex, selectedOption]) => {
-        const question = test.questions[parseInt(questionIndex)];
-        const correctOption = question?.options?.find(opt => opt.correct);
-        
-        detailedAnswers.set(questionIndex, {
-          selectedOption: selectedOption || '',
-          correctOption: correctOption?.key || 'A',
-          isCorrect: selectedOption === correctOption?.key,
-          timeSpent: 0,
-          attempts: 1,
-          difficulty: question?.difficulty || 'Medium',
-          area: question?.area || 1,
-          subarea: question?.subarea || '',
-          questionText: question?.question || '',
-          explanation: question?.explanation || ''
-        });
+    // Verify session belongs to user
+    if (testSession.email !== req.user.email.toLowerCase().trim()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized to submit this test session'
       });
     }
-    
-    // Calculate score based on custom scoring system
-    test.questions.forEach((question, index) => {
-      const userAnswer = answersMap[index];
-      const correctOption = question.options.find(opt => opt.correct);
-      
-      if (!userAnswer) {
-        unanswered++;
-        totalScore += scoring.unanswered;
-      } else if (userAnswer === correctOption.key) {
-        correctAnswers++;
-        totalScore += scoring.correct;
-      } else {
-        wrongAnswers++;
-        totalScore += scoring.wrong;
-      }
-    });
 
-    // Calculate percentage based on correct answers
-    const percentage = ((correctAnswers / test.questions.length) * 100);
-
-    console.log('Score calculation:', {
-      correctAnswers,
-      wrongAnswers,
-      unanswered,
-      totalScore,
-      percentage,
-      testType: test.testType
-    });
-
-    // Update test session
-    testSession.answers = new Map(Object.entries(answersMap));
-    testSession.score = totalScore;
-    testSession.completed = true;
-    testSession.timeExpired = timeExpired;
-    testSession.endTime = new Date();
-    
-    await testSession.save();
-
-    // Find or create user for statistics update
-    let user = null;
-    try {
-      user = await User.findById(userId);
-    } catch (error) {
-      console.error('Error finding user for statistics update:', error);
+    // The server clock decides: after the deadline and grace period the payload is
+    // ignored and only the autosaved answers are graded
+    const test = testSession.testId;
+    const acceptsAnswers = testSession.acceptsAnswers(test.duration);
+    let submissionType = 'manual';
+    if (!acceptsAnswers) {
+      submissionType = 'timeout';
+    } else if (clientTimeExpired || new Date() > testSession.getDeadline(test.duration)) {
+      submissionType = 'auto';
     }
 
-    // Create enhanced user test record
-    const userTestRecord = new UserTestRecord({
-      userId: userId,
-      email: testSession.email,
-      testId: test._id,
-      sessionId: sessionId,
-      testName: test.name,
-      testYear: test.year,
-      testPaper: test.paper,
-      testType: test.testType,
-      score: totalScore,
-      correctAnswers: correctAnswers,
-      wrongAnswers: wrongAnswers,
-      unansweredQuestions: unanswered,
-      totalQuestions: test.questions.length,
-      percentage: parseFloat(percentage.toFixed(1)),
-      timeTaken: Math.round(timeElapsed),
-      timeAllotted: test.duration,
-      timeExpired: timeExpired,
-      answers: detailedAnswers,
-      scoring: scoring,
-      completion: {
-        startedAt: testSession.startTime,
-        completedAt: new Date(),
-        submissionType: timeExpired ? 'timeout' : 'manual',
-        deviceInfo: deviceInfo || {},
-        interruptions: analytics?.interruptions || 0
-      },
-      analytics: analytics || {},
-      metadata: {
-        version: '2.0',
-        source: 'web',
-        isPublic: false
-      }
-    });
+    // Payload indexes and option keys are as served; grading uses the canonical ones.
+    // Answers to questions of closed (or unopened) sections are ignored.
+    const submittedAnswers = toCanonicalAnswers(testSession.getLayout(test), answers)
+      .filter(answer => testSession.acceptsAnswerFor(test, answer.questionIndex));
 
-    await userTestRecord.save();
+    const result = await gradeTestSession(testSession, {
+      answers: acceptsAnswers ? submittedAnswers : undefined,
+      submissionType,
+      deviceInfo,
+      analytics
+    });
 
-    // Update user statistics
-    if (user) {
-      try {
-        await user.updateTestStatistics(totalScore, Math.round(timeElapsed), !timeExpired);
-        console.log('User statistics updated for:', user.email);
-      } catch (error) {
-        console.error('Error updating user statistics:', error);
-      }
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Test already completed'
+      });
     }
 
-    console.log('Test completed and recorded:', {
-      sessionId,
-      userId,
-      email: testSession.email,
-      score: totalScore,
-      percentage: percentage.toFixed(1),
-      recordId: userTestRecord._id
-    });
+    const {
+      scoring,
+      user,
+      record: userTestRecord,
+      timeExpired,
+      timeElapsed,
+      totalScore,
+      percentage,
+      correctAnswers,
+      wrongAnswers,
+      unanswered,
+      sectionWisePerformance,
+      qualifiedAllSections
+    } = result;
 
     res.json({ 
       success: true, 
@@ -462,12 +540,16 @@ const submitTest = async (req, res, next) => {
         unanswered: unanswered,
         total: test.questions.length
       },
+      sections: sectionWisePerformance,
+      qualifiedAllSections,
       percentage: percentage.toFixed(1),
       timeExpired,
+      submissionType,
+      answersAccepted: acceptsAnswers,
       timeTaken: Math.round(timeElapsed),
-      grade: userTestRecord.grade,
-      efficiency: userTestRecord.efficiency,
-      recordId: userTestRecord._id,
+      grade: userTestRecord?.grade,
+      efficiency: userTestRecord?.efficiency,
+      recordId: userTestRecord?._id,
       user: user ? {
         totalTestsCompleted: user.statistics.totalTestsCompleted,
         averageScore: user.statistics.averageScore,
@@ -567,9 +649,13 @@ const getSessionStatus = async (req, res, next) => {
       });
     }
 
-    const timeElapsed = (new Date() - testSession.startTime) / 1000 / 60; // in minutes
-    const timeRemaining = Math.max(0, testSession.testId.duration - timeElapsed);
-    const timeExpired = timeElapsed >= testSession.testId.duration;
+    // Remaining time comes from the server clock, so clients can correct their timers
+    const now = new Date();
+    const duration = testSession.testId.duration;
+    const timeElapsed = (now - testSession.startTime) / 1000 / 60; // in minutes
+    const secondsRemaining = testSession.getSecondsRemaining(duration, now);
+    const timeExpired = secondsRemaining === 0;
+    const sections = testSession.getSectionTimeline(testSession.testId, now);
 
     res.json({ 
       success: true,
@@ -578,9 +664,16 @@ const getSessionStatus = async (req, res, next) => {
       testName: testSession.testId.name,
       testType: testSession.testId.testType,
       startTime: testSession.startTime,
+      deadline: testSession.getDeadline(duration),
+      serverTime: now,
       timeElapsed: Math.round(timeElapsed),
-      timeRemaining: Math.round(timeRemaining),
+      timeRemaining: Math.round(secondsRemaining / 60),
+      secondsRemaining,
       timeExpired,
+      acceptsAnswers: !testSession.completed && testSession.acceptsAnswers(duration, now),
+      answeredCount: testSession.answers.size,
+      sections,
+      currentSection: sections.find(section => section.status === 'active')?.index ?? null,
       completed: testSession.completed,
       scoring: testSession.testId.scoring,
       totalQuestions: testSession.testId.questions.length
@@ -620,6 +713,7 @@ module.exports = {
   getTestsByType,
   getTestById,
   startTestSession,
+  saveAnswers,
   submitTest,
   endTestSession,
   getSessionStatus,
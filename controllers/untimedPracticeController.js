@@ -1,5 +1,6 @@
 const PracticeQuestion = require('../models/PracticeQuestion');
 const UserQuestionProgress = require('../models/UserQuestionProgress');
+const User = require('../models/User');
 const mongoose = require('mongoose');
 
 // Get next random question for untimed practice
@@ -8,6 +9,31 @@ const getNextQuestion = async (req, res, next) => {
     const userId = req.user._id;
     const { area, difficulty, limit = 1, sortBy = 'random' } = req.query;
 
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Usage counters restart every calendar month
+    if (user.resetUsageIfNewPeriod()) {
+      await user.save();
+    }
+
+    // Served questions include the answer key, so the plan quota is checked before serving
+    const canPractice = user.canPracticeQuestion();
+    if (!canPractice.allowed) {
+      const { allowed, status, reason, ...details } = canPractice;
+      return res.status(status).json({
+        success: false,
+        message: reason,
+        ...details
+      });
+    }
+
     // Only exclude ANSWERED questions, NOT skipped ones
     // Skipped questions should be available to attempt again
     const answeredQuestions = await UserQuestionProgress.find({ 
@@ -83,6 +109,16 @@ const getNextQuestion = async (req, res, next) => {
       });
     }
 
+    if (!(await user.consumeUsage('practiceQuestions'))) {
+      return res.status(402).json({
+        success: false,
+        message: 'Your monthly practice question quota has been used up',
+        type: 'PRACTICE_QUOTA_EXCEEDED',
+        currentPlan: user.effectivePlan,
+        remaining: 0
+      });
+    }
+
     // Update question usage
     await PracticeQuestion.findByIdAndUpdate(
       question._id,
@@ -112,6 +148,7 @@ const getNextQuestion = async (req, res, next) => {
       },
       totalAvailable: totalAvailable - 1,
       totalAnswered: answeredQuestionIds.length,
+      remainingPracticeQuestions: user.getRemainingUsage('practiceQuestions'),
       message: 'Question retrieved successfully'
     });
 
@@ -1,8 +1,20 @@
 const UserTestRecord = require('../models/UserTestRecord');
 const User = require('../models/User');
 const Test = require('../models/Test');
+const Referral = require('../models/Referral');
 const mongoose = require('mongoose');
 const { validateEmail } = require('../utils/validation');
+const { PLAN_NAMES, PLANS } = require('../utils/subscriptionPlans');
+const { createSessionLayout } = require('../utils/questionShuffle');
+const {
+  REFERRER_REWARD_DAYS,
+  REFEREE_REWARD_DAYS,
+  MAX_REFERRER_REWARDS_PER_MONTH,
+  REFERRAL_REWARD_PLAN,
+  buildReferralLink
+} = require('../services/referralService');
+const { buildDataExport } = require('../services/accountDataService');
+const { setProfilePicture, removeProfilePicture } = require('../services/profilePictureService');
 
 // Get user performance (enhanced with user profile integration)
 const getUserPerformance = async (req, res, next) => {
@@ -455,6 +467,10 @@ const getTestAttemptDetails = async (req, res, next) => {
       console.log('Found test details:', testDetails ? testDetails.name : 'Not found');
     }
 
+    // Answers are stored against the canonical order; a shuffled attempt also gets
+    // the order it was served in, so the review can show the candidate's numbering
+    const layout = testDetails ? createSessionLayout(testDetails, testAttempt.shuffle) : null;
+
     // Prepare response with comprehensive test attempt data
     const response = {
       success: true,
@@ -480,6 +496,8 @@ const getTestAttemptDetails = async (req, res, next) => {
         completion: testAttempt.completion,
         review: testAttempt.review,
         metadata: testAttempt.metadata,
+        shuffled: Boolean(testAttempt.shuffle?.seed),
+        servedOrder: layout,
         createdAt: testAttempt.createdAt,
         updatedAt: testAttempt.updatedAt
       },
@@ -579,6 +597,194 @@ const updateUserProfile = async (req, res, next) => {
   }
 };
 
+// Upload a profile picture (multipart field "picture"); stored as resized thumbnails
+const uploadProfilePicture = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image to upload',
+        type: 'IMAGE_REQUIRED'
+      });
+    }
+
+    const user = await setProfilePicture(req.user.userId, req.file.buffer);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile picture updated',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        type: error.type
+      });
+    }
+    console.error('Error uploading profile picture:', error);
+    next(error);
+  }
+};
+
+// Remove the profile picture
+const deleteProfilePicture = async (req, res, next) => {
+  try {
+    const user = await removeProfilePicture(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile picture removed',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Error removing profile picture:', error);
+    next(error);
+  }
+};
+
+// Get the user's plan, entitlements and usage for the current month, plus the plan catalogue
+const getSubscription = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.resetUsageIfNewPeriod()) {
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      subscription: user.getSubscriptionSummary(),
+      plans: PLAN_NAMES.map(name => PLANS[name])
+    });
+
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    next(error);
+  }
+};
+
+// Referred users are shown by first name and last initial, or a masked email
+const maskReferee = (referee) => {
+  if (!referee) {
+    return 'Deleted user';
+  }
+  const { firstName, lastName } = referee.profile || {};
+  if (firstName) {
+    return lastName ? `${firstName} ${lastName.charAt(0)}.` : firstName;
+  }
+  const [local, domain] = referee.email.split('@');
+  return `${local.substring(0, 2)}***@${domain}`;
+};
+
+// Get the user's referral code, reward rules and referral status
+const getReferrals = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Accounts created before the referral program get their code on first visit
+    const referralCode = await User.ensureReferralCode(user);
+
+    const [summary, referrals] = await Promise.all([
+      Referral.getSummary(user._id),
+      Referral.find({ referrer: user._id })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('referee', 'profile.firstName profile.lastName email')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      referralCode,
+      referralLink: buildReferralLink(referralCode),
+      rewards: {
+        referrerDays: REFERRER_REWARD_DAYS,
+        refereeDays: REFEREE_REWARD_DAYS,
+        monthlyLimit: MAX_REFERRER_REWARDS_PER_MONTH,
+        freeUsersGetPlan: REFERRAL_REWARD_PLAN,
+        condition: 'The referred user completes their first test'
+      },
+      summary,
+      referrals: referrals.map(referral => ({
+        id: referral._id,
+        referee: maskReferee(referral.referee),
+        status: referral.status,
+        rejectionReason: referral.rejectionReason,
+        daysEarned: referral.reward?.referrerDays || 0,
+        joinedAt: referral.createdAt,
+        rewardedAt: referral.reward?.grantedAt || null
+      })),
+      referredBy: Boolean(user.metadata.referredBy)
+    });
+
+  } catch (error) {
+    console.error('Error fetching referrals:', error);
+    next(error);
+  }
+};
+
+// Download everything stored about the user as a ZIP (account JSON plus CSVs of test attempts and practice answers)
+const exportUserData = async (req, res, next) => {
+  try {
+    const dataExport = await buildDataExport(req.user.userId);
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        type: 'USER_NOT_FOUND'
+      });
+    }
+
+    console.log(`📦 Data export downloaded: ${req.user.email} (${dataExport.counts.testAttempts} tests, ${dataExport.counts.practiceAnswers} practice answers)`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.filename}"`,
+      'Content-Length': dataExport.buffer.length,
+      'Cache-Control': 'no-store'
+    });
+    res.send(dataExport.buffer);
+
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    next(error);
+  }
+};
+
 // Submit test feedback
 const submitTestFeedback = async (req, res, next) => {
   try {
@@ -866,6 +1072,11 @@ module.exports = {
   getUserTestHistory,
   getTestAttemptDetails,
   updateUserProfile,
+  uploadProfilePicture,
+  deleteProfilePicture,
   submitTestFeedback,
-  getUserDashboard
+  getUserDashboard,
+  getSubscription,
+  getReferrals,
+  exportUserData
 };
\ No newline at end of file
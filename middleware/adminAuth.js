@@ -0,0 +1,118 @@
+const jwt = require('jsonwebtoken');
+const { CustomError } = require('./errorHandler');
+const Admin = require('../models/Admin');
+
+// Admin tokens use their own audience so student tokens can never pass as admin tokens
+const ADMIN_TOKEN_AUDIENCE = 'civils-coach-admins';
+const ADMIN_TOKEN_EXPIRES_IN = process.env.ADMIN_JWT_EXPIRES_IN || '8h';
+
+// Generate admin-scoped JWT
+const generateAdminToken = (admin) => {
+  try {
+    return jwt.sign(
+      {
+        adminId: admin._id,
+        username: admin.username,
+        role: admin.role,
+        scope: 'admin',
+        mfa: true // only issued after the second factor was verified
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: ADMIN_TOKEN_EXPIRES_IN,
+        issuer: 'civils-coach',
+        audience: ADMIN_TOKEN_AUDIENCE
+      }
+    );
+  } catch (error) {
+    console.error('Admin token generation error:', error);
+    throw new CustomError('Failed to generate admin token', 500, 'TOKEN_GENERATION_ERROR');
+  }
+};
+
+/**
+ * Admin authorization middleware.
+ * requireAdmin() allows any active admin, requireAdmin('analyst') or
+ * requireAdmin(['content-editor', 'analyst']) restricts by role.
+ * super-admin always passes. Only tokens issued after the second factor are
+ * accepted. The admin is loaded from the database on every request so role
+ * changes and deactivation take effect immediately.
+ */
+const requireAdmin = (roles = []) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
+  return async (req, res, next) => {
+    try {
+      const authHeader = req.headers['authorization'];
+      const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+      if (!token) {
+        return res.status(401).json({
+          success: false,
+          message: 'Admin authentication required. Please login as admin.',
+          type: 'ADMIN_AUTH_REQUIRED'
+        });
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, {
+          issuer: 'civils-coach',
+          audience: ADMIN_TOKEN_AUDIENCE
+        });
+      } catch (err) {
+        return res.status(401).json({
+          success: false,
+          message: err.name === 'TokenExpiredError'
+            ? 'Admin session expired. Please login again.'
+            : 'Invalid admin token',
+          type: err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_ADMIN_TOKEN'
+        });
+      }
+
+      // Tokens issued before two-factor authentication became mandatory lack the claim
+      if (!payload.mfa) {
+        return res.status(401).json({
+          success: false,
+          message: 'Two-factor authentication is required. Please login again.',
+          type: 'TWO_FACTOR_REQUIRED'
+        });
+      }
+
+      const admin = await Admin.findById(payload.adminId);
+      if (!admin || !admin.isActive || admin.changedPasswordAfter(payload.iat)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Admin account is not available. Please login again.',
+          type: 'INVALID_ADMIN_TOKEN'
+        });
+      }
+
+      if (!admin.hasRole(allowedRoles)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action',
+          type: 'ADMIN_FORBIDDEN',
+          requiredRoles: allowedRoles
+        });
+      }
+
+      req.admin = {
+        id: admin._id,
+        username: admin.username,
+        role: admin.role
+      };
+
+      next();
+    } catch (error) {
+      console.error('Admin authentication error:', error);
+      next(new CustomError('Admin authentication failed', 401, 'ADMIN_AUTH_ERROR'));
+    }
+  };
+};
+
+module.exports = {
+  requireAdmin,
+  generateAdminToken,
+  ADMIN_TOKEN_EXPIRES_IN
+};
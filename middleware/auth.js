@@ -1,5 +1,43 @@
 const jwt = require('jsonwebtoken');
 const { CustomError } = require('./errorHandler');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Check whether a decoded token has been revoked server-side.
+// Returns null when the token is still valid, otherwise the error response details.
+const getTokenRevocation = async (userId, payload, ipAddress) => {
+  const account = await User.findById(userId).select('security.passwordChangedAt security.sessionsRevokedAt security.isActive');
+  if (!account) {
+    return null;
+  }
+
+  if (account.changedPasswordAfter(payload.iat)) {
+    return { status: 401, message: 'Password was changed. Please login again.', type: 'TOKEN_REVOKED' };
+  }
+
+  if (account.sessionsRevokedAfter(payload.iat)) {
+    return { status: 401, message: 'You have been logged out from all devices. Please login again.', type: 'TOKEN_REVOKED' };
+  }
+
+  if (!account.security.isActive) {
+    return { status: 403, message: 'Account is deactivated. Please reactivate your account to continue.', type: 'ACCOUNT_DEACTIVATED' };
+  }
+
+  // Tokens bound to a session die with it (logout, revoked device, refresh token reuse)
+  if (payload.sid) {
+    const session = await UserSession.findOne({ sessionId: payload.sid }).select('revokedAt expiresAt');
+    if (!session || !session.isActive) {
+      return { status: 401, message: 'Session has ended. Please login again.', type: 'TOKEN_REVOKED' };
+    }
+
+    UserSession.touch(payload.sid, ipAddress).catch(console.error);
+  }
+
+  return null;
+};
 
 // JWT Authentication Middleware
 const authenticateToken = (req, res, next) => {
@@ -15,7 +53,7 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
       if (err) {
         console.error('JWT verification failed:', err.message);
         
@@ -55,6 +93,21 @@ const authenticateToken = (req, res, next) => {
         });
       }
 
+      // Reject tokens that were revoked server-side
+      try {
+        const revocation = await getTokenRevocation(userId, user, req.ip);
+        if (revocation) {
+          return res.status(revocation.status).json({
+            success: false,
+            message: revocation.message,
+            type: revocation.type
+          });
+        }
+      } catch (lookupError) {
+        console.error('Token revocation check failed:', lookupError);
+        return next(new CustomError('Authentication failed', 401, 'AUTH_ERROR'));
+      }
+
       // Add user info to request object with multiple properties for compatibility
       req.user = {
         ...user, // Keep all original JWT payload properties
@@ -82,14 +135,24 @@ const optionalAuth = (req, res, next) => {
     return next();
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
     if (err) {
       req.user = null;
     } else {
       // FIXED: Same consistent user ID handling for optional auth
       const userId = user._id || user.userId || user.id;
-      
+      let revoked = false;
+
       if (userId) {
+        try {
+          revoked = Boolean(await getTokenRevocation(userId, user, req.ip));
+        } catch (lookupError) {
+          console.error('Token revocation check failed:', lookupError);
+          revoked = true;
+        }
+      }
+      
+      if (userId && !revoked) {
         req.user = {
           ...user,
           _id: userId,
@@ -108,7 +171,7 @@ const optionalAuth = (req, res, next) => {
 const generateToken = (payload) => {
   try {
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
       issuer: 'civils-coach',
       audience: 'civils-coach-users'
     });
@@ -132,5 +195,6 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   generateToken,
-  verifyToken
+  verifyToken,
+  ACCESS_TOKEN_EXPIRES_IN
 };
\ No newline at end of file
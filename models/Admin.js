@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Admin roles. super-admin can do everything, content-editor manages tests and
+// the question bank, analyst has read-only access to statistics and analytics
+const ADMIN_ROLES = ['super-admin', 'content-editor', 'analyst'];
+
+// Hidden two-factor fields needed to verify codes or change 2FA settings
+const TWO_FACTOR_SECRET_FIELDS = ['secret', 'pendingSecret', 'lastUsedStep', 'backupCodes', 'recoveryCodeHash', 'recoveryExpiresAt', 'recoveryAttempts', 'recoveryWindowStartedAt']
+  .map(field => `+twoFactor.${field}`)
+  .join(' ');
+
+// Admin Schema - staff accounts, kept separate from student users
+const adminSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    minlength: [3, 'Username must be at least 3 characters long'],
+    maxlength: [50, 'Username cannot exceed 50 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters long'],
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ADMIN_ROLES,
+      message: `Role must be one of: ${ADMIN_ROLES.join(', ')}`
+    },
+    required: true,
+    default: 'analyst'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  lastLoginIP: {
+    type: String,
+    default: ''
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    default: ''
+  },
+  // TOTP two-factor authentication, mandatory for admins (enrolled on first login)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String, // encrypted TOTP secret
+      select: false
+    },
+    pendingSecret: {
+      type: String, // encrypted secret awaiting its first code during enrollment
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    lastUsedStep: {
+      type: Number, // last accepted TOTP time step, blocks code replays
+      default: -1,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        hash: { type: String, required: true },
+        usedAt: { type: Date }
+      }],
+      default: [],
+      select: false
+    },
+    recoveryCodeHash: {
+      type: String, // email OTP for recovering a lost authenticator
+      select: false
+    },
+    recoveryExpiresAt: {
+      type: Date,
+      select: false
+    },
+    recoveryAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    recoveryWindowStartedAt: {
+      type: Date, // first recovery code of the current attempt window
+      select: false
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (username is already indexed through unique: true)
+adminSchema.index({ role: 1, isActive: 1 });
+
+// Virtual to check if account is locked
+adminSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Pre-save middleware for password hashing
+adminSchema.pre('save', async function(next) {
+  try {
+    if (!this.isModified('password')) return next();
+
+    // Skip hashing if password is already hashed (starts with $2b$ for bcrypt)
+    if (this.password.startsWith('$2b$')) {
+      return next();
+    }
+
+    // Hash password with cost of 12
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+
+    if (!this.isNew) {
+      // Back-date by one second because JWT iat has second precision
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance methods
+
+// Compare password (requires the password field to be selected)
+adminSchema.methods.comparePassword = async function(candidatePassword) {
+  try {
+    return await bcrypt.compare(candidatePassword, this.password);
+  } catch (error) {
+    throw new Error('Password comparison failed');
+  }
+};
+
+// Check if the admin has one of the given roles (super-admin has them all)
+adminSchema.methods.hasRole = function(roles = []) {
+  if (this.role === 'super-admin' || roles.length === 0) {
+    return true;
+  }
+  return roles.includes(this.role);
+};
+
+// Check if the password was changed after a token was issued (iat in seconds)
+adminSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Record a successful login
+adminSchema.methods.recordLogin = function(ipAddress) {
+  this.lastLoginAt = new Date();
+  this.lastLoginIP = ipAddress || '';
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.save();
+};
+
+// Increment failed login attempts (locks for 1 hour after 5 failures)
+adminSchema.methods.incFailedLoginAttempts = function() {
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return this.updateOne({
+      $unset: { lockUntil: 1 },
+      $set: { failedLoginAttempts: 1 }
+    });
+  }
+
+  const updates = { $inc: { failedLoginAttempts: 1 } };
+  if (this.failedLoginAttempts + 1 >= 5 && !this.isLocked) {
+    updates.$set = { lockUntil: Date.now() + 60 * 60 * 1000 };
+  }
+
+  return this.updateOne(updates);
+};
+
+// Public representation
+adminSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+    twoFactorEnabled: Boolean(this.twoFactor?.enabled),
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+
+adminSchema.statics.ROLES = ADMIN_ROLES;
+
+// Find admin by username including the password hash
+adminSchema.statics.findForLogin = function(username) {
+  return this.findOne({ username: String(username).toLowerCase().trim() }).select('+password');
+};
+
+// Load an admin including the hidden two-factor secrets
+adminSchema.statics.findByIdWithTwoFactor = function(adminId) {
+  return this.findById(adminId).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
+// Create the first super-admin from ADMIN_ID/ADMIN_PASSWORD when no admin exists yet,
+// so existing deployments keep working after the switch to admin accounts
+adminSchema.statics.bootstrapFromEnv = async function() {
+  const count = await this.countDocuments();
+  if (count > 0 || !process.env.ADMIN_ID || !process.env.ADMIN_PASSWORD) {
+    return null;
+  }
+
+  const admin = await this.create({
+    username: process.env.ADMIN_ID,
+    name: 'Super Admin',
+    password: process.env.ADMIN_PASSWORD,
+    role: 'super-admin',
+    createdBy: 'bootstrap'
+  });
+
+  console.log(`👤 Bootstrap super-admin created: ${admin.username}`);
+  return admin;
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Audit Log Schema - append-only record of admin mutations (who did what, when, from where)
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true // e.g. "test.create", "question_bank.delete", "user.export"
+  },
+  entityType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityId: {
+    type: String,
+    default: ''
+  },
+  actor: {
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    username: {
+      type: String,
+      default: ''
+    },
+    role: {
+      type: String,
+      default: ''
+    }
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes for the filterable audit log endpoint
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+
+// Append-only: existing entries can never be modified or removed through the model
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// How long authentication events are kept for analytics
+const AUTH_EVENT_RETENTION_DAYS = 365;
+
+// Auth Event Schema - one document per OTP send/verify, login attempt, lockout
+// and password reset step; aggregated by GET /api/auth/analytics/auth-stats
+const authEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['otp_send', 'otp_verify', 'login', 'account_locked', 'password_reset_request', 'password_reset_complete'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', null],
+    default: null
+  },
+  purpose: {
+    type: String,
+    default: '' // signup, password_reset, account_reactivation, ...
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  reason: {
+    type: String,
+    default: '' // failure reason, e.g. INVALID_CREDENTIALS
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+authEventSchema.index({ type: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: AUTH_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static methods
+
+// Record an event without ever failing the calling request
+authEventSchema.statics.record = function(type, details = {}) {
+  return this.create({ type, ...details }).catch(error => {
+    console.error(`Auth event (${type}) could not be recorded:`, error.message);
+  });
+};
+
+module.exports = mongoose.model('AuthEvent', authEventSchema);
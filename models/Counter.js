@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Counter Schema - named sequences for gap-free document numbers (e.g. invoices)
+const counterSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Static methods
+
+// Atomically increment a sequence and return the new value (sequences start at 1)
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { name },
+    { $inc: { value: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.value;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  email: { type: String, default: '' },
+  gstin: { type: String, default: '' },
+  stateCode: { type: String, default: '' },
+  address: { type: String, default: '' }
+}, { _id: false });
+
+// Invoice Schema - GST tax invoice issued when an order is paid. Amounts are in paise.
+// Each refund issues a credit note against the invoice instead of changing its amounts
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true // e.g. CC/2026-27/000042, sequential per financial year
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  placeOfSupply: {
+    type: String, // state code of the buyer, or the seller's when unknown
+    default: ''
+  },
+  lineItems: [{
+    description: { type: String, required: true },
+    sac: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    taxableValue: { type: Number, required: true }
+  }],
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  taxableAmount: {
+    type: Number,
+    required: true
+  },
+  gstRate: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  creditNotes: [{
+    _id: false,
+    number: { type: String, required: true }, // e.g. CC/CN/2026-27/000007
+    gatewayRefundId: { type: String, required: true },
+    issuedAt: { type: Date },
+    amount: { type: Number, required: true },
+    reason: { type: String, default: '' }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes (invoiceNumber and orderId are already indexed through unique: true)
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { CATEGORY_NAMES } = require('../utils/notificationCategories');
+
+// How long inbox notifications are kept
+const NOTIFICATION_RETENTION_DAYS = 180;
+
+// What produced a notification
+const NOTIFICATION_SOURCES = ['test_published', 'test_result', 'score_revised', 'broadcast'];
+
+// Notification Schema - one in-app inbox entry per user. Broadcasts are fanned
+// out into one document per recipient, all sharing the same broadcastId.
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORY_NAMES,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: NOTIFICATION_SOURCES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters'],
+    default: ''
+  },
+  link: {
+    type: String,
+    trim: true,
+    default: '' // app path opened from the notification, e.g. /tests/<id>
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  broadcastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ broadcastId: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Virtual for read state
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+// Instance methods
+
+notificationSchema.methods.toInboxItem = function() {
+  return {
+    id: this._id,
+    category: this.category,
+    source: this.source,
+    title: this.title,
+    message: this.message,
+    link: this.link,
+    data: this.data,
+    isRead: this.isRead,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Static methods
+
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+// Mark the given notifications of a user (or all of them) as read; returns how many changed
+notificationSchema.statics.markRead = async function(userId, notificationIds = null) {
+  const filter = { userId, readAt: null };
+  if (notificationIds) {
+    filter._id = { $in: notificationIds };
+  }
+  const result = await this.updateMany(filter, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+};
+
+notificationSchema.statics.SOURCES = NOTIFICATION_SOURCES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { CATEGORY_NAMES, NOTIFICATION_CHANNELS } = require('../utils/notificationCategories');
+
+// How long delivery records are kept
+const NOTIFICATION_LOG_RETENTION_DAYS = 180;
+
+// Notification Log Schema - one document per notification and channel, whether
+// it was sent, failed or skipped because of the recipient's preferences
+const notificationLogSchema = new mongoose.Schema({
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'recipientModel'
+  },
+  recipientModel: {
+    type: String,
+    enum: ['User', 'Admin'],
+    default: 'User'
+  },
+  category: {
+    type: String,
+    enum: CATEGORY_NAMES,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true // email template name, or the notification name for SMS
+  },
+  to: {
+    type: String,
+    default: '' // masked email address or phone number
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'skipped'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '' // why it was skipped (OPTED_OUT, NO_RECIPIENT, ...)
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  messageId: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+notificationLogSchema.index({ recipientId: 1, createdAt: -1 });
+notificationLogSchema.index({ template: 1, status: 1, createdAt: -1 });
+notificationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static methods
+
+// Record a delivery without ever failing the calling request
+notificationLogSchema.statics.record = function(entry) {
+  return this.create(entry).catch(error => {
+    console.error(`Notification log (${entry.template}) could not be recorded:`, error.message);
+  });
+};
+
+module.exports = mongoose.model('NotificationLog', notificationLogSchema);
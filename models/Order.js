@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { PLAN_NAMES } = require('../utils/subscriptionPlans');
+
+// Order Schema - one document per plan purchase attempt. Amounts are in paise.
+// "created" orders wait for the gateway; activation and refunds are idempotent
+// state transitions recorded in the PaymentEvent ledger ("refunding" while an
+// admin refund is with the gateway)
+const orderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  plan: {
+    type: String,
+    enum: PLAN_NAMES,
+    required: true
+  },
+  billingPeriodDays: {
+    type: Number,
+    required: true
+  },
+  receipt: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Price breakdown (GST is added on top of the plan price)
+  pricing: {
+    taxableAmount: { type: Number, required: true },
+    gstRate: { type: Number, required: true },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+  },
+  billing: {
+    name: { type: String, trim: true, default: '' },
+    email: { type: String, lowercase: true, trim: true, default: '' },
+    gstin: { type: String, uppercase: true, trim: true, default: '' },
+    stateCode: { type: String, trim: true, default: '' },
+    address: { type: String, trim: true, default: '' }
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  gatewayOrderId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'failed', 'refunding', 'refunded'],
+    default: 'created'
+  },
+  payment: {
+    gatewayPaymentId: { type: String, default: '' },
+    method: { type: String, default: '' },
+    paidAt: { type: Date },
+    failureReason: { type: String, default: '' }
+  },
+  // Subscription before and after activation, used to undo the plan on refund
+  previousSubscription: {
+    plan: { type: String },
+    validUntil: { type: Date }
+  },
+  subscriptionPeriod: {
+    from: { type: Date },
+    until: { type: Date }
+  },
+  // Refunds processed by the gateway; the order is "refunded" (and the plan taken
+  // back) once they add up to the total, partial refunds leave the plan in place
+  refunds: [{
+    _id: false,
+    gatewayRefundId: { type: String, required: true },
+    amount: { type: Number, required: true },
+    reason: { type: String, default: '' },
+    refundedAt: { type: Date },
+    refundedBy: { type: String, default: '' } // admin username, or "gateway" for webhook refunds
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (receipt is already indexed through unique: true)
+orderSchema.index({ gateway: 1, gatewayOrderId: 1 }, { unique: true });
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+// Public representation
+orderSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    plan: this.plan,
+    billingPeriodDays: this.billingPeriodDays,
+    receipt: this.receipt,
+    currency: this.currency,
+    pricing: this.pricing,
+    status: this.status,
+    paidAt: this.payment?.paidAt || null,
+    subscriptionPeriod: this.subscriptionPeriod?.from ? this.subscriptionPeriod : null,
+    refundedAmount: this.refundedAmount,
+    refunds: this.refunds.map(refund => ({
+      amount: refund.amount,
+      reason: refund.reason,
+      refundedAt: refund.refundedAt
+    })),
+    invoiceId: this.invoiceId,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Order', orderSchema);
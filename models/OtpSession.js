@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// OTP validity window shared by every OTP flow (signup, login, password reset, reactivation, contact change, deletion)
+const OTP_EXPIRY_MINUTES = 10;
+
+// Hash OTPs before storing them so a database leak does not expose live codes
+const hashOTP = (otp) => {
+  return crypto.createHash('sha256').update(String(otp).trim()).digest('hex');
+};
+
+// Constant-time comparison of a candidate OTP with a stored hash
+const matchesOTPHash = (candidateOTP, storedHash) => {
+  if (!candidateOTP || !storedHash) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashOTP(candidateOTP), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+// OTP Session Schema - replaces the in-memory session map so that pending
+// signups and resets survive restarts and work across serverless instances
+const otpSessionSchema = new mongoose.Schema({
+  sessionKey: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: {
+      values: ['signup', 'password_reset', 'account_reactivation', 'login', 'contact_change', 'account_deletion'],
+      message: 'Purpose must be signup, password_reset, account_reactivation, login, contact_change or account_deletion'
+    },
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', null],
+    default: null // set for single-channel flows (OTP login, contact change, reactivation, account deletion); others use both email and SMS
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: ['English', 'Hindi'],
+    default: 'English' // language of the OTP emails (and of the new account for signups)
+  },
+  emailOTPHash: {
+    type: String,
+    // SMS-only sessions (OTP login by phone, phone number change) have no email OTP
+    required: function() {
+      return this.channel !== 'sms';
+    }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Email/phone change: one OTP goes to the current contact (emailOTPHash or SMS)
+  // and one to the new contact (newEmailOTPHash or SMS); both must be verified
+  contactChange: {
+    field: {
+      type: String,
+      enum: ['email', 'phoneNumber']
+    },
+    newValue: {
+      type: String,
+      trim: true
+    },
+    newEmailOTPHash: {
+      type: String
+    },
+    currentVerified: {
+      type: Boolean,
+      default: false
+    },
+    newVerified: {
+      type: Boolean,
+      default: false
+    }
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  resendCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (sessionKey is already indexed through unique: true)
+otpSessionSchema.index({ email: 1, purpose: 1 });
+otpSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes sessions once expired
+
+// Virtual to check expiry (TTL cleanup can lag by up to a minute)
+otpSessionSchema.virtual('isExpired').get(function() {
+  return this.expiresAt.getTime() <= Date.now();
+});
+
+// Instance methods
+
+// Store a new email OTP (hashed)
+otpSessionSchema.methods.setEmailOTP = function(otp) {
+  this.emailOTPHash = hashOTP(otp);
+  this.emailVerified = false;
+  this.verified = false;
+};
+
+// Compare a candidate email OTP with the stored hash
+otpSessionSchema.methods.compareEmailOTP = function(candidateOTP) {
+  return matchesOTPHash(candidateOTP, this.emailOTPHash);
+};
+
+// Store the OTP sent to the new email address of a contact change (hashed)
+otpSessionSchema.methods.setNewEmailOTP = function(otp) {
+  this.contactChange.newEmailOTPHash = hashOTP(otp);
+  this.contactChange.newVerified = false;
+};
+
+// Compare a candidate OTP with the one sent to the new email address
+otpSessionSchema.methods.compareNewEmailOTP = function(candidateOTP) {
+  return matchesOTPHash(candidateOTP, this.contactChange?.newEmailOTPHash);
+};
+
+// Extend the session after an OTP resend
+otpSessionSchema.methods.extendExpiry = function() {
+  this.expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+};
+
+// Static methods
+
+// Find a session that has not expired yet
+otpSessionSchema.statics.findActive = function(sessionKey) {
+  return this.findOne({ sessionKey, expiresAt: { $gt: new Date() } });
+};
+
+// Atomically count a verification attempt so parallel requests cannot bypass the limit
+otpSessionSchema.statics.registerAttempt = function(sessionKey) {
+  return this.findOneAndUpdate(
+    { sessionKey, expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('OtpSession', otpSessionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Payment Event Schema - append-only ledger of everything that happened to an order.
+// Gateway webhook events carry their event id, which makes redelivered webhooks no-ops
+const paymentEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['order.created', 'payment.captured', 'payment.failed', 'refund.processed', 'webhook.ignored'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gateway: {
+    type: String,
+    required: true
+  },
+  gatewayEventId: {
+    type: String // only set for webhook deliveries
+  },
+  amount: {
+    type: Number, // paise
+    default: 0
+  },
+  source: {
+    type: String,
+    enum: ['api', 'checkout', 'webhook', 'admin'],
+    default: 'api'
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+paymentEventSchema.index(
+  { gateway: 1, gatewayEventId: 1 },
+  { unique: true, partialFilterExpression: { gatewayEventId: { $type: 'string' } } }
+);
+paymentEventSchema.index({ orderId: 1, createdAt: 1 });
+
+// Static methods
+
+// Check whether a webhook event was already processed
+paymentEventSchema.statics.isProcessed = function(gateway, gatewayEventId) {
+  return this.exists({ gateway, gatewayEventId });
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
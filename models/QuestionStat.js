@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Question Stat Schema - anonymous per-question answer totals for timed tests.
+// When an account is deleted its test records are folded in here before they
+// are removed, so question statistics keep counting the answers of deleted
+// users without keeping anything that identifies them. getTestQuestionStats
+// adds these totals to the answers of the remaining UserTestRecords.
+// The options chosen are counted rather than right and wrong answers, so the
+// totals stay valid when an admin corrects the answer key later.
+// (Untimed practice keeps its anonymous totals on PracticeQuestion.usage.)
+
+const OPTION_KEYS = ['A', 'B', 'C', 'D'];
+
+const emptySelectedCounts = () => Object.fromEntries(OPTION_KEYS.map(key => [key, 0]));
+
+const questionStatSchema = new mongoose.Schema({
+  testId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  questionIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Answers per option
+  selected: Object.fromEntries(OPTION_KEYS.map(key => [key, { type: Number, default: 0 }])),
+  unanswered: {
+    type: Number,
+    default: 0
+  },
+  totalTimeSpent: {
+    type: Number,
+    default: 0 // seconds
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+questionStatSchema.index({ testId: 1, questionIndex: 1 }, { unique: true });
+
+// Static methods
+
+// Add the answers of test records (lean or documents) to the per-question totals
+questionStatSchema.statics.addTestRecords = async function(records) {
+  const totals = new Map();
+
+  records.forEach(record => {
+    const answers = record.answers instanceof Map ? Object.fromEntries(record.answers) : (record.answers || {});
+
+    Object.entries(answers).forEach(([questionIndex, answer]) => {
+      const key = `${record.testId}:${questionIndex}`;
+      const total = totals.get(key) || {
+        testId: record.testId,
+        questionIndex: parseInt(questionIndex),
+        attempts: 0,
+        unanswered: 0,
+        totalTimeSpent: 0
+      };
+
+      total.attempts += 1;
+      if (OPTION_KEYS.includes(answer.selectedOption)) {
+        const path = `selected.${answer.selectedOption}`;
+        total[path] = (total[path] || 0) + 1;
+      } else {
+        total.unanswered += 1;
+      }
+      total.totalTimeSpent += answer.timeSpent || 0;
+
+      totals.set(key, total);
+    });
+  });
+
+  const operations = [...totals.values()]
+    .filter(total => Number.isInteger(total.questionIndex))
+    .map(({ testId, questionIndex, ...counts }) => ({
+      updateOne: {
+        filter: { testId, questionIndex },
+        update: { $inc: counts },
+        upsert: true
+      }
+    }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations, { ordered: false });
+  }
+  return operations.length;
+};
+
+/**
+ * Per-question totals of a test: remaining test records plus the folded-in answers
+ * of deleted users. Right and wrong answers are counted against the current answer key.
+ *
+ * @param {Object} test - Test document or lean object with _id and questions[].options
+ * @returns {Promise<Array>} per question { questionIndex, attempts, selected, correct, wrong,
+ *   unanswered, totalTimeSpent, accuracy, averageTimeSpent }
+ */
+questionStatSchema.statics.getTestQuestionStats = async function(test) {
+  const testId = new mongoose.Types.ObjectId(String(test._id));
+  const [recordTotals, storedTotals] = await Promise.all([
+    mongoose.model('UserTestRecord').aggregate([
+      { $match: { testId } },
+      { $project: { answers: { $objectToArray: '$answers' } } },
+      { $unwind: '$answers' },
+      {
+        $group: {
+          _id: { questionIndex: '$answers.k', option: '$answers.v.selectedOption' },
+          attempts: { $sum: 1 },
+          totalTimeSpent: { $sum: { $ifNull: ['$answers.v.timeSpent', 0] } }
+        }
+      }
+    ]),
+    this.find({ testId }).lean()
+  ]);
+
+  const totals = new Map();
+  const getTotal = (questionIndex) => {
+    if (!totals.has(questionIndex)) {
+      totals.set(questionIndex, { questionIndex, attempts: 0, selected: emptySelectedCounts(), unanswered: 0, totalTimeSpent: 0 });
+    }
+    return totals.get(questionIndex);
+  };
+
+  recordTotals.forEach(({ _id, attempts, totalTimeSpent }) => {
+    const total = getTotal(parseInt(_id.questionIndex));
+    total.attempts += attempts;
+    total.totalTimeSpent += totalTimeSpent;
+    if (OPTION_KEYS.includes(_id.option)) {
+      total.selected[_id.option] += attempts;
+    } else {
+      total.unanswered += attempts;
+    }
+  });
+  storedTotals.forEach(stat => {
+    const total = getTotal(stat.questionIndex);
+    total.attempts += stat.attempts;
+    total.unanswered += stat.unanswered;
+    total.totalTimeSpent += stat.totalTimeSpent;
+    OPTION_KEYS.forEach(key => {
+      total.selected[key] += stat.selected?.[key] || 0;
+    });
+  });
+
+  return [...totals.values()]
+    .filter(total => Number.isInteger(total.questionIndex))
+    .sort((a, b) => a.questionIndex - b.questionIndex)
+    .map(total => {
+      const correctKey = test.questions?.[total.questionIndex]?.options?.find(option => option.correct)?.key;
+      const correct = correctKey ? total.selected[correctKey] : 0;
+      return {
+        ...total,
+        correct,
+        wrong: total.attempts - total.unanswered - correct,
+        accuracy: total.attempts > 0 ? Math.round((correct / total.attempts) * 1000) / 10 : 0,
+        averageTimeSpent: total.attempts > 0 ? Math.round(total.totalTimeSpent / total.attempts) : 0
+      };
+    });
+};
+
+module.exports = mongoose.model('QuestionStat', questionStatSchema);
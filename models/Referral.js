@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Why a referral was not rewarded
+const REJECTION_REASONS = ['SAME_IP', 'SAME_DEVICE', 'DEVICE_ALREADY_REFERRED', 'REFERRER_INACTIVE'];
+
+// Referral Schema - links the user who shared a code (referrer) to the user who
+// signed up with it (referee). Created at signup as "pending", rewarded once the
+// referee completes a first test, or "rejected" when the fraud checks fail
+const referralSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true // a user can only be referred once
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded', 'rejected'],
+    default: 'pending'
+  },
+  rejectionReason: {
+    type: String,
+    enum: [...REJECTION_REASONS, null],
+    default: null
+  },
+  reward: {
+    referrerDays: {
+      type: Number,
+      default: 0
+    },
+    refereeDays: {
+      type: Number,
+      default: 0
+    },
+    grantedAt: {
+      type: Date
+    }
+  },
+  // Signup context used by the fraud checks
+  signupIP: {
+    type: String,
+    default: ''
+  },
+  deviceFingerprint: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (referee is already indexed through unique: true)
+referralSchema.index({ referrer: 1, createdAt: -1 });
+referralSchema.index({ referrer: 1, status: 1, 'reward.grantedAt': -1 });
+referralSchema.index({ deviceFingerprint: 1 });
+
+// Static methods
+
+referralSchema.statics.REJECTION_REASONS = REJECTION_REASONS;
+
+// Referral counts and earned days for a referrer
+referralSchema.statics.getSummary = async function(referrerId) {
+  const rows = await this.aggregate([
+    { $match: { referrer: new mongoose.Types.ObjectId(referrerId) } },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        daysEarned: { $sum: '$reward.referrerDays' }
+      }
+    }
+  ]);
+
+  const summary = { total: 0, pending: 0, rewarded: 0, rejected: 0, daysEarned: 0 };
+  rows.forEach(row => {
+    summary[row._id] = row.count;
+    summary.total += row.count;
+    summary.daysEarned += row.daysEarned;
+  });
+  return summary;
+};
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens are stored hashed; the raw value only ever lives on the client
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Refresh Token Schema - one document per issued token. Tokens issued from the same
+// login share a family (session id), which lets rotation reuse revoke the whole chain
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'password_change', 'contact_change', 'reuse_detected', 'account_deactivated', 'new_login'],
+    default: undefined
+  },
+  replacedByHash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (tokenHash is already indexed through unique: true)
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes tokens once expired
+
+// Virtual to check if the token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+});
+
+// Static methods
+
+refreshTokenSchema.statics.hashToken = hashToken;
+
+// Find a token document from its raw value
+refreshTokenSchema.statics.findByToken = function(rawToken) {
+  return this.findOne({ tokenHash: hashToken(rawToken) });
+};
+
+// Revoke every token in a session
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Revoke every session of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// SMS OTP validity window for self-managed providers (matches OTP sessions)
+const SMS_OTP_EXPIRY_MINUTES = 10;
+
+// Hash OTPs before storing them so a database leak does not expose live codes
+const hashOTP = (otp) => {
+  return crypto.createHash('sha256').update(String(otp).trim()).digest('hex');
+};
+
+// SMS OTP Schema - used by providers that generate and verify codes themselves
+// (Twilio Verify keeps its own state and does not use this collection)
+const smsOtpSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    default: () => new Date(Date.now() + SMS_OTP_EXPIRY_MINUTES * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (phoneNumber is already indexed through unique: true)
+smsOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes codes once expired
+
+// Static methods
+
+// Store a new code for a phone number, replacing any previous one
+smsOtpSchema.statics.issue = function(phoneNumber, code, provider) {
+  return this.findOneAndUpdate(
+    { phoneNumber },
+    {
+      $set: {
+        codeHash: hashOTP(code),
+        provider,
+        attempts: 0,
+        expiresAt: new Date(Date.now() + SMS_OTP_EXPIRY_MINUTES * 60 * 1000)
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Instance methods
+
+// Compare a candidate code with the stored hash
+smsOtpSchema.methods.compareCode = function(candidateCode) {
+  if (!candidateCode || !this.codeHash) {
+    return false;
+  }
+
+  const candidate = Buffer.from(hashOTP(candidateCode), 'hex');
+  const stored = Buffer.from(this.codeHash, 'hex');
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+};
+
+module.exports = mongoose.model('SmsOtp', smsOtpSchema);
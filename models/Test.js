@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PRESET_NAMES, QUESTION_MARKING_MODES, getWrongMarks, getScoreRange } = require('../utils/markingScheme');
 
 // Flexible Test Schema with area as numeric only
 const testSchema = new mongoose.Schema({
@@ -110,6 +111,27 @@ const testSchema = new mongoose.Schema({
     unanswered: {
       type: Number,
       default: 0
+    },
+    // Marking scheme the scoring came from (see utils/markingScheme)
+    preset: {
+      type: String,
+      enum: {
+        values: ['custom', ...PRESET_NAMES],
+        message: 'Unknown scoring preset'
+      },
+      default: 'custom'
+    },
+    // Exact wrong-answer penalty as a fraction of the correct marks (e.g. 1/3);
+    // when set, `wrong` is derived from it
+    negativeFraction: {
+      numerator: {
+        type: Number,
+        min: [0, 'Penalty numerator cannot be negative']
+      },
+      denominator: {
+        type: Number,
+        min: [1, 'Penalty denominator must be at least 1']
+      }
     }
   },
   questions: {
@@ -183,6 +205,23 @@ const testSchema = new mongoose.Schema({
         trim: true,
         maxlength: [2000, 'Explanation cannot exceed 2000 characters'],
         default: ''
+      },
+      // Per-question override of the marks (bonus: full marks for everyone,
+      // dropped: not marked and left out of the maximum score)
+      marking: {
+        mode: {
+          type: String,
+          enum: {
+            values: QUESTION_MARKING_MODES,
+            message: 'Marking mode must be normal, bonus, or dropped'
+          },
+          default: 'normal'
+        },
+        weight: {
+          type: Number,
+          min: [0, 'Question weight cannot be negative'],
+          default: 1
+        }
       }
     }],
     default: []
@@ -192,6 +231,79 @@ const testSchema = new mongoose.Schema({
     default: 'admin',
     trim: true
   },
+  // Optional sections over consecutive questions, each with its own time limit (see utils/testSections)
+  sections: {
+    type: [{
+      name: {
+        type: String,
+        required: [true, 'Section name is required'],
+        trim: true,
+        maxlength: [100, 'Section name cannot exceed 100 characters']
+      },
+      questionCount: {
+        type: Number,
+        required: [true, 'Section question count is required'],
+        min: [1, 'A section needs at least one question']
+      },
+      duration: {
+        type: Number, // minutes
+        required: [true, 'Section duration is required'],
+        min: [1, 'Section duration must be at least 1 minute']
+      },
+      cutoff: {
+        type: Number, // minimum section score to qualify; none when null
+        default: null
+      },
+      // Overrides of the test scoring for this section
+      scoring: {
+        correct: {
+          type: Number,
+          min: [0.1, 'Correct score must be at least 0.1']
+        },
+        wrong: {
+          type: Number,
+          max: [0, 'Wrong score should not be positive (use negative for penalty or 0 for no penalty)']
+        },
+        unanswered: {
+          type: Number
+        }
+      }
+    }],
+    default: []
+  },
+  // Serve each session its own question and/or option order (see utils/questionShuffle)
+  shuffle: {
+    questions: {
+      type: Boolean,
+      default: false
+    },
+    options: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Bumped on every answer key or question marking change; recorded attempts scored
+  // under an older version are re-scored (see services/testGradingService)
+  scoringVersion: {
+    type: Number,
+    default: 0
+  },
+  // Background re-scoring job (one per test at a time)
+  rescore: {
+    runningSince: {
+      type: Date,
+      default: null
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    },
+    lastResult: {
+      records: { type: Number, default: 0 },
+      revised: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -262,6 +374,32 @@ testSchema.index({ 'cutoff.Gen': 1 });
 testSchema.index({ 'questions.area': 1 });
 testSchema.index({ 'questions.subarea': 1 });
 
+// A fractional penalty is also kept in `wrong` as a decimal, for display
+testSchema.pre('validate', function(next) {
+  if (this.scoring?.negativeFraction?.denominator) {
+    this.scoring.wrong = getWrongMarks(this.scoring);
+  }
+  next();
+});
+
+// Sections must cover every question; the test lasts as long as its sections together
+testSchema.pre('validate', function(next) {
+  if (!this.sections || this.sections.length === 0) {
+    return next();
+  }
+
+  const sectionQuestions = this.sections.reduce((sum, section) => sum + (section.questionCount || 0), 0);
+  if (sectionQuestions !== (this.questions?.length || 0)) {
+    this.invalidate('sections', `Sections cover ${sectionQuestions} questions but the test has ${this.questions?.length || 0}`);
+  }
+
+  const sectionMinutes = this.sections.reduce((sum, section) => sum + (section.duration || 0), 0);
+  this.duration = sectionMinutes;
+  this.timeInMins = sectionMinutes;
+
+  next();
+});
+
 // Flexible pre-save middleware
 testSchema.pre('save', function(next) {
   try {
@@ -394,13 +532,11 @@ testSchema.methods.getQuestionsBySubarea = function(subarea) {
 };
 
 testSchema.methods.calculateMaxScore = function() {
-  const questionCount = this.questions?.length || this.numberOfQuestions || 0;
-  return questionCount * this.scoring.correct;
+  return getScoreRange(this).max;
 };
 
 testSchema.methods.calculateMinScore = function() {
-  const questionCount = this.questions?.length || this.numberOfQuestions || 0;
-  return questionCount * this.scoring.wrong;
+  return getScoreRange(this).min;
 };
 
 // Method to validate and fix data
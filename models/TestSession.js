@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { createSessionLayout } = require('../utils/questionShuffle');
+const { getSectionRanges, findSectionIndex } = require('../utils/testSections');
+
+// Answers are still accepted this long after the deadline (network delays);
+// later the session is graded from its autosaved answers only
+const SUBMISSION_GRACE_SECONDS = 60;
 
 // Test Session Schema
 const testSessionSchema = new mongoose.Schema({
@@ -23,14 +29,56 @@ const testSessionSchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
+  // Server-side end of the test (startTime + test duration)
+  deadline: {
+    type: Date
+  },
   endTime: {
     type: Date
   },
   answers: {
     type: Map,
-    of: String,
+    of: String, // question index -> selected option; autosaved while the test is running
+    default: new Map()
+  },
+  // Autosave details per question index (see saveAnswers in testController)
+  answerDetails: {
+    type: Map,
+    of: new mongoose.Schema({
+      timeSpent: {
+        type: Number, // seconds spent on the question so far, as reported by the client
+        default: 0,
+        min: 0
+      },
+      attempts: {
+        type: Number, // number of times the answer was saved
+        default: 0,
+        min: 0
+      },
+      savedAt: {
+        type: Date
+      }
+    }, { _id: false }),
     default: new Map()
   },
+  lastSavedAt: {
+    type: Date
+  },
+  // Shuffle settings copied from the test at start; answers are always stored canonically
+  shuffle: {
+    seed: {
+      type: String,
+      default: ''
+    },
+    questions: {
+      type: Boolean,
+      default: false
+    },
+    options: {
+      type: Boolean,
+      default: false
+    }
+  },
   score: {
     type: Number
     // Removed min: 0 validation to allow negative scores with negative marking
@@ -51,8 +99,107 @@ const testSessionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Instance methods
+
+// Sessions started before deadlines were stored fall back to the test duration
+testSessionSchema.methods.getDeadline = function(durationMinutes) {
+  return this.deadline || new Date(this.startTime.getTime() + durationMinutes * 60 * 1000);
+};
+
+testSessionSchema.methods.getSecondsRemaining = function(durationMinutes, now = new Date()) {
+  return Math.max(0, Math.ceil((this.getDeadline(durationMinutes) - now) / 1000));
+};
+
+// Order the test is served in for this session (null when not shuffled)
+testSessionSchema.methods.getLayout = function(test) {
+  return createSessionLayout(test, this.shuffle);
+};
+
+// Whether answer changes and submissions are still taken into account
+testSessionSchema.methods.acceptsAnswers = function(durationMinutes, now = new Date()) {
+  return now.getTime() <= this.getDeadline(durationMinutes).getTime() + SUBMISSION_GRACE_SECONDS * 1000;
+};
+
+// Autosaved answers in the submit payload format, ordered by question index
+testSessionSchema.methods.getSavedAnswers = function() {
+  const indexes = new Set([...this.answers.keys(), ...this.answerDetails.keys()]);
+
+  return [...indexes]
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(questionIndex => {
+      const details = this.answerDetails.get(String(questionIndex));
+      return {
+        questionIndex,
+        selectedOption: this.answers.get(String(questionIndex)) || '',
+        timeSpent: details?.timeSpent || 0,
+        attempts: details?.attempts || 0,
+        savedAt: details?.savedAt || null
+      };
+    });
+};
+
+// Time window and state of each section of a sectional test ([] otherwise).
+// Sections are consecutive blocks in the served order too, so start/end apply to both.
+testSessionSchema.methods.getSectionTimeline = function(test, now = new Date()) {
+  return getSectionRanges(test).map(range => {
+    const startsAt = new Date(this.startTime.getTime() + range.offset * 60 * 1000);
+    const endsAt = new Date(startsAt.getTime() + range.duration * 60 * 1000);
+    let status = 'active';
+    if (now < startsAt) {
+      status = 'upcoming';
+    } else if (now > endsAt) {
+      status = 'closed';
+    }
+
+    return {
+      index: range.index,
+      name: range.name,
+      start: range.start,
+      end: range.end,
+      questionCount: range.questionCount,
+      duration: range.duration,
+      startsAt,
+      endsAt,
+      status,
+      secondsRemaining: status === 'active' ? Math.ceil((endsAt - now) / 1000) : 0
+    };
+  });
+};
+
+// Whether a (canonical) question can still be answered: its section must be open
+// (plus the grace period); without sections, until the test deadline
+testSessionSchema.methods.acceptsAnswerFor = function(test, questionIndex, now = new Date()) {
+  const timeline = this.getSectionTimeline(test, now);
+  if (timeline.length === 0) {
+    return this.acceptsAnswers(test.duration, now);
+  }
+
+  const section = timeline[findSectionIndex(timeline, questionIndex)];
+  return Boolean(section) &&
+    now >= section.startsAt &&
+    now.getTime() <= section.endsAt.getTime() + SUBMISSION_GRACE_SECONDS * 1000;
+};
+
+// Static methods
+
+// Unfinished sessions whose deadline and grace period have passed, with their test
+testSessionSchema.statics.findExpired = function(limit = 100, now = new Date()) {
+  const cutoff = new Date(now.getTime() - SUBMISSION_GRACE_SECONDS * 1000);
+  return this.find({
+    completed: false,
+    $or: [{ deadline: { $lte: cutoff } }, { deadline: null }]
+  })
+    .sort({ startTime: 1 })
+    .limit(limit)
+    .populate('testId');
+};
+
+testSessionSchema.statics.SUBMISSION_GRACE_SECONDS = SUBMISSION_GRACE_SECONDS;
+
 // Add indexes using ONLY schema.index() method to avoid duplicates
 testSessionSchema.index({ sessionId: 1 });
+testSessionSchema.index({ completed: 1, deadline: 1 });
 testSessionSchema.index({ email: 1 });
 testSessionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 }); // TTL index for 24 hours
 
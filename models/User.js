@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const {
+  PLAN_NAMES,
+  getPlan,
+  isUnlimited,
+  getPlansWithTestType,
+  getPlansWithMoreQuota,
+  getUsagePeriodStart,
+  getNextUsageReset
+} = require('../utils/subscriptionPlans');
+const { NOTIFICATION_CATEGORIES, OPTIONAL_CATEGORY_NAMES, getCategory } = require('../utils/notificationCategories');
+
+// Usage counters and the plan quota each one is limited by
+const USAGE_COUNTERS = {
+  tests: { field: 'testsUsed', quota: 'monthlyTestQuota' },
+  practiceQuestions: { field: 'practiceQuestionsUsed', quota: 'monthlyPracticeQuestionQuota' }
+};
+
+// Number of previous password hashes kept to prevent password reuse
+const PASSWORD_HISTORY_LIMIT = 5;
+
+// Days a deactivated account can still be reactivated before it is permanently deleted
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+// Referral codes avoid look-alike characters (0/O, 1/I/L) so they can be read out and typed
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+const generateReferralCode = () => {
+  return Array.from({ length: REFERRAL_CODE_LENGTH }, () => REFERRAL_CODE_ALPHABET[crypto.randomInt(REFERRAL_CODE_ALPHABET.length)]).join('');
+};
+
+// Profile pictures are URLs (absolute, or a path served by this API); anything else is a legacy inline image
+const isPictureUrl = (value) => /^(https?:\/\/|\/)/i.test(value || '');
+
+// Per-category channel switches for every category users can opt out of
+const notificationCategoryFields = Object.fromEntries(OPTIONAL_CATEGORY_NAMES.map(name => [name, {
+  email: { type: Boolean, default: NOTIFICATION_CATEGORIES[name].defaults.email },
+  sms: { type: Boolean, default: NOTIFICATION_CATEGORIES[name].defaults.sms }
+}]));
+
+// Hidden two-factor fields needed to verify codes or change 2FA settings
+const TWO_FACTOR_SECRET_FIELDS = ['secret', 'pendingSecret', 'lastUsedStep', 'backupCodes', 'recoveryCodeHash', 'recoveryExpiresAt', 'recoveryAttempts', 'recoveryWindowStartedAt']
+  .map(field => `+security.twoFactor.${field}`)
+  .join(' ');
 
 // User Schema with comprehensive profile management and password authentication
 const userSchema = new mongoose.Schema({
@@ -75,9 +120,18 @@ const userSchema = new mongoose.Schema({
       enum: ['General', 'EWS', 'OBC', 'SC', 'ST'],
       default: 'General'
     },
+    // Uploaded through POST /api/user/profile/picture (see services/profilePictureService)
     profilePicture: {
-      type: String, // URL or base64 string
+      type: String, // URL of the 256px picture
       default: ''
+    },
+    profilePictureThumbnail: {
+      type: String, // URL of the 64px picture
+      default: ''
+    },
+    profilePictureKeys: {
+      type: [String], // storage keys of the picture files, deleted when it is replaced
+      default: []
     }
   },
   preferences: {
@@ -94,7 +148,8 @@ const userSchema = new mongoose.Schema({
       sms: {
         type: Boolean,
         default: false
-      }
+      },
+      categories: notificationCategoryFields
     },
     testSettings: {
       defaultTimer: {
@@ -114,25 +169,36 @@ const userSchema = new mongoose.Schema({
   subscription: {
     plan: {
       type: String,
-      enum: ['Free', 'Basic', 'Premium'],
+      enum: PLAN_NAMES,
       default: 'Free'
     },
     validUntil: {
-      type: Date,
+      type: Date, // paid plans fall back to Free entitlements after this date
       default: function() {
-        // Free plan valid for 30 days from registration
         return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
       }
     },
     testsAllowed: {
-      type: Number,
+      type: Number, // monthly test quota of the effective plan, kept in sync on save (-1 means unlimited)
       default: function() {
-        return this.subscription?.plan === 'Free' ? 10 : -1; // -1 means unlimited
+        return getPlan(this.subscription?.plan).monthlyTestQuota;
       }
     },
     testsUsed: {
-      type: Number,
+      type: Number, // tests started in the current usage period
+      default: 0
+    },
+    practiceQuestionsUsed: {
+      type: Number, // practice questions served in the current usage period
       default: 0
+    },
+    usagePeriodStart: {
+      type: Date // start of the calendar month the usage counters belong to (unset until first use)
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId, // order the current plan was last granted by (a retried grant is not applied twice)
+      ref: 'Order',
+      default: null
     }
   },
   statistics: {
@@ -203,6 +269,79 @@ const userSchema = new mongoose.Schema({
     },
     lockUntil: {
       type: Date
+    },
+    passwordChangedAt: {
+      type: Date // Tokens issued before this moment are rejected
+    },
+    sessionsRevokedAt: {
+      type: Date // Set by "log out all devices"; older access tokens are rejected
+    },
+    deactivatedAt: {
+      type: Date
+    },
+    deactivationReason: {
+      type: String,
+      default: '',
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    scheduledDeletionAt: {
+      type: Date // Hard deletion date, cleared on reactivation
+    },
+    passwordHistory: {
+      type: [{
+        hash: { type: String, required: true },
+        changedAt: { type: Date, default: Date.now }
+      }],
+      default: [],
+      select: false // Never returned unless explicitly requested
+    },
+    // Optional TOTP two-factor authentication (see services/twoFactorService)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String, // encrypted TOTP secret
+        select: false
+      },
+      pendingSecret: {
+        type: String, // encrypted secret awaiting its first code during enrollment
+        select: false
+      },
+      enabledAt: {
+        type: Date
+      },
+      lastUsedStep: {
+        type: Number, // last accepted TOTP time step, blocks code replays
+        default: -1,
+        select: false
+      },
+      backupCodes: {
+        type: [{
+          hash: { type: String, required: true },
+          usedAt: { type: Date }
+        }],
+        default: [],
+        select: false
+      },
+      recoveryCodeHash: {
+        type: String, // email OTP for recovering a lost authenticator
+        select: false
+      },
+      recoveryExpiresAt: {
+        type: Date,
+        select: false
+      },
+      recoveryAttempts: {
+        type: Number,
+        default: 0,
+        select: false
+      },
+      recoveryWindowStartedAt: {
+        type: Date, // first recovery code of the current attempt window
+        select: false
+      }
     }
   },
   metadata: {
@@ -212,9 +351,16 @@ const userSchema = new mongoose.Schema({
       default: 'web'
     },
     referralCode: {
-      type: String,
+      type: String, // this user's own code, shared to invite others
+      uppercase: true,
+      trim: true,
       default: ''
     },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId, // user whose referral code was used at signup
+      ref: 'User',
+      default: null
+    },
     utmSource: {
       type: String,
       default: ''
@@ -238,7 +384,12 @@ userSchema.index({ 'security.lastLoginAt': -1 });
 userSchema.index({ 'subscription.plan': 1 });
 userSchema.index({ 'subscription.validUntil': 1 });
 userSchema.index({ 'security.isActive': 1 });
+userSchema.index(
+  { 'metadata.referralCode': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.referralCode': { $gt: '' } } }
+);
 userSchema.index({ 'security.isVerified': 1 });
+userSchema.index({ 'security.scheduledDeletionAt': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -256,13 +407,21 @@ userSchema.virtual('displayName').get(function() {
   return this.email.split('@')[0];
 });
 
+// Virtual for the plan whose entitlements apply (an expired paid plan falls back to Free)
+userSchema.virtual('effectivePlan').get(function() {
+  const { plan, validUntil } = this.subscription;
+  if (plan !== 'Free' && validUntil && validUntil < new Date()) {
+    return 'Free';
+  }
+  return plan;
+});
+
 // Virtual for subscription status
 userSchema.virtual('subscriptionStatus').get(function() {
-  const now = new Date();
-  if (this.subscription.validUntil < now) {
+  if (this.effectivePlan !== this.subscription.plan) {
     return 'Expired';
   }
-  if (this.subscription.plan === 'Free' && this.subscription.testsUsed >= this.subscription.testsAllowed) {
+  if (this.getRemainingUsage('tests') === 0) {
     return 'Limit Reached';
   }
   return 'Active';
@@ -270,10 +429,7 @@ userSchema.virtual('subscriptionStatus').get(function() {
 
 // Virtual for remaining tests
 userSchema.virtual('remainingTests').get(function() {
-  if (this.subscription.plan === 'Free') {
-    return Math.max(0, this.subscription.testsAllowed - this.subscription.testsUsed);
-  }
-  return -1; // Unlimited
+  return this.getRemainingUsage('tests');
 });
 
 // Virtual to check if account is locked
@@ -313,6 +469,19 @@ userSchema.pre('save', function(next) {
   if (this.phoneNumber) {
     this.phoneNumber = this.phoneNumber.trim();
   }
+
+  // Pictures used to be stored inline as base64; only uploaded picture URLs are kept now
+  if (this.profile.profilePicture && !isPictureUrl(this.profile.profilePicture)) {
+    this.profile.profilePicture = '';
+  }
+
+  // Keep the legacy testsAllowed field in line with the plan catalogue
+  this.subscription.testsAllowed = getPlan(this.effectivePlan).monthlyTestQuota;
+
+  // Every new user gets a referral code to share
+  if (this.isNew && !this.metadata.referralCode) {
+    this.metadata.referralCode = generateReferralCode();
+  }
   
   // Update statistics averages
   if (this.statistics.totalTestsCompleted > 0) {
@@ -333,6 +502,82 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Check if a candidate password matches the current or any recent password
+userSchema.methods.isRecentPassword = async function(candidatePassword) {
+  const hashes = [this.password, ...(this.security.passwordHistory || []).map(entry => entry.hash)];
+
+  for (const hash of hashes) {
+    if (hash && await bcrypt.compare(candidatePassword, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+// Set a new password, remembering the previous hash and invalidating older tokens
+// NOTE: load the user with select('+security.passwordHistory') or the history is reset
+userSchema.methods.setPassword = function(newPassword) {
+  const history = (this.security.passwordHistory || []).map(entry => ({
+    hash: entry.hash,
+    changedAt: entry.changedAt
+  }));
+
+  if (this.password) {
+    history.unshift({ hash: this.password, changedAt: new Date() });
+  }
+
+  this.security.passwordHistory = history.slice(0, PASSWORD_HISTORY_LIMIT);
+  this.password = newPassword;
+  // Back-date by one second because JWT iat has second precision
+  this.security.passwordChangedAt = new Date(Date.now() - 1000);
+};
+
+// Check if the password was changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.security.passwordChangedAt || !tokenIssuedAt) {
+    return false;
+  }
+  return Math.floor(this.security.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Check if all sessions were signed out after a token was issued (iat in seconds)
+userSchema.methods.sessionsRevokedAfter = function(tokenIssuedAt) {
+  if (!this.security.sessionsRevokedAt || !tokenIssuedAt) {
+    return false;
+  }
+  return Math.floor(this.security.sessionsRevokedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Virtual to check if a deactivated account is still within the reactivation window
+userSchema.virtual('canReactivate').get(function() {
+  if (this.security.isActive || !this.security.scheduledDeletionAt) {
+    return false;
+  }
+  return this.security.scheduledDeletionAt > Date.now();
+});
+
+// Deactivate account and schedule hard deletion after the grace period
+userSchema.methods.deactivate = function(reason = '') {
+  const now = new Date();
+  this.security.isActive = false;
+  this.security.deactivatedAt = now;
+  this.security.deactivationReason = reason;
+  this.security.scheduledDeletionAt = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  return this.save();
+};
+
+// Restore a deactivated account (history is kept until hard deletion)
+userSchema.methods.reactivate = function() {
+  this.security.isActive = true;
+  this.security.deactivatedAt = undefined;
+  this.security.deactivationReason = '';
+  this.security.scheduledDeletionAt = undefined;
+  this.security.failedLoginAttempts = 0;
+  this.security.lockUntil = undefined;
+  return this.save();
+};
+
 // Update login info
 userSchema.methods.updateLoginInfo = function(ipAddress) {
   this.security.lastLoginAt = new Date();
@@ -358,6 +603,16 @@ userSchema.methods.incFailedLoginAttempts = function() {
   // Lock account after 5 failed attempts for 2 hours
   if (this.security.failedLoginAttempts + 1 >= 5 && !this.isLocked) {
     updates.$set = { 'security.lockUntil': Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+
+    // Lockouts are tracked for authentication analytics
+    return this.updateOne(updates).then(result => {
+      mongoose.model('AuthEvent').record('account_locked', {
+        userId: this._id,
+        success: false,
+        reason: 'TOO_MANY_FAILED_ATTEMPTS'
+      });
+      return result;
+    });
   }
   
   return this.updateOne(updates);
@@ -386,11 +641,6 @@ userSchema.methods.updateTestStatistics = function(testScore, timeTaken, complet
   this.statistics.totalTimeSpent += timeTaken;
   this.statistics.lastTestDate = new Date();
   
-  // Update test usage for subscription
-  if (this.subscription.plan === 'Free') {
-    this.subscription.testsUsed += 1;
-  }
-  
   // Update streak (simplified logic)
   const today = new Date();
   const lastActive = this.statistics.lastActiveDate;
@@ -407,19 +657,212 @@ userSchema.methods.updateTestStatistics = function(testScore, timeTaken, complet
   return this.save();
 };
 
-// Check if user can take test
-// Check if user can take test - MINIMAL CHANGE: Always allow unlimited tests
-userSchema.methods.canTakeTest = function() {
+// Apply a re-scored attempt to the running statistics. bestRecordedScore is the
+// user's best recorded score after re-scoring, used when the revised attempt held the best score.
+userSchema.methods.reviseTestScore = function(previousScore, revisedScore, bestRecordedScore) {
+  const totalCompleted = this.statistics.totalTestsCompleted;
+  if (totalCompleted > 0) {
+    this.statistics.averageScore += (revisedScore - previousScore) / totalCompleted;
+  }
+
+  if (revisedScore > this.statistics.bestScore) {
+    this.statistics.bestScore = revisedScore;
+  } else if (previousScore >= this.statistics.bestScore && bestRecordedScore !== undefined) {
+    this.statistics.bestScore = bestRecordedScore;
+  }
+
+  return this.save();
+};
+
+// Start a new usage period (calendar month) when the stored one has ended; returns whether anything changed
+userSchema.methods.resetUsageIfNewPeriod = function() {
+  const periodStart = getUsagePeriodStart();
+  if (this.subscription.usagePeriodStart && this.subscription.usagePeriodStart >= periodStart) {
+    return false;
+  }
+
+  this.subscription.testsUsed = 0;
+  this.subscription.practiceQuestionsUsed = 0;
+  this.subscription.usagePeriodStart = periodStart;
+  return true;
+};
+
+// Remaining monthly usage of "tests" or "practiceQuestions" (-1 means unlimited)
+userSchema.methods.getRemainingUsage = function(kind) {
+  const { field, quota } = USAGE_COUNTERS[kind];
+  const limit = getPlan(this.effectivePlan)[quota];
+  if (isUnlimited(limit)) {
+    return -1;
+  }
+
+  // Counters from an earlier month no longer count against the quota
+  const periodStart = getUsagePeriodStart();
+  const used = this.subscription.usagePeriodStart >= periodStart ? this.subscription[field] || 0 : 0;
+  return Math.max(0, limit - used);
+};
+
+/**
+ * Atomically count one unit of usage against the monthly quota.
+ * Resolves to false when the quota was used up in the meantime.
+ */
+userSchema.methods.consumeUsage = async function(kind) {
+  const { field, quota } = USAGE_COUNTERS[kind];
+  const limit = getPlan(this.effectivePlan)[quota];
+  const path = `subscription.${field}`;
+
+  const filter = { _id: this._id, 'subscription.usagePeriodStart': this.subscription.usagePeriodStart };
+  if (!isUnlimited(limit)) {
+    filter[path] = { $lt: limit };
+  }
+
+  const result = await this.constructor.updateOne(filter, { $inc: { [path]: 1 } });
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  // Mirror the increment without marking the path as modified
+  this.subscription[field] += 1;
+  this.unmarkModified(path);
+  return true;
+};
+
+// Subscription details and usage for the current period
+userSchema.methods.getSubscriptionSummary = function() {
+  const plan = getPlan(this.effectivePlan);
+  const inCurrentPeriod = this.subscription.usagePeriodStart >= getUsagePeriodStart();
+  const usage = (kind) => {
+    const { field, quota } = USAGE_COUNTERS[kind];
+    return {
+      used: inCurrentPeriod ? this.subscription[field] || 0 : 0,
+      limit: plan[quota],
+      remaining: this.getRemainingUsage(kind)
+    };
+  };
+
+  return {
+    plan: this.subscription.plan,
+    effectivePlan: this.effectivePlan,
+    status: this.subscriptionStatus,
+    validUntil: this.subscription.validUntil,
+    entitlements: plan,
+    usage: {
+      tests: usage('tests'),
+      practiceQuestions: usage('practiceQuestions')
+    },
+    usageResetsAt: getNextUsageReset()
+  };
+};
+
+/**
+ * Check if the user can start a test. Returns { allowed: true, remaining } or
+ * { allowed: false, status, type, reason, ... } ready to be sent as an error response.
+ * Call resetUsageIfNewPeriod() (and save) first so last month's usage is not counted.
+ */
+userSchema.methods.canTakeTest = function(test = null) {
   if (!this.security.isActive || this.security.accountLocked || this.isLocked) {
-    return { allowed: false, reason: 'Account is inactive, locked, or temporarily locked due to failed login attempts' };
+    return {
+      allowed: false,
+      status: 403,
+      type: 'ACCOUNT_RESTRICTED',
+      reason: 'Account is inactive, locked, or temporarily locked due to failed login attempts'
+    };
   }
   
   if (!this.security.isVerified) {
-    return { allowed: false, reason: 'Account is not verified' };
+    return { allowed: false, status: 403, type: 'ACCOUNT_NOT_VERIFIED', reason: 'Account is not verified' };
   }
-  
-  // REMOVED subscription checks - always allow unlimited tests
-  return { allowed: true, remaining: -1 }; // Always allowed, unlimited tests
+
+  const plan = getPlan(this.effectivePlan);
+
+  if (test && !plan.testTypes.includes(test.testType)) {
+    return {
+      allowed: false,
+      status: 402,
+      type: 'PLAN_UPGRADE_REQUIRED',
+      reason: `${test.testType} tests are not included in the ${plan.name} plan`,
+      currentPlan: plan.name,
+      upgradePlans: getPlansWithTestType(test.testType)
+    };
+  }
+
+  const remaining = this.getRemainingUsage('tests');
+  if (remaining === 0) {
+    return {
+      allowed: false,
+      status: 402,
+      type: 'TEST_QUOTA_EXCEEDED',
+      reason: `You have used all ${plan.monthlyTestQuota} tests included in the ${plan.name} plan this month`,
+      currentPlan: plan.name,
+      remaining: 0,
+      resetsAt: getNextUsageReset(),
+      upgradePlans: getPlansWithMoreQuota(plan.name, 'monthlyTestQuota')
+    };
+  }
+
+  return { allowed: true, remaining };
+};
+
+// Check if the user can be served another practice question (same result shape as canTakeTest)
+userSchema.methods.canPracticeQuestion = function() {
+  const plan = getPlan(this.effectivePlan);
+  const remaining = this.getRemainingUsage('practiceQuestions');
+
+  if (remaining === 0) {
+    return {
+      allowed: false,
+      status: 402,
+      type: 'PRACTICE_QUOTA_EXCEEDED',
+      reason: `You have used all ${plan.monthlyPracticeQuestionQuota} practice questions included in the ${plan.name} plan this month`,
+      currentPlan: plan.name,
+      remaining: 0,
+      resetsAt: getNextUsageReset(),
+      upgradePlans: getPlansWithMoreQuota(plan.name, 'monthlyPracticeQuestionQuota')
+    };
+  }
+
+  return { allowed: true, remaining };
+};
+
+// Whether the user wants notifications of a category on a channel.
+// Mandatory categories ignore every switch; the rest need both the channel and the category switch on.
+userSchema.methods.allowsNotification = function(category, channel) {
+  const definition = getCategory(category);
+  if (!definition || !definition.channels.includes(channel)) {
+    return false;
+  }
+  if (definition.mandatory) {
+    return true;
+  }
+
+  const notifications = this.preferences?.notifications || {};
+  if (notifications[channel] === false) {
+    return false;
+  }
+  const categoryPreference = notifications.categories?.[category]?.[channel];
+  return categoryPreference === undefined ? definition.defaults[channel] : categoryPreference;
+};
+
+// Channel switches and every category with its current settings
+userSchema.methods.getNotificationPreferences = function() {
+  const notifications = this.preferences?.notifications || {};
+
+  return {
+    channels: {
+      email: notifications.email !== false,
+      sms: Boolean(notifications.sms)
+    },
+    categories: Object.entries(NOTIFICATION_CATEGORIES).map(([name, definition]) => ({
+      name,
+      label: definition.label,
+      description: definition.description,
+      mandatory: Boolean(definition.mandatory),
+      channels: definition.channels,
+      settings: Object.fromEntries(definition.channels.map(channel => [
+        channel,
+        definition.mandatory ? true : (notifications.categories?.[name]?.[channel] ?? definition.defaults[channel])
+      ]))
+    }))
+  };
 };
 
 // Get public profile
@@ -433,11 +876,14 @@ userSchema.methods.getPublicProfile = function() {
       firstName: this.profile.firstName,
       lastName: this.profile.lastName,
       category: this.profile.category,
-      profilePicture: this.profile.profilePicture
+      profilePicture: isPictureUrl(this.profile.profilePicture) ? this.profile.profilePicture : '',
+      profilePictureThumbnail: this.profile.profilePictureThumbnail
     },
     subscription: {
       plan: this.subscription.plan,
+      effectivePlan: this.effectivePlan,
       status: this.subscriptionStatus,
+      validUntil: this.subscription.validUntil,
       remainingTests: this.remainingTests
     },
     statistics: {
@@ -448,8 +894,10 @@ userSchema.methods.getPublicProfile = function() {
     },
     security: {
       isVerified: this.security.isVerified,
-      lastLoginAt: this.security.lastLoginAt
+      lastLoginAt: this.security.lastLoginAt,
+      twoFactorEnabled: Boolean(this.security.twoFactor?.enabled)
     },
+    referralCode: this.metadata.referralCode,
     joinedAt: this.createdAt
   };
 };
@@ -464,10 +912,73 @@ userSchema.statics.findByEmailOrPhone = function(email, phoneNumber) {
   });
 };
 
+// Find the owner of a referral code
+userSchema.statics.findByReferralCode = function(code) {
+  const normalized = String(code || '').toUpperCase().trim();
+  if (!normalized) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ 'metadata.referralCode': normalized });
+};
+
+// Give an existing user (created before referral codes) a code, retrying on the rare collision
+userSchema.statics.ensureReferralCode = async function(user) {
+  if (user.metadata.referralCode) {
+    return user.metadata.referralCode;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = generateReferralCode();
+    try {
+      const result = await this.updateOne(
+        { _id: user._id, 'metadata.referralCode': { $in: ['', null] } },
+        { $set: { 'metadata.referralCode': code } }
+      );
+      if (result.modifiedCount === 0) {
+        // Another request assigned a code first
+        const current = await this.findById(user._id).select('metadata.referralCode');
+        user.metadata.referralCode = current.metadata.referralCode;
+        return user.metadata.referralCode;
+      }
+      user.metadata.referralCode = code;
+      return code;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not generate a unique referral code');
+};
+
+// Load a user including the hidden two-factor secrets
+userSchema.statics.findByIdWithTwoFactor = function(userId) {
+  return this.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+};
+
 userSchema.statics.findActiveUsers = function() {
   return this.find({ 'security.isActive': true });
 };
 
+// IDs of deactivated users, used to hide them from leaderboards and analytics
+userSchema.statics.getDeactivatedUserIds = function() {
+  return this.distinct('_id', { 'security.isActive': false });
+};
+
+// Deactivated accounts whose grace period has ended
+// Query conditions for a deactivated account whose reactivation window has ended
+userSchema.statics.dueForDeletionFilter = function() {
+  return {
+    'security.isActive': false,
+    'security.scheduledDeletionAt': { $lte: new Date() }
+  };
+};
+
+userSchema.statics.findAccountsDueForDeletion = function() {
+  return this.find(this.dueForDeletionFilter()).select('_id email');
+};
+
 userSchema.statics.getSubscriptionStats = function() {
   return this.aggregate([
     {
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// How often lastSeenAt is written back (avoids a write on every request)
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// User Session Schema - one document per login. The sessionId is shared with the
+// refresh token family so revoking a session also ends its refresh tokens
+const userSessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: ''
+  },
+  deviceFingerprint: {
+    type: String,
+    required: true
+  },
+  deviceName: {
+    type: String,
+    default: ''
+  },
+  deviceType: {
+    type: String,
+    enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIP: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: ''
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes (sessionId is already indexed through unique: true)
+userSessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+userSessionSchema.index({ userId: 1, deviceFingerprint: 1 });
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes sessions once expired
+
+// Virtual to check if the session can still be used
+userSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+});
+
+// Instance methods
+
+// Shape returned to the session owner
+userSessionSchema.methods.toPublicJSON = function(currentSessionId) {
+  return {
+    sessionId: this.sessionId,
+    deviceName: this.deviceName,
+    deviceType: this.deviceType,
+    ipAddress: this.lastSeenIP || this.ipAddress,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: this.sessionId === currentSessionId
+  };
+};
+
+// Static methods
+
+// Active sessions of a user, most recently used first
+userSessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Check if a device has been used by the user before
+userSessionSchema.statics.isKnownDevice = async function(userId, deviceFingerprint) {
+  const existing = await this.exists({ userId, deviceFingerprint });
+  return Boolean(existing);
+};
+
+// Record activity on a session (throttled)
+userSessionSchema.statics.touch = function(sessionId, ipAddress) {
+  return this.updateOne(
+    { sessionId, lastSeenAt: { $lt: new Date(Date.now() - LAST_SEEN_UPDATE_INTERVAL_MS) } },
+    { $set: { lastSeenAt: new Date(), lastSeenIP: ipAddress || '' } }
+  );
+};
+
+// Revoke sessions matching a filter
+userSessionSchema.statics.revokeWhere = function(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+module.exports = mongoose.model('UserSession', userSessionSchema);
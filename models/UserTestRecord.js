@@ -121,6 +121,10 @@ const userTestRecordSchema = new mongoose.Schema({
         type: Boolean,
         required: true
       },
+      marksAwarded: {
+        type: Number, // marks for this question under the test scoring and question overrides
+        default: 0
+      },
       timeSpent: {
         type: Number, // time spent on this question in seconds
         default: 0,
@@ -199,6 +203,28 @@ const userTestRecordSchema = new mongoose.Schema({
     flaggedQuestions: {
       type: [Number], // array of question indices
       default: []
+    },
+    // Sectional tests: score and cutoff result of each section (empty otherwise)
+    sectionWisePerformance: {
+      type: [{
+        index: { type: Number, required: true },
+        name: { type: String, default: '' },
+        questionCount: { type: Number, default: 0 },
+        correct: { type: Number, default: 0 },
+        wrong: { type: Number, default: 0 },
+        unanswered: { type: Number, default: 0 },
+        score: { type: Number, default: 0 },
+        maxScore: { type: Number, default: 0 },
+        percentage: { type: Number, default: 0 },
+        cutoff: { type: Number, default: null },
+        qualified: { type: Boolean, default: null }, // null when the section has no cutoff
+        timeSpent: { type: Number, default: 0 } // seconds
+      }],
+      default: []
+    },
+    qualifiedAllSections: {
+      type: Boolean,
+      default: null // null for tests without sections
     }
   },
   // Scoring system used
@@ -214,6 +240,34 @@ const userTestRecordSchema = new mongoose.Schema({
     unanswered: {
       type: Number,
       default: 0
+    },
+    preset: {
+      type: String,
+      default: 'custom'
+    },
+    negativeFraction: {
+      numerator: Number,
+      denominator: Number
+    }
+  },
+  // Test.scoringVersion the attempt was scored under
+  scoringVersion: {
+    type: Number,
+    default: 0
+  },
+  // Shuffle settings of the session, to rebuild the order the questions were served in
+  shuffle: {
+    seed: {
+      type: String,
+      default: ''
+    },
+    questions: {
+      type: Boolean,
+      default: false
+    },
+    options: {
+      type: Boolean,
+      default: false
     }
   },
   // Test completion details
@@ -289,6 +343,11 @@ const userTestRecordSchema = new mongoose.Schema({
     tags: {
       type: [String],
       default: []
+    },
+    // Last time the attempt was re-scored after an answer key correction
+    rescoredAt: {
+      type: Date,
+      default: null
     }
   }
 }, {
@@ -301,6 +360,7 @@ const userTestRecordSchema = new mongoose.Schema({
 userTestRecordSchema.index({ userId: 1, completedAt: -1 });
 userTestRecordSchema.index({ email: 1, completedAt: -1 });
 userTestRecordSchema.index({ testId: 1, completedAt: -1 });
+userTestRecordSchema.index({ testId: 1, scoringVersion: 1 });
 userTestRecordSchema.index({ testType: 1, percentage: -1 });
 userTestRecordSchema.index({ score: -1 });
 userTestRecordSchema.index({ 'completion.completedAt': -1 });
@@ -345,7 +405,10 @@ userTestRecordSchema.methods.calculateDetailedAnalytics = function() {
       hard: { correct: 0, wrong: 0, unanswered: 0, total: 0 }
     },
     averageTimePerQuestion: 0,
-    totalTimeSpent: 0
+    totalTimeSpent: 0,
+    // Section results are computed when the attempt is graded (services/testGradingService)
+    sectionWisePerformance: this.analytics?.sectionWisePerformance || [],
+    qualifiedAllSections: this.analytics?.qualifiedAllSections ?? null
   };
 
   let totalTimeSpent = 0;
@@ -413,6 +476,7 @@ userTestRecordSchema.methods.getAnswerDetails = function(questionIndex) {
     selectedOption: answerData.selectedOption,
     correctOption: answerData.correctOption,
     isCorrect: answerData.isCorrect,
+    marksAwarded: answerData.marksAwarded,
     timeSpent: answerData.timeSpent,
     attempts: answerData.attempts,
     difficulty: answerData.difficulty,
@@ -456,17 +520,22 @@ userTestRecordSchema.methods.getComparisonWithPreviousAttempts = function() {
 };
 
 // Static methods
-userTestRecordSchema.statics.getLeaderboard = function(testId, limit = 10) {
-  return this.find({ testId, 'metadata.isPublic': true })
+// Leaderboards and rankings exclude deactivated users (their records are kept for reactivation)
+userTestRecordSchema.statics.getLeaderboard = async function(testId, limit = 10) {
+  const hiddenUserIds = await mongoose.model('User').getDeactivatedUserIds();
+
+  return this.find({ testId, 'metadata.isPublic': true, userId: { $nin: hiddenUserIds } })
     .populate('userId', 'profile.firstName profile.lastName email')
     .sort({ score: -1, 'completion.completedAt': 1 })
     .limit(limit)
     .select('score percentage timeTaken completion.completedAt');
 };
 
-userTestRecordSchema.statics.getUserRanking = function(userId, testId) {
+userTestRecordSchema.statics.getUserRanking = async function(userId, testId) {
+  const hiddenUserIds = await mongoose.model('User').getDeactivatedUserIds();
+
   return this.aggregate([
-    { $match: { testId, 'metadata.isPublic': true } },
+    { $match: { testId, 'metadata.isPublic': true, userId: { $nin: hiddenUserIds } } },
     { $sort: { score: -1, 'completion.completedAt': 1 } },
     {
       $group: {
@@ -1,8 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const adminController = require('../controllers/adminController');
+const { requireAdmin } = require('../middleware/adminAuth');
+const User = require('../models/User');
+const { PLAN_NAMES } = require('../utils/subscriptionPlans');
+const { OPTIONAL_CATEGORY_NAMES } = require('../utils/notificationCategories');
+const { PRESET_NAMES, QUESTION_MARKING_MODES } = require('../utils/markingScheme');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -21,22 +26,146 @@ const upload = multer({
   }
 });
 
-// Admin login
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const { validationResult } = require('express-validator');
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.param || error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      type: 'VALIDATION_ERROR',
+      errors: formattedErrors
+    });
+  }
+  
+  next();
+};
+
+// Roles allowed to read tests and statistics
+const CONTENT_READERS = ['content-editor', 'analyst'];
+
+// Admin login (accepts "username" or the legacy "adminId" field)
 router.post('/login', [
-  body('adminId')
-    .notEmpty()
-    .withMessage('Admin ID is required')
-    .trim(),
   body('password')
     .notEmpty()
     .withMessage('Password is required')
 ], adminController.adminLogin);
 
+// Admin login step 2 - authenticator code, or the first code when enrolling
+router.post('/login/2fa', [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .if(body('backupCode').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or backup code is required')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authentication code must be 6 digits')
+    .isNumeric()
+    .withMessage('Authentication code must contain only numbers')
+], handleValidationErrors, adminController.verifyAdminTwoFactor);
+
+// Lost authenticator - send a recovery OTP to the admin email
+router.post('/login/2fa/recovery/send', [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required')
+], handleValidationErrors, adminController.sendAdminTwoFactorRecovery);
+
+// Lost authenticator - verify the recovery OTP and enroll a new authenticator
+router.post('/login/2fa/recovery/verify', [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('emailOTP')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Email OTP must be 6 digits')
+    .isNumeric()
+    .withMessage('Email OTP must contain only numbers')
+], handleValidationErrors, adminController.verifyAdminTwoFactorRecovery);
+
+// Current admin profile
+router.get('/me', requireAdmin(), adminController.getCurrentAdmin);
+
+// Replace the current admin's backup codes
+router.post('/me/backup-codes', requireAdmin(), [
+  body('code')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authentication code must be 6 digits')
+    .isNumeric()
+    .withMessage('Authentication code must contain only numbers')
+], handleValidationErrors, adminController.regenerateAdminBackupCodes);
+
+// ========================================
+// ADMIN ACCOUNT ROUTES (super-admin only)
+// ========================================
+
+// List admins
+router.get('/admins', requireAdmin('super-admin'), adminController.getAdmins);
+
+// Create admin
+router.post('/admins', requireAdmin('super-admin'), [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9._-]+$/)
+    .withMessage('Username can only contain letters, numbers, dots, underscores and hyphens'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long'),
+  body('role')
+    .isIn(['super-admin', 'content-editor', 'analyst'])
+    .withMessage('Role must be super-admin, content-editor or analyst'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+], handleValidationErrors, adminController.createAdmin);
+
+// Update admin
+router.put('/admins/:adminId', requireAdmin('super-admin'), [
+  param('adminId').isMongoId().withMessage('Invalid admin ID format'),
+  body('role')
+    .optional()
+    .isIn(['super-admin', 'content-editor', 'analyst'])
+    .withMessage('Role must be super-admin, content-editor or analyst'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('password')
+    .optional()
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please provide a valid email address'),
+  body('resetTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('resetTwoFactor must be a boolean')
+], handleValidationErrors, adminController.updateAdmin);
+
+// ========================================
+// TEST ROUTES
+// ========================================
+
 // Get all tests for admin
-router.post('/tests', adminController.getAdminTests);
+router.post('/tests', requireAdmin(CONTENT_READERS), adminController.getAdminTests);
 
 // Create new test
-router.post('/create-test', upload.single('jsonFile'), [
+router.post('/create-test', requireAdmin('content-editor'), upload.single('jsonFile'), [
   body('testName')
     .notEmpty()
     .withMessage('Test name is required')
@@ -46,55 +175,70 @@ router.post('/create-test', upload.single('jsonFile'), [
   body('duration')
     .isInt({ min: 1, max: 300 })
     .withMessage('Duration must be between 1 and 300 minutes'),
-  body('adminId')
-    .notEmpty()
-    .withMessage('Admin ID is required'),
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
+  body('scoringPreset')
+    .optional()
+    .isIn(PRESET_NAMES)
+    .withMessage(`Scoring preset must be one of: ${PRESET_NAMES.join(', ')}`)
 ], adminController.createTest);
 
 // Delete test
-router.delete('/tests/:testId', adminController.deleteTest);
+router.delete('/tests/:testId', requireAdmin('content-editor'), adminController.deleteTest);
+
+// Update test delivery settings (question/option shuffling for new sessions)
+router.put('/tests/:testId/settings', requireAdmin('content-editor'), [
+  param('testId').isMongoId().withMessage('Invalid test ID'),
+  body('shuffleQuestions').optional().isBoolean({ strict: true }).withMessage('shuffleQuestions must be true or false'),
+  body('shuffleOptions').optional().isBoolean({ strict: true }).withMessage('shuffleOptions must be true or false'),
+  body()
+    .custom(value => value.shuffleQuestions !== undefined || value.shuffleOptions !== undefined)
+    .withMessage('Provide shuffleQuestions and/or shuffleOptions')
+], handleValidationErrors, adminController.updateTestSettings);
+
+// Named marking schemes (scoringPreset for create-test and generate-test)
+router.get('/scoring-presets', requireAdmin(CONTENT_READERS), adminController.getScoringPresets);
+
+// Correct a question's answer key or marking and re-score recorded attempts
+router.put('/tests/:testId/questions/:questionIndex/scoring', requireAdmin('content-editor'), [
+  param('testId').isMongoId().withMessage('Invalid test ID'),
+  param('questionIndex').isInt({ min: 0 }).withMessage('Question index must be a non-negative integer'),
+  body('correctOption').optional().isIn(['A', 'B', 'C', 'D']).withMessage('correctOption must be A, B, C or D'),
+  body('mode').optional().isIn(QUESTION_MARKING_MODES).withMessage(`mode must be one of: ${QUESTION_MARKING_MODES.join(', ')}`),
+  body('weight').optional().isFloat({ min: 0, max: 10 }).withMessage('weight must be between 0 and 10').toFloat(),
+  body()
+    .custom(value => value.correctOption !== undefined || value.mode !== undefined || value.weight !== undefined)
+    .withMessage('Provide correctOption, mode and/or weight')
+], handleValidationErrors, adminController.updateQuestionScoring);
+
+// Progress of re-scoring a test's recorded attempts
+router.get('/tests/:testId/rescore', requireAdmin(CONTENT_READERS), [
+  param('testId').isMongoId().withMessage('Invalid test ID')
+], handleValidationErrors, adminController.getTestRescoreStatus);
 
 // Get test statistics
-router.post('/statistics', adminController.getTestStatistics);
+router.post('/statistics', requireAdmin(CONTENT_READERS), adminController.getTestStatistics);
 
 // ========================================
 // QUESTION BANK ROUTES
 // ========================================
 
 // Upload questions to question bank
-router.post('/question-bank/upload', upload.single('jsonFile'), [
-  body('adminId')
-    .notEmpty()
-    .withMessage('Admin ID is required'),
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-], adminController.uploadQuestionBank);
+router.post('/question-bank/upload', requireAdmin('content-editor'), upload.single('jsonFile'), adminController.uploadQuestionBank);
 
 // Get question bank statistics
-router.post('/question-bank/statistics', adminController.getQuestionBankStats);
+router.post('/question-bank/statistics', requireAdmin(CONTENT_READERS), adminController.getQuestionBankStats);
 
 // Get question bank list with filters
-router.post('/question-bank/list', adminController.getQuestionBankList);
+router.post('/question-bank/list', requireAdmin(CONTENT_READERS), adminController.getQuestionBankList);
 
 // Delete questions from question bank
-router.post('/question-bank/delete', [
+router.post('/question-bank/delete', requireAdmin('content-editor'), [
   body('questionIds')
     .isArray({ min: 1 })
-    .withMessage('Question IDs array is required with at least one ID'),
-  body('adminId')
-    .notEmpty()
-    .withMessage('Admin ID is required'),
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Question IDs array is required with at least one ID')
 ], adminController.deleteQuestionBankQuestions);
 
 // Generate test from question bank
-router.post('/question-bank/generate-test', [
+router.post('/question-bank/generate-test', requireAdmin('content-editor'), [
   body('testName')
     .notEmpty()
     .withMessage('Test name is required')
@@ -107,12 +251,100 @@ router.post('/question-bank/generate-test', [
   body('questionCount')
     .isInt({ min: 1, max: 200 })
     .withMessage('Question count must be between 1 and 200'),
-  body('adminId')
-    .notEmpty()
-    .withMessage('Admin ID is required'),
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
+  body('scoringPreset')
+    .optional()
+    .isIn(PRESET_NAMES)
+    .withMessage(`Scoring preset must be one of: ${PRESET_NAMES.join(', ')}`)
 ], adminController.generateTestFromQuestionBank);
 
+// ========================================
+// AUDIT LOG ROUTES (super-admin only)
+// ========================================
+
+// List audit log entries
+// Query params: action, entityType, entityId, actor, from, to, includeSnapshots, page, limit
+router.get('/audit-log', requireAdmin('super-admin'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+], handleValidationErrors, adminController.getAuditLog);
+
+// Get a single audit log entry with before/after snapshots
+router.get('/audit-log/:entryId', requireAdmin('super-admin'), [
+  param('entryId').isMongoId().withMessage('Invalid audit log entry ID')
+], handleValidationErrors, adminController.getAuditLogEntry);
+
+// ========================================
+// EMAIL TEMPLATE ROUTES
+// ========================================
+
+// List email templates
+router.get('/email-templates', requireAdmin('content-editor'), adminController.getEmailTemplates);
+
+// Preview an email template rendered with sample data
+// Query params: language (en/hi), format (json/html/text)
+router.get('/email-templates/:template/preview', requireAdmin('content-editor'), [
+  query('language').optional().isIn(['en', 'hi', 'English', 'Hindi']).withMessage('Language must be en or hi'),
+  query('format').optional().isIn(['json', 'html', 'text']).withMessage('Format must be json, html or text')
+], handleValidationErrors, adminController.previewEmailTemplate);
+
+// ========================================
+// NOTIFICATION ROUTES
+// ========================================
+
+// Profile categories a broadcast can be limited to
+const PROFILE_CATEGORIES = User.schema.path('profile.category').enumValues;
+
+// Broadcast an in-app notification to all users or a segment
+// (segment.categories, segment.plans, segment.inactiveSince; dryRun only counts recipients)
+router.post('/notifications/broadcast', requireAdmin('content-editor'), [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Title is required')
+    .isLength({ max: 150 })
+    .withMessage('Title cannot exceed 150 characters'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+  body('link')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Link cannot exceed 500 characters'),
+  body('category')
+    .optional()
+    .isIn(OPTIONAL_CATEGORY_NAMES)
+    .withMessage(`Category must be one of: ${OPTIONAL_CATEGORY_NAMES.join(', ')}`),
+  body('segment')
+    .optional()
+    .isObject()
+    .withMessage('Segment must be an object'),
+  body('segment.categories')
+    .optional()
+    .isArray()
+    .withMessage('segment.categories must be an array'),
+  body('segment.categories.*')
+    .isIn(PROFILE_CATEGORIES)
+    .withMessage(`Category must be one of: ${PROFILE_CATEGORIES.join(', ')}`),
+  body('segment.plans')
+    .optional()
+    .isArray()
+    .withMessage('segment.plans must be an array'),
+  body('segment.plans.*')
+    .isIn(PLAN_NAMES)
+    .withMessage(`Plan must be one of: ${PLAN_NAMES.join(', ')}`),
+  body('segment.inactiveSince')
+    .optional()
+    .isISO8601()
+    .withMessage('segment.inactiveSince must be an ISO 8601 date'),
+  body('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dryRun must be true or false')
+], handleValidationErrors, adminController.broadcastNotification);
+
 module.exports = router;
\ No newline at end of file
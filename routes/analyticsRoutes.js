@@ -2,32 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { param, query } = require('express-validator');
 const analyticsController = require('../controllers/analyticsController');
+const { requireAdmin } = require('../middleware/adminAuth');
 
-// Admin authentication middleware
-const authenticateAdmin = (req, res, next) => {
-  // Get credentials from headers (preferred for GET requests) or body
-  const adminId = req.headers['x-admin-id'] || (req.body && req.body.adminId);
-  const password = req.headers['x-admin-password'] || (req.body && req.body.password);
-
-  if (!adminId || !password) {
-    return res.status(401).json({
-      success: false,
-      message: 'Admin authentication required. Please provide x-admin-id and x-admin-password headers.',
-      type: 'ADMIN_AUTH_REQUIRED'
-    });
-  }
-
-  // Verify admin credentials
-  if (adminId !== process.env.ADMIN_ID || password !== process.env.ADMIN_PASSWORD) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid admin credentials',
-      type: 'INVALID_ADMIN_CREDENTIALS'
-    });
-  }
-
-  next();
-};
+// Analytics is available to analysts (and super-admins)
+const authenticateAdmin = requireAdmin('analyst');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -138,6 +116,17 @@ router.get('/users/:userId/export',
   analyticsController.exportUserData
 );
 
+/**
+ * Per-question answer statistics of a test
+ * GET /api/admin/analytics/tests/:testId/question-stats
+ */
+router.get('/tests/:testId/question-stats',
+  authenticateAdmin,
+  [param('testId').isMongoId().withMessage('Invalid test ID format')],
+  handleValidationErrors,
+  analyticsController.getTestQuestionStats
+);
+
 // Health check for analytics service
 router.get('/health', (req, res) => {
   res.json({
@@ -153,9 +142,12 @@ router.get('/health', (req, res) => {
         testHistory: 'GET /api/admin/analytics/users/:userId/test-history',
         practiceHistory: 'GET /api/admin/analytics/users/:userId/practice-history',
         export: 'GET /api/admin/analytics/users/:userId/export'
+      },
+      tests: {
+        questionStats: 'GET /api/admin/analytics/tests/:testId/question-stats'
       }
     },
-    authentication: 'Required: x-admin-id and x-admin-password headers'
+    authentication: 'Required: admin Bearer token (analyst or super-admin) from POST /api/admin/login and /api/admin/login/2fa'
   });
 });
 
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { body, param } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
 const authController = require('../controllers/authController');
+const analyticsController = require('../controllers/analyticsController');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -44,7 +46,12 @@ const validateSignupOTP = [
     .isLength({ min: 10, max: 15 })
     .withMessage('Phone number must be between 10 and 15 characters')
     .matches(/^[\+]?[1-9][\d\s\-\(\)]{8,}$/)
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+
+  body('language')
+    .optional()
+    .isIn(['English', 'Hindi'])
+    .withMessage('Language must be English or Hindi')
 ];
 
 const validateVerifySignupOTP = [
@@ -94,7 +101,15 @@ const validateCompleteSignup = [
     .optional()
     .isLength({ max: 50 })
     .withMessage('Last name cannot exceed 50 characters')
+    .trim(),
+
+  body('referralCode')
+    .optional({ checkFalsy: true })
     .trim()
+    .isAlphanumeric()
+    .withMessage('Referral code can only contain letters and numbers')
+    .isLength({ min: 6, max: 12 })
+    .withMessage('Referral code must be between 6 and 12 characters')
 ];
 
 // Validation rules for login flow
@@ -113,6 +128,62 @@ const validateLogin = [
     .withMessage('Password must be at least 8 characters long')
 ];
 
+const validateSendLoginOTP = [
+  body('identifier')
+    .notEmpty()
+    .withMessage('Email or phone number is required')
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Identifier must be between 5 and 100 characters')
+    .trim(),
+
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms'])
+    .withMessage('Channel must be email or sms')
+];
+
+const validateVerifyLoginOTP = [
+  body('sessionKey')
+    .notEmpty()
+    .withMessage('Session key is required')
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Invalid session key format'),
+
+  body('otp')
+    .notEmpty()
+    .withMessage('OTP is required')
+    .isLength({ min: 4, max: 8 })
+    .withMessage('OTP must be between 4 and 8 digits')
+    .isNumeric()
+    .withMessage('OTP must contain only numbers')
+];
+
+// Validation rules for two-factor authentication
+const validateTwoFactorToken = [
+  body('twoFactorToken')
+    .notEmpty()
+    .withMessage('Two-factor token is required')
+    .isJWT()
+    .withMessage('Invalid two-factor token format')
+];
+
+// Either a current authenticator code or an unused backup code
+const validateSecondFactor = [
+  body('code')
+    .if(body('backupCode').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or backup code is required')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Authentication code must be 6 digits')
+    .isNumeric()
+    .withMessage('Authentication code must contain only numbers'),
+
+  body('backupCode')
+    .optional()
+    .isLength({ min: 8, max: 12 })
+    .withMessage('Invalid backup code format')
+];
+
 // Validation rules for forgot password flow
 const validateForgotPassword = [
   body('identifier')
@@ -206,6 +277,51 @@ router.post('/login',
   authController.login
 );
 
+// Passwordless login - send OTP to email or phone
+router.post('/login/otp/send', 
+  validateSendLoginOTP, 
+  handleValidationErrors, 
+  authController.sendLoginOTP
+);
+
+// Passwordless login - verify OTP and issue tokens
+router.post('/login/otp/verify', 
+  validateVerifyLoginOTP, 
+  handleValidationErrors, 
+  authController.verifyLoginOTP
+);
+
+// Login step 2 for accounts with two-factor authentication
+router.post('/login/2fa', 
+  validateTwoFactorToken, 
+  validateSecondFactor, 
+  handleValidationErrors, 
+  authController.verifyTwoFactorLogin
+);
+
+// Lost authenticator - send a recovery OTP to the verified email
+router.post('/login/2fa/recovery/send', 
+  validateTwoFactorToken, 
+  handleValidationErrors, 
+  authController.sendTwoFactorRecovery
+);
+
+// Lost authenticator - verify the recovery OTP, turn 2FA off and login
+router.post('/login/2fa/recovery/verify', 
+  validateTwoFactorToken, 
+  [
+    body('emailOTP')
+      .notEmpty()
+      .withMessage('Email OTP is required')
+      .isLength({ min: 6, max: 6 })
+      .withMessage('Email OTP must be 6 digits')
+      .isNumeric()
+      .withMessage('Email OTP must contain only numbers')
+  ],
+  handleValidationErrors, 
+  authController.verifyTwoFactorRecovery
+);
+
 // FORGOT PASSWORD ROUTES
 
 // Forgot password - send reset OTP
@@ -226,6 +342,7 @@ router.post('/reset-password',
 
 // Resend OTP (works for both signup and login flows)
 router.post('/resend-otp', 
+  optionalAuth, // contact change sessions can only be resent by their owner
   validateResendOTP, 
   handleValidationErrors, 
   authController.resendOTP
@@ -246,13 +363,49 @@ router.get('/verify-token',
   authController.verifyToken
 );
 
+// Refresh access token (rotates the refresh token)
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isLength({ max: 200 })
+    .withMessage('Invalid refresh token format')
+], handleValidationErrors, authController.refreshToken);
+
 // Logout (protected route)
 router.post('/logout', 
   authenticateToken, 
   authController.logout
 );
 
-// PASSWORD MANAGEMENT ROUTES (Future implementation)
+// Logout from all devices (protected route)
+router.post('/logout-all', 
+  authenticateToken, 
+  authController.logoutAll
+);
+
+// SESSION MANAGEMENT ROUTES
+
+// List active sessions/devices (protected route)
+router.get('/sessions', 
+  authenticateToken, 
+  authController.getSessions
+);
+
+// Revoke a single session (protected route)
+router.delete('/sessions/:sessionId', 
+  authenticateToken,
+  [
+    param('sessionId')
+      .isHexadecimal()
+      .isLength({ min: 32, max: 32 })
+      .withMessage('Invalid session ID format')
+  ],
+  handleValidationErrors,
+  authController.revokeUserSession
+);
+
+// PASSWORD MANAGEMENT ROUTES
 
 // Change password (protected route)
 router.post('/change-password', 
@@ -268,21 +421,124 @@ router.post('/change-password',
       .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
   ],
   handleValidationErrors,
-  async (req, res) => {
-    // TODO: Implement change password functionality
-    res.status(501).json({
-      success: false,
-      message: 'Change password feature coming soon',
-      type: 'NOT_IMPLEMENTED'
-    });
-  }
+  authController.changePassword
+);
+
+// CONTACT CHANGE ROUTES (protected)
+
+// Change email or phone number - send OTPs to the current and the new contact
+router.post('/change-contact', 
+  authenticateToken,
+  [
+    body('field')
+      .isIn(['email', 'phoneNumber'])
+      .withMessage('Field must be email or phoneNumber'),
+    body('newValue')
+      .notEmpty()
+      .withMessage('New email or phone number is required')
+      .isLength({ min: 5, max: 100 })
+      .withMessage('New value must be between 5 and 100 characters'),
+    body('newValue')
+      .if(body('field').equals('email'))
+      .isEmail()
+      .withMessage('Please provide a valid email address'),
+    body('newValue')
+      .if(body('field').equals('phoneNumber'))
+      .matches(/^[\+]?[1-9][\d\s\-\(\)]{8,}$/)
+      .withMessage('Please provide a valid phone number')
+  ],
+  handleValidationErrors,
+  authController.requestContactChange
+);
+
+// Change email or phone number - verify both OTPs and apply the change
+router.post('/change-contact/verify', 
+  authenticateToken,
+  [
+    body('sessionKey')
+      .notEmpty()
+      .withMessage('Session key is required')
+      .isLength({ min: 10, max: 200 })
+      .withMessage('Invalid session key format'),
+    body('currentOTP')
+      .optional()
+      .isLength({ min: 4, max: 8 })
+      .withMessage('Current OTP must be between 4 and 8 digits')
+      .isNumeric()
+      .withMessage('Current OTP must contain only numbers'),
+    body('newOTP')
+      .optional()
+      .isLength({ min: 4, max: 8 })
+      .withMessage('New OTP must be between 4 and 8 digits')
+      .isNumeric()
+      .withMessage('New OTP must contain only numbers')
+  ],
+  handleValidationErrors,
+  authController.verifyContactChange
+);
+
+// TWO-FACTOR AUTHENTICATION ROUTES (protected)
+
+// Two-factor status
+router.get('/2fa/status', 
+  authenticateToken, 
+  authController.getTwoFactorStatus
+);
+
+// Start enrollment - returns the secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', 
+  authenticateToken,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+  handleValidationErrors,
+  authController.setupTwoFactor
+);
+
+// Confirm enrollment with the first code - returns backup codes
+router.post('/2fa/enable', 
+  authenticateToken,
+  [
+    body('code')
+      .notEmpty()
+      .withMessage('Authentication code is required')
+      .isLength({ min: 6, max: 6 })
+      .withMessage('Authentication code must be 6 digits')
+      .isNumeric()
+      .withMessage('Authentication code must contain only numbers')
+  ],
+  handleValidationErrors,
+  authController.enableTwoFactor
+);
+
+// Turn two-factor authentication off
+router.post('/2fa/disable', 
+  authenticateToken,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required')
+  ],
+  validateSecondFactor,
+  handleValidationErrors,
+  authController.disableTwoFactorAuth
+);
+
+// Replace backup codes
+router.post('/2fa/backup-codes', 
+  authenticateToken,
+  validateSecondFactor,
+  handleValidationErrors,
+  authController.regenerateTwoFactorBackupCodes
 );
 
 // ADMIN ROUTES (Future implementation)
 
 // Admin endpoint to check user status
 router.get('/admin/user/:userId', 
-  authenticateToken, // Add admin authentication middleware later
+  requireAdmin('analyst'),
   [
     param('userId').isMongoId().withMessage('Invalid user ID format')
   ],
@@ -312,42 +568,78 @@ router.post('/deactivate-account',
       .withMessage('Reason cannot exceed 500 characters')
   ],
   handleValidationErrors,
-  async (req, res) => {
-    // TODO: Implement account deactivation
-    res.status(501).json({
-      success: false,
-      message: 'Account deactivation feature coming soon',
-      type: 'NOT_IMPLEMENTED'
-    });
-  }
+  authController.deactivateAccount
 );
 
-// Reactivate account
+// Reactivate account - Step 1: verify password and send OTP
 router.post('/reactivate-account', [
   body('identifier').notEmpty().withMessage('Email or phone number is required'),
   body('password').notEmpty().withMessage('Password is required')
-], handleValidationErrors, async (req, res) => {
-  // TODO: Implement account reactivation
-  res.status(501).json({
-    success: false,
-    message: 'Account reactivation feature coming soon',
-    type: 'NOT_IMPLEMENTED'
-  });
-});
+], handleValidationErrors, authController.reactivateAccount);
+
+// Reactivate account - Step 2: verify OTP and restore account
+router.post('/reactivate-account/verify', [
+  body('sessionKey').notEmpty().withMessage('Session key is required'),
+  body('emailOTP')
+    .notEmpty()
+    .withMessage('Email OTP is required')
+    .isLength({ min: 6, max: 6 })
+    .withMessage('Email OTP must be 6 digits')
+    .isNumeric()
+    .withMessage('Email OTP must contain only numbers')
+], handleValidationErrors, authController.verifyReactivation);
+
+// Delete account - Step 1: verify password (and 2FA code when enabled) and send email OTP
+router.post('/delete-account', 
+  authenticateToken,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required for account deletion'),
+    body('code')
+      .optional()
+      .isLength({ min: 6, max: 6 })
+      .withMessage('Authentication code must be 6 digits')
+      .isNumeric()
+      .withMessage('Authentication code must contain only numbers'),
+    body('backupCode')
+      .optional()
+      .isLength({ min: 8, max: 12 })
+      .withMessage('Invalid backup code format')
+  ],
+  handleValidationErrors,
+  authController.requestAccountDeletion
+);
+
+// Delete account - Step 2: verify OTP and permanently delete the account
+router.post('/delete-account/confirm', 
+  authenticateToken,
+  [
+    body('sessionKey').notEmpty().withMessage('Session key is required'),
+    body('emailOTP')
+      .notEmpty()
+      .withMessage('Email OTP is required')
+      .isLength({ min: 6, max: 6 })
+      .withMessage('Email OTP must be 6 digits')
+      .isNumeric()
+      .withMessage('Email OTP must contain only numbers')
+  ],
+  handleValidationErrors,
+  authController.confirmAccountDeletion
+);
 
 // ANALYTICS AND MONITORING ROUTES
 
 // Get authentication analytics (protected admin route)
+// Query params: from, to (ISO dates, default last 30 days)
 router.get('/analytics/auth-stats', 
-  authenticateToken, // Add admin middleware later
-  async (req, res) => {
-    // TODO: Implement auth analytics
-    res.status(501).json({
-      success: false,
-      message: 'Authentication analytics coming soon',
-      type: 'NOT_IMPLEMENTED'
-    });
-  }
+  requireAdmin('analyst'),
+  [
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+  ],
+  handleValidationErrors,
+  analyticsController.getAuthStats
 );
 
 // HEALTH CHECK AND STATUS ROUTES
@@ -366,7 +658,12 @@ router.get('/health', (req, res) => {
         complete: 'POST /api/auth/signup/complete'
       },
       login: {
-        login: 'POST /api/auth/login'
+        login: 'POST /api/auth/login',
+        sendLoginOTP: 'POST /api/auth/login/otp/send',
+        verifyLoginOTP: 'POST /api/auth/login/otp/verify',
+        verifyTwoFactor: 'POST /api/auth/login/2fa',
+        sendTwoFactorRecovery: 'POST /api/auth/login/2fa/recovery/send',
+        verifyTwoFactorRecovery: 'POST /api/auth/login/2fa/recovery/verify'
       },
       forgotPassword: {
         sendResetOTP: 'POST /api/auth/forgot-password',
@@ -376,10 +673,37 @@ router.get('/health', (req, res) => {
         resendOTP: 'POST /api/auth/resend-otp',
         sessionStatus: 'GET /api/auth/session/:sessionKey/status',
         verifyToken: 'GET /api/auth/verify-token',
-        logout: 'POST /api/auth/logout'
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all'
+      },
+      sessions: {
+        list: 'GET /api/auth/sessions',
+        revoke: 'DELETE /api/auth/sessions/:sessionId'
+      },
+      analytics: {
+        authStats: 'GET /api/auth/analytics/auth-stats [ADMIN]'
+      },
+      password: {
+        changePassword: 'POST /api/auth/change-password'
+      },
+      contact: {
+        changeContact: 'POST /api/auth/change-contact',
+        verifyContactChange: 'POST /api/auth/change-contact/verify'
+      },
+      twoFactor: {
+        status: 'GET /api/auth/2fa/status',
+        setup: 'POST /api/auth/2fa/setup',
+        enable: 'POST /api/auth/2fa/enable',
+        disable: 'POST /api/auth/2fa/disable',
+        regenerateBackupCodes: 'POST /api/auth/2fa/backup-codes'
       },
-      future: {
-        changePassword: 'POST /api/auth/change-password [COMING SOON]'
+      account: {
+        deactivate: 'POST /api/auth/deactivate-account',
+        reactivate: 'POST /api/auth/reactivate-account',
+        verifyReactivation: 'POST /api/auth/reactivate-account/verify',
+        delete: 'POST /api/auth/delete-account',
+        confirmDeletion: 'POST /api/auth/delete-account/confirm'
       }
     }
   });
@@ -388,12 +712,12 @@ router.get('/health', (req, res) => {
 // Service status with detailed information
 router.get('/status', (req, res) => {
   const { testEmailConnection } = require('../services/emailService');
-  const { testTwilioConnection } = require('../services/smsService');
+  const { testSMSConnection, getSMSProvider } = require('../services/smsService');
   
   // Test service connections
   Promise.all([
     testEmailConnection(),
-    testTwilioConnection()
+    testSMSConnection()
   ]).then(([emailStatus, smsStatus]) => {
     res.json({
       success: true,
@@ -407,7 +731,7 @@ router.get('/status', (req, res) => {
         },
         sms: {
           status: smsStatus ? 'Connected' : 'Disconnected',
-          provider: 'Twilio'
+          provider: getSMSProvider().name
         },
         database: {
           status: 'Connected', // Assume connected if this route works
@@ -417,11 +741,19 @@ router.get('/status', (req, res) => {
       features: {
         signup: 'Available',
         login: 'Available',
+        otpLogin: 'Available',
         forgotPassword: 'Available',
         resetPassword: 'Available',
+        changePassword: 'Available',
+        contactChange: 'Available',
+        twoFactorAuthentication: 'Available',
+        accountDeactivation: 'Available',
+        accountDeletion: 'Available',
         otpVerification: 'Available',
         passwordAuthentication: 'Available',
-        jwtTokens: 'Available'
+        jwtTokens: 'Available',
+        refreshTokens: 'Available',
+        sessionManagement: 'Available'
       }
     });
   }).catch(error => {
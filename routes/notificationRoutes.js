@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const notificationController = require('../controllers/notificationController');
+const { CATEGORY_NAMES, getCategory } = require('../utils/notificationCategories');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const { validationResult } = require('express-validator');
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.param || error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      type: 'VALIDATION_ERROR',
+      errors: formattedErrors
+    });
+  }
+
+  next();
+};
+
+// Validation rules
+
+// { results: { email: false }, reminders: { sms: true } } - only optional categories and their own channels
+const isValidCategorySettings = (categories) => {
+  if (typeof categories !== 'object' || categories === null || Array.isArray(categories)) {
+    throw new Error('Categories must be an object');
+  }
+
+  Object.entries(categories).forEach(([name, settings]) => {
+    const category = getCategory(name);
+    if (!category) {
+      throw new Error(`Unknown notification category: ${name}`);
+    }
+    if (category.mandatory) {
+      throw new Error(`${category.label} cannot be turned off`);
+    }
+    if (typeof settings !== 'object' || settings === null) {
+      throw new Error(`Settings for ${name} must be an object`);
+    }
+    Object.entries(settings).forEach(([channel, enabled]) => {
+      if (!category.channels.includes(channel)) {
+        throw new Error(`${category.label} are not sent by ${channel}`);
+      }
+      if (typeof enabled !== 'boolean') {
+        throw new Error(`${name}.${channel} must be true or false`);
+      }
+    });
+  });
+  return true;
+};
+
+const validatePreferencesUpdate = [
+  body('channels.email')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('channels.email must be true or false'),
+  body('channels.sms')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('channels.sms must be true or false'),
+  body('categories')
+    .optional()
+    .custom(isValidCategorySettings),
+  body()
+    .custom(value => value.channels !== undefined || value.categories !== undefined)
+    .withMessage('Provide channels and/or categories to update')
+];
+
+const validateInboxQuery = [
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('unread must be true or false'),
+  query('category')
+    .optional()
+    .isIn(CATEGORY_NAMES)
+    .withMessage(`Category must be one of: ${CATEGORY_NAMES.join(', ')}`),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateUnsubscribeToken = [
+  query('token')
+    .optional()
+    .isJWT()
+    .withMessage('Invalid unsubscribe link'),
+  body('token')
+    .optional()
+    .isJWT()
+    .withMessage('Invalid unsubscribe link')
+];
+
+// INBOX ROUTES
+
+// In-app notifications of the current user
+router.get('/',
+  authenticateToken,
+  validateInboxQuery,
+  handleValidationErrors,
+  notificationController.getNotifications
+);
+
+// Unread badge count
+router.get('/unread-count',
+  authenticateToken,
+  notificationController.getUnreadCount
+);
+
+// Mark every notification as read
+router.put('/read-all',
+  authenticateToken,
+  notificationController.markAllNotificationsRead
+);
+
+// Mark one notification as read
+router.put('/:notificationId/read',
+  authenticateToken,
+  param('notificationId').isMongoId().withMessage('Invalid notification ID'),
+  handleValidationErrors,
+  notificationController.markNotificationRead
+);
+
+// PREFERENCE ROUTES
+
+// Channel switches and per-category settings
+router.get('/preferences',
+  authenticateToken,
+  notificationController.getPreferences
+);
+
+// Update channel switches and/or category settings
+router.put('/preferences',
+  authenticateToken,
+  validatePreferencesUpdate,
+  handleValidationErrors,
+  notificationController.updatePreferences
+);
+
+// UNSUBSCRIBE ROUTES (authenticated by the signed token in the email link)
+
+// What an unsubscribe link applies to (does not unsubscribe)
+router.get('/unsubscribe',
+  validateUnsubscribeToken,
+  handleValidationErrors,
+  notificationController.getUnsubscribeDetails
+);
+
+// Unsubscribe from the link's category (unsubscribe page or one-click from the mail client)
+router.post('/unsubscribe',
+  validateUnsubscribeToken,
+  handleValidationErrors,
+  notificationController.unsubscribe
+);
+
+// Health check for notification service
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    service: 'Notification Service',
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    endpoints: {
+      inbox: 'GET /api/user/notifications',
+      unreadCount: 'GET /api/user/notifications/unread-count',
+      markRead: 'PUT /api/user/notifications/:notificationId/read',
+      markAllRead: 'PUT /api/user/notifications/read-all',
+      preferences: 'GET|PUT /api/user/notifications/preferences',
+      unsubscribeDetails: 'GET /api/user/notifications/unsubscribe?token=',
+      unsubscribe: 'POST /api/user/notifications/unsubscribe'
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const paymentController = require('../controllers/paymentController');
+const { getPurchasablePlans } = require('../utils/subscriptionPlans');
+const { isValidGSTIN } = require('../utils/gst');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const { validationResult } = require('express-validator');
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => ({
+      field: error.param || error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      type: 'VALIDATION_ERROR',
+      errors: formattedErrors
+    });
+  }
+
+  next();
+};
+
+// Validation rules
+const validateOrderId = [
+  param('orderId').isMongoId().withMessage('Invalid order ID format')
+];
+
+const validateCreateOrder = [
+  body('plan')
+    .custom(plan => getPurchasablePlans().includes(plan))
+    .withMessage(`Plan must be one of: ${getPurchasablePlans().join(', ')}`),
+  body('billing.name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Billing name cannot exceed 100 characters'),
+  body('billing.gstin')
+    .optional({ checkFalsy: true })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGSTIN)
+    .withMessage('Please provide a valid GSTIN'),
+  body('billing.stateCode')
+    .optional({ checkFalsy: true })
+    .matches(/^\d{2}$/)
+    .withMessage('State code must be the 2 digit GST state code'),
+  body('billing.address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Billing address cannot exceed 300 characters')
+];
+
+// PLAN AND ORDER ROUTES
+
+// Plan catalogue with prices (public)
+router.get('/plans',
+  [
+    query('stateCode')
+      .optional()
+      .matches(/^\d{2}$/)
+      .withMessage('State code must be the 2 digit GST state code')
+  ],
+  handleValidationErrors,
+  paymentController.getPlans
+);
+
+// Create an order for a plan
+router.post('/orders',
+  authenticateToken,
+  validateCreateOrder,
+  handleValidationErrors,
+  paymentController.createOrder
+);
+
+// Current user's orders
+router.get('/orders',
+  authenticateToken,
+  paymentController.getOrders
+);
+
+// Checkout callback - verify the payment signature and activate the plan
+router.post('/orders/:orderId/verify',
+  authenticateToken,
+  validateOrderId,
+  [
+    body('gatewayPaymentId')
+      .notEmpty()
+      .withMessage('Payment ID is required')
+      .isLength({ max: 100 })
+      .withMessage('Invalid payment ID'),
+    body('signature')
+      .notEmpty()
+      .withMessage('Payment signature is required')
+      .isLength({ max: 200 })
+      .withMessage('Invalid payment signature')
+  ],
+  handleValidationErrors,
+  paymentController.verifyPayment
+);
+
+// Invoice for a paid order
+router.get('/invoices/:invoiceId',
+  authenticateToken,
+  [
+    param('invoiceId').isMongoId().withMessage('Invalid invoice ID format')
+  ],
+  handleValidationErrors,
+  paymentController.getInvoice
+);
+
+// GATEWAY ROUTES
+
+// Payment gateway webhook (authenticated by its signature)
+router.post('/webhook', paymentController.handleWebhook);
+
+// Local gateway only - simulate the customer paying (or failing to pay) an order
+router.post('/local/orders/:orderId/simulate',
+  authenticateToken,
+  validateOrderId,
+  [
+    body('outcome')
+      .optional()
+      .isIn(['success', 'failure'])
+      .withMessage('Outcome must be success or failure')
+  ],
+  handleValidationErrors,
+  paymentController.simulateLocalPayment
+);
+
+// ADMIN ROUTES
+
+// All orders
+router.get('/admin/orders',
+  requireAdmin('analyst'),
+  [
+    query('status')
+      .optional()
+      .isIn(['created', 'paid', 'failed', 'refunding', 'refunded'])
+      .withMessage('Invalid order status'),
+    query('userId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID format')
+  ],
+  handleValidationErrors,
+  paymentController.getAllOrders
+);
+
+// Refund what is left of an order and downgrade the plan
+router.post('/admin/orders/:orderId/refund',
+  requireAdmin('super-admin'),
+  validateOrderId,
+  [
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('Refund reason is required')
+      .isLength({ max: 500 })
+      .withMessage('Refund reason cannot exceed 500 characters')
+  ],
+  handleValidationErrors,
+  paymentController.refundOrderByAdmin
+);
+
+// Health check for payment service
+router.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    service: 'Payment Service',
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    endpoints: {
+      plans: 'GET /api/payments/plans',
+      createOrder: 'POST /api/payments/orders',
+      orders: 'GET /api/payments/orders',
+      verifyPayment: 'POST /api/payments/orders/:orderId/verify',
+      invoice: 'GET /api/payments/invoices/:invoiceId',
+      webhook: 'POST /api/payments/webhook',
+      simulateLocalPayment: 'POST /api/payments/local/orders/:orderId/simulate [DEV]',
+      adminOrders: 'GET /api/payments/admin/orders [ADMIN]',
+      refund: 'POST /api/payments/admin/orders/:orderId/refund [SUPER-ADMIN]'
+    }
+  });
+});
+
+module.exports = router;
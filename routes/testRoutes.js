@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { query, param } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const testController = require('../controllers/testController');
 
@@ -43,6 +43,26 @@ const validateObjectId = [
   param('sessionId').optional().isMongoId().withMessage('Invalid session ID format')
 ];
 
+const validateAnswerAutosave = [
+  param('sessionId').notEmpty().withMessage('Session ID is required'),
+  body('answers')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Answers must be an array of 1 to 200 changes'),
+  body('answers.*.questionIndex')
+    .isInt({ min: 0 })
+    .withMessage('Question index must be a non-negative integer')
+    .toInt(),
+  body('answers.*.selectedOption')
+    .optional({ values: 'null' })
+    .isIn(['A', 'B', 'C', 'D', ''])
+    .withMessage('Selected option must be A, B, C, D or empty'),
+  body('answers.*.timeSpent')
+    .optional()
+    .isFloat({ min: 0, max: 86400 })
+    .withMessage('Time spent must be a number of seconds')
+    .toFloat()
+];
+
 const validateLeaderboardQuery = [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
 ];
@@ -66,6 +86,7 @@ router.get('/type/:testType',
 
 // Get specific test by ID
 router.get('/:id', 
+  optionalAuth,
   validateObjectId,
   handleValidationErrors,
   testController.getTestById
@@ -100,6 +121,14 @@ router.post('/:sessionId/submit',
   testController.submitTest
 );
 
+// Autosave answer changes while the test is running
+router.patch('/:sessionId/answers',
+  authenticateToken,
+  validateAnswerAutosave,
+  handleValidationErrors,
+  testController.saveAnswers
+);
+
 // End test session (for early termination)
 router.post('/:sessionId/end', 
   authenticateToken,
@@ -407,6 +436,7 @@ router.get('/health/status', (req, res) => {
       getTestsByType: 'GET /api/tests/type/:testType',
       getTestById: 'GET /api/tests/:id',
       startSession: 'POST /api/tests/:id/start',
+      saveAnswers: 'PATCH /api/tests/:sessionId/answers',
       submitTest: 'POST /api/tests/:sessionId/submit',
       endSession: 'POST /api/tests/:sessionId/end',
       getSessionStatus: 'GET /api/tests/session/:sessionId/status',
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { body, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const userController = require('../controllers/userController');
+const { MAX_PROFILE_PICTURE_BYTES, ALLOWED_MIME_TYPES } = require('../services/profilePictureService');
 
 // Import untimed practice controller
 const untimedPracticeController = require('../controllers/untimedPracticeController');
@@ -30,6 +32,49 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Configure multer for profile picture uploads (kept in memory, resized before storage)
+const pictureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PROFILE_PICTURE_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'picture'), false);
+    }
+  }
+});
+
+// Accept a single "picture" file and answer upload errors with 400 instead of the global 500
+const handlePictureUpload = (req, res, next) => {
+  pictureUpload.single('picture')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `Image cannot be larger than ${MAX_PROFILE_PICTURE_BYTES / (1024 * 1024)}MB`,
+        type: 'IMAGE_TOO_LARGE'
+      });
+    }
+
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a single JPEG, PNG or WebP image in the "picture" field',
+        type: 'INVALID_IMAGE_TYPE'
+      });
+    }
+
+    next(error);
+  });
+};
+
 // Validation rules
 const validateObjectId = [
   param('recordId').isMongoId().withMessage('Invalid record ID format'),
@@ -123,6 +168,19 @@ router.get('/profile',
   }
 );
 
+// Upload a profile picture (multipart/form-data, field "picture")
+router.post('/profile/picture', 
+  authenticateToken, 
+  handlePictureUpload, 
+  userController.uploadProfilePicture
+);
+
+// Remove the profile picture
+router.delete('/profile/picture', 
+  authenticateToken, 
+  userController.deleteProfilePicture
+);
+
 // Feedback and Review Routes
 
 // Submit feedback for a specific test attempt
@@ -344,6 +402,24 @@ router.post('/untimed-practice/reset',
   untimedPracticeController.resetProgress
 );
 
+// Plan, entitlements and monthly usage
+router.get('/subscription', 
+  authenticateToken, 
+  userController.getSubscription
+);
+
+// Referral code, reward rules and referral status
+router.get('/referrals', 
+  authenticateToken, 
+  userController.getReferrals
+);
+
+// Download a ZIP of all personal data (account JSON, test attempts and practice answers as CSV)
+router.get('/data-export', 
+  authenticateToken, 
+  userController.exportUserData
+);
+
 // Health check for user service
 router.get('/health', (req, res) => {
   res.json({
@@ -356,10 +432,15 @@ router.get('/health', (req, res) => {
       dashboard: 'GET /api/user/dashboard',
       history: 'GET /api/user/history',
       profile: 'GET|PUT /api/user/profile',
+      profilePicture: 'POST|DELETE /api/user/profile/picture',
       feedback: 'POST /api/user/attempts/:recordId/feedback',
       statistics: 'GET /api/user/statistics/*',
       progress: 'GET /api/user/progress',
       ranking: 'GET /api/user/ranking/:testId',
+      subscription: 'GET /api/user/subscription',
+      referrals: 'GET /api/user/referrals',
+      dataExport: 'GET /api/user/data-export',
+      notificationPreferences: 'GET|PUT /api/user/notifications/preferences',
       // NEW: Untimed practice endpoints
       'untimed-practice': {
         next: 'GET /api/user/untimed-practice/next',
@@ -10,6 +10,12 @@ const adminRoutes = require('./routes/adminRoutes');
 const userRoutes = require('./routes/userRoutes');
 const feedbackRoutes = require('./routes/feedbackRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const { scheduleAccountCleanup } = require('./utils/accountCleanup');
+const { scheduleSessionSweeper } = require('./utils/testSessionSweeper');
+const { getStaticMount } = require('./services/storageService');
+const Admin = require('./models/Admin');
 
 const app = express();
 
@@ -24,11 +30,19 @@ app.use(cors({
     process.env.FRONTEND_URL
   ].filter(Boolean),
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-id', 'x-admin-password']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-device-id']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Security headers
@@ -56,6 +70,17 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Uploaded files (profile pictures) when the storage provider keeps them on this server.
+// File names change with every upload, so they can be cached indefinitely.
+const uploadsMount = getStaticMount();
+if (uploadsMount) {
+  app.use(uploadsMount.urlPath, express.static(uploadsMount.directory, {
+    index: false,
+    immutable: true,
+    maxAge: '365d'
+  }));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tests', testRoutes);
@@ -63,7 +88,9 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/admin/analytics', analyticsRoutes); // NEW: Analytics routes
 app.use('/api/user', userRoutes);
 app.use('/api/user/untimed-practice', require('./routes/untimedPracticeRoutes'));
+app.use('/api/user/notifications', notificationRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Global error handling middleware
 app.use((err, req, res, next) => {
@@ -87,6 +114,17 @@ mongoose.connect(process.env.MONGO_URI)
   .then(() => {
     console.log('✅ MongoDB connected successfully');
     console.log(`📊 Database: ${mongoose.connection.name}`);
+
+    // Purge deactivated accounts once their grace period ends
+    scheduleAccountCleanup();
+
+    // Auto-submit timed tests whose time has run out
+    scheduleSessionSweeper();
+
+    // Create the first super-admin from env credentials if none exist yet
+    Admin.bootstrapFromEnv().catch(err => {
+      console.error('❌ Admin bootstrap error:', err.message);
+    });
   })
   .catch(err => {
     console.error('❌ MongoDB connection error:', err);
@@ -106,7 +144,6 @@ const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`🛡️ Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`👤 Admin ID: ${process.env.ADMIN_ID}`);
   console.log(`📈 Analytics: Enabled at /api/admin/analytics`);
 });
 
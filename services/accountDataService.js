@@ -0,0 +1,208 @@
+const User = require('../models/User');
+const UserTestRecord = require('../models/UserTestRecord');
+const UserQuestionProgress = require('../models/UserQuestionProgress');
+const TestSession = require('../models/TestSession');
+const OtpSession = require('../models/OtpSession');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const AuthEvent = require('../models/AuthEvent');
+const Referral = require('../models/Referral');
+const Order = require('../models/Order');
+const QuestionStat = require('../models/QuestionStat');
+const Notification = require('../models/Notification');
+const NotificationLog = require('../models/NotificationLog');
+const { createZip } = require('../utils/zipArchive');
+const { deleteFiles } = require('./storageService');
+
+// Personal data export and permanent account deletion, shared by the
+// self-service routes and the scheduled purge of deactivated accounts.
+
+const TEST_ATTEMPT_COLUMNS = [
+  'attemptId', 'testName', 'testType', 'testYear', 'testPaper', 'score', 'percentage',
+  'correctAnswers', 'wrongAnswers', 'unansweredQuestions', 'totalQuestions',
+  'timeTakenMinutes', 'timeAllottedMinutes', 'timeExpired', 'submissionType', 'startedAt', 'completedAt'
+];
+
+const TEST_ANSWER_COLUMNS = [
+  'attemptId', 'testName', 'questionNumber', 'selectedOption', 'correctOption', 'isCorrect',
+  'timeSpentSeconds', 'difficulty', 'area', 'subarea', 'questionText'
+];
+
+const PRACTICE_ANSWER_COLUMNS = [
+  'questionId', 'status', 'selectedAnswer', 'isCorrect', 'timeSpentSeconds', 'subject', 'difficulty', 'attemptedAt', 'questionText'
+];
+
+// Quote a value for CSV (RFC 4180); dates become ISO strings
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV document whose header row is also the list of keys read from each row
+const toCsv = (columns, rows) => {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCsvValue(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Build the downloadable archive of everything stored about a user:
+ * account.json (profile, plan, orders, referrals), test-attempts.csv,
+ * test-answers.csv and practice-answers.csv
+ * @returns {Promise<{filename: string, buffer: Buffer, counts: Object}|null>} null when the user does not exist
+ */
+const buildDataExport = async (userId) => {
+  // Secrets (password, 2FA secret and codes, password history) are never selected
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    return null;
+  }
+
+  const [testRecords, practiceRecords, orders, referrals] = await Promise.all([
+    UserTestRecord.find({ userId }).sort({ 'completion.completedAt': 1 }).lean(),
+    UserQuestionProgress.find({ userId })
+      .sort({ attemptedAt: 1 })
+      .populate('questionId', 'question')
+      .lean(),
+    Order.find({ userId }).sort({ createdAt: 1 }),
+    Referral.find({ referrer: userId }).select('status createdAt reward.referrerDays reward.grantedAt').lean()
+  ]);
+
+  const exportedAt = new Date();
+
+  const account = {
+    exportedAt,
+    account: user,
+    orders: orders.map(order => order.toPublicJSON()),
+    referralsMade: referrals.map(referral => ({
+      status: referral.status,
+      joinedAt: referral.createdAt,
+      daysEarned: referral.reward?.referrerDays || 0,
+      rewardedAt: referral.reward?.grantedAt || null
+    })),
+    files: {
+      'test-attempts.csv': `${testRecords.length} timed test attempts`,
+      'test-answers.csv': 'answers given in each timed test attempt',
+      'practice-answers.csv': `${practiceRecords.length} untimed practice answers`
+    }
+  };
+
+  const testAttempts = testRecords.map(record => ({
+    attemptId: record._id,
+    testName: record.testName,
+    testType: record.testType,
+    testYear: record.testYear,
+    testPaper: record.testPaper,
+    score: record.score,
+    percentage: record.percentage,
+    correctAnswers: record.correctAnswers,
+    wrongAnswers: record.wrongAnswers,
+    unansweredQuestions: record.unansweredQuestions,
+    totalQuestions: record.totalQuestions,
+    timeTakenMinutes: record.timeTaken,
+    timeAllottedMinutes: record.timeAllotted,
+    timeExpired: record.timeExpired,
+    submissionType: record.completion?.submissionType,
+    startedAt: record.completion?.startedAt,
+    completedAt: record.completion?.completedAt
+  }));
+
+  const testAnswers = testRecords.flatMap(record => Object.entries(record.answers || {})
+    .sort(([a], [b]) => parseInt(a) - parseInt(b))
+    .map(([questionIndex, answer]) => ({
+      attemptId: record._id,
+      testName: record.testName,
+      questionNumber: parseInt(questionIndex) + 1,
+      selectedOption: answer.selectedOption,
+      correctOption: answer.correctOption,
+      isCorrect: answer.isCorrect,
+      timeSpentSeconds: answer.timeSpent,
+      difficulty: answer.difficulty,
+      area: answer.area,
+      subarea: answer.subarea,
+      questionText: answer.questionText
+    })));
+
+  const practiceAnswers = practiceRecords.map(progress => ({
+    questionId: progress.questionId?._id || progress.questionId,
+    status: progress.status,
+    selectedAnswer: progress.selectedAnswer,
+    isCorrect: progress.isCorrect,
+    timeSpentSeconds: progress.timeSpent,
+    subject: progress.subject,
+    difficulty: progress.difficulty,
+    attemptedAt: progress.attemptedAt,
+    questionText: progress.questionId?.question || ''
+  }));
+
+  const buffer = createZip([
+    { name: 'account.json', content: JSON.stringify(account, null, 2) },
+    { name: 'test-attempts.csv', content: toCsv(TEST_ATTEMPT_COLUMNS, testAttempts) },
+    { name: 'test-answers.csv', content: toCsv(TEST_ANSWER_COLUMNS, testAnswers) },
+    { name: 'practice-answers.csv', content: toCsv(PRACTICE_ANSWER_COLUMNS, practiceAnswers) }
+  ], exportedAt);
+
+  return {
+    filename: `civils-coach-data-${exportedAt.toISOString().slice(0, 10)}.zip`,
+    buffer,
+    counts: {
+      testAttempts: testAttempts.length,
+      practiceAnswers: practiceAnswers.length
+    }
+  };
+};
+
+/**
+ * Permanently delete a user and their personal data.
+ *
+ * The user document is deleted first, and only if it still matches userFilter,
+ * so an account reactivated in the meantime is left alone and a second call for
+ * the same user does nothing (its answers are never counted twice).
+ *
+ * Timed test answers are then added to the anonymous QuestionStat totals
+ * (practice answers are already counted on PracticeQuestion.usage). Orders and
+ * invoices are kept for tax records; authentication events lose their link to
+ * the user; referrals they made are deleted and the referral that brought them
+ * in keeps only its status so the referrer's history and reward caps still add up.
+ *
+ * @param {Object} account - user document (or at least { _id })
+ * @param {Object} userFilter - extra conditions the user must still meet to be deleted
+ * @returns {Promise<boolean>} whether the user was deleted
+ */
+const purgeUserData = async (account, userFilter = {}) => {
+  const user = await User.findOneAndDelete({ _id: account._id, ...userFilter }).lean();
+  if (!user) {
+    return false;
+  }
+
+  const testRecords = await UserTestRecord.find({ userId: user._id }).select('testId answers').lean();
+  await QuestionStat.addTestRecords(testRecords);
+
+  await Promise.all([
+    UserTestRecord.deleteMany({ userId: user._id }),
+    UserQuestionProgress.deleteMany({ userId: user._id }),
+    TestSession.deleteMany({ email: user.email }),
+    OtpSession.deleteMany({ $or: [{ userId: user._id }, { email: user.email }] }),
+    RefreshToken.deleteMany({ userId: user._id }),
+    UserSession.deleteMany({ userId: user._id }),
+    Notification.deleteMany({ userId: user._id }),
+    NotificationLog.deleteMany({ recipientId: user._id }),
+    Referral.deleteMany({ referrer: user._id }),
+    Referral.updateMany({ referee: user._id }, { $set: { signupIP: '', deviceFingerprint: '' } }),
+    User.updateMany({ 'metadata.referredBy': user._id }, { $set: { 'metadata.referredBy': null } }),
+    AuthEvent.updateMany({ userId: user._id }, { $unset: { userId: 1 }, $set: { ipAddress: '' } })
+  ]);
+
+  await deleteFiles(user.profile?.profilePictureKeys || []);
+  return true;
+};
+
+module.exports = {
+  buildDataExport,
+  purgeUserData
+};
@@ -0,0 +1,45 @@
+const AuditLog = require('../models/AuditLog');
+
+// Convert a mongoose document (or plain object) into a storable snapshot
+const snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ virtuals: false }) : { ...doc };
+  delete plain.__v;
+  return plain;
+};
+
+/**
+ * Record an admin mutation in the audit log.
+ * Called after the mutation succeeded; a failed audit write is logged but never
+ * turns a completed admin action into an error response.
+ */
+const recordAudit = async (req, { action, entityType, entityId = '', before = null, after = null, metadata = {} }) => {
+  try {
+    const admin = req.admin || {};
+
+    await AuditLog.create({
+      action,
+      entityType,
+      entityId: entityId ? String(entityId) : '',
+      actor: {
+        adminId: admin.id,
+        username: admin.username || '',
+        role: admin.role || ''
+      },
+      ipAddress: req.ip || req.connection?.remoteAddress || '',
+      userAgent: String(req.headers?.['user-agent'] || '').substring(0, 500),
+      before: snapshot(before),
+      after: snapshot(after),
+      metadata
+    });
+  } catch (error) {
+    console.error(`❌ Audit log write failed for ${action}:`, error.message);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  snapshot
+};
@@ -0,0 +1,96 @@
+const { COMMON, escapeHtml, formatDateTime } = require('./layout');
+
+// Notice sent to the previous contact details after an email or phone number change
+
+const FIELD_LABELS = {
+  en: { email: 'email address', phoneNumber: 'phone number' },
+  hi: { email: 'ईमेल पता', phoneNumber: 'फ़ोन नंबर' }
+};
+
+// Show only enough of the new contact for the user to recognise it
+const maskContact = (field, value) => {
+  const text = String(value || '');
+  if (field === 'email') {
+    const [local, domain] = text.split('@');
+    return domain ? `${local.substring(0, 2)}${'*'.repeat(Math.max(local.length - 2, 1))}@${domain}` : text;
+  }
+  return text.length > 4 ? `${'*'.repeat(text.length - 4)}${text.slice(-4)}` : text;
+};
+
+module.exports = {
+  description: 'Email or phone number change notice',
+  sampleData: {
+    field: 'email',
+    newValue: 'aarav.sharma@example.com',
+    changedAt: new Date('2024-06-01T10:30:00Z'),
+    ipAddress: '203.0.113.24'
+  },
+
+  en: ({ field, newValue, changedAt, ipAddress }) => {
+    const label = FIELD_LABELS.en[field] || FIELD_LABELS.en.email;
+    const when = formatDateTime(changedAt, 'en');
+    const ip = ipAddress || 'Unknown';
+    const masked = maskContact(field, newValue);
+
+    return {
+      subject: `Your Civils Coach ${label} was changed`,
+      title: 'Contact Details Changed',
+      heading: `Your ${label} was changed`,
+      body: `
+              <p>${COMMON.en.greeting},</p>
+              <p>The ${label} on your Civils Coach account was changed. You will now sign in and receive OTPs using the new ${label}. For your security, all devices have been signed out.</p>
+              
+              <div class="details">
+                <strong>New ${label}:</strong> ${escapeHtml(masked)}<br>
+                <strong>When:</strong> ${escapeHtml(when)}<br>
+                <strong>IP address:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Didn't make this change?</strong>
+                <p style="margin: 10px 0 0 0;">Contact support@civilscoach.com immediately so we can secure your account.</p>
+              </div>`,
+      text: [
+        `The ${label} on your Civils Coach account was changed on ${when} (IP: ${ip}).`,
+        `New ${label}: ${masked}`,
+        'All devices have been signed out.',
+        '',
+        "If you didn't make this change, contact support@civilscoach.com immediately."
+      ]
+    };
+  },
+
+  hi: ({ field, newValue, changedAt, ipAddress }) => {
+    const label = FIELD_LABELS.hi[field] || FIELD_LABELS.hi.email;
+    const when = formatDateTime(changedAt, 'hi');
+    const ip = ipAddress || 'अज्ञात';
+    const masked = maskContact(field, newValue);
+
+    return {
+      subject: `आपका Civils Coach ${label} बदल दिया गया है`,
+      title: 'संपर्क विवरण बदला गया',
+      heading: `आपका ${label} बदल दिया गया है`,
+      body: `
+              <p>${COMMON.hi.greeting},</p>
+              <p>आपके Civils Coach खाते का ${label} बदल दिया गया है। अब लॉगिन और OTP के लिए नए ${label} का उपयोग होगा। आपकी सुरक्षा के लिए सभी डिवाइस से लॉग आउट कर दिया गया है।</p>
+              
+              <div class="details">
+                <strong>नया ${label}:</strong> ${escapeHtml(masked)}<br>
+                <strong>समय:</strong> ${escapeHtml(when)}<br>
+                <strong>IP पता:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ यह बदलाव आपने नहीं किया?</strong>
+                <p style="margin: 10px 0 0 0;">अपने खाते को सुरक्षित करने के लिए तुरंत support@civilscoach.com से संपर्क करें।</p>
+              </div>`,
+      text: [
+        `आपके Civils Coach खाते का ${label} ${when} को बदला गया (IP: ${ip})।`,
+        `नया ${label}: ${masked}`,
+        'सभी डिवाइस से लॉग आउट कर दिया गया है।',
+        '',
+        'यदि यह बदलाव आपने नहीं किया है, तो तुरंत support@civilscoach.com से संपर्क करें।'
+      ]
+    };
+  }
+};
@@ -0,0 +1,74 @@
+const { renderLayout, renderText } = require('./layout');
+
+// Transactional email templates. Each template module exports a description,
+// sample data for previews and one render function per supported language
+// returning { subject, title, heading, body, text }.
+const templates = {
+  otp: require('./otp'),
+  welcome: require('./welcome'),
+  'password-changed': require('./passwordChanged'),
+  'contact-changed': require('./contactChanged'),
+  'two-factor-changed': require('./twoFactorChanged'),
+  'new-device-login': require('./newDeviceLogin'),
+  'weekly-report': require('./weeklyReport'),
+  'test-result': require('./testResult')
+};
+
+const SUPPORTED_LANGUAGES = ['en', 'hi'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Map a user language preference ("English"/"Hindi") or code ("en"/"hi") to a template language
+const resolveLanguage = (language) => {
+  const normalized = String(language || '').trim().toLowerCase();
+  if (normalized === 'hindi' || normalized === 'hi' || normalized.startsWith('hi-')) {
+    return 'hi';
+  }
+  return DEFAULT_LANGUAGE;
+};
+
+/**
+ * Render a template in the requested language.
+ * Falls back to English when the template has no translation, and always
+ * returns a plain-text part alongside the HTML. options.unsubscribeUrl adds
+ * an unsubscribe link to both parts.
+ */
+const renderEmailTemplate = (name, language, data = {}, options = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const resolvedLanguage = template[resolveLanguage(language)] ? resolveLanguage(language) : DEFAULT_LANGUAGE;
+  const content = template[resolvedLanguage](data);
+
+  return {
+    template: name,
+    language: resolvedLanguage,
+    subject: content.subject,
+    html: renderLayout({ language: resolvedLanguage, ...content, unsubscribeUrl: options.unsubscribeUrl }),
+    text: renderText({ language: resolvedLanguage, title: content.title, lines: content.text, unsubscribeUrl: options.unsubscribeUrl })
+  };
+};
+
+// Template names with their descriptions and preview data
+const listEmailTemplates = () => {
+  return Object.entries(templates).map(([name, template]) => ({
+    name,
+    description: template.description,
+    languages: SUPPORTED_LANGUAGES.filter(language => typeof template[language] === 'function'),
+    sampleData: template.sampleData
+  }));
+};
+
+const hasEmailTemplate = (name) => Object.prototype.hasOwnProperty.call(templates, name);
+
+const getSampleData = (name) => (templates[name] ? templates[name].sampleData : {});
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  renderEmailTemplate,
+  listEmailTemplates,
+  hasEmailTemplate,
+  getSampleData
+};
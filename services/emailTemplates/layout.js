@@ -0,0 +1,172 @@
+// Shared layout, styles and helpers for transactional email templates
+
+// Strings shared by every template, per language
+const COMMON = {
+  en: {
+    tagline: 'Your Gateway to Civil Services Success',
+    greeting: 'Hello',
+    signOff: 'Best regards,',
+    team: 'Team Civils Coach',
+    automated: 'This is an automated email. Please do not reply.',
+    unsubscribe: 'Unsubscribe from these emails'
+  },
+  hi: {
+    tagline: 'सिविल सेवा में सफलता का आपका द्वार',
+    greeting: 'नमस्ते',
+    signOff: 'शुभकामनाओं सहित,',
+    team: 'टीम Civils Coach',
+    automated: 'यह एक स्वचालित ईमेल है। कृपया इसका उत्तर न दें।',
+    unsubscribe: 'इस तरह के ईमेल पाना बंद करें'
+  }
+};
+
+const STYLES = `
+            body { font-family: Arial, 'Noto Sans Devanagari', sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { text-align: center; padding: 20px 0; border-bottom: 3px solid #3B82F6; }
+            .logo { font-size: 24px; font-weight: bold; color: #3B82F6; }
+            .content { padding: 30px 0; }
+            .otp-box { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              text-align: center;
+              padding: 20px;
+              border-radius: 10px;
+              margin: 20px 0;
+              font-size: 32px;
+              font-weight: bold;
+              letter-spacing: 8px;
+            }
+            .highlight-box { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white;
+              text-align: center;
+              padding: 30px;
+              border-radius: 15px;
+              margin: 30px 0;
+            }
+            .details { background: #F3F4F6; padding: 15px; border-radius: 8px; margin: 20px 0; }
+            .stats { width: 100%; border-collapse: collapse; margin: 20px 0; }
+            .stats td { padding: 10px; border-bottom: 1px solid #E5E7EB; }
+            .stats td.value { text-align: right; font-weight: bold; }
+            .feature { padding: 15px 20px; border: 1px solid #E5E7EB; border-radius: 8px; margin: 10px 0; }
+            .feature h3 { margin: 0 0 5px 0; }
+            .cta-button {
+              display: inline-block;
+              background: #3B82F6;
+              color: white;
+              padding: 12px 30px;
+              text-decoration: none;
+              border-radius: 6px;
+              font-weight: bold;
+              margin: 20px auto;
+            }
+            .warning { 
+              background: #FEF3C7;
+              border: 1px solid #F59E0B;
+              color: #92400E;
+              padding: 15px;
+              border-radius: 5px;
+              margin: 20px 0;
+            }
+            .footer { 
+              text-align: center;
+              padding: 20px 0;
+              border-top: 1px solid #E5E7EB;
+              color: #6B7280;
+              font-size: 14px;
+            }`;
+
+// Escape user-controlled values before they are placed in HTML
+const escapeHtml = (value) => {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Format a date in Indian time for the given language
+const formatDateTime = (date, language) => {
+  return new Date(date || Date.now()).toLocaleString(language === 'hi' ? 'hi-IN' : 'en-IN', { timeZone: 'Asia/Kolkata' });
+};
+
+const formatDate = (date, language) => {
+  return new Date(date || Date.now()).toLocaleDateString(language === 'hi' ? 'hi-IN' : 'en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'https://civilscoach.com';
+
+// Wrap a template body in the shared HTML document (optional notifications get an unsubscribe link)
+const renderLayout = ({ language, title, heading, body, unsubscribeUrl }) => {
+  const common = COMMON[language] || COMMON.en;
+
+  return `
+        <!DOCTYPE html>
+        <html lang="${language}">
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <title>${escapeHtml(title)}</title>
+          <style>${STYLES}
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <div class="logo">🎓 Civils Coach</div>
+              <p style="margin: 10px 0 0 0; color: #6B7280;">${common.tagline}</p>
+            </div>
+            
+            <div class="content">
+              ${heading ? `<h2 style="color: #1F2937; margin-bottom: 20px;">${heading}</h2>` : ''}
+              ${body}
+              
+              <p style="margin-top: 30px;">
+                ${common.signOff}<br>
+                <strong>${common.team}</strong>
+              </p>
+            </div>
+            
+            <div class="footer">
+              <p>📧 support@civilscoach.com | 🌐 www.civilscoach.com</p>
+              <p style="margin: 5px 0;">${common.automated}</p>${unsubscribeUrl ? `
+              <p style="margin: 5px 0;"><a href="${escapeHtml(unsubscribeUrl)}" style="color: #6B7280;">${common.unsubscribe}</a></p>` : ''}
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+};
+
+// Add the shared sign-off to a plain-text body
+const renderText = ({ language, title, lines, unsubscribeUrl }) => {
+  const common = COMMON[language] || COMMON.en;
+
+  return [
+    `Civils Coach - ${title}`,
+    '',
+    ...lines,
+    '',
+    common.signOff,
+    common.team,
+    'support@civilscoach.com',
+    ...(unsubscribeUrl ? ['', `${common.unsubscribe}: ${unsubscribeUrl}`] : [])
+  ].join('\n');
+};
+
+module.exports = {
+  COMMON,
+  escapeHtml,
+  formatDateTime,
+  formatDate,
+  getFrontendUrl,
+  renderLayout,
+  renderText
+};
@@ -0,0 +1,82 @@
+const { COMMON, escapeHtml, formatDateTime } = require('./layout');
+
+// Alert sent when an account is accessed from a device we haven't seen before
+
+module.exports = {
+  description: 'New device login alert',
+  sampleData: {
+    deviceName: 'Chrome on Windows',
+    loginAt: new Date('2024-06-01T10:30:00Z'),
+    ipAddress: '203.0.113.24'
+  },
+
+  en: ({ deviceName, loginAt, ipAddress }) => {
+    const when = formatDateTime(loginAt, 'en');
+    const device = deviceName || 'Unknown device';
+    const ip = ipAddress || 'Unknown';
+
+    return {
+      subject: 'New login to your Civils Coach account',
+      title: 'New Login Detected',
+      heading: 'New login detected',
+      body: `
+              <p>${COMMON.en.greeting},</p>
+              <p>Your Civils Coach account was just accessed from a device we haven't seen before.</p>
+              
+              <div class="details">
+                <strong>Device:</strong> ${escapeHtml(device)}<br>
+                <strong>When:</strong> ${escapeHtml(when)}<br>
+                <strong>IP address:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Wasn't you?</strong>
+                <p style="margin: 10px 0 0 0;">Sign out the device from your active sessions and change your password right away.</p>
+              </div>`,
+      text: [
+        'Your account was accessed from a new device.',
+        `Device: ${device}`,
+        `When: ${when}`,
+        `IP address: ${ip}`,
+        '',
+        "If this wasn't you, sign out the device from your active sessions",
+        'and change your password right away.'
+      ]
+    };
+  },
+
+  hi: ({ deviceName, loginAt, ipAddress }) => {
+    const when = formatDateTime(loginAt, 'hi');
+    const device = deviceName || 'अज्ञात डिवाइस';
+    const ip = ipAddress || 'अज्ञात';
+
+    return {
+      subject: 'आपके Civils Coach खाते में नया लॉगिन',
+      title: 'नया लॉगिन',
+      heading: 'नया लॉगिन पाया गया',
+      body: `
+              <p>${COMMON.hi.greeting},</p>
+              <p>आपके Civils Coach खाते में अभी एक ऐसे डिवाइस से लॉगिन किया गया है जो पहले कभी उपयोग नहीं हुआ।</p>
+              
+              <div class="details">
+                <strong>डिवाइस:</strong> ${escapeHtml(device)}<br>
+                <strong>समय:</strong> ${escapeHtml(when)}<br>
+                <strong>IP पता:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ यह आप नहीं थे?</strong>
+                <p style="margin: 10px 0 0 0;">अपने सक्रिय सत्रों से इस डिवाइस को लॉग आउट करें और तुरंत अपना पासवर्ड बदलें।</p>
+              </div>`,
+      text: [
+        'आपके खाते में एक नए डिवाइस से लॉगिन किया गया है।',
+        `डिवाइस: ${device}`,
+        `समय: ${when}`,
+        `IP पता: ${ip}`,
+        '',
+        'यदि यह आप नहीं थे, तो अपने सक्रिय सत्रों से इस डिवाइस को लॉग आउट करें',
+        'और तुरंत अपना पासवर्ड बदलें।'
+      ]
+    };
+  }
+};
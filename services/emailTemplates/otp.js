@@ -0,0 +1,113 @@
+const { COMMON, escapeHtml } = require('./layout');
+
+// One-time password for signup, password reset and other verified actions
+
+// Purpose keys (OtpSession.purpose) to the wording used in the email
+const PURPOSE_LABELS = {
+  en: {
+    signup: 'signup',
+    password_reset: 'password reset',
+    account_reactivation: 'account reactivation',
+    login: 'login',
+    contact_change: 'contact details change',
+    two_factor_recovery: 'two-factor authentication recovery',
+    account_deletion: 'permanent account deletion'
+  },
+  hi: {
+    signup: 'साइनअप',
+    password_reset: 'पासवर्ड रीसेट',
+    account_reactivation: 'खाता पुनः सक्रिय करने की प्रक्रिया',
+    login: 'लॉगिन',
+    contact_change: 'संपर्क विवरण बदलने की प्रक्रिया',
+    two_factor_recovery: 'दो-चरणीय सत्यापन रिकवरी',
+    account_deletion: 'खाता स्थायी रूप से हटाने की प्रक्रिया'
+  }
+};
+
+const purposeLabel = (purpose, language) => {
+  return PURPOSE_LABELS[language][purpose] || PURPOSE_LABELS.en[purpose] || purpose || PURPOSE_LABELS[language].signup;
+};
+
+module.exports = {
+  description: 'OTP for signup, login, password reset, account reactivation and contact changes',
+  sampleData: {
+    otp: '482913',
+    purpose: 'signup'
+  },
+
+  en: ({ otp, purpose }) => {
+    const label = escapeHtml(purposeLabel(purpose, 'en'));
+
+    return {
+      subject: `Your Civils Coach OTP - ${otp}`,
+      title: 'OTP Verification',
+      heading: 'Verification Required',
+      body: `
+              <p>${COMMON.en.greeting},</p>
+              <p>You've requested access to Civils Coach. Please use the following OTP to complete your ${label}:</p>
+              
+              <div class="otp-box">${escapeHtml(otp)}</div>
+              
+              <div class="warning">
+                <strong>⚠️ Important Security Information:</strong>
+                <ul style="margin: 10px 0; padding-left: 20px;">
+                  <li>This OTP is valid for <strong>10 minutes</strong> only</li>
+                  <li>Never share this OTP with anyone</li>
+                  <li>Our team will never ask for your OTP</li>
+                  <li>If you didn't request this, please ignore this email</li>
+                </ul>
+              </div>
+              
+              <p style="color: #6B7280;">
+                This OTP will expire in 10 minutes for security reasons. If you need a new OTP, 
+                please request it from the login page.
+              </p>`,
+      text: [
+        `Your OTP for ${purposeLabel(purpose, 'en')}: ${otp}`,
+        '',
+        'This OTP is valid for 10 minutes only.',
+        'Never share this OTP with anyone.',
+        '',
+        "If you didn't request this, please ignore this email."
+      ]
+    };
+  },
+
+  hi: ({ otp, purpose }) => {
+    const label = escapeHtml(purposeLabel(purpose, 'hi'));
+
+    return {
+      subject: `आपका Civils Coach OTP - ${otp}`,
+      title: 'OTP सत्यापन',
+      heading: 'सत्यापन आवश्यक है',
+      body: `
+              <p>${COMMON.hi.greeting},</p>
+              <p>आपने Civils Coach पर ${label} का अनुरोध किया है। इसे पूरा करने के लिए कृपया निम्नलिखित OTP का उपयोग करें:</p>
+              
+              <div class="otp-box">${escapeHtml(otp)}</div>
+              
+              <div class="warning">
+                <strong>⚠️ महत्वपूर्ण सुरक्षा जानकारी:</strong>
+                <ul style="margin: 10px 0; padding-left: 20px;">
+                  <li>यह OTP केवल <strong>10 मिनट</strong> के लिए मान्य है</li>
+                  <li>यह OTP किसी के साथ साझा न करें</li>
+                  <li>हमारी टीम कभी भी आपका OTP नहीं माँगेगी</li>
+                  <li>यदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें</li>
+                </ul>
+              </div>
+              
+              <p style="color: #6B7280;">
+                सुरक्षा कारणों से यह OTP 10 मिनट में समाप्त हो जाएगा। नए OTP के लिए 
+                कृपया लॉगिन पेज से दोबारा अनुरोध करें।
+              </p>`,
+      text: [
+        `${purposeLabel(purpose, 'hi')} के लिए आपका OTP: ${otp}`,
+        '',
+        'यह OTP केवल 10 मिनट के लिए मान्य है।',
+        'यह OTP किसी के साथ साझा न करें।',
+        '',
+        'यदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।'
+      ]
+    };
+  }
+};
@@ -0,0 +1,73 @@
+const { COMMON, escapeHtml, formatDateTime } = require('./layout');
+
+// Confirmation sent after a password change or reset
+
+module.exports = {
+  description: 'Password change confirmation',
+  sampleData: {
+    changedAt: new Date('2024-06-01T10:30:00Z'),
+    ipAddress: '203.0.113.24'
+  },
+
+  en: ({ changedAt, ipAddress }) => {
+    const when = formatDateTime(changedAt, 'en');
+    const ip = ipAddress || 'Unknown';
+
+    return {
+      subject: 'Your Civils Coach password was changed',
+      title: 'Password Changed',
+      heading: 'Your password was changed',
+      body: `
+              <p>${COMMON.en.greeting},</p>
+              <p>The password for your Civils Coach account was changed successfully. For your security, all other devices have been signed out.</p>
+              
+              <div class="details">
+                <strong>When:</strong> ${escapeHtml(when)}<br>
+                <strong>IP address:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Didn't make this change?</strong>
+                <p style="margin: 10px 0 0 0;">Reset your password immediately using "Forgot Password" on the login page and contact support@civilscoach.com.</p>
+              </div>`,
+      text: [
+        `The password for your Civils Coach account was changed on ${when} (IP: ${ip}).`,
+        'All other devices have been signed out.',
+        '',
+        "If you didn't make this change, reset your password immediately",
+        'and contact support@civilscoach.com.'
+      ]
+    };
+  },
+
+  hi: ({ changedAt, ipAddress }) => {
+    const when = formatDateTime(changedAt, 'hi');
+    const ip = ipAddress || 'अज्ञात';
+
+    return {
+      subject: 'आपका Civils Coach पासवर्ड बदल दिया गया है',
+      title: 'पासवर्ड बदला गया',
+      heading: 'आपका पासवर्ड बदल दिया गया है',
+      body: `
+              <p>${COMMON.hi.greeting},</p>
+              <p>आपके Civils Coach खाते का पासवर्ड सफलतापूर्वक बदल दिया गया है। आपकी सुरक्षा के लिए अन्य सभी डिवाइस से लॉग आउट कर दिया गया है।</p>
+              
+              <div class="details">
+                <strong>समय:</strong> ${escapeHtml(when)}<br>
+                <strong>IP पता:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ यह बदलाव आपने नहीं किया?</strong>
+                <p style="margin: 10px 0 0 0;">लॉगिन पेज पर "पासवर्ड भूल गए" का उपयोग करके तुरंत अपना पासवर्ड रीसेट करें और support@civilscoach.com से संपर्क करें।</p>
+              </div>`,
+      text: [
+        `आपके Civils Coach खाते का पासवर्ड ${when} को बदला गया (IP: ${ip})।`,
+        'अन्य सभी डिवाइस से लॉग आउट कर दिया गया है।',
+        '',
+        'यदि यह बदलाव आपने नहीं किया है, तो तुरंत अपना पासवर्ड रीसेट करें',
+        'और support@civilscoach.com से संपर्क करें।'
+      ]
+    };
+  }
+};
@@ -0,0 +1,121 @@
+const { COMMON, escapeHtml, getFrontendUrl } = require('./layout');
+
+// Result summary sent after a test is submitted
+
+const LABELS = {
+  en: {
+    score: 'Score',
+    correctAnswers: 'Correct',
+    wrongAnswers: 'Wrong',
+    unansweredQuestions: 'Unanswered',
+    timeTaken: 'Time taken',
+    rank: 'Rank'
+  },
+  hi: {
+    score: 'स्कोर',
+    correctAnswers: 'सही',
+    wrongAnswers: 'गलत',
+    unansweredQuestions: 'अनुत्तरित',
+    timeTaken: 'लिया गया समय',
+    rank: 'रैंक'
+  }
+};
+
+const buildRows = (result, language) => {
+  const minutesUnit = language === 'hi' ? 'मिनट' : 'min';
+  const values = {
+    score: `${result.score} (${Math.round((result.percentage || 0) * 100) / 100}%)`,
+    correctAnswers: result.correctAnswers || 0,
+    wrongAnswers: result.wrongAnswers || 0,
+    unansweredQuestions: result.unansweredQuestions || 0,
+    timeTaken: result.timeAllotted
+      ? `${result.timeTaken || 0} / ${result.timeAllotted} ${minutesUnit}`
+      : `${result.timeTaken || 0} ${minutesUnit}`,
+    rank: result.rank && result.totalParticipants ? `${result.rank} / ${result.totalParticipants}` : result.rank
+  };
+
+  return Object.keys(LABELS[language])
+    .filter(key => values[key] !== undefined && values[key] !== null && values[key] !== '')
+    .map(key => [LABELS[language][key], values[key]]);
+};
+
+const renderRows = (rows) => {
+  return rows
+    .map(([label, value]) => `
+                <tr><td>${label}</td><td class="value">${escapeHtml(value)}</td></tr>`)
+    .join('');
+};
+
+module.exports = {
+  description: 'Test result summary',
+  sampleData: {
+    firstName: 'Aarav',
+    testName: 'UPSC Prelims 2023 - GS Paper I',
+    score: 112.66,
+    percentage: 56.33,
+    correctAnswers: 62,
+    wrongAnswers: 22,
+    unansweredQuestions: 16,
+    totalQuestions: 100,
+    timeTaken: 104,
+    timeAllotted: 120,
+    rank: 18,
+    totalParticipants: 240
+  },
+
+  en: (result) => {
+    const rows = buildRows(result, 'en');
+    const name = result.firstName ? ` ${result.firstName}` : '';
+
+    return {
+      subject: `Your result: ${result.testName}`,
+      title: 'Test Result',
+      heading: 'Your test result is ready',
+      body: `
+              <p>${COMMON.en.greeting}${escapeHtml(name)},</p>
+              <p>You have completed <strong>${escapeHtml(result.testName)}</strong>. Here is your summary:</p>
+              
+              <table class="stats">${renderRows(rows)}
+              </table>
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${getFrontendUrl()}" class="cta-button">Review Your Answers →</a>
+              </div>`,
+      text: [
+        `Result for ${result.testName}`,
+        '',
+        ...rows.map(([label, value]) => `${label}: ${value}`),
+        '',
+        `Review your answers: ${getFrontendUrl()}`
+      ]
+    };
+  },
+
+  hi: (result) => {
+    const rows = buildRows(result, 'hi');
+    const name = result.firstName ? ` ${result.firstName}` : '';
+
+    return {
+      subject: `आपका परिणाम: ${result.testName}`,
+      title: 'टेस्ट परिणाम',
+      heading: 'आपका टेस्ट परिणाम तैयार है',
+      body: `
+              <p>${COMMON.hi.greeting}${escapeHtml(name)},</p>
+              <p>आपने <strong>${escapeHtml(result.testName)}</strong> पूरा कर लिया है। आपका सारांश इस प्रकार है:</p>
+              
+              <table class="stats">${renderRows(rows)}
+              </table>
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${getFrontendUrl()}" class="cta-button">अपने उत्तरों की समीक्षा करें →</a>
+              </div>`,
+      text: [
+        `${result.testName} का परिणाम`,
+        '',
+        ...rows.map(([label, value]) => `${label}: ${value}`),
+        '',
+        `अपने उत्तरों की समीक्षा करें: ${getFrontendUrl()}`
+      ]
+    };
+  }
+};
@@ -0,0 +1,87 @@
+const { COMMON, escapeHtml, formatDateTime } = require('./layout');
+
+// Notice sent when two-factor authentication is turned on or off (including recovery)
+
+module.exports = {
+  description: 'Two-factor authentication enabled/disabled notice',
+  sampleData: {
+    enabled: false,
+    viaRecovery: true,
+    changedAt: new Date('2024-06-01T10:30:00Z'),
+    ipAddress: '203.0.113.24'
+  },
+
+  en: ({ enabled, viaRecovery, changedAt, ipAddress }) => {
+    const when = formatDateTime(changedAt, 'en');
+    const ip = ipAddress || 'Unknown';
+    const summary = enabled
+      ? 'Two-factor authentication was turned on for your Civils Coach account. You will be asked for a code from your authenticator app when you sign in.'
+      : viaRecovery
+        ? 'Two-factor authentication was removed from your Civils Coach account using an email recovery code. Set it up again from your security settings.'
+        : 'Two-factor authentication was turned off for your Civils Coach account.';
+
+    return {
+      subject: enabled ? 'Two-factor authentication enabled' : 'Two-factor authentication disabled',
+      title: 'Two-Factor Authentication',
+      heading: enabled ? 'Two-factor authentication is on' : 'Two-factor authentication is off',
+      body: `
+              <p>${COMMON.en.greeting},</p>
+              <p>${summary}</p>
+              
+              <div class="details">
+                <strong>When:</strong> ${escapeHtml(when)}<br>
+                <strong>IP address:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ Didn't make this change?</strong>
+                <p style="margin: 10px 0 0 0;">Change your password immediately and contact support@civilscoach.com.</p>
+              </div>`,
+      text: [
+        summary,
+        `When: ${when}`,
+        `IP address: ${ip}`,
+        '',
+        "If you didn't make this change, change your password immediately",
+        'and contact support@civilscoach.com.'
+      ]
+    };
+  },
+
+  hi: ({ enabled, viaRecovery, changedAt, ipAddress }) => {
+    const when = formatDateTime(changedAt, 'hi');
+    const ip = ipAddress || 'अज्ञात';
+    const summary = enabled
+      ? 'आपके Civils Coach खाते के लिए दो-चरणीय सत्यापन (2FA) चालू कर दिया गया है। लॉगिन करते समय आपसे ऑथेंटिकेटर ऐप का कोड माँगा जाएगा।'
+      : viaRecovery
+        ? 'ईमेल रिकवरी कोड की मदद से आपके Civils Coach खाते से दो-चरणीय सत्यापन (2FA) हटा दिया गया है। कृपया सुरक्षा सेटिंग्स से इसे फिर से सेट करें।'
+        : 'आपके Civils Coach खाते के लिए दो-चरणीय सत्यापन (2FA) बंद कर दिया गया है।';
+
+    return {
+      subject: enabled ? 'दो-चरणीय सत्यापन चालू किया गया' : 'दो-चरणीय सत्यापन बंद किया गया',
+      title: 'दो-चरणीय सत्यापन',
+      heading: enabled ? 'दो-चरणीय सत्यापन चालू है' : 'दो-चरणीय सत्यापन बंद है',
+      body: `
+              <p>${COMMON.hi.greeting},</p>
+              <p>${summary}</p>
+              
+              <div class="details">
+                <strong>समय:</strong> ${escapeHtml(when)}<br>
+                <strong>IP पता:</strong> ${escapeHtml(ip)}
+              </div>
+              
+              <div class="warning">
+                <strong>⚠️ यह बदलाव आपने नहीं किया?</strong>
+                <p style="margin: 10px 0 0 0;">तुरंत अपना पासवर्ड बदलें और support@civilscoach.com से संपर्क करें।</p>
+              </div>`,
+      text: [
+        summary,
+        `समय: ${when}`,
+        `IP पता: ${ip}`,
+        '',
+        'यदि यह बदलाव आपने नहीं किया है, तो तुरंत अपना पासवर्ड बदलें',
+        'और support@civilscoach.com से संपर्क करें।'
+      ]
+    };
+  }
+};
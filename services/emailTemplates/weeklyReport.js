@@ -0,0 +1,133 @@
+const { COMMON, escapeHtml, formatDate, getFrontendUrl } = require('./layout');
+
+// Weekly progress summary
+
+const LABELS = {
+  en: {
+    testsTaken: 'Tests taken',
+    questionsAttempted: 'Questions attempted',
+    averagePercentage: 'Average score',
+    bestPercentage: 'Best score',
+    accuracy: 'Accuracy',
+    timeSpentMinutes: 'Time spent',
+    strongestSubject: 'Strongest subject',
+    weakestSubject: 'Needs attention'
+  },
+  hi: {
+    testsTaken: 'दिए गए टेस्ट',
+    questionsAttempted: 'हल किए गए प्रश्न',
+    averagePercentage: 'औसत स्कोर',
+    bestPercentage: 'सर्वश्रेष्ठ स्कोर',
+    accuracy: 'सटीकता',
+    timeSpentMinutes: 'अभ्यास का समय',
+    strongestSubject: 'सबसे मज़बूत विषय',
+    weakestSubject: 'ध्यान देने योग्य विषय'
+  }
+};
+
+// Format each statistic for display; subjects are omitted when unknown
+const buildRows = (report, language) => {
+  const minutesUnit = language === 'hi' ? 'मिनट' : 'min';
+  const values = {
+    testsTaken: report.testsTaken || 0,
+    questionsAttempted: report.questionsAttempted || 0,
+    averagePercentage: `${Math.round(report.averagePercentage || 0)}%`,
+    bestPercentage: `${Math.round(report.bestPercentage || 0)}%`,
+    accuracy: `${Math.round(report.accuracy || 0)}%`,
+    timeSpentMinutes: `${Math.round(report.timeSpentMinutes || 0)} ${minutesUnit}`,
+    strongestSubject: report.strongestSubject,
+    weakestSubject: report.weakestSubject
+  };
+
+  return Object.keys(LABELS[language])
+    .filter(key => values[key] !== undefined && values[key] !== null && values[key] !== '')
+    .map(key => [LABELS[language][key], values[key]]);
+};
+
+const renderRows = (rows) => {
+  return rows
+    .map(([label, value]) => `
+                <tr><td>${label}</td><td class="value">${escapeHtml(value)}</td></tr>`)
+    .join('');
+};
+
+module.exports = {
+  description: 'Weekly progress report',
+  sampleData: {
+    firstName: 'Aarav',
+    weekStart: new Date('2024-05-27T00:00:00Z'),
+    weekEnd: new Date('2024-06-02T00:00:00Z'),
+    testsTaken: 4,
+    questionsAttempted: 320,
+    averagePercentage: 58.4,
+    bestPercentage: 71,
+    accuracy: 64.2,
+    timeSpentMinutes: 415,
+    strongestSubject: 'Polity',
+    weakestSubject: 'Economy'
+  },
+
+  en: (report) => {
+    const period = `${formatDate(report.weekStart, 'en')} - ${formatDate(report.weekEnd, 'en')}`;
+    const rows = buildRows(report, 'en');
+    const name = report.firstName ? ` ${report.firstName}` : '';
+
+    return {
+      subject: `Your weekly Civils Coach report (${period})`,
+      title: 'Weekly Report',
+      heading: 'Your week at a glance',
+      body: `
+              <p>${COMMON.en.greeting}${escapeHtml(name)},</p>
+              <p>Here is how your preparation went between <strong>${escapeHtml(period)}</strong>.</p>
+              ${report.testsTaken ? `
+              <table class="stats">${renderRows(rows)}
+              </table>` : `
+              <div class="details">You didn't take any tests this week. A short practice session today keeps your preparation on track!</div>`}
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${getFrontendUrl()}" class="cta-button">Continue Practising →</a>
+              </div>`,
+      text: [
+        `Weekly report for ${period}`,
+        '',
+        ...(report.testsTaken
+          ? rows.map(([label, value]) => `${label}: ${value}`)
+          : ["You didn't take any tests this week."]),
+        '',
+        `Continue practising: ${getFrontendUrl()}`
+      ]
+    };
+  },
+
+  hi: (report) => {
+    const period = `${formatDate(report.weekStart, 'hi')} - ${formatDate(report.weekEnd, 'hi')}`;
+    const rows = buildRows(report, 'hi');
+    const name = report.firstName ? ` ${report.firstName}` : '';
+
+    return {
+      subject: `आपकी साप्ताहिक Civils Coach रिपोर्ट (${period})`,
+      title: 'साप्ताहिक रिपोर्ट',
+      heading: 'आपका सप्ताह एक नज़र में',
+      body: `
+              <p>${COMMON.hi.greeting}${escapeHtml(name)},</p>
+              <p><strong>${escapeHtml(period)}</strong> के दौरान आपकी तैयारी का विवरण इस प्रकार है।</p>
+              ${report.testsTaken ? `
+              <table class="stats">${renderRows(rows)}
+              </table>` : `
+              <div class="details">इस सप्ताह आपने कोई टेस्ट नहीं दिया। आज थोड़ा अभ्यास आपकी तैयारी को सही दिशा में बनाए रखेगा!</div>`}
+              
+              <div style="text-align: center; margin: 30px 0;">
+                <a href="${getFrontendUrl()}" class="cta-button">अभ्यास जारी रखें →</a>
+              </div>`,
+      text: [
+        `${period} की साप्ताहिक रिपोर्ट`,
+        '',
+        ...(report.testsTaken
+          ? rows.map(([label, value]) => `${label}: ${value}`)
+          : ['इस सप्ताह आपने कोई टेस्ट नहीं दिया।']),
+        '',
+        `अभ्यास जारी रखें: ${getFrontendUrl()}`
+      ]
+    };
+  }
+};
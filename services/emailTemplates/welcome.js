@@ -0,0 +1,111 @@
+const { escapeHtml, getFrontendUrl } = require('./layout');
+
+// Sent once signup is complete
+
+const FEATURES = {
+  en: [
+    ['📝 Practice Tests', 'Access hundreds of practice questions to sharpen your skills'],
+    ['📊 Previous Year Questions', 'Solve authentic previous year questions from various examinations'],
+    ['📈 Performance Analytics', 'Track your progress with detailed performance insights'],
+    ['⏱️ Timed Assessments', 'Simulate real exam conditions with our timed test environment']
+  ],
+  hi: [
+    ['📝 अभ्यास टेस्ट', 'अपने कौशल को निखारने के लिए सैकड़ों अभ्यास प्रश्न हल करें'],
+    ['📊 पिछले वर्षों के प्रश्न', 'विभिन्न परीक्षाओं के वास्तविक पिछले वर्षों के प्रश्न हल करें'],
+    ['📈 प्रदर्शन विश्लेषण', 'विस्तृत प्रदर्शन रिपोर्ट के साथ अपनी प्रगति पर नज़र रखें'],
+    ['⏱️ समयबद्ध मूल्यांकन', 'समयबद्ध टेस्ट के साथ वास्तविक परीक्षा जैसी परिस्थितियों में अभ्यास करें']
+  ]
+};
+
+const renderFeatures = (language) => {
+  return FEATURES[language]
+    .map(([title, description]) => `
+              <div class="feature">
+                <h3>${title}</h3>
+                <p style="margin: 0;">${description}</p>
+              </div>`)
+    .join('');
+};
+
+module.exports = {
+  description: 'Welcome email sent after signup',
+  sampleData: {
+    firstName: 'Aarav'
+  },
+
+  en: ({ firstName }) => ({
+    subject: 'Welcome to Civils Coach! 🎉',
+    title: 'Welcome',
+    heading: '',
+    body: `
+              <div class="highlight-box">
+                <h1 style="margin: 0 0 10px 0;">Welcome to Civils Coach${firstName ? `, ${escapeHtml(firstName)}` : ''}!</h1>
+                <p style="margin: 0; font-size: 18px;">Your journey to civil services success starts here</p>
+              </div>
+              
+              <h2>What's Next?</h2>
+              <p>You now have access to our comprehensive test platform designed specifically for civil services preparation.</p>
+              ${renderFeatures('en')}
+              
+              <div style="text-align: center; margin: 40px 0;">
+                <a href="${getFrontendUrl()}" class="cta-button">Start Your First Test →</a>
+              </div>
+              
+              <div class="details">
+                <h3 style="margin-top: 0;">Need Help?</h3>
+                <p>Our support team is here to assist you:</p>
+                <p>📧 Email: support@civilscoach.com<br>
+                🕒 Response time: Within 24 hours</p>
+              </div>
+              
+              <p>Best wishes for your preparation!</p>`,
+    text: [
+      `Welcome to Civils Coach${firstName ? `, ${firstName}` : ''}!`,
+      '',
+      'Your journey to civil services success starts here. You now have access to:',
+      ...FEATURES.en.map(([title, description]) => `- ${title.replace(/^\S+\s/, '')}: ${description}`),
+      '',
+      `Start your first test: ${getFrontendUrl()}`,
+      '',
+      'Need help? Email support@civilscoach.com (response within 24 hours).'
+    ]
+  }),
+
+  hi: ({ firstName }) => ({
+    subject: 'Civils Coach में आपका स्वागत है! 🎉',
+    title: 'स्वागत है',
+    heading: '',
+    body: `
+              <div class="highlight-box">
+                <h1 style="margin: 0 0 10px 0;">Civils Coach में आपका स्वागत है${firstName ? `, ${escapeHtml(firstName)}` : ''}!</h1>
+                <p style="margin: 0; font-size: 18px;">सिविल सेवा में सफलता की आपकी यात्रा यहीं से शुरू होती है</p>
+              </div>
+              
+              <h2>आगे क्या?</h2>
+              <p>अब आप सिविल सेवा की तैयारी के लिए विशेष रूप से बनाए गए हमारे टेस्ट प्लेटफ़ॉर्म का पूरा उपयोग कर सकते हैं।</p>
+              ${renderFeatures('hi')}
+              
+              <div style="text-align: center; margin: 40px 0;">
+                <a href="${getFrontendUrl()}" class="cta-button">अपना पहला टेस्ट शुरू करें →</a>
+              </div>
+              
+              <div class="details">
+                <h3 style="margin-top: 0;">सहायता चाहिए?</h3>
+                <p>हमारी सपोर्ट टीम आपकी मदद के लिए उपलब्ध है:</p>
+                <p>📧 ईमेल: support@civilscoach.com<br>
+                🕒 जवाब का समय: 24 घंटे के भीतर</p>
+              </div>
+              
+              <p>आपकी तैयारी के लिए शुभकामनाएँ!</p>`,
+    text: [
+      `Civils Coach में आपका स्वागत है${firstName ? `, ${firstName}` : ''}!`,
+      '',
+      'सिविल सेवा में सफलता की आपकी यात्रा यहीं से शुरू होती है। अब आपको उपलब्ध है:',
+      ...FEATURES.hi.map(([title, description]) => `- ${title.replace(/^\S+\s/, '')}: ${description}`),
+      '',
+      `अपना पहला टेस्ट शुरू करें: ${getFrontendUrl()}`,
+      '',
+      'सहायता के लिए ईमेल करें: support@civilscoach.com (24 घंटे के भीतर जवाब)।'
+    ]
+  })
+};
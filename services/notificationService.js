@@ -0,0 +1,239 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationLog = require('../models/NotificationLog');
+const { getCategory } = require('../utils/notificationCategories');
+const { getFrontendUrl } = require('./emailTemplates/layout');
+const { sendTemplatedEmail } = require('./emailService');
+const { sendSMSMessage } = require('./smsService');
+
+// Notification service - every outbound message except OTPs goes through notify(),
+// which applies the recipient's channel and category preferences, adds unsubscribe
+// links to optional emails and records each delivery in NotificationLog.
+//
+// The in-app inbox (Notification) is separate: entries are added for a single
+// user with addToInbox() or fanned out to a segment of users with
+// broadcastToInbox(). Inbox entries are not subject to email/SMS preferences.
+//
+// Configuration:
+//   API_PUBLIC_URL  public base URL of this API (e.g. https://api.civilscoach.com); enables
+//                   one-click unsubscribe from the mail client's unsubscribe button
+
+const UNSUBSCRIBE_TOKEN_AUDIENCE = 'civils-coach-unsubscribe';
+const UNSUBSCRIBE_TOKEN_EXPIRES_IN = '365d';
+
+// Token in the unsubscribe links of a category's emails
+const createUnsubscribeToken = (userId, category) => {
+  return jwt.sign(
+    { sub: String(userId), category, channel: 'email' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: UNSUBSCRIBE_TOKEN_EXPIRES_IN,
+      issuer: 'civils-coach',
+      audience: UNSUBSCRIBE_TOKEN_AUDIENCE
+    }
+  );
+};
+
+// Returns the token payload, or null when it is invalid or expired
+const verifyUnsubscribeToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'civils-coach',
+      audience: UNSUBSCRIBE_TOKEN_AUDIENCE
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildUnsubscribeLinks = (userId, category) => {
+  const token = encodeURIComponent(createUnsubscribeToken(userId, category));
+  const apiUrl = (process.env.API_PUBLIC_URL || '').replace(/\/+$/, '');
+
+  return {
+    unsubscribeUrl: `${getFrontendUrl()}/notifications/unsubscribe?token=${token}`,
+    oneClickUnsubscribeUrl: apiUrl ? `${apiUrl}/api/user/notifications/unsubscribe?token=${token}` : undefined
+  };
+};
+
+// Keep delivery logs free of full contact details
+const maskRecipient = (channel, value) => {
+  if (!value) {
+    return '';
+  }
+  if (channel === 'email') {
+    const [local, domain] = value.split('@');
+    return `${local.substring(0, 2)}***@${domain}`;
+  }
+  return `${value.slice(0, -4).replace(/\d/g, '*')}${value.slice(-4)}`;
+};
+
+// Users and admins both receive notifications; only users have preferences
+const describeRecipient = (recipient) => {
+  const isUser = typeof recipient.allowsNotification === 'function';
+  return {
+    recipientId: recipient._id,
+    recipientModel: isUser ? 'User' : 'Admin',
+    language: recipient.preferences?.language,
+    allows: (category, channel) => (isUser ? recipient.allowsNotification(category, channel) : Boolean(getCategory(category)?.mandatory))
+  };
+};
+
+/**
+ * Send a notification to a user (or admin) on every channel it has content for.
+ * Delivery failures never throw: they are logged and reported in the result.
+ *
+ * @param {Object} recipient - User or Admin document
+ * @param {Object} notification
+ * @param {string} notification.category - see utils/notificationCategories
+ * @param {string} notification.template - email template name (also names the notification in the log)
+ * @param {Object} notification.data - template data
+ * @param {string} notification.sms - SMS text; when omitted no SMS is sent
+ * @param {string} notification.email - send the email to this address instead of the recipient's
+ * @returns {Promise<Object>} channel -> { status, reason }
+ */
+const notify = async (recipient, { category, template, data = {}, sms, email } = {}) => {
+  const definition = getCategory(category);
+  if (!definition) {
+    throw new Error(`Unknown notification category: ${category}`);
+  }
+
+  const { recipientId, recipientModel, language, allows } = describeRecipient(recipient);
+  const results = {};
+
+  const deliver = async (channel, to, send) => {
+    const entry = { recipientId, recipientModel, category, channel, template, to: maskRecipient(channel, to) };
+
+    if (!to) {
+      results[channel] = { status: 'skipped', reason: 'NO_RECIPIENT' };
+    } else if (!allows(category, channel)) {
+      results[channel] = { status: 'skipped', reason: 'OPTED_OUT' };
+    } else {
+      try {
+        const sent = await send();
+        results[channel] = { status: 'sent', messageId: sent?.messageId || '' };
+      } catch (error) {
+        console.error(`🔔 ${template} ${channel} notification failed:`, error.message);
+        results[channel] = { status: 'failed', error: error.message };
+      }
+    }
+
+    await NotificationLog.record({ ...entry, ...results[channel] });
+  };
+
+  if (definition.channels.includes('email')) {
+    const to = email || recipient.email;
+    const links = definition.mandatory || recipientModel !== 'User' ? {} : buildUnsubscribeLinks(recipientId, category);
+    await deliver('email', to, () => sendTemplatedEmail(to, template, language, data, links));
+  }
+
+  if (sms && definition.channels.includes('sms')) {
+    await deliver('sms', recipient.phoneNumber, () => sendSMSMessage(recipient.phoneNumber, sms));
+  }
+
+  return results;
+};
+
+// Users per insertMany when fanning out a broadcast
+const BROADCAST_BATCH_SIZE = 500;
+
+/**
+ * Add a notification to one user's in-app inbox.
+ *
+ * @param {ObjectId|string} userId
+ * @param {Object} notification - category, source, title, message, link, data
+ * @returns {Promise<Object>} the Notification document
+ */
+const addToInbox = (userId, notification) => {
+  return Notification.create({ ...notification, userId });
+};
+
+/**
+ * User filter for a broadcast segment. Only active accounts are ever included.
+ *
+ * @param {Object} segment
+ * @param {string[]} segment.categories - profile categories (General, OBC, ...)
+ * @param {string[]} segment.plans - effective subscription plans (an expired paid plan counts as Free)
+ * @param {Date|string} segment.inactiveSince - users not active since this date
+ * @returns {Object} MongoDB filter on User
+ */
+const buildSegmentFilter = ({ categories, plans, inactiveSince } = {}) => {
+  const conditions = [{ 'security.isActive': true }];
+  const now = new Date();
+
+  if (categories?.length) {
+    conditions.push({ 'profile.category': { $in: categories } });
+  }
+
+  if (plans?.length) {
+    conditions.push({
+      $or: plans.map(plan => (plan === 'Free'
+        ? { $or: [{ 'subscription.plan': 'Free' }, { 'subscription.validUntil': { $lt: now } }] }
+        : { 'subscription.plan': plan, 'subscription.validUntil': { $not: { $lt: now } } }))
+    });
+  }
+
+  if (inactiveSince) {
+    conditions.push({ 'statistics.lastActiveDate': { $lt: new Date(inactiveSince) } });
+  }
+
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Add the same notification to the inbox of every user matching a filter.
+ *
+ * @param {Object} userFilter - MongoDB filter on User (see buildSegmentFilter)
+ * @param {Object} notification - category, source, title, message, link, data
+ * @returns {Promise<Object>} { broadcastId, recipients }
+ */
+const broadcastToInbox = async (userFilter, notification) => {
+  const broadcastId = new mongoose.Types.ObjectId();
+  const cursor = User.find(userFilter).select('_id').lean().cursor();
+  let batch = [];
+  let recipients = 0;
+
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    await Notification.insertMany(batch, { ordered: false });
+    recipients += batch.length;
+    batch = [];
+  };
+
+  for await (const user of cursor) {
+    batch.push({ ...notification, userId: user._id, broadcastId });
+    if (batch.length >= BROADCAST_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`📣 ${notification.source} notification "${notification.title}" sent to ${recipients} users`);
+
+  return { broadcastId, recipients };
+};
+
+// Tell every active user about a newly published test
+const announceNewTest = (test) => {
+  return broadcastToInbox(buildSegmentFilter(), {
+    category: 'announcements',
+    source: 'test_published',
+    title: `New test: ${test.name}`,
+    message: `${test.testType} test with ${test.questions?.length || 0} questions in ${test.duration} minutes is now available.`,
+    data: { testId: test._id, testType: test.testType }
+  });
+};
+
+module.exports = {
+  notify,
+  addToInbox,
+  buildSegmentFilter,
+  broadcastToInbox,
+  announceNewTest,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { hmacSha256, signaturesMatch, signCheckout } = require('./signature');
+const { parseRazorpayEvent } = require('./razorpayGateway');
+
+// Local fake gateway for development. Orders, payments and refunds are never sent
+// anywhere; signatures and webhook bodies follow the Razorpay format so the same
+// verification and activation code paths run. Payments are completed through
+// POST /api/payments/local/simulate (disabled in production).
+//
+// Configuration:
+//   LOCAL_PAYMENT_SECRET  signs checkout responses and webhooks (a random secret per process
+//                         when unset, so signatures made elsewhere never verify)
+
+const processSecret = crypto.randomBytes(32).toString('hex');
+
+const getSecret = () => process.env.LOCAL_PAYMENT_SECRET || processSecret;
+
+const randomId = (prefix) => `${prefix}_local_${crypto.randomBytes(7).toString('hex')}`;
+
+const createOrder = async () => {
+  return { gatewayOrderId: randomId('order') };
+};
+
+const verifyPaymentSignature = ({ gatewayOrderId, gatewayPaymentId, signature }) => {
+  return signaturesMatch(signCheckout(getSecret(), gatewayOrderId, gatewayPaymentId), signature);
+};
+
+const verifyWebhookSignature = (rawBody, headers) => {
+  if (!rawBody) {
+    return false;
+  }
+  return signaturesMatch(hmacSha256(getSecret(), rawBody), headers['x-razorpay-signature']);
+};
+
+const parseWebhookEvent = (body, headers) => {
+  const event = parseRazorpayEvent(body);
+  return event ? { ...event, eventId: headers['x-razorpay-event-id'] || '' } : null;
+};
+
+const refundPayment = async () => {
+  return { gatewayRefundId: randomId('rfnd') };
+};
+
+const testConnection = async () => true;
+
+/**
+ * Simulate the customer completing (or failing) checkout for an order.
+ * Returns what the checkout widget would hand to the client and the signed
+ * webhook the gateway would send.
+ */
+const simulatePayment = (order, outcome = 'success') => {
+  const gatewayPaymentId = randomId('pay');
+  const event = outcome === 'success' ? 'payment.captured' : 'payment.failed';
+
+  const body = JSON.stringify({
+    event,
+    payload: {
+      payment: {
+        entity: {
+          id: gatewayPaymentId,
+          order_id: order.gatewayOrderId,
+          amount: order.pricing.total,
+          currency: order.currency,
+          method: 'upi',
+          error_description: outcome === 'success' ? null : 'Payment declined by the simulated bank'
+        }
+      }
+    }
+  });
+
+  return {
+    checkout: outcome === 'success'
+      ? {
+        gatewayOrderId: order.gatewayOrderId,
+        gatewayPaymentId,
+        signature: signCheckout(getSecret(), order.gatewayOrderId, gatewayPaymentId)
+      }
+      : null,
+    webhook: {
+      rawBody: Buffer.from(body),
+      headers: {
+        'x-razorpay-signature': hmacSha256(getSecret(), body),
+        'x-razorpay-event-id': randomId('evt')
+      }
+    }
+  };
+};
+
+module.exports = {
+  name: 'local',
+  getCheckoutKey: () => 'local',
+  createOrder,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  refundPayment,
+  testConnection,
+  simulatePayment
+};
@@ -0,0 +1,114 @@
+const { hmacSha256, signaturesMatch, signCheckout } = require('./signature');
+
+// Razorpay payment gateway.
+//
+// Configuration:
+//   RAZORPAY_KEY_ID         API key id (also given to the checkout widget)
+//   RAZORPAY_KEY_SECRET     API key secret, signs checkout responses
+//   RAZORPAY_WEBHOOK_SECRET secret configured for the webhook in the Razorpay dashboard
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+const GATEWAY_TIMEOUT_MS = 10000;
+
+// Call the Razorpay REST API with basic auth
+const request = async (method, path, body) => {
+  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    throw new Error('Razorpay credentials not configured');
+  }
+
+  const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${auth}`
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS)
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Razorpay responded with ${response.status}: ${payload.error?.description || 'unknown error'}`);
+  }
+  return payload;
+};
+
+/**
+ * Normalise a Razorpay webhook body into
+ * { type, gatewayOrderId, gatewayPaymentId, gatewayRefundId, amount, method, failureReason },
+ * or null for events we don't handle. Shared with the local gateway, which mimics the format.
+ */
+const parseRazorpayEvent = (body = {}) => {
+  const payment = body.payload?.payment?.entity;
+  const refund = body.payload?.refund?.entity;
+
+  switch (body.event) {
+    case 'payment.captured':
+    case 'payment.failed':
+      if (!payment) return null;
+      return {
+        type: body.event,
+        gatewayOrderId: payment.order_id,
+        gatewayPaymentId: payment.id,
+        amount: payment.amount,
+        method: payment.method || '',
+        failureReason: payment.error_description || ''
+      };
+    case 'refund.processed':
+      if (!refund) return null;
+      return {
+        type: body.event,
+        gatewayPaymentId: refund.payment_id,
+        gatewayRefundId: refund.id,
+        amount: refund.amount
+      };
+    default:
+      return null;
+  }
+};
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+  const order = await request('POST', '/orders', { amount, currency, receipt, notes });
+  return { gatewayOrderId: order.id };
+};
+
+const verifyPaymentSignature = ({ gatewayOrderId, gatewayPaymentId, signature }) => {
+  const expected = signCheckout(process.env.RAZORPAY_KEY_SECRET || '', gatewayOrderId, gatewayPaymentId);
+  return signaturesMatch(expected, signature);
+};
+
+const verifyWebhookSignature = (rawBody, headers) => {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET || !rawBody) {
+    return false;
+  }
+  const expected = hmacSha256(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody);
+  return signaturesMatch(expected, headers['x-razorpay-signature']);
+};
+
+const parseWebhookEvent = (body, headers) => {
+  const event = parseRazorpayEvent(body);
+  return event ? { ...event, eventId: headers['x-razorpay-event-id'] || '' } : null;
+};
+
+const refundPayment = async ({ gatewayPaymentId, amount, notes }) => {
+  const refund = await request('POST', `/payments/${gatewayPaymentId}/refund`, { amount, notes });
+  return { gatewayRefundId: refund.id };
+};
+
+// Only the configuration is checked; Razorpay has no unauthenticated health endpoint
+const testConnection = async () => {
+  return Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && process.env.RAZORPAY_WEBHOOK_SECRET);
+};
+
+module.exports = {
+  name: 'razorpay',
+  getCheckoutKey: () => process.env.RAZORPAY_KEY_ID || '',
+  createOrder,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  parseWebhookEvent,
+  refundPayment,
+  testConnection,
+  parseRazorpayEvent
+};
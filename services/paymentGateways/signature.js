@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 hex digest, the signature scheme used by Razorpay-style gateways
+const hmacSha256 = (secret, payload) => {
+  return crypto.createHmac('sha256', String(secret)).update(payload).digest('hex');
+};
+
+// Constant-time comparison of a received signature with the expected one
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Checkout signature: HMAC of "<order id>|<payment id>" with the API secret
+const signCheckout = (secret, gatewayOrderId, gatewayPaymentId) => {
+  return hmacSha256(secret, `${gatewayOrderId}|${gatewayPaymentId}`);
+};
+
+module.exports = {
+  hmacSha256,
+  signaturesMatch,
+  signCheckout
+};
@@ -0,0 +1,540 @@
+// Payment service - orders, activation, invoices and refunds on top of a pluggable gateway.
+//
+// PAYMENT_GATEWAY:
+//   razorpay - Razorpay orders, checkout and webhooks (see paymentGateways/razorpayGateway)
+//   local    - fake gateway for development, payments are simulated (see paymentGateways/localGateway);
+//              refused in production
+// When unset, Razorpay is used if it is configured, otherwise the local gateway outside production.
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const PaymentEvent = require('../models/PaymentEvent');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const { CustomError } = require('../middleware/errorHandler');
+const { PLAN_NAMES, getPlan, getPurchasablePlans } = require('../utils/subscriptionPlans');
+const { SAC_CODE, getSellerDetails, calculateGST, getFinancialYear } = require('../utils/gst');
+
+const gateways = {
+  razorpay: () => require('./paymentGateways/razorpayGateway'),
+  local: () => require('./paymentGateways/localGateway')
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let activeGateway = null;
+
+// Resolve the configured gateway name
+const resolveGatewayName = () => {
+  const configured = (process.env.PAYMENT_GATEWAY || '').trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+  if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+    return 'razorpay';
+  }
+  return process.env.NODE_ENV === 'production' ? 'razorpay' : 'local';
+};
+
+// Get the active payment gateway (resolved once per process)
+const getPaymentGateway = () => {
+  if (!activeGateway) {
+    const name = resolveGatewayName();
+    if (!gateways[name]) {
+      throw new Error(`Unknown payment gateway "${name}". Use one of: ${Object.keys(gateways).join(', ')}`);
+    }
+    // Simulated payments would activate paid plans for free
+    if (name === 'local' && process.env.NODE_ENV === 'production') {
+      throw new Error('The local payment gateway cannot be used in production. Configure PAYMENT_GATEWAY=razorpay');
+    }
+    activeGateway = gateways[name]();
+    console.log(`💳 Payment gateway: ${activeGateway.name}`);
+  }
+  return activeGateway;
+};
+
+// Append an entry to the payment ledger (never fails the calling operation)
+const recordPaymentEvent = (type, details = {}) => {
+  return PaymentEvent.create({ type, gateway: getPaymentGateway().name, ...details }).catch(error => {
+    if (error.code !== 11000) {
+      console.error(`Payment event (${type}) could not be recorded:`, error.message);
+    }
+  });
+};
+
+// Price of a plan including GST for a buyer state
+const quotePlan = (planName, buyerStateCode = '') => {
+  const plan = getPlan(planName);
+  return calculateGST(plan.price, {
+    sellerStateCode: getSellerDetails().stateCode,
+    buyerStateCode
+  });
+};
+
+// The buyer's state comes from their GSTIN when they have one
+const resolveBuyerStateCode = (billing = {}) => {
+  return billing.gstin ? billing.gstin.substring(0, 2) : billing.stateCode || '';
+};
+
+// Create an order for a plan and register it with the gateway
+const createPlanOrder = async (user, planName, billing = {}) => {
+  if (!getPurchasablePlans().includes(planName)) {
+    throw new CustomError(`The ${planName} plan cannot be purchased`, 400, 'PLAN_NOT_PURCHASABLE');
+  }
+
+  // An active higher plan would be cut short by buying a lower one
+  if (PLAN_NAMES.indexOf(user.effectivePlan) > PLAN_NAMES.indexOf(planName)) {
+    throw new CustomError(
+      `Your ${user.effectivePlan} plan is active until ${user.subscription.validUntil.toDateString()}`,
+      409,
+      'PLAN_DOWNGRADE_NOT_ALLOWED'
+    );
+  }
+
+  const plan = getPlan(planName);
+  const buyerStateCode = resolveBuyerStateCode(billing);
+  const pricing = quotePlan(planName, buyerStateCode);
+  const receipt = `rcpt_${Date.now().toString(36)}${crypto.randomBytes(4).toString('hex')}`;
+
+  const gateway = getPaymentGateway();
+  const { gatewayOrderId } = await gateway.createOrder({
+    amount: pricing.total,
+    currency: 'INR',
+    receipt,
+    notes: { userId: String(user._id), plan: planName }
+  });
+
+  const order = await Order.create({
+    userId: user._id,
+    plan: planName,
+    billingPeriodDays: plan.billingPeriodDays,
+    receipt,
+    pricing: {
+      taxableAmount: pricing.taxableAmount,
+      gstRate: pricing.gstRate,
+      cgst: pricing.cgst,
+      sgst: pricing.sgst,
+      igst: pricing.igst,
+      total: pricing.total
+    },
+    billing: {
+      name: billing.name || user.fullName,
+      email: user.email,
+      gstin: billing.gstin || '',
+      stateCode: buyerStateCode,
+      address: billing.address || ''
+    },
+    gateway: gateway.name,
+    gatewayOrderId
+  });
+
+  await recordPaymentEvent('order.created', { orderId: order._id, userId: user._id, amount: pricing.total });
+  console.log(`🧾 Order created: ${order.receipt} (${planName}) for ${user.email}`);
+
+  return order;
+};
+
+// Issue the GST invoice for a paid order (once per order)
+const issueInvoice = async (order) => {
+  const existing = await Invoice.findOne({ orderId: order._id });
+  if (existing) {
+    return existing;
+  }
+
+  const financialYear = getFinancialYear();
+  const sequence = await Counter.next(`invoice-${financialYear}`);
+  const seller = getSellerDetails();
+
+  try {
+    const invoice = await Invoice.create({
+      invoiceNumber: `CC/${financialYear}/${String(sequence).padStart(6, '0')}`,
+      orderId: order._id,
+      userId: order.userId,
+      seller,
+      buyer: order.billing,
+      placeOfSupply: order.billing.stateCode || seller.stateCode,
+      lineItems: [{
+        description: `Civils Coach ${order.plan} plan - ${order.billingPeriodDays} days`,
+        sac: SAC_CODE,
+        quantity: 1,
+        taxableValue: order.pricing.taxableAmount
+      }],
+      taxableAmount: order.pricing.taxableAmount,
+      gstRate: order.pricing.gstRate,
+      cgst: order.pricing.cgst,
+      sgst: order.pricing.sgst,
+      igst: order.pricing.igst,
+      total: order.pricing.total
+    });
+
+    await Order.updateOne({ _id: order._id }, { $set: { invoiceId: invoice._id } });
+    order.invoiceId = invoice._id;
+    return invoice;
+  } catch (error) {
+    // A concurrent activation issued it first
+    if (error.code === 11000) {
+      return Invoice.findOne({ orderId: order._id });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move the user onto the plan of a paid order and record the period it granted.
+ * Renewing the active plan extends it; a different plan starts now. The subscription
+ * is changed in one atomic update that also marks it with the order, so a grant
+ * retried after a failure, or run twice concurrently, is applied once.
+ */
+const grantOrderPlan = async (order) => {
+  const now = new Date();
+  const renewing = { $and: [{ $eq: ['$subscription.plan', order.plan] }, { $gt: ['$subscription.validUntil', now] }] };
+
+  const user = await User.findOneAndUpdate(
+    { _id: order.userId, 'subscription.orderId': { $ne: order._id } },
+    [
+      {
+        $set: {
+          'subscription.plan': order.plan,
+          'subscription.validUntil': {
+            $add: [{ $cond: [renewing, '$subscription.validUntil', now] }, order.billingPeriodDays * DAY_MS]
+          },
+          'subscription.testsAllowed': getPlan(order.plan).monthlyTestQuota,
+          'subscription.orderId': order._id
+        }
+      }
+    ]
+  ).select('subscription.plan subscription.validUntil'); // the subscription before the update
+
+  if (!user) {
+    return; // already granted, or the user was deleted
+  }
+
+  const previous = user.subscription;
+  const from = previous.plan === order.plan && previous.validUntil > now ? previous.validUntil : now;
+  order.previousSubscription = { plan: previous.plan, validUntil: previous.validUntil };
+  order.subscriptionPeriod = { from, until: new Date(from.getTime() + order.billingPeriodDays * DAY_MS) };
+
+  await Order.updateOne(
+    { _id: order._id, 'subscriptionPeriod.until': { $exists: false } },
+    { $set: { previousSubscription: order.previousSubscription, subscriptionPeriod: order.subscriptionPeriod } }
+  );
+};
+
+/**
+ * Mark an order as paid and move the user onto its plan. Idempotent: the checkout
+ * callback and the webhook can both report the same payment, only the first one
+ * activates. A paid order whose plan was never granted (the grant failed) is
+ * granted again by the next call.
+ */
+const activateOrder = async (order, { gatewayPaymentId, method = '', source = 'api', gatewayEventId } = {}) => {
+  const paidOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ['created', 'failed'] } },
+    {
+      $set: {
+        status: 'paid',
+        'payment.gatewayPaymentId': gatewayPaymentId,
+        'payment.method': method,
+        'payment.paidAt': new Date(),
+        'payment.failureReason': ''
+      }
+    },
+    { new: true }
+  );
+
+  if (!paidOrder) {
+    const currentOrder = await Order.findById(order._id);
+    if (currentOrder?.status === 'paid' && !currentOrder.subscriptionPeriod?.until) {
+      await grantOrderPlan(currentOrder);
+      await issueInvoice(currentOrder);
+    }
+    return { order: currentOrder, activated: false };
+  }
+
+  await grantOrderPlan(paidOrder);
+
+  await recordPaymentEvent('payment.captured', {
+    orderId: paidOrder._id,
+    userId: paidOrder.userId,
+    amount: paidOrder.pricing.total,
+    source,
+    gatewayEventId,
+    details: { gatewayPaymentId, method }
+  });
+
+  await issueInvoice(paidOrder);
+
+  console.log(`✅ Order paid: ${paidOrder.receipt} - ${paidOrder.plan} until ${paidOrder.subscriptionPeriod?.until?.toISOString()}`);
+  return { order: paidOrder, activated: true };
+};
+
+// Record a failed payment attempt (the order stays payable)
+const failOrder = async (order, { gatewayPaymentId, failureReason = '', source = 'api', gatewayEventId } = {}) => {
+  await Order.updateOne(
+    { _id: order._id, status: 'created' },
+    {
+      $set: {
+        status: 'failed',
+        'payment.gatewayPaymentId': gatewayPaymentId || '',
+        'payment.failureReason': failureReason
+      }
+    }
+  );
+
+  await recordPaymentEvent('payment.failed', {
+    orderId: order._id,
+    userId: order.userId,
+    amount: order.pricing.total,
+    source,
+    gatewayEventId,
+    details: { gatewayPaymentId, failureReason }
+  });
+};
+
+// Take back the days an order granted; an upgrade falls back to the previous plan
+// unless later orders renewed it, in which case only the order's own days are removed
+const revertSubscription = async (order) => {
+  const user = await User.findById(order.userId);
+  if (!user || user.subscription.plan !== order.plan || !order.subscriptionPeriod?.until) {
+    return; // the user has moved to another plan since
+  }
+
+  const { from, until } = order.subscriptionPeriod;
+  const previous = order.previousSubscription || {};
+
+  const laterOrders = await Order.find({
+    _id: { $ne: order._id },
+    userId: order.userId,
+    status: 'paid',
+    'payment.paidAt': { $gt: order.payment.paidAt }
+  }).sort({ 'payment.paidAt': 1 });
+
+  // Renewals that started where the previous period ended still carry the order's days;
+  // a renewal that started afresh after the plan lapsed does not depend on them
+  const renewedOnTop = laterOrders.every(later => later.plan === order.plan &&
+    later.previousSubscription?.validUntil?.getTime() === later.subscriptionPeriod?.from?.getTime());
+  if (!renewedOnTop) {
+    return;
+  }
+
+  if (laterOrders.length === 0 && previous.plan && previous.plan !== order.plan) {
+    user.subscription.plan = previous.plan;
+    user.subscription.validUntil = previous.validUntil;
+  } else {
+    user.subscription.validUntil = new Date(user.subscription.validUntil.getTime() - (until.getTime() - from.getTime()));
+  }
+
+  await user.save();
+};
+
+// GST rules require a credit note against the original invoice for the amount refunded
+const issueCreditNote = async (order, { gatewayRefundId, amount, reason }) => {
+  if (!order.invoiceId) {
+    return;
+  }
+
+  const financialYear = getFinancialYear();
+  const sequence = await Counter.next(`credit-note-${financialYear}`);
+  await Invoice.updateOne(
+    { _id: order.invoiceId, 'creditNotes.gatewayRefundId': { $ne: gatewayRefundId } },
+    {
+      $push: {
+        creditNotes: {
+          number: `CC/CN/${financialYear}/${String(sequence).padStart(6, '0')}`,
+          gatewayRefundId,
+          issuedAt: new Date(),
+          amount,
+          reason
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Record a refund the gateway has processed, with its credit note. Idempotent per
+ * gateway refund: a refund started by an admin is reported again by the webhook.
+ * Once the refunds add up to the order total the order becomes "refunded" and
+ * the plan it granted is taken back; a partial refund keeps the plan.
+ */
+const recordRefund = async (order, { gatewayRefundId, amount, reason = '', refundedBy = '', source = 'admin', gatewayEventId }) => {
+  const recordedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ['paid', 'refunding'] }, 'refunds.gatewayRefundId': { $ne: gatewayRefundId } },
+    {
+      $push: { refunds: { gatewayRefundId, amount, reason, refundedAt: new Date(), refundedBy } },
+      $inc: { refundedAmount: amount }
+    },
+    { new: true }
+  );
+
+  if (!recordedOrder) {
+    return { order: await Order.findById(order._id), recorded: false };
+  }
+
+  await issueCreditNote(recordedOrder, { gatewayRefundId, amount, reason });
+
+  await recordPaymentEvent('refund.processed', {
+    orderId: recordedOrder._id,
+    userId: recordedOrder.userId,
+    amount,
+    source,
+    gatewayEventId,
+    details: { gatewayRefundId, reason, refundedBy, partial: recordedOrder.refundedAmount < recordedOrder.pricing.total }
+  });
+
+  // Checked against the stored total so concurrent partial refunds cannot both miss it
+  const refundedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: { $in: ['paid', 'refunding'] }, $expr: { $gte: ['$refundedAmount', '$pricing.total'] } },
+    { $set: { status: 'refunded' } },
+    { new: true }
+  );
+
+  if (!refundedOrder) {
+    console.log(`↩️ Order partially refunded: ${recordedOrder.receipt} ${amount}/${recordedOrder.pricing.total} (${refundedBy || source})`);
+    return { order: recordedOrder, recorded: true };
+  }
+
+  await revertSubscription(refundedOrder);
+
+  console.log(`↩️ Order refunded: ${refundedOrder.receipt} (${refundedBy || source})`);
+  return { order: refundedOrder, recorded: true };
+};
+
+/**
+ * Refund what is left of a paid order and downgrade the plan it granted. The order
+ * is claimed ("refunding") before the gateway is asked, so concurrent requests
+ * cannot refund it twice; if the process stops after the gateway refunded, the
+ * gateway webhook completes the refund.
+ */
+const refundOrder = async (order, { reason = '', refundedBy = '', source = 'admin' } = {}) => {
+  const claimedOrder = await Order.findOneAndUpdate(
+    { _id: order._id, status: 'paid' },
+    { $set: { status: 'refunding' } },
+    { new: true }
+  );
+
+  if (!claimedOrder) {
+    const currentOrder = await Order.findById(order._id);
+    if (currentOrder?.status === 'refunded') {
+      return { order: currentOrder, refunded: false };
+    }
+    if (currentOrder?.status === 'refunding') {
+      throw new CustomError('A refund for this order is already in progress', 409, 'REFUND_IN_PROGRESS');
+    }
+    throw new CustomError('Only paid orders can be refunded', 400, 'ORDER_NOT_REFUNDABLE');
+  }
+
+  const amount = claimedOrder.pricing.total - claimedOrder.refundedAmount;
+  let refund;
+  try {
+    refund = await getPaymentGateway().refundPayment({
+      gatewayPaymentId: claimedOrder.payment.gatewayPaymentId,
+      amount,
+      notes: { receipt: claimedOrder.receipt, reason }
+    });
+  } catch (error) {
+    // Nothing was refunded, the order can be refunded again
+    await Order.updateOne({ _id: claimedOrder._id, status: 'refunding' }, { $set: { status: 'paid' } });
+    throw error;
+  }
+
+  // The webhook may have recorded this refund already
+  const { order: refundedOrder } = await recordRefund(claimedOrder, {
+    gatewayRefundId: refund.gatewayRefundId,
+    amount,
+    reason,
+    refundedBy,
+    source
+  });
+  return { order: refundedOrder, refunded: true };
+};
+
+/**
+ * Process a verified gateway webhook. Returns "processed", "duplicate" or "ignored";
+ * every outcome is acknowledged to the gateway so it stops retrying.
+ */
+const processWebhookEvent = async (event) => {
+  const gateway = getPaymentGateway();
+
+  if (event.eventId && await PaymentEvent.isProcessed(gateway.name, event.eventId)) {
+    return 'duplicate';
+  }
+
+  const order = event.type === 'refund.processed'
+    ? await Order.findOne({ gateway: gateway.name, 'payment.gatewayPaymentId': event.gatewayPaymentId })
+    : await Order.findOne({ gateway: gateway.name, gatewayOrderId: event.gatewayOrderId });
+
+  const ignore = async (reason) => {
+    await recordPaymentEvent('webhook.ignored', {
+      orderId: order?._id,
+      userId: order?.userId,
+      amount: event.amount || 0,
+      source: 'webhook',
+      gatewayEventId: event.eventId || undefined,
+      details: { event: event.type, reason }
+    });
+    return 'ignored';
+  };
+
+  if (!order) {
+    return ignore('ORDER_NOT_FOUND');
+  }
+
+  const gatewayEventId = event.eventId || undefined;
+
+  switch (event.type) {
+    case 'payment.captured':
+      if (event.amount !== order.pricing.total) {
+        console.error(`⚠️ Payment amount mismatch for ${order.receipt}: ${event.amount} != ${order.pricing.total}`);
+        return ignore('AMOUNT_MISMATCH');
+      }
+      await activateOrder(order, {
+        gatewayPaymentId: event.gatewayPaymentId,
+        method: event.method,
+        source: 'webhook',
+        gatewayEventId
+      });
+      return 'processed';
+    case 'payment.failed':
+      if (order.status !== 'created') {
+        return ignore('ORDER_NOT_PENDING');
+      }
+      await failOrder(order, {
+        gatewayPaymentId: event.gatewayPaymentId,
+        failureReason: event.failureReason,
+        source: 'webhook',
+        gatewayEventId
+      });
+      return 'processed';
+    case 'refund.processed': {
+      if (!['paid', 'refunding'].includes(order.status)) {
+        return ignore('ORDER_NOT_PAID');
+      }
+      // Partial refunds are recorded with their own amount and keep the plan
+      if (!(event.amount > 0) || event.amount > order.pricing.total - order.refundedAmount) {
+        console.error(`⚠️ Refund amount mismatch for ${order.receipt}: ${event.amount} > ${order.pricing.total - order.refundedAmount}`);
+        return ignore('AMOUNT_MISMATCH');
+      }
+      const { recorded } = await recordRefund(order, {
+        gatewayRefundId: event.gatewayRefundId,
+        amount: event.amount,
+        reason: 'Refunded through the payment gateway',
+        refundedBy: 'gateway',
+        source: 'webhook',
+        gatewayEventId
+      });
+      return recorded ? 'processed' : ignore('REFUND_ALREADY_RECORDED');
+    }
+    default:
+      return ignore('UNSUPPORTED_EVENT');
+  }
+};
+
+module.exports = {
+  getPaymentGateway,
+  quotePlan,
+  createPlanOrder,
+  activateOrder,
+  failOrder,
+  refundOrder,
+  processWebhookEvent
+};
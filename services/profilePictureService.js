@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const User = require('../models/User');
+const { CustomError } = require('../middleware/errorHandler');
+const { saveFile, deleteFiles } = require('./storageService');
+
+// Profile pictures are uploaded once and stored as fixed-size square WebP
+// thumbnails; only their URLs are kept on the user.
+
+const MAX_PROFILE_PICTURE_BYTES = 5 * 1024 * 1024; // 5MB upload limit
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp']; // as detected by sharp from the file contents
+const MIN_DIMENSION = 64; // pixels
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000; // rejects decompression bombs
+
+// Thumbnail name -> edge length in pixels
+const THUMBNAIL_SIZES = {
+  large: 256,
+  small: 64
+};
+
+// Decode the upload, check it is a real image and render every thumbnail
+const renderThumbnails = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new CustomError('The file is not a valid image', 400, 'INVALID_IMAGE');
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new CustomError('Only JPEG, PNG and WebP images are allowed', 400, 'INVALID_IMAGE_TYPE');
+  }
+
+  if (metadata.width < MIN_DIMENSION || metadata.height < MIN_DIMENSION) {
+    throw new CustomError(`Image must be at least ${MIN_DIMENSION}x${MIN_DIMENSION} pixels`, 400, 'IMAGE_TOO_SMALL');
+  }
+
+  const thumbnails = {};
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    // rotate() applies the EXIF orientation; EXIF data (including location) is not copied
+    thumbnails[name] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 82 })
+      .toBuffer();
+  }
+  return thumbnails;
+};
+
+/**
+ * Replace a user's profile picture with an uploaded image
+ * @returns {Promise<Object>} the updated user
+ */
+const setProfilePicture = async (userId, buffer) => {
+  const thumbnails = await renderThumbnails(buffer);
+
+  // A new name for every upload so cached copies of the old picture are never served
+  const version = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const saved = {};
+  for (const [name, image] of Object.entries(thumbnails)) {
+    saved[name] = await saveFile(`profile-pictures/${userId}/${version}-${name}.webp`, image, { contentType: 'image/webp' });
+  }
+
+  const previous = await User.findByIdAndUpdate(userId, {
+    $set: {
+      'profile.profilePicture': saved.large.url,
+      'profile.profilePictureThumbnail': saved.small.url,
+      'profile.profilePictureKeys': Object.values(saved).map(file => file.key)
+    }
+  }).select('profile.profilePictureKeys');
+
+  if (!previous) {
+    await deleteFiles(Object.values(saved).map(file => file.key));
+    return null;
+  }
+
+  await deleteFiles(previous.profile.profilePictureKeys);
+  return User.findById(userId);
+};
+
+/**
+ * Remove a user's profile picture and its stored files
+ * @returns {Promise<Object>} the updated user
+ */
+const removeProfilePicture = async (userId) => {
+  const previous = await User.findByIdAndUpdate(userId, {
+    $set: {
+      'profile.profilePicture': '',
+      'profile.profilePictureThumbnail': '',
+      'profile.profilePictureKeys': []
+    }
+  }).select('profile.profilePictureKeys');
+
+  if (!previous) {
+    return null;
+  }
+
+  await deleteFiles(previous.profile.profilePictureKeys);
+  return User.findById(userId);
+};
+
+module.exports = {
+  MAX_PROFILE_PICTURE_BYTES,
+  ALLOWED_MIME_TYPES,
+  THUMBNAIL_SIZES,
+  setProfilePicture,
+  removeProfilePicture
+};
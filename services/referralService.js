@@ -0,0 +1,180 @@
+const Referral = require('../models/Referral');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { getDeviceFingerprint } = require('../utils/deviceInfo');
+const { getFrontendUrl } = require('./emailTemplates/layout');
+
+// Reward rules: both sides get extra subscription days once the referee completes a first test
+const REFERRER_REWARD_DAYS = parseInt(process.env.REFERRAL_REFERRER_DAYS) || 30;
+const REFEREE_REWARD_DAYS = parseInt(process.env.REFERRAL_REFEREE_DAYS) || 15;
+// Referrers stop earning days after this many rewarded referrals in 30 days (referees are still rewarded)
+const MAX_REFERRER_REWARDS_PER_MONTH = parseInt(process.env.REFERRAL_MONTHLY_LIMIT) || 10;
+
+// How far back the referrer's own logins are compared against the referee's signup
+const FRAUD_LOOKBACK_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Link that pre-fills the referral code on the signup page
+const buildReferralLink = (code) => {
+  return `${getFrontendUrl()}/signup?ref=${encodeURIComponent(code)}`;
+};
+
+// Plan granted to Free users for their reward days
+const REFERRAL_REWARD_PLAN = 'Basic';
+
+/**
+ * Extend subscription.validUntil by a number of days, counting from now when it
+ * already expired. Free users are moved to the reward plan for those days, since
+ * the Free plan itself never expires.
+ */
+const extendSubscription = (userId, days) => {
+  if (!days) {
+    return Promise.resolve();
+  }
+
+  const isFree = { $eq: ['$subscription.plan', 'Free'] };
+  return User.updateOne({ _id: userId }, [
+    {
+      $set: {
+        'subscription.plan': { $cond: [isFree, REFERRAL_REWARD_PLAN, '$subscription.plan'] },
+        'subscription.validUntil': {
+          $add: [
+            { $cond: [isFree, '$$NOW', { $max: ['$subscription.validUntil', '$$NOW'] }] },
+            days * DAY_MS
+          ]
+        }
+      }
+    }
+  ]);
+};
+
+/**
+ * Fraud checks for a new referral. Returns a rejection reason or null.
+ * The referee must not sign up from an IP address or device the referrer has
+ * used, and a device can only ever produce one referral.
+ */
+const detectReferralFraud = async (referrer, { ipAddress, deviceFingerprint }) => {
+  if (!referrer.security.isActive) {
+    return 'REFERRER_INACTIVE';
+  }
+
+  const referrerTokens = await RefreshToken.find({
+    userId: referrer._id,
+    createdAt: { $gte: new Date(Date.now() - FRAUD_LOOKBACK_DAYS * DAY_MS) }
+  }).select('ipAddress deviceId userAgent').lean();
+
+  const referrerIPs = new Set(referrerTokens.map(token => token.ipAddress).filter(Boolean));
+  if (referrer.security.lastLoginIP) {
+    referrerIPs.add(referrer.security.lastLoginIP);
+  }
+  if (ipAddress && referrerIPs.has(ipAddress)) {
+    return 'SAME_IP';
+  }
+
+  if (!deviceFingerprint) {
+    return null;
+  }
+
+  const referrerDevices = new Set(referrerTokens.map(token => getDeviceFingerprint(token.deviceId, token.userAgent)));
+  if (referrerDevices.has(deviceFingerprint)) {
+    return 'SAME_DEVICE';
+  }
+
+  const previousReferral = await Referral.exists({ deviceFingerprint });
+  if (previousReferral) {
+    return 'DEVICE_ALREADY_REFERRED';
+  }
+
+  return null;
+};
+
+// Record a referral for a user who just signed up with a referral code (never throws)
+const recordReferral = async ({ referrer, referee, code, context = {} }) => {
+  try {
+    // No fingerprint when the client sent neither a device id nor a user agent
+    const deviceFingerprint = context.deviceId || context.userAgent
+      ? getDeviceFingerprint(context.deviceId, context.userAgent)
+      : '';
+    const rejectionReason = await detectReferralFraud(referrer, {
+      ipAddress: context.ipAddress,
+      deviceFingerprint
+    });
+
+    const referral = await Referral.create({
+      referrer: referrer._id,
+      referee: referee._id,
+      code,
+      status: rejectionReason ? 'rejected' : 'pending',
+      rejectionReason,
+      signupIP: context.ipAddress || '',
+      deviceFingerprint
+    });
+
+    if (rejectionReason) {
+      console.log(`🚫 Referral rejected (${rejectionReason}): ${referee.email} referred by ${referrer.email}`);
+    } else {
+      console.log(`🤝 Referral recorded: ${referee.email} referred by ${referrer.email}`);
+    }
+    return referral;
+  } catch (error) {
+    console.error('Referral recording error:', error.message);
+    return null;
+  }
+};
+
+// Grant the rewards of a pending referral once the referee completed a test (never throws)
+const rewardReferral = async (refereeId) => {
+  try {
+    const pending = await Referral.findOne({ referee: refereeId, status: 'pending' });
+    if (!pending) {
+      return null;
+    }
+
+    const recentRewards = await Referral.countDocuments({
+      referrer: pending.referrer,
+      status: 'rewarded',
+      'reward.grantedAt': { $gte: new Date(Date.now() - 30 * DAY_MS) }
+    });
+    const referrerDays = recentRewards < MAX_REFERRER_REWARDS_PER_MONTH ? REFERRER_REWARD_DAYS : 0;
+
+    // Claim the referral atomically so concurrent test submissions reward it only once
+    const referral = await Referral.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      {
+        $set: {
+          status: 'rewarded',
+          'reward.referrerDays': referrerDays,
+          'reward.refereeDays': REFEREE_REWARD_DAYS,
+          'reward.grantedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!referral) {
+      return null;
+    }
+
+    await Promise.all([
+      extendSubscription(referral.referrer, referrerDays),
+      extendSubscription(referral.referee, REFEREE_REWARD_DAYS)
+    ]);
+
+    console.log(`🎁 Referral rewarded: referrer +${referrerDays} days, referee +${REFEREE_REWARD_DAYS} days`);
+    return referral;
+  } catch (error) {
+    console.error('Referral reward error:', error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  REFERRER_REWARD_DAYS,
+  REFEREE_REWARD_DAYS,
+  MAX_REFERRER_REWARDS_PER_MONTH,
+  REFERRAL_REWARD_PLAN,
+  buildReferralLink,
+  extendSubscription,
+  recordReferral,
+  rewardReferral
+};
@@ -0,0 +1,67 @@
+const { createManagedOtpProvider } = require('./managedOtpProvider');
+
+// Generic HTTP SMS gateway provider for Indian bulk SMS gateways (MSG91, Fast2SMS,
+// Textlocal, ...). OTPs are generated and verified by us; the gateway only delivers.
+//
+// Configuration:
+//   SMS_GATEWAY_URL         endpoint that accepts a JSON POST
+//   SMS_GATEWAY_API_KEY     sent as the "Authorization" header (or SMS_GATEWAY_AUTH_HEADER)
+//   SMS_GATEWAY_SENDER_ID   DLT approved sender id
+//   SMS_GATEWAY_TEMPLATE_ID DLT template id (required by most Indian gateways)
+//   SMS_GATEWAY_NOTIFICATION_TEMPLATE_ID DLT template id for notification messages
+//                           (defaults to SMS_GATEWAY_TEMPLATE_ID)
+
+const GATEWAY_TIMEOUT_MS = 10000;
+
+// Deliver a message through the configured gateway (kind is "otp" or "notification")
+const deliver = async (phoneNumber, message, kind = 'otp') => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    throw new Error('SMS gateway URL not configured');
+  }
+
+  const response = await fetch(process.env.SMS_GATEWAY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [process.env.SMS_GATEWAY_AUTH_HEADER || 'Authorization']: process.env.SMS_GATEWAY_API_KEY || ''
+    },
+    body: JSON.stringify({
+      to: phoneNumber,
+      message,
+      sender: process.env.SMS_GATEWAY_SENDER_ID || '',
+      templateId: (kind === 'notification' && process.env.SMS_GATEWAY_NOTIFICATION_TEMPLATE_ID) || process.env.SMS_GATEWAY_TEMPLATE_ID || ''
+    }),
+    signal: AbortSignal.timeout(GATEWAY_TIMEOUT_MS)
+  });
+
+  const responseText = await response.text();
+  if (!response.ok) {
+    throw new Error(`Gateway responded with ${response.status}: ${responseText.substring(0, 200)}`);
+  }
+
+  let payload = {};
+  try {
+    payload = JSON.parse(responseText);
+  } catch (error) {
+    // Some gateways reply with plain text
+  }
+
+  return {
+    messageId: payload.messageId || payload.request_id || payload.id || ''
+  };
+};
+
+// Gateways don't share a health endpoint, so only the configuration is checked
+const testConnection = async () => {
+  const configured = Boolean(process.env.SMS_GATEWAY_URL && process.env.SMS_GATEWAY_API_KEY);
+  if (!configured) {
+    console.error('📱 SMS gateway is not configured (SMS_GATEWAY_URL / SMS_GATEWAY_API_KEY)');
+  }
+  return configured;
+};
+
+module.exports = createManagedOtpProvider({
+  name: 'gateway',
+  deliver,
+  testConnection
+});
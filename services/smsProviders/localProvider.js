@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { createManagedOtpProvider } = require('./managedOtpProvider');
+
+// Local development provider - nothing leaves the machine. Messages (including
+// the OTP) are appended to an outbox file and printed to the console so the
+// whole signup flow can be completed offline.
+const OUTBOX_PATH = process.env.SMS_LOCAL_OUTBOX || path.join(__dirname, '..', '..', 'logs', 'sms-outbox.log');
+
+// Write the message to the outbox file
+const deliver = async (phoneNumber, message) => {
+  const entry = `[${new Date().toISOString()}] To: ${phoneNumber} | ${message}\n`;
+
+  await fs.promises.mkdir(path.dirname(OUTBOX_PATH), { recursive: true });
+  await fs.promises.appendFile(OUTBOX_PATH, entry);
+
+  console.log(`📱 [local SMS] ${phoneNumber}: ${message}`);
+
+  return { messageId: `local_${Date.now()}` };
+};
+
+// The outbox directory must be writable
+const testConnection = async () => {
+  try {
+    await fs.promises.mkdir(path.dirname(OUTBOX_PATH), { recursive: true });
+    await fs.promises.access(path.dirname(OUTBOX_PATH), fs.constants.W_OK);
+    return true;
+  } catch (error) {
+    console.error('📱 Local SMS outbox is not writable:', error.message);
+    return false;
+  }
+};
+
+module.exports = createManagedOtpProvider({
+  name: 'local',
+  deliver,
+  testConnection
+});
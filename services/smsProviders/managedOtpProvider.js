@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const SmsOtp = require('../../models/SmsOtp');
+const { formatPhoneNumber } = require('./phoneFormat');
+
+// Wrong codes allowed per issued OTP before it is discarded
+const MAX_SMS_OTP_ATTEMPTS = 5;
+
+// OTP message sent to the user
+const buildOTPMessage = (code) => {
+  return `${code} is your Civils Coach verification code. It is valid for 10 minutes. Do not share it with anyone.`;
+};
+
+/**
+ * Create a provider that generates, hashes and verifies its own OTPs and only
+ * relies on the transport for delivery. deliver(phoneNumber, message, kind) must
+ * resolve with delivery details or throw on failure; kind is "otp" or "notification".
+ */
+const createManagedOtpProvider = ({ name, deliver, testConnection }) => {
+  // Send a freshly generated OTP
+  const sendOTP = async (phoneNumber) => {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    const code = crypto.randomInt(100000, 1000000).toString();
+
+    await SmsOtp.issue(formattedPhone, code, name);
+
+    try {
+      const delivery = await deliver(formattedPhone, buildOTPMessage(code));
+
+      console.log(`📱 SMS OTP sent via ${name} provider to:`, formattedPhone);
+
+      return {
+        success: true,
+        messageId: delivery?.messageId || '',
+        status: 'pending',
+        to: formattedPhone,
+        method: name
+      };
+    } catch (error) {
+      // A code that never reached the user must not stay valid
+      await SmsOtp.deleteOne({ phoneNumber: formattedPhone });
+      console.error(`📱 SMS sending error (${name}):`, error.message);
+      throw new Error(`Failed to send OTP SMS: ${error.message}`);
+    }
+  };
+
+  // Verify a code (returns { success, status, error } like the Twilio provider)
+  const verifyOTP = async (phoneNumber, otpCode) => {
+    try {
+      const formattedPhone = formatPhoneNumber(phoneNumber);
+
+      const otp = await SmsOtp.findOneAndUpdate(
+        { phoneNumber: formattedPhone, expiresAt: { $gt: new Date() } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (!otp) {
+        return {
+          success: false,
+          error: 'SMS verification session expired. Please request a new OTP.'
+        };
+      }
+
+      if (otp.attempts > MAX_SMS_OTP_ATTEMPTS) {
+        await otp.deleteOne();
+        return {
+          success: false,
+          status: 'max_attempts_reached',
+          error: 'Too many incorrect codes. Please request a new OTP.'
+        };
+      }
+
+      if (!otp.compareCode(otpCode)) {
+        return {
+          success: false,
+          status: 'pending',
+          error: 'SMS verification pending. Please check the code and try again.'
+        };
+      }
+
+      // Codes are single use
+      await otp.deleteOne();
+
+      return {
+        success: true,
+        status: 'approved',
+        to: formattedPhone
+      };
+    } catch (error) {
+      console.error(`📱 SMS OTP verification error (${name}):`, error.message);
+      return {
+        success: false,
+        error: error.message || 'SMS verification failed'
+      };
+    }
+  };
+
+  // Send a plain notification message
+  const sendMessage = async (phoneNumber, message) => {
+    const formattedPhone = formatPhoneNumber(phoneNumber);
+    const delivery = await deliver(formattedPhone, message, 'notification');
+    return {
+      success: true,
+      messageId: delivery?.messageId || '',
+      to: formattedPhone
+    };
+  };
+
+  return {
+    name,
+    sendOTP,
+    verifyOTP,
+    sendMessage,
+    testConnection
+  };
+};
+
+module.exports = {
+  createManagedOtpProvider,
+  buildOTPMessage
+};
@@ -0,0 +1,15 @@
+// Normalise phone numbers to E.164 (numbers without a country code are treated as Indian)
+const formatPhoneNumber = (phoneNumber) => {
+  const cleanNumber = String(phoneNumber).replace(/[\s\-\(\)]/g, '');
+  if (cleanNumber.startsWith('+')) {
+    return cleanNumber;
+  }
+  if (/^91[6-9]\d{9}$/.test(cleanNumber)) {
+    return `+${cleanNumber}`;
+  }
+  return `+91${cleanNumber}`;
+};
+
+module.exports = {
+  formatPhoneNumber
+};
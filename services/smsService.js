@@ -1,183 +1,79 @@
-const twilio = require('twilio');
+// SMS service - thin facade over a pluggable provider selected by configuration.
+//
+// SMS_PROVIDER:
+//   twilio  - Twilio Verify (Twilio generates and verifies the code)
+//   gateway - generic Indian SMS gateway, OTP generated/verified by us (see smsProviders/gatewayProvider)
+//   local   - writes messages to logs/sms-outbox.log and the console, for offline development
+// When unset, Twilio is used if it is configured, otherwise the local provider outside production.
+const providers = {
+  twilio: () => require('./smsProviders/twilioProvider'),
+  gateway: () => require('./smsProviders/gatewayProvider'),
+  local: () => require('./smsProviders/localProvider')
+};
 
-// Initialize Twilio client
-let twilioClient = null;
+let activeProvider = null;
 
-const initializeTwilio = () => {
-  if (!twilioClient) {
-    try {
-      twilioClient = twilio(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-      );
-      console.log('📱 Twilio client initialized successfully');
-    } catch (error) {
-      console.error('📱 Twilio initialization error:', error.message);
-      throw error;
-    }
+// Resolve the configured provider name
+const resolveProviderName = () => {
+  const configured = (process.env.SMS_PROVIDER || '').trim().toLowerCase();
+  if (configured) {
+    return configured;
   }
-  return twilioClient;
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_SERVICE_SID) {
+    return 'twilio';
+  }
+  return process.env.NODE_ENV === 'production' ? 'twilio' : 'local';
 };
 
-// Send OTP via SMS using Twilio Verify Service (PROPER IMPLEMENTATION)
-const sendOTPSMS = async (phoneNumber) => {
-  try {
-    const client = initializeTwilio();
-
-    // Format phone number (ensure it starts with +)
-    const formattedPhone = phoneNumber.startsWith('+') ? phoneNumber : `+91${phoneNumber}`;
-
-    // Use Twilio Verify Service - it handles international SMS properly
-    const verification = await client.verify.v2
-      .services(process.env.TWILIO_SERVICE_SID)
-      .verifications.create({
-        to: formattedPhone,
-        channel: 'sms'
-      });
-
-    console.log('📱 SMS sent via Twilio Verify Service:', {
-      sid: verification.sid,
-      to: formattedPhone,
-      status: verification.status
-    });
-
-    return {
-      success: true,
-      messageId: verification.sid,
-      status: verification.status,
-      to: formattedPhone,
-      method: 'verify-service'
-    };
-
-  } catch (error) {
-    console.error('📱 SMS sending error:', {
-      error: error.message,
-      code: error.code,
-      status: error.status,
-      moreInfo: error.moreInfo
-    });
-
-    // Handle specific Twilio errors
-    if (error.code === 21211) {
-      throw new Error('Invalid phone number format. Please check the phone number and try again.');
-    }
-    if (error.code === 21408) {
-      throw new Error('Permission denied for sending SMS to this number.');
-    }
-    if (error.code === 21610) {
-      throw new Error('Phone number is not reachable or blocked.');
+// Get the active SMS provider (resolved once per process)
+const getSMSProvider = () => {
+  if (!activeProvider) {
+    const name = resolveProviderName();
+    if (!providers[name]) {
+      throw new Error(`Unknown SMS provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
     }
-    if (error.code === 21614) {
-      throw new Error('Phone number is invalid or not a mobile number.');
+    if (name === 'local' && process.env.NODE_ENV === 'production') {
+      console.warn('⚠️ Local SMS provider is active in production - SMS will not be delivered');
     }
-
-    throw new Error(`Failed to send OTP SMS: ${error.message}`);
+    activeProvider = providers[name]();
+    console.log(`📱 SMS provider: ${activeProvider.name}`);
   }
+  return activeProvider;
 };
 
-// Verify SMS OTP using Twilio Verify Service with retry logic
-const verifySMSOTP = async (phoneNumber, otpCode) => {
-  try {
-    if (!process.env.TWILIO_SERVICE_SID) {
-      throw new Error('Twilio Verify Service SID not configured');
-    }
-
-    const client = initializeTwilio();
-    
-    // Format phone number
-    const formattedPhone = phoneNumber.startsWith('+') ? phoneNumber : `+91${phoneNumber}`;
-
-    // Try verification with retry for pending status
-    let attempt = 0;
-    const maxAttempts = 3;
-    
-    while (attempt < maxAttempts) {
-      try {
-        const verificationCheck = await client.verify.v2
-          .services(process.env.TWILIO_SERVICE_SID)
-          .verificationChecks.create({
-            to: formattedPhone,
-            code: otpCode
-          });
-
-        console.log('📱 SMS OTP verification result:', {
-          status: verificationCheck.status,
-          to: formattedPhone,
-          valid: verificationCheck.valid,
-          attempt: attempt + 1
-        });
+// Send OTP via SMS through the active provider
+const sendOTPSMS = async (phoneNumber) => {
+  return getSMSProvider().sendOTP(phoneNumber);
+};
 
-        // Handle different statuses
-        if (verificationCheck.status === 'approved') {
-          return {
-            success: true,
-            status: verificationCheck.status,
-            to: formattedPhone
-          };
-        } else if (verificationCheck.status === 'pending' && attempt < maxAttempts - 1) {
-          // Wait and retry for pending status
-          console.log('📱 SMS verification pending, retrying in 2 seconds...');
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          attempt++;
-          continue;
-        } else {
-          return {
-            success: false,
-            status: verificationCheck.status,
-            error: `SMS verification ${verificationCheck.status}. Please check the code and try again.`
-          };
-        }
+// Verify SMS OTP through the active provider
+const verifySMSOTP = async (phoneNumber, otpCode) => {
+  return getSMSProvider().verifyOTP(phoneNumber, otpCode);
+};
 
-      } catch (verifyError) {
-        if (verifyError.code === 20404) {
-          return {
-            success: false,
-            error: 'SMS verification session expired. Please request a new OTP.'
-          };
-        } else if (verifyError.code === 20409) {
-          return {
-            success: false,
-            error: 'SMS verification already completed or expired. Please request a new OTP.'
-          };
-        } else if (attempt === maxAttempts - 1) {
-          throw verifyError;
-        } else {
-          // Retry on temporary errors
-          console.log(`📱 SMS verification attempt ${attempt + 1} failed, retrying...`);
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          attempt++;
-        }
-      }
-    }
+// Send a notification (non-OTP) message through the active provider
+const sendSMSMessage = async (phoneNumber, message) => {
+  return getSMSProvider().sendMessage(phoneNumber, message);
+};
 
+// Test the active provider's connection/configuration
+const testSMSConnection = async () => {
+  try {
+    return await getSMSProvider().testConnection();
   } catch (error) {
-    console.error('📱 SMS OTP verification error:', error.message);
-    
-    return {
-      success: false,
-      error: error.message || 'SMS verification failed'
-    };
+    console.error('📱 SMS connection test failed:', error.message);
+    return false;
   }
 };
 
-// Test Twilio connection
+// Test Twilio connection (kept for existing scripts)
 const testTwilioConnection = async () => {
-  try {
-    const client = initializeTwilio();
-    
-    // Test by fetching account details
-    const account = await client.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
-    
-    console.log('📱 Twilio connection verified:', {
-      accountSid: account.sid,
-      status: account.status
-    });
+  return providers.twilio().testConnection();
+};
 
-    return true;
-  } catch (error) {
-    console.error('📱 Twilio connection test failed:', error.message);
-    return false;
-  }
+// Initialize Twilio client (kept for existing scripts)
+const initializeTwilio = () => {
+  return providers.twilio().initializeTwilio();
 };
 
 // Validate phone number format
@@ -197,7 +93,10 @@ const validatePhoneNumber = (phoneNumber) => {
 module.exports = {
   sendOTPSMS,
   verifySMSOTP,
+  sendSMSMessage,
+  testSMSConnection,
   testTwilioConnection,
   validatePhoneNumber,
-  initializeTwilio
-};
\ No newline at end of file
+  initializeTwilio,
+  getSMSProvider
+};
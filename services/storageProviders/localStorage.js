@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk storage - files are written under a directory on this server and
+// served by the API itself (see server.js). Only suitable for a single long-lived
+// server; serverless deployments lose files written to their disk.
+//
+// Configuration:
+//   LOCAL_STORAGE_DIR         directory for stored files (defaults to <project>/uploads)
+//   LOCAL_STORAGE_PUBLIC_URL  URL the directory is served at (defaults to /uploads). Set it to an
+//                             absolute URL such as https://api.example.com/uploads when the
+//                             frontend runs on another origin
+
+const getRootDir = () => path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+const getPublicUrl = () => (process.env.LOCAL_STORAGE_PUBLIC_URL || '/uploads').replace(/\/+$/, '');
+
+// Resolve a storage key to a path inside the root directory
+const resolveKey = (key) => {
+  const root = getRootDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+const getUrl = (key) => `${getPublicUrl()}/${key}`;
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  return { key, url: getUrl(key) };
+};
+
+// Deleting a file that is already gone is not an error
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+// The storage directory must be writable
+const testConnection = async () => {
+  try {
+    await fs.promises.mkdir(getRootDir(), { recursive: true });
+    await fs.promises.access(getRootDir(), fs.constants.W_OK);
+    return true;
+  } catch (error) {
+    console.error('🗄️ Local storage directory is not writable:', error.message);
+    return false;
+  }
+};
+
+// Where server.js should serve the stored files from
+const getStaticMount = () => ({
+  urlPath: new URL(getPublicUrl(), 'http://localhost').pathname,
+  directory: getRootDir()
+});
+
+module.exports = {
+  name: 'local',
+  save,
+  remove,
+  getUrl,
+  testConnection,
+  getStaticMount
+};
@@ -0,0 +1,54 @@
+// File storage service - thin facade over a pluggable provider selected by configuration.
+//
+// STORAGE_PROVIDER:
+//   local - files on this server's disk, served under /uploads (see storageProviders/localStorage)
+// When unset, the local provider is used.
+//
+// A provider stores files by key (e.g. "profile-pictures/<userId>/<name>.webp") and
+// implements save(key, buffer, { contentType }) -> { key, url }, remove(key),
+// getUrl(key) and testConnection(). Providers that need the API to serve their
+// files also implement getStaticMount() -> { urlPath, directory }.
+const providers = {
+  local: () => require('./storageProviders/localStorage')
+};
+
+let activeProvider = null;
+
+// Get the active storage provider (resolved once per process)
+const getStorageProvider = () => {
+  if (!activeProvider) {
+    const name = (process.env.STORAGE_PROVIDER || 'local').trim().toLowerCase();
+    if (!providers[name]) {
+      throw new Error(`Unknown storage provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+    activeProvider = providers[name]();
+    console.log(`🗄️ Storage provider: ${activeProvider.name}`);
+  }
+  return activeProvider;
+};
+
+// Store a file and return its key and public URL
+const saveFile = async (key, buffer, options = {}) => {
+  return getStorageProvider().save(key, buffer, options);
+};
+
+// Delete stored files; failures are logged, not thrown, so cleanup never fails the request
+const deleteFiles = async (keys = []) => {
+  const provider = getStorageProvider();
+  await Promise.all(keys.map(key => provider.remove(key).catch(error => {
+    console.error(`🗄️ Failed to delete stored file ${key}:`, error.message);
+  })));
+};
+
+// Static route for providers whose files are served by this API (null otherwise)
+const getStaticMount = () => {
+  const provider = getStorageProvider();
+  return provider.getStaticMount ? provider.getStaticMount() : null;
+};
+
+module.exports = {
+  getStorageProvider,
+  saveFile,
+  deleteFiles,
+  getStaticMount
+};
@@ -0,0 +1,545 @@
+const Test = require('../models/Test');
+const TestSession = require('../models/TestSession');
+const UserTestRecord = require('../models/UserTestRecord');
+const User = require('../models/User');
+const { rewardReferral } = require('./referralService');
+const { notify, addToInbox } = require('./notificationService');
+const { getSectionRanges, findSectionIndex } = require('../utils/testSections');
+const { ZERO, addFractions, toNumber, getMarks, getQuestionScoring, getQuestionPoints } = require('../utils/markingScheme');
+
+// Test grading - turns a finished TestSession into a UserTestRecord. Used by
+// submitTest for submissions and by the session sweeper (utils/testSessionSweeper)
+// for sessions whose time ran out, which are graded from their autosaved answers.
+
+// Final submit payload merged over the autosaved answers. The payload is either an
+// array of { questionIndex, selectedOption, timeSpent, attempts } or the legacy
+// { questionIndex: selectedOption } object; questions it leaves out keep their saved answer.
+// Answers saved after their section had closed don't count.
+const mergeSavedAnswers = (testSession, answers) => {
+  const test = testSession.testId;
+  const hasSections = test?.sections?.length > 0;
+  const merged = new Map(testSession.getSavedAnswers()
+    .filter(answer => !hasSections || !answer.savedAt || testSession.acceptsAnswerFor(test, answer.questionIndex, answer.savedAt))
+    .map(answer => [answer.questionIndex, answer]));
+
+  const submitted = Array.isArray(answers)
+    ? answers.filter(answer => answer && typeof answer === 'object' && 'questionIndex' in answer)
+    : Object.entries(answers && typeof answers === 'object' ? answers : {})
+      .map(([questionIndex, selectedOption]) => ({ questionIndex, selectedOption }));
+
+  submitted.forEach(answer => {
+    const questionIndex = Number(answer.questionIndex);
+    if (!Number.isInteger(questionIndex)) {
+      return;
+    }
+    const saved = merged.get(questionIndex);
+    merged.set(questionIndex, {
+      ...answer,
+      questionIndex,
+      timeSpent: answer.timeSpent ?? saved?.timeSpent,
+      attempts: answer.attempts ?? saved?.attempts
+    });
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Score answers against a test's current answer key and marking scheme.
+ * Marks are added up exactly (see utils/markingScheme) and rounded once at the end.
+ *
+ * @param {Object} test - Test document
+ * @param {Object} answersMap - { canonicalQuestionIndex: selectedOption }
+ * @param {Function} [getTimeSpent] - seconds spent on a question index (for section stats)
+ * @returns {Object} { totalScore, correctAnswers, wrongAnswers, unanswered, percentage,
+ *   questionResults: [{ correctOption, isCorrect, marksAwarded }], sectionWisePerformance, qualifiedAllSections }
+ */
+const scoreAnswers = (test, answersMap, getTimeSpent = () => 0) => {
+  let correctAnswers = 0;
+  let wrongAnswers = 0;
+  let unanswered = 0;
+  let totalScore = ZERO;
+
+  // Sectional tests are scored per section (sections may override the test scoring)
+  const ranges = getSectionRanges(test);
+  const sectionStats = ranges.map(range => ({
+    index: range.index,
+    name: range.name,
+    questionCount: range.questionCount,
+    correct: 0,
+    wrong: 0,
+    unanswered: 0,
+    score: ZERO,
+    maxScore: ZERO,
+    cutoff: range.cutoff,
+    timeSpent: 0
+  }));
+
+  const questionResults = test.questions.map((question, index) => {
+    const userAnswer = answersMap[index];
+    const correctOption = question.options.find(opt => opt.correct);
+    const marks = getMarks(getQuestionScoring(test, ranges, index));
+    let outcome;
+
+    if (!userAnswer) {
+      unanswered++;
+      outcome = 'unanswered';
+    } else if (userAnswer === correctOption?.key) {
+      correctAnswers++;
+      outcome = 'correct';
+    } else {
+      wrongAnswers++;
+      outcome = 'wrong';
+    }
+    const points = getQuestionPoints(marks, question.marking, outcome);
+    totalScore = addFractions(totalScore, points);
+
+    const section = sectionStats[findSectionIndex(ranges, index)];
+    if (section) {
+      section[outcome]++;
+      section.score = addFractions(section.score, points);
+      section.maxScore = addFractions(section.maxScore, getQuestionPoints(marks, question.marking, 'correct'));
+      section.timeSpent += getTimeSpent(index);
+    }
+
+    return {
+      correctOption: correctOption?.key || 'A',
+      isCorrect: outcome === 'correct',
+      marksAwarded: toNumber(points, 4)
+    };
+  });
+
+  const sectionWisePerformance = sectionStats.map(section => ({
+    ...section,
+    score: toNumber(section.score),
+    maxScore: toNumber(section.maxScore),
+    percentage: parseFloat(((section.correct / section.questionCount) * 100).toFixed(1)),
+    qualified: section.cutoff === null ? null : toNumber(section.score) >= section.cutoff
+  }));
+  const qualifiedAllSections = ranges.length > 0
+    ? sectionWisePerformance.every(section => section.qualified !== false)
+    : null;
+
+  return {
+    totalScore: toNumber(totalScore),
+    correctAnswers,
+    wrongAnswers,
+    unanswered,
+    // Calculate percentage based on correct answers
+    percentage: (correctAnswers / test.questions.length) * 100,
+    questionResults,
+    sectionWisePerformance,
+    qualifiedAllSections
+  };
+};
+
+/**
+ * Grade a test session and record the attempt.
+ *
+ * The session is claimed atomically first, so a submission racing the sweeper
+ * is graded only once; the claim is released again if grading fails.
+ *
+ * @param {Object} testSession - TestSession document with testId populated
+ * @param {Object} options
+ * @param {Array|Object} options.answers - final payload merged over the saved answers (omit to grade saved answers only)
+ * @param {string} options.submissionType - 'manual', 'auto' (client timer) or 'timeout' (server)
+ * @param {Object} options.deviceInfo
+ * @param {Object} options.analytics
+ * @returns {Promise<Object|null>} grading result, or null when the session was already graded
+ */
+const gradeTestSession = async (testSession, { answers, submissionType = 'manual', deviceInfo, analytics } = {}) => {
+  const test = testSession.testId;
+  const now = new Date();
+
+  const claimed = await TestSession.findOneAndUpdate(
+    { _id: testSession._id, completed: false },
+    { $set: { completed: true, endTime: now } }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    // Server clock decides whether time ran out; time taken never exceeds the duration
+    const timeExpired = now > testSession.getDeadline(test.duration);
+    const timeElapsed = Math.min((now - testSession.startTime) / 1000 / 60, test.duration); // in minutes
+
+    // Get scoring configuration or use defaults
+    const scoring = test.scoring || {
+      correct: 4,
+      wrong: -1,
+      unanswered: 0
+    };
+
+    // Convert answers array to object for easier processing
+    const answersMap = {};
+    const detailedAnswers = new Map();
+
+    // Autosaved answers, overridden by whatever the final payload contains
+    mergeSavedAnswers(testSession, answers).forEach(answer => {
+      answersMap[answer.questionIndex] = answer.selectedOption;
+
+      // Store detailed answer information
+      const questionIndex = answer.questionIndex.toString();
+      const question = test.questions[answer.questionIndex];
+
+      detailedAnswers.set(questionIndex, {
+        selectedOption: answer.selectedOption || '',
+        timeSpent: answer.timeSpent || 0,
+        attempts: answer.attempts || 1,
+        difficulty: question?.difficulty || 'Medium',
+        area: question?.area || 1,
+        subarea: question?.subarea || '',
+        questionText: question?.question || '',
+        explanation: question?.explanation || ''
+      });
+    });
+
+    const {
+      totalScore,
+      correctAnswers,
+      wrongAnswers,
+      unanswered,
+      percentage,
+      questionResults,
+      sectionWisePerformance,
+      qualifiedAllSections
+    } = scoreAnswers(test, answersMap, index => detailedAnswers.get(String(index))?.timeSpent || 0);
+
+    // Outcome of each answered question under the answer key
+    detailedAnswers.forEach((answer, questionIndex) => {
+      const result = questionResults[Number(questionIndex)];
+      answer.correctOption = result?.correctOption || 'A';
+      answer.isCorrect = Boolean(result?.isCorrect);
+      answer.marksAwarded = result?.marksAwarded || 0;
+    });
+
+    console.log('Score calculation:', {
+      correctAnswers,
+      wrongAnswers,
+      unanswered,
+      totalScore,
+      percentage,
+      testType: test.testType,
+      submissionType
+    });
+
+    // Update test session
+    testSession.answers = new Map(Object.entries(answersMap).filter(([, option]) => option));
+    testSession.score = totalScore;
+    testSession.completed = true;
+    testSession.timeExpired = timeExpired;
+    testSession.endTime = now;
+
+    await testSession.save();
+
+    // Sessions belong to the user with the session email (kept in sync on email changes)
+    const user = await User.findOne({ email: testSession.email });
+    if (!user) {
+      console.log('Test session graded without a user to record it for:', testSession.sessionId);
+      return { test, scoring, user: null, record: null, timeExpired, timeElapsed, totalScore, percentage, correctAnswers, wrongAnswers, unanswered, sectionWisePerformance, qualifiedAllSections };
+    }
+
+    // Create enhanced user test record
+    const userTestRecord = new UserTestRecord({
+      userId: user._id,
+      email: testSession.email,
+      testId: test._id,
+      sessionId: testSession.sessionId,
+      testName: test.name,
+      testYear: test.year,
+      testPaper: test.paper,
+      testType: test.testType,
+      score: totalScore,
+      correctAnswers: correctAnswers,
+      wrongAnswers: wrongAnswers,
+      unansweredQuestions: unanswered,
+      totalQuestions: test.questions.length,
+      percentage: parseFloat(percentage.toFixed(1)),
+      timeTaken: Math.round(timeElapsed),
+      timeAllotted: test.duration,
+      timeExpired: timeExpired,
+      answers: detailedAnswers,
+      scoring: scoring,
+      scoringVersion: test.scoringVersion || 0,
+      shuffle: {
+        seed: testSession.shuffle?.seed || '',
+        questions: Boolean(testSession.shuffle?.questions),
+        options: Boolean(testSession.shuffle?.options)
+      },
+      completion: {
+        startedAt: testSession.startTime,
+        completedAt: now,
+        submissionType,
+        deviceInfo: deviceInfo || {},
+        interruptions: analytics?.interruptions || 0
+      },
+      analytics: { ...(analytics || {}), sectionWisePerformance, qualifiedAllSections },
+      metadata: {
+        version: '2.0',
+        source: 'web',
+        isPublic: false
+      }
+    });
+
+    await userTestRecord.save();
+
+    // The answer key or marking changed while the session was being graded
+    const current = await Test.findById(test._id).select('scoringVersion').catch(() => null);
+    if (current && (current.scoringVersion || 0) > (test.scoringVersion || 0)) {
+      runTestRescore(test._id).catch(console.error);
+    }
+
+    // Update user statistics
+    try {
+      await user.updateTestStatistics(totalScore, Math.round(timeElapsed), !timeExpired);
+      console.log('User statistics updated for:', user.email);
+    } catch (error) {
+      console.error('Error updating user statistics:', error);
+    }
+
+    // A first completed test qualifies a pending referral for its rewards
+    if (user.metadata?.referredBy) {
+      await rewardReferral(user._id);
+    }
+
+    // Result summary by email (and SMS for users who opted in); don't wait for it
+    notify(user, {
+      category: 'results',
+      template: 'test-result',
+      data: {
+        firstName: user.profile?.firstName,
+        testName: test.name,
+        score: parseFloat(totalScore.toFixed(2)),
+        percentage: userTestRecord.percentage,
+        correctAnswers,
+        wrongAnswers,
+        unansweredQuestions: unanswered,
+        totalQuestions: test.questions.length,
+        timeTaken: userTestRecord.timeTaken,
+        timeAllotted: test.duration
+      },
+      sms: `Civils Coach: you scored ${totalScore.toFixed(2)} (${userTestRecord.percentage}%) in ${test.name} with ${correctAnswers}/${test.questions.length} correct.`
+    }).catch(console.error);
+
+    const timeoutNote = submissionType === 'timeout' ? 'Time ran out and your saved answers were submitted. ' : '';
+    addToInbox(user._id, {
+      category: 'results',
+      source: 'test_result',
+      title: `Result: ${test.name}`,
+      message: `${timeoutNote}You scored ${totalScore.toFixed(2)} (${userTestRecord.percentage}%) with ${correctAnswers} of ${test.questions.length} correct.`,
+      data: { testId: test._id, sessionId: testSession.sessionId, recordId: userTestRecord._id }
+    }).catch(console.error);
+
+    console.log('Test completed and recorded:', {
+      sessionId: testSession.sessionId,
+      userId: user._id,
+      email: testSession.email,
+      score: totalScore,
+      percentage: percentage.toFixed(1),
+      submissionType,
+      recordId: userTestRecord._id
+    });
+
+    return { test, scoring, user, record: userTestRecord, timeExpired, timeElapsed, totalScore, percentage, correctAnswers, wrongAnswers, unanswered, sectionWisePerformance, qualifiedAllSections };
+  } catch (error) {
+    // Release the claim so the submission can be retried (or picked up by the sweeper)
+    await TestSession.updateOne({ _id: testSession._id }, { $set: { completed: false }, $unset: { endTime: '' } })
+      .catch(releaseError => console.error('Failed to release test session claim:', releaseError.message));
+    throw error;
+  }
+};
+
+// A re-scoring job that has not finished after this long is assumed to have died
+const RESCORE_STALE_MS = 15 * 60 * 1000; // 15 minutes
+
+// Records of a test scored under an older answer key or marking
+const staleRecordsFilter = (test) => ({
+  testId: test._id,
+  $or: [
+    { scoringVersion: { $lt: test.scoringVersion || 0 } },
+    { scoringVersion: { $exists: false } }
+  ]
+});
+
+/**
+ * Re-score one recorded attempt against the test's current answer key and marking.
+ * The record is updated only if it still has the score and version it was read
+ * with, so concurrent re-scores never apply the same score change twice.
+ *
+ * @param {Object} test - Test document
+ * @param {Object} record - UserTestRecord document scored under an older scoringVersion
+ * @returns {Promise<string>} 'revised', 'unchanged' or 'conflict'
+ */
+const rescoreRecord = async (test, record) => {
+  const answersMap = {};
+  record.answers.forEach((answer, questionIndex) => {
+    if (answer.selectedOption) {
+      answersMap[questionIndex] = answer.selectedOption;
+    }
+  });
+
+  const result = scoreAnswers(test, answersMap, index => record.answers.get(String(index))?.timeSpent || 0);
+  const previousScore = record.score;
+  const claim = {
+    _id: record._id,
+    score: previousScore,
+    scoringVersion: record.$isDefault('scoringVersion') ? { $exists: false } : record.scoringVersion
+  };
+
+  // Marks per question are compared only through the total: records from before
+  // they were stored have none
+  let keyChanged = false;
+  record.answers.forEach((answer, questionIndex) => {
+    const questionResult = result.questionResults[Number(questionIndex)];
+    if (!questionResult) {
+      return;
+    }
+    if (answer.correctOption !== questionResult.correctOption) {
+      keyChanged = true;
+    }
+    answer.correctOption = questionResult.correctOption;
+    answer.isCorrect = questionResult.isCorrect;
+    answer.marksAwarded = questionResult.marksAwarded;
+  });
+
+  if (!keyChanged && result.totalScore === previousScore) {
+    const { modifiedCount } = await UserTestRecord.updateOne(claim, { $set: { scoringVersion: test.scoringVersion } });
+    return modifiedCount > 0 ? 'unchanged' : 'conflict';
+  }
+
+  record.score = result.totalScore;
+  record.correctAnswers = result.correctAnswers;
+  record.wrongAnswers = result.wrongAnswers;
+  record.unansweredQuestions = result.unanswered;
+  record.percentage = parseFloat(result.percentage.toFixed(1));
+  record.analytics.sectionWisePerformance = result.sectionWisePerformance;
+  record.analytics.qualifiedAllSections = result.qualifiedAllSections;
+  record.calculateDetailedAnalytics();
+
+  const revised = record.toObject({ flattenMaps: true });
+  const { modifiedCount } = await UserTestRecord.updateOne(claim, {
+    $set: {
+      score: revised.score,
+      correctAnswers: revised.correctAnswers,
+      wrongAnswers: revised.wrongAnswers,
+      unansweredQuestions: revised.unansweredQuestions,
+      percentage: revised.percentage,
+      answers: revised.answers,
+      analytics: revised.analytics,
+      scoring: test.scoring,
+      scoringVersion: test.scoringVersion,
+      'metadata.rescoredAt': new Date()
+    }
+  });
+  if (modifiedCount === 0) {
+    return 'conflict';
+  }
+
+  if (result.totalScore !== previousScore) {
+    const user = await User.findById(record.userId);
+    if (user) {
+      // The best score has to be looked up again when this attempt held it
+      const best = result.totalScore < previousScore
+        ? await UserTestRecord.findOne({ userId: user._id }).sort({ score: -1 }).select('score')
+        : null;
+      await user.reviseTestScore(previousScore, result.totalScore, best?.score);
+
+      addToInbox(user._id, {
+        category: 'results',
+        source: 'score_revised',
+        title: `Revised result: ${test.name}`,
+        message: `The marking of this test was revised. Your score changed from ${previousScore} to ${result.totalScore} (${revised.percentage}%).`,
+        data: { testId: test._id, sessionId: record.sessionId, recordId: record._id }
+      }).catch(console.error);
+    }
+  }
+
+  return 'revised';
+};
+
+/**
+ * Re-score the recorded attempts of a test that were scored under an older
+ * answer key or marking (Test.scoringVersion), in the background.
+ *
+ * Single-flight per test: the job is claimed on the test document, and a call
+ * while it runs returns straight away - the running job keeps going until no
+ * outdated records are left, including ones graded while it ran. Records,
+ * user statistics and section results are revised; users whose score changed
+ * get an inbox notification. Question statistics are left as they are.
+ *
+ * @param {string|ObjectId} testId
+ * @returns {Promise<Object|null>} { records, revised, failed }, or null when a job was already running
+ */
+const runTestRescore = async (testId) => {
+  const startedAt = new Date();
+  const claimed = await Test.findOneAndUpdate(
+    {
+      _id: testId,
+      $or: [{ 'rescore.runningSince': null }, { 'rescore.runningSince': { $lt: new Date(startedAt - RESCORE_STALE_MS) } }]
+    },
+    { $set: { 'rescore.runningSince': startedAt } }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const totals = { records: 0, revised: 0, failed: 0 };
+  const failedIds = [];
+  let test;
+
+  try {
+    // Each pass reads the test again, so key changes made meanwhile are picked up
+    for (;;) {
+      test = await Test.findById(testId);
+      if (!test) {
+        break;
+      }
+
+      let processed = 0;
+      const cursor = UserTestRecord.find({ ...staleRecordsFilter(test), _id: { $nin: failedIds } }).cursor();
+      for await (const record of cursor) {
+        processed += 1;
+        try {
+          const outcome = await rescoreRecord(test, record);
+          if (outcome === 'revised') {
+            totals.revised += 1;
+          }
+          if (outcome !== 'conflict') {
+            totals.records += 1;
+          }
+        } catch (error) {
+          totals.failed += 1;
+          failedIds.push(record._id);
+          console.error(`Re-scoring failed for test record ${record._id}:`, error.message);
+        }
+      }
+
+      if (processed === 0) {
+        break;
+      }
+    }
+  } finally {
+    await Test.updateOne(
+      { _id: testId, 'rescore.runningSince': startedAt },
+      { $set: { 'rescore.runningSince': null, 'rescore.finishedAt': new Date(), 'rescore.lastResult': totals } }
+    );
+  }
+
+  console.log('Test records re-scored:', { testId, ...totals });
+
+  // A change that arrived after the last pass found the job still claimed
+  const current = await Test.findById(testId).select('scoringVersion');
+  if (current && failedIds.length === 0 && await UserTestRecord.exists(staleRecordsFilter(current))) {
+    return runTestRescore(testId);
+  }
+  return totals;
+};
+
+module.exports = {
+  mergeSavedAnswers,
+  scoreAnswers,
+  gradeTestSession,
+  rescoreRecord,
+  runTestRescore
+};
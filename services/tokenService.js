@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { generateToken, ACCESS_TOKEN_EXPIRES_IN } = require('../middleware/auth');
+const { notify } = require('./notificationService');
+const { parseUserAgent, describeDevice, getDeviceFingerprint } = require('../utils/deviceInfo');
+
+// Refresh token lifetime (rotated on every use)
+const REFRESH_TOKEN_EXPIRY_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30;
+
+// Random opaque token value
+const createRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+// Collect device details from the request
+const getClientContext = (req) => {
+  return {
+    deviceId: String(req.body?.deviceId || req.headers['x-device-id'] || '').trim().substring(0, 100),
+    userAgent: String(req.headers['user-agent'] || '').substring(0, 500),
+    ipAddress: req.ip || req.connection?.remoteAddress || ''
+  };
+};
+
+// Store a new refresh token for a session and return its raw value
+const createRefreshToken = async (userId, family, context = {}) => {
+  const rawToken = createRandomToken();
+
+  const tokenDoc = await RefreshToken.create({
+    tokenHash: RefreshToken.hashToken(rawToken),
+    userId,
+    family,
+    deviceId: context.deviceId || '',
+    userAgent: context.userAgent || '',
+    ipAddress: context.ipAddress || '',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { rawToken, tokenDoc };
+};
+
+// Build the token response sent to clients
+const buildTokenResponse = (user, family, refreshToken, refreshExpiresAt) => {
+  const accessToken = generateToken({
+    userId: user._id,
+    email: user.email,
+    phoneNumber: user.phoneNumber,
+    sid: family
+  });
+
+  return {
+    token: accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresAt: refreshExpiresAt.getTime(),
+    sessionId: family
+  };
+};
+
+/**
+ * Start a new session for a user and issue an access/refresh token pair.
+ * A login from a device that already has a session replaces that session,
+ * and a login from a device never seen before triggers an email alert.
+ */
+const issueTokens = async (user, context = {}) => {
+  if (context.deviceId) {
+    const previous = await UserSession.find({
+      userId: user._id,
+      deviceId: context.deviceId,
+      revokedAt: null
+    }).distinct('sessionId');
+
+    for (const sessionId of previous) {
+      await revokeSession(sessionId, 'new_login');
+    }
+  }
+
+  const deviceFingerprint = getDeviceFingerprint(context.deviceId, context.userAgent);
+  const [hasPreviousSessions, isKnownDevice] = await Promise.all([
+    UserSession.exists({ userId: user._id }),
+    UserSession.isKnownDevice(user._id, deviceFingerprint)
+  ]);
+
+  const family = crypto.randomBytes(16).toString('hex');
+  const { rawToken, tokenDoc } = await createRefreshToken(user._id, family, context);
+
+  await UserSession.create({
+    sessionId: family,
+    userId: user._id,
+    deviceId: context.deviceId || '',
+    deviceFingerprint,
+    deviceName: describeDevice(context.userAgent),
+    deviceType: parseUserAgent(context.userAgent).deviceType,
+    userAgent: context.userAgent || '',
+    ipAddress: context.ipAddress || '',
+    lastSeenIP: context.ipAddress || '',
+    expiresAt: tokenDoc.expiresAt
+  });
+
+  // Alert the user about logins from new devices (not on their very first login)
+  if (hasPreviousSessions && !isKnownDevice) {
+    notify(user, {
+      category: 'security',
+      template: 'new-device-login',
+      data: {
+        deviceName: describeDevice(context.userAgent),
+        ipAddress: context.ipAddress,
+        loginAt: new Date()
+      }
+    }).catch(console.error);
+  }
+
+  return buildTokenResponse(user, family, rawToken, tokenDoc.expiresAt);
+};
+
+/**
+ * Exchange a refresh token for a new pair. Presenting a token that was already
+ * rotated means it was stolen or replayed, so the whole session is revoked.
+ * Returns { error } with an error type, or { user, tokens }.
+ */
+const rotateRefreshToken = async (rawToken, context = {}) => {
+  const tokenDoc = await RefreshToken.findByToken(rawToken);
+  if (!tokenDoc) {
+    return { error: 'INVALID_REFRESH_TOKEN' };
+  }
+
+  if (tokenDoc.revokedAt) {
+    if (tokenDoc.revokedReason === 'rotated') {
+      await revokeSession(tokenDoc.family, 'reuse_detected');
+      console.warn(`⚠️ Refresh token reuse detected for user ${tokenDoc.userId} (session ${tokenDoc.family})`);
+      return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+    return { error: 'REFRESH_TOKEN_REVOKED' };
+  }
+
+  if (tokenDoc.expiresAt.getTime() <= Date.now()) {
+    return { error: 'REFRESH_TOKEN_EXPIRED' };
+  }
+
+  const user = await User.findById(tokenDoc.userId);
+  if (!user || !user.security.isActive) {
+    await revokeSession(tokenDoc.family, 'account_deactivated');
+    return { error: 'ACCOUNT_UNAVAILABLE' };
+  }
+
+  const { rawToken: nextToken, tokenDoc: nextDoc } = await createRefreshToken(user._id, tokenDoc.family, {
+    deviceId: tokenDoc.deviceId || context.deviceId,
+    userAgent: context.userAgent || tokenDoc.userAgent,
+    ipAddress: context.ipAddress || tokenDoc.ipAddress
+  });
+
+  // Mark the presented token as used only if nobody rotated it in parallel
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: tokenDoc._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated', replacedByHash: nextDoc.tokenHash, lastUsedAt: new Date() } }
+  );
+
+  if (!rotated) {
+    await revokeSession(tokenDoc.family, 'reuse_detected');
+    return { error: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  // Keep the session alive as long as its refresh token
+  await UserSession.updateOne(
+    { sessionId: tokenDoc.family },
+    { $set: { expiresAt: nextDoc.expiresAt, lastSeenAt: new Date(), lastSeenIP: context.ipAddress || '' } }
+  );
+
+  return {
+    user,
+    tokens: buildTokenResponse(user, tokenDoc.family, nextToken, nextDoc.expiresAt)
+  };
+};
+
+// Revoke a single session (logout on one device)
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await Promise.all([
+    RefreshToken.revokeFamily(sessionId, reason),
+    UserSession.revokeWhere({ sessionId }, reason)
+  ]);
+};
+
+// Revoke every session of a user (logout from all devices)
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await Promise.all([
+    RefreshToken.revokeAllForUser(userId, reason),
+    UserSession.revokeWhere({ userId }, reason)
+  ]);
+};
+
+module.exports = {
+  getClientContext,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+};
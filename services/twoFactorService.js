@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecret, verifyTOTP, buildOtpauthUrl } = require('../utils/totp');
+
+// Shared by student (User.security.twoFactor) and admin (Admin.twoFactor) accounts.
+// Functions below mutate the given twoFactor subdocument; callers save the document.
+
+const TWO_FACTOR_ISSUER = 'Civils Coach';
+const BACKUP_CODE_COUNT = 10;
+const RECOVERY_CODE_EXPIRY_MINUTES = 10;
+const MAX_RECOVERY_ATTEMPTS = 5;
+// Recovery attempts are counted over this window, across resent codes (as long as the account lockout)
+const RECOVERY_ATTEMPT_WINDOW_MINUTES = 60;
+
+// Short-lived token proving the password (or login OTP) step passed, exchanged
+// for real tokens once the second factor is verified
+const TWO_FACTOR_TOKEN_AUDIENCE = 'civils-coach-2fa';
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '10m';
+
+// TOTP secrets must be readable to verify codes, so they are encrypted rather than hashed
+const getEncryptionKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, authTag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Backup and recovery codes are stored hashed, like OTPs
+const hashCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+const codesMatch = (candidate, storedHash) => {
+  if (!candidate || !storedHash) {
+    return false;
+  }
+  const candidateHash = Buffer.from(hashCode(candidate), 'hex');
+  const stored = Buffer.from(storedHash, 'hex');
+  return candidateHash.length === stored.length && crypto.timingSafeEqual(candidateHash, stored);
+};
+
+// Replace the backup codes; the plain codes are only ever shown once
+const regenerateBackupCodes = (twoFactor) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.substring(0, 4)}-${raw.substring(4)}`;
+  });
+
+  twoFactor.backupCodes = codes.map(code => ({ hash: hashCode(code) }));
+  return codes;
+};
+
+const countRemainingBackupCodes = (twoFactor) => {
+  return (twoFactor.backupCodes || []).filter(entry => !entry.usedAt).length;
+};
+
+// Step 1 of enrollment: generate a secret to be scanned by an authenticator app
+const startEnrollment = (twoFactor, accountName) => {
+  const secret = generateSecret();
+  twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName, issuer: TWO_FACTOR_ISSUER })
+  };
+};
+
+// Step 2 of enrollment: the first valid code activates 2FA and returns the backup codes
+const confirmEnrollment = (twoFactor, code) => {
+  if (!twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const step = verifyTOTP(decryptSecret(twoFactor.pendingSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  twoFactor.enabled = true;
+  twoFactor.secret = twoFactor.pendingSecret;
+  twoFactor.pendingSecret = undefined;
+  twoFactor.enabledAt = new Date();
+  twoFactor.lastUsedStep = step;
+
+  return regenerateBackupCodes(twoFactor);
+};
+
+/**
+ * Verify an authenticator code or a single-use backup code.
+ * Returns { valid, method, remainingBackupCodes }.
+ */
+const verifySecondFactor = (twoFactor, { code, backupCode } = {}) => {
+  if (!twoFactor.enabled || !twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = verifyTOTP(decryptSecret(twoFactor.secret), code, { lastUsedStep: twoFactor.lastUsedStep ?? -1 });
+    if (step !== null) {
+      // A code can only be used once, even within its 30 second window
+      twoFactor.lastUsedStep = step;
+      return { valid: true, method: 'totp', remainingBackupCodes: countRemainingBackupCodes(twoFactor) };
+    }
+  }
+
+  if (backupCode) {
+    const entry = (twoFactor.backupCodes || []).find(candidate => !candidate.usedAt && codesMatch(backupCode, candidate.hash));
+    if (entry) {
+      entry.usedAt = new Date();
+      return { valid: true, method: 'backup_code', remainingBackupCodes: countRemainingBackupCodes(twoFactor) };
+    }
+  }
+
+  return { valid: false };
+};
+
+// Turn 2FA off and forget every secret
+const disableTwoFactor = (twoFactor) => {
+  twoFactor.enabled = false;
+  twoFactor.secret = undefined;
+  twoFactor.pendingSecret = undefined;
+  twoFactor.enabledAt = undefined;
+  twoFactor.lastUsedStep = -1;
+  twoFactor.backupCodes = [];
+  twoFactor.recoveryCodeHash = undefined;
+  twoFactor.recoveryExpiresAt = undefined;
+  twoFactor.recoveryAttempts = 0;
+  twoFactor.recoveryWindowStartedAt = undefined;
+};
+
+const isRecoveryWindowOpen = (twoFactor) => {
+  return Boolean(twoFactor.recoveryWindowStartedAt) &&
+    twoFactor.recoveryWindowStartedAt.getTime() + RECOVERY_ATTEMPT_WINDOW_MINUTES * 60 * 1000 > Date.now();
+};
+
+// Whether every recovery attempt of the current window has been used (a new code won't help)
+const recoveryAttemptsExhausted = (twoFactor) => {
+  return isRecoveryWindowOpen(twoFactor) && (twoFactor.recoveryAttempts || 0) >= MAX_RECOVERY_ATTEMPTS;
+};
+
+// Email OTP used to recover an account whose authenticator is lost
+const issueRecoveryCode = (twoFactor) => {
+  const code = crypto.randomInt(100000, 1000000).toString();
+  twoFactor.recoveryCodeHash = hashCode(code);
+  twoFactor.recoveryExpiresAt = new Date(Date.now() + RECOVERY_CODE_EXPIRY_MINUTES * 60 * 1000);
+  // Resending a code does not reset the attempts made within the window
+  if (!isRecoveryWindowOpen(twoFactor)) {
+    twoFactor.recoveryAttempts = 0;
+    twoFactor.recoveryWindowStartedAt = new Date();
+  }
+  return code;
+};
+
+// Returns { valid, reason } - reason is RECOVERY_EXPIRED, TOO_MANY_ATTEMPTS or INVALID_RECOVERY_CODE
+const verifyRecoveryCode = (twoFactor, code) => {
+  if (!twoFactor.recoveryCodeHash || !twoFactor.recoveryExpiresAt || twoFactor.recoveryExpiresAt < Date.now()) {
+    return { valid: false, reason: 'RECOVERY_EXPIRED' };
+  }
+
+  twoFactor.recoveryAttempts = (twoFactor.recoveryAttempts || 0) + 1;
+  if (twoFactor.recoveryAttempts > MAX_RECOVERY_ATTEMPTS) {
+    twoFactor.recoveryCodeHash = undefined;
+    twoFactor.recoveryExpiresAt = undefined;
+    return { valid: false, reason: 'TOO_MANY_ATTEMPTS' };
+  }
+
+  if (!codesMatch(code, twoFactor.recoveryCodeHash)) {
+    return { valid: false, reason: 'INVALID_RECOVERY_CODE' };
+  }
+
+  twoFactor.recoveryCodeHash = undefined;
+  twoFactor.recoveryExpiresAt = undefined;
+  twoFactor.recoveryAttempts = 0;
+  twoFactor.recoveryWindowStartedAt = undefined;
+  return { valid: true };
+};
+
+// Issue the intermediate token for an account ("user" or "admin" scope)
+const createTwoFactorToken = (accountId, scope, extra = {}) => {
+  return jwt.sign(
+    { sub: String(accountId), scope, ...extra },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+      issuer: 'civils-coach',
+      audience: TWO_FACTOR_TOKEN_AUDIENCE
+    }
+  );
+};
+
+// Returns the token payload, or null when it is invalid, expired or for another scope
+const verifyTwoFactorToken = (token, scope) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'civils-coach',
+      audience: TWO_FACTOR_TOKEN_AUDIENCE
+    });
+    return payload.scope === scope ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TWO_FACTOR_TOKEN_EXPIRES_IN,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  countRemainingBackupCodes,
+  disableTwoFactor,
+  recoveryAttemptsExhausted,
+  issueRecoveryCode,
+  verifyRecoveryCode,
+  createTwoFactorToken,
+  verifyTwoFactorToken
+};
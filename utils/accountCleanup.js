@@ -0,0 +1,51 @@
+const User = require('../models/User');
+const { purgeUserData } = require('../services/accountDataService');
+
+// How often deactivated accounts past their grace period are purged
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Permanently delete deactivated accounts whose reactivation window has ended,
+ * together with their test records, practice progress, pending sessions and tokens
+ * (see accountDataService.purgeUserData for what is kept in anonymous form)
+ */
+const purgeDeactivatedAccounts = async () => {
+  const accounts = await User.findAccountsDueForDeletion();
+  let purged = 0;
+
+  for (const account of accounts) {
+    try {
+      // Eligibility is checked again as the user is claimed: the account may
+      // have been reactivated since it was listed
+      if (!await purgeUserData(account, User.dueForDeletionFilter())) {
+        continue;
+      }
+
+      purged += 1;
+      console.log(`🗑️ Deactivated account permanently deleted: ${account.email}`);
+    } catch (error) {
+      console.error(`Account purge failed for ${account.email}:`, error.message);
+    }
+  }
+
+  return { purged, due: accounts.length };
+};
+
+// Run the purge periodically (call once the database connection is ready)
+const scheduleAccountCleanup = () => {
+  const run = () => {
+    purgeDeactivatedAccounts().catch(error => {
+      console.error('Account cleanup error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, CLEANUP_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for cleanup
+  return timer;
+};
+
+module.exports = {
+  purgeDeactivatedAccounts,
+  scheduleAccountCleanup
+};
@@ -0,0 +1,54 @@
+// Lightweight user agent parsing for session listings and login alerts
+const crypto = require('crypto');
+
+// Ordered so that more specific tokens win (Edge/Opera UAs also contain "Chrome")
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+// Describe a user agent as browser, OS and device type
+const parseUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(entry => entry.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(userAgent));
+  const isTablet = /iPad|Tablet/.test(userAgent);
+  const isMobile = !isTablet && /Mobi|Android|iPhone/.test(userAgent);
+
+  return {
+    browser: browser ? browser.name : 'Unknown browser',
+    os: os ? os.name : 'Unknown OS',
+    deviceType: isTablet ? 'tablet' : isMobile ? 'mobile' : userAgent ? 'desktop' : 'unknown'
+  };
+};
+
+// Human readable label, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const { browser, os } = parseUserAgent(userAgent);
+  return `${browser} on ${os}`;
+};
+
+// Stable identifier for a device: the client supplied device id, or a hash of the user agent
+const getDeviceFingerprint = (deviceId, userAgent = '') => {
+  if (deviceId) {
+    return `id:${deviceId}`;
+  }
+  return `ua:${crypto.createHash('sha256').update(userAgent).digest('hex').substring(0, 32)}`;
+};
+
+module.exports = {
+  parseUserAgent,
+  describeDevice,
+  getDeviceFingerprint
+};
@@ -0,0 +1,55 @@
+// GST helpers for invoices. Online coaching is billed under SAC 999293
+// ("commercial training and coaching services") at 18%.
+const GST_RATE = 18;
+const SAC_CODE = '999293';
+
+// GSTIN format: 2 digit state code, PAN, entity number, "Z", checksum
+const GSTIN_REGEX = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const isValidGSTIN = (gstin) => GSTIN_REGEX.test(String(gstin || '').toUpperCase());
+
+// Supplier details printed on every invoice
+const getSellerDetails = () => ({
+  name: process.env.GST_SELLER_NAME || 'Civils Coach',
+  gstin: process.env.GST_SELLER_GSTIN || '',
+  stateCode: process.env.GST_SELLER_STATE_CODE || '',
+  address: process.env.GST_SELLER_ADDRESS || ''
+});
+
+/**
+ * Split the GST on a taxable amount (in paise). Intra-state supplies pay CGST + SGST,
+ * inter-state supplies (or an unknown buyer state) pay IGST.
+ */
+const calculateGST = (taxableAmount, { sellerStateCode = '', buyerStateCode = '' } = {}) => {
+  const totalTax = Math.round(taxableAmount * GST_RATE / 100);
+  const intraState = Boolean(sellerStateCode) && sellerStateCode === buyerStateCode;
+
+  const cgst = intraState ? Math.floor(totalTax / 2) : 0;
+  const sgst = intraState ? totalTax - cgst : 0;
+  const igst = intraState ? 0 : totalTax;
+
+  return {
+    gstRate: GST_RATE,
+    taxableAmount,
+    cgst,
+    sgst,
+    igst,
+    totalTax,
+    total: taxableAmount + totalTax
+  };
+};
+
+// Indian financial year of a date, e.g. "2026-27" (April to March)
+const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+  GST_RATE,
+  SAC_CODE,
+  isValidGSTIN,
+  getSellerDetails,
+  calculateGST,
+  getFinancialYear
+};
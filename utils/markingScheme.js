@@ -0,0 +1,184 @@
+const { getSectionRanges, findSectionIndex } = require('./testSections');
+
+// Marking schemes. Marks are added up as exact fractions so that schemes like
+// UPSC Prelims (+2, and a penalty of one third of that for a wrong answer) don't
+// accumulate rounding errors: 30 wrong answers cost exactly 20 marks, not 19.8.
+//
+// A scoring configuration (Test.scoring, a section's scoring) is
+//   { correct, wrong, unanswered, negativeFraction: { numerator, denominator } }
+// where negativeFraction, when set, defines the wrong-answer penalty as a fraction
+// of the correct-answer marks and takes precedence over the decimal `wrong`.
+
+// Named schemes selectable when creating a test
+const SCORING_PRESETS = {
+  'upsc-gs': {
+    label: 'UPSC Prelims GS Paper I (+2, -1/3 of the marks for a wrong answer)',
+    correct: 2,
+    unanswered: 0,
+    negativeFraction: { numerator: 1, denominator: 3 }
+  },
+  'upsc-csat': {
+    label: 'UPSC Prelims CSAT Paper II (+2.5, -1/3 of the marks for a wrong answer)',
+    correct: 2.5,
+    unanswered: 0,
+    negativeFraction: { numerator: 1, denominator: 3 }
+  },
+  standard: {
+    label: 'Standard (+4, -1)',
+    correct: 4,
+    unanswered: 0,
+    negativeFraction: { numerator: 1, denominator: 4 }
+  },
+  'no-negative': {
+    label: 'No negative marking (+1, 0)',
+    correct: 1,
+    unanswered: 0,
+    negativeFraction: { numerator: 0, denominator: 1 }
+  }
+};
+
+const PRESET_NAMES = Object.keys(SCORING_PRESETS);
+
+// Marks per question status (Test.questions[].marking.mode)
+//   normal  - marked by the answer
+//   bonus   - full marks for everyone (e.g. a question with no correct option)
+//   dropped - not marked for anyone and left out of the maximum score
+const QUESTION_MARKING_MODES = ['normal', 'bonus', 'dropped'];
+
+const gcd = (a, b) => (b === 0 ? Math.abs(a) : gcd(b, a % b));
+
+// Reduced fraction with a positive denominator
+const fraction = (numerator, denominator = 1) => {
+  const sign = denominator < 0 ? -1 : 1;
+  const divisor = gcd(numerator, denominator) || 1;
+  return { n: (sign * numerator) / divisor, d: (sign * denominator) / divisor };
+};
+
+// Decimal marks as entered (2.5, -0.66) as an exact fraction
+const fromDecimal = (value) => {
+  const number = Number(value) || 0;
+  const decimals = Math.min((String(number).split('.')[1] || '').length, 6);
+  const denominator = 10 ** decimals;
+  return fraction(Math.round(number * denominator), denominator);
+};
+
+const addFractions = (a, b) => fraction(a.n * b.d + b.n * a.d, a.d * b.d);
+
+const multiplyFractions = (a, b) => fraction(a.n * b.n, a.d * b.d);
+
+const toNumber = (value, decimals = 2) => parseFloat((value.n / value.d).toFixed(decimals));
+
+const ZERO = fraction(0);
+
+const hasNegativeFraction = (scoring) => Boolean(scoring?.negativeFraction?.denominator);
+
+// Exact marks for a correct, wrong and unanswered question under a scoring configuration
+const getMarks = (scoring = {}) => {
+  const correct = fromDecimal(scoring.correct ?? 4);
+  const wrong = hasNegativeFraction(scoring)
+    ? multiplyFractions(correct, fraction(-scoring.negativeFraction.numerator, scoring.negativeFraction.denominator))
+    : fromDecimal(scoring.wrong ?? -1);
+
+  return { correct, wrong, unanswered: fromDecimal(scoring.unanswered ?? 0) };
+};
+
+// Decimal wrong-answer marks for display (the exact value is used for scoring)
+const getWrongMarks = (scoring) => {
+  if (!hasNegativeFraction(scoring)) {
+    return scoring.wrong;
+  }
+  return toNumber(getMarks(scoring).wrong, 4);
+};
+
+/**
+ * Scoring configuration of a preset, in the shape of Test.scoring.
+ *
+ * @param {string} name - one of PRESET_NAMES
+ * @returns {Object|null} { preset, correct, wrong, unanswered, negativeFraction }
+ */
+const getScoringPreset = (name) => {
+  const preset = SCORING_PRESETS[name];
+  if (!preset) {
+    return null;
+  }
+  const scoring = {
+    preset: name,
+    correct: preset.correct,
+    unanswered: preset.unanswered,
+    negativeFraction: { ...preset.negativeFraction }
+  };
+  scoring.wrong = getWrongMarks(scoring);
+  return scoring;
+};
+
+const listScoringPresets = () => PRESET_NAMES.map(name => ({
+  name,
+  label: SCORING_PRESETS[name].label,
+  ...getScoringPreset(name)
+}));
+
+// Scoring configuration that applies to a question (its section's, or the test's)
+const getQuestionScoring = (test, ranges, questionIndex) => {
+  const sectionIndex = findSectionIndex(ranges, questionIndex);
+  return sectionIndex === -1 ? (test.scoring || {}) : ranges[sectionIndex].scoring;
+};
+
+/**
+ * Exact marks a question awards for an outcome, applying its marking override.
+ *
+ * @param {Object} marks - from getMarks
+ * @param {Object} marking - question.marking { mode, weight }
+ * @param {string} outcome - 'correct', 'wrong' or 'unanswered'
+ * @returns {Object} fraction
+ */
+const getQuestionPoints = (marks, marking, outcome) => {
+  const mode = marking?.mode || 'normal';
+  if (mode === 'dropped') {
+    return ZERO;
+  }
+  const weight = fromDecimal(marking?.weight ?? 1);
+  return multiplyFractions(mode === 'bonus' ? marks.correct : marks[outcome], weight);
+};
+
+/**
+ * Highest and lowest possible score of a test, with section scoring and
+ * per-question overrides applied.
+ *
+ * @param {Object} test - Test document (or lean object)
+ * @returns {Object} { max, min }
+ */
+const getScoreRange = (test) => {
+  const questions = test.questions || [];
+  if (questions.length === 0) {
+    const marks = getMarks(test.scoring);
+    const questionCount = test.numberOfQuestions || 0;
+    return { max: toNumber(marks.correct) * questionCount, min: toNumber(marks.wrong) * questionCount };
+  }
+
+  const ranges = getSectionRanges(test);
+  let max = ZERO;
+  let min = ZERO;
+  questions.forEach((question, index) => {
+    const marks = getMarks(getQuestionScoring(test, ranges, index));
+    max = addFractions(max, getQuestionPoints(marks, question.marking, 'correct'));
+    min = addFractions(min, getQuestionPoints(marks, question.marking, 'wrong'));
+  });
+
+  return { max: toNumber(max), min: toNumber(min) };
+};
+
+module.exports = {
+  SCORING_PRESETS,
+  PRESET_NAMES,
+  QUESTION_MARKING_MODES,
+  ZERO,
+  addFractions,
+  toNumber,
+  getMarks,
+  getWrongMarks,
+  getScoringPreset,
+  listScoringPresets,
+  getQuestionScoring,
+  getQuestionPoints,
+  getScoreRange
+};
@@ -0,0 +1,56 @@
+// Notification categories and the channels each one can use.
+//
+// Mandatory categories (security alerts, account notices) are always sent by
+// email and cannot be turned off. Every other category can be switched off per
+// channel by the user (preferences.notifications.categories) on top of the
+// channel-wide switches (preferences.notifications.email / sms).
+
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+const NOTIFICATION_CATEGORIES = {
+  security: {
+    label: 'Security alerts',
+    description: 'Password, contact detail and two-factor changes, and logins from new devices',
+    mandatory: true,
+    channels: ['email']
+  },
+  account: {
+    label: 'Account notices',
+    description: 'Welcome and other messages about your account',
+    mandatory: true,
+    channels: ['email']
+  },
+  results: {
+    label: 'Test results',
+    description: 'Your score summary after each test',
+    channels: ['email', 'sms'],
+    defaults: { email: true, sms: false }
+  },
+  reminders: {
+    label: 'Reminders',
+    description: 'Progress reports and reminders to keep practising',
+    channels: ['email', 'sms'],
+    defaults: { email: true, sms: false }
+  },
+  announcements: {
+    label: 'Announcements',
+    description: 'New tests, features and offers',
+    channels: ['email'],
+    defaults: { email: true, sms: false }
+  }
+};
+
+const CATEGORY_NAMES = Object.keys(NOTIFICATION_CATEGORIES);
+
+// Categories the user can opt out of
+const OPTIONAL_CATEGORY_NAMES = CATEGORY_NAMES.filter(name => !NOTIFICATION_CATEGORIES[name].mandatory);
+
+const getCategory = (name) => NOTIFICATION_CATEGORIES[name] || null;
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_CATEGORIES,
+  CATEGORY_NAMES,
+  OPTIONAL_CATEGORY_NAMES,
+  getCategory
+};
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { getSectionRanges, findSectionIndex } = require('./testSections');
+
+// Per-session question and option shuffling.
+//
+// A session with shuffling stores only a random seed; the order it was served in
+// is derived from the seed whenever it is needed, so it can be rebuilt for the
+// attempt review long after the session is gone. Questions of a sectional test
+// are only shuffled within their section. Answers are stored and graded
+// against the canonical Test.questions order and option keys: clients send the
+// served question index and option key, which are mapped back on the way in.
+//
+// A layout is { questionOrder, optionKeys }:
+//   questionOrder[servedIndex] = canonical question index
+//   optionKeys[canonicalIndex] = { served: ['A', 'B', ...], canonical: ['C', 'A', ...] }
+//     (served key served[j] stands for the canonical option key canonical[j])
+
+const createShuffleSeed = () => crypto.randomBytes(8).toString('hex');
+
+// Deterministic pseudo-random numbers in [0, 1) (mulberry32) for a seed and purpose
+const createRandom = (seed, purpose) => {
+  let state = crypto.createHash('sha256').update(`${seed}:${purpose}`).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle of 0..length-1
+const seededPermutation = (length, seed, purpose) => {
+  const random = createRandom(seed, purpose);
+  const order = Array.from({ length }, (value, index) => index);
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+};
+
+/**
+ * Served order of a test for a session's shuffle settings.
+ *
+ * @param {Object} test - Test document (or lean object)
+ * @param {Object} shuffle - { seed, questions, options }
+ * @returns {Object|null} layout, or null when the session is not shuffled
+ */
+const createSessionLayout = (test, shuffle) => {
+  if (!shuffle?.seed || (!shuffle.questions && !shuffle.options)) {
+    return null;
+  }
+
+  const questions = test.questions || [];
+  const ranges = getSectionRanges(test);
+  let questionOrder = questions.map((question, index) => index);
+  if (shuffle.questions && ranges.length > 0) {
+    questionOrder = ranges.flatMap(range => seededPermutation(range.questionCount, shuffle.seed, `questions:${range.index}`)
+      .map(position => range.start + position));
+  } else if (shuffle.questions) {
+    questionOrder = seededPermutation(questions.length, shuffle.seed, 'questions');
+  }
+
+  const optionKeys = questions.map((question, index) => {
+    const keys = (question.options || []).map(option => option.key);
+    const order = shuffle.options ? seededPermutation(keys.length, shuffle.seed, `options:${index}`) : keys.map((key, i) => i);
+    return { served: keys, canonical: order.map(i => keys[i]) };
+  });
+
+  return { questionOrder, optionKeys };
+};
+
+// Served -> canonical ({ questionIndex, selectedOption, ... }); other fields are kept
+const toCanonicalAnswer = (layout, answer) => {
+  if (!layout) {
+    return answer;
+  }
+  const questionIndex = layout.questionOrder[answer.questionIndex];
+  const keys = layout.optionKeys[questionIndex];
+  const position = keys ? keys.served.indexOf(answer.selectedOption) : -1;
+
+  return {
+    ...answer,
+    questionIndex: questionIndex ?? answer.questionIndex,
+    selectedOption: position === -1 ? answer.selectedOption : keys.canonical[position]
+  };
+};
+
+// Canonical -> served
+const toServedAnswer = (layout, answer) => {
+  if (!layout) {
+    return answer;
+  }
+  const keys = layout.optionKeys[answer.questionIndex];
+  const position = keys ? keys.canonical.indexOf(answer.selectedOption) : -1;
+
+  return {
+    ...answer,
+    questionIndex: layout.questionOrder.indexOf(answer.questionIndex),
+    selectedOption: position === -1 ? answer.selectedOption : keys.served[position]
+  };
+};
+
+// A submit payload (array, or the legacy { questionIndex: selectedOption } object)
+// as an array in canonical terms
+const toCanonicalAnswers = (layout, answers) => {
+  if (!answers || typeof answers !== 'object') {
+    return [];
+  }
+  const list = Array.isArray(answers)
+    ? answers
+    : Object.entries(answers).map(([questionIndex, selectedOption]) => ({ questionIndex: Number(questionIndex), selectedOption }));
+
+  return list
+    .filter(answer => answer && typeof answer === 'object' && Number.isInteger(Number(answer.questionIndex)))
+    .map(answer => toCanonicalAnswer(layout, { ...answer, questionIndex: Number(answer.questionIndex) }));
+};
+
+/**
+ * Questions as served to the candidate: in session order, options relabelled,
+ * without correct answers or explanations.
+ *
+ * @param {Object} test - Test document
+ * @param {Object|null} layout - from createSessionLayout
+ * @returns {Object[]} [{ questionIndex, sectionIndex, question, options: [{ key, text }], difficulty, area, subarea }]
+ */
+const getServedQuestions = (test, layout) => {
+  const questions = test.questions || [];
+  const ranges = getSectionRanges(test);
+  const order = layout ? layout.questionOrder : questions.map((question, index) => index);
+
+  return order.map((canonicalIndex, servedIndex) => {
+    const question = questions[canonicalIndex];
+    const keys = layout?.optionKeys[canonicalIndex];
+    const options = keys
+      ? keys.canonical.map((key, position) => ({
+        key: keys.served[position],
+        text: question.options.find(option => option.key === key)?.text || ''
+      }))
+      : question.options.map(option => ({ key: option.key, text: option.text }));
+
+    return {
+      questionIndex: servedIndex,
+      sectionIndex: ranges.length > 0 ? findSectionIndex(ranges, canonicalIndex) : null,
+      question: question.question,
+      options,
+      difficulty: question.difficulty,
+      area: question.area,
+      subarea: question.subarea
+    };
+  });
+};
+
+module.exports = {
+  createShuffleSeed,
+  createSessionLayout,
+  toCanonicalAnswer,
+  toServedAnswer,
+  toCanonicalAnswers,
+  getServedQuestions
+};
@@ -0,0 +1,93 @@
+// Subscription plan catalogue. Quotas are per calendar month and -1 means unlimited.
+// Prices are in paise excluding GST, for one billing period of billingPeriodDays.
+// Any plan can be adjusted without a deploy through the SUBSCRIPTION_PLANS environment
+// variable, e.g. SUBSCRIPTION_PLANS='{"Free":{"monthlyTestQuota":5}}'
+const PLAN_NAMES = ['Free', 'Basic', 'Premium'];
+
+const DEFAULT_PLANS = {
+  Free: {
+    price: 0,
+    billingPeriodDays: 0,
+    monthlyTestQuota: 10,
+    monthlyPracticeQuestionQuota: 100,
+    testTypes: ['PYQ', 'Practice']
+  },
+  Basic: {
+    price: 29900,
+    billingPeriodDays: 30,
+    monthlyTestQuota: 60,
+    monthlyPracticeQuestionQuota: 1000,
+    testTypes: ['PYQ', 'Practice', 'Assessment']
+  },
+  Premium: {
+    price: 59900,
+    billingPeriodDays: 30,
+    monthlyTestQuota: -1,
+    monthlyPracticeQuestionQuota: -1,
+    testTypes: ['PYQ', 'Practice', 'Assessment']
+  }
+};
+
+const loadPlans = () => {
+  let overrides = {};
+  if (process.env.SUBSCRIPTION_PLANS) {
+    try {
+      overrides = JSON.parse(process.env.SUBSCRIPTION_PLANS);
+    } catch (error) {
+      console.error('⚠️ SUBSCRIPTION_PLANS is not valid JSON, using the default plans:', error.message);
+    }
+  }
+
+  const plans = {};
+  PLAN_NAMES.forEach(name => {
+    plans[name] = Object.freeze({ name, ...DEFAULT_PLANS[name], ...(overrides[name] || {}) });
+  });
+  return Object.freeze(plans);
+};
+
+const PLANS = loadPlans();
+
+// Unknown plan names fall back to Free
+const getPlan = (name) => PLANS[name] || PLANS.Free;
+
+const isUnlimited = (quota) => quota === -1;
+
+// Plans that can be bought
+const getPurchasablePlans = () => {
+  return PLAN_NAMES.filter(name => PLANS[name].price > 0 && PLANS[name].billingPeriodDays > 0);
+};
+
+// Plans that include a test type, cheapest first (offered as upgrades)
+const getPlansWithTestType = (testType) => {
+  return PLAN_NAMES.filter(name => PLANS[name].testTypes.includes(testType));
+};
+
+// Plans with a higher quota than the given plan (offered as upgrades)
+const getPlansWithMoreQuota = (planName, quotaField) => {
+  const current = getPlan(planName)[quotaField];
+  return PLAN_NAMES.filter(name => {
+    const quota = PLANS[name][quotaField];
+    return isUnlimited(quota) || (!isUnlimited(current) && quota > current);
+  });
+};
+
+// Usage counters reset at the start of every calendar month
+const getUsagePeriodStart = (date = new Date()) => {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+};
+
+const getNextUsageReset = (date = new Date()) => {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 1);
+};
+
+module.exports = {
+  PLAN_NAMES,
+  PLANS,
+  getPlan,
+  isUnlimited,
+  getPurchasablePlans,
+  getPlansWithTestType,
+  getPlansWithMoreQuota,
+  getUsagePeriodStart,
+  getNextUsageReset
+};
@@ -0,0 +1,55 @@
+// Sectional tests. Test.sections splits Test.questions into consecutive blocks
+// (the first questionCount questions are section 1, the next ones section 2, ...).
+// Sections are taken in order, each in its own time window: section 2 opens when
+// the time of section 1 is over, and a section cannot be changed once it has
+// closed. A section may override the test scoring and have its own cutoff.
+
+/**
+ * Question ranges, time offsets and scoring of each section.
+ * Works on Test documents and lean objects; [] for tests without sections.
+ *
+ * @param {Object} test
+ * @returns {Object[]} [{ index, name, start, end, questionCount, duration, offset, cutoff, scoring }]
+ *   (questions start..end-1; offset = minutes from the start of the test)
+ */
+const getSectionRanges = (test) => {
+  const testScoring = test.scoring || {};
+  let start = 0;
+  let offset = 0;
+
+  return (test.sections || []).map((section, index) => {
+    const range = {
+      index,
+      name: section.name,
+      start,
+      end: start + section.questionCount,
+      questionCount: section.questionCount,
+      duration: section.duration,
+      offset,
+      cutoff: section.cutoff ?? null,
+      scoring: {
+        correct: section.scoring?.correct ?? testScoring.correct ?? 4,
+        wrong: section.scoring?.wrong ?? testScoring.wrong ?? -1,
+        unanswered: section.scoring?.unanswered ?? testScoring.unanswered ?? 0,
+        // A fractional test penalty applies to the section's own correct marks
+        // unless the section sets its wrong-answer marks
+        negativeFraction: section.scoring?.wrong === undefined || section.scoring?.wrong === null
+          ? testScoring.negativeFraction
+          : undefined
+      }
+    };
+    start = range.end;
+    offset += section.duration;
+    return range;
+  });
+};
+
+// Index of the section a (canonical) question belongs to, or -1
+const findSectionIndex = (ranges, questionIndex) => {
+  return ranges.findIndex(range => questionIndex >= range.start && questionIndex < range.end);
+};
+
+module.exports = {
+  getSectionRanges,
+  findSectionIndex
+};
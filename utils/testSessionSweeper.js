@@ -0,0 +1,63 @@
+const TestSession = require('../models/TestSession');
+const { gradeTestSession } = require('../services/testGradingService');
+
+// How often unfinished sessions past their deadline are submitted
+const SWEEP_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Sessions graded per run; the rest are picked up by the next run
+const SWEEP_BATCH_SIZE = 100;
+
+/**
+ * Submit timed test sessions whose deadline and grace period have passed,
+ * grading their autosaved answers into a UserTestRecord (submissionType 'timeout')
+ */
+const submitExpiredSessions = async () => {
+  const sessions = await TestSession.findExpired(SWEEP_BATCH_SIZE);
+  let submitted = 0;
+
+  for (const session of sessions) {
+    try {
+      // The test was deleted while the session was running: nothing to grade against
+      if (!session.testId) {
+        await TestSession.updateOne(
+          { _id: session._id, completed: false },
+          { $set: { completed: true, timeExpired: true, endTime: new Date() } }
+        );
+        continue;
+      }
+
+      // Sessions from before deadlines were stored are matched without one
+      if (session.acceptsAnswers(session.testId.duration)) {
+        continue;
+      }
+
+      if (await gradeTestSession(session, { submissionType: 'timeout' })) {
+        submitted += 1;
+        console.log(`⏱️ Expired test session auto-submitted: ${session.sessionId}`);
+      }
+    } catch (error) {
+      console.error(`Auto-submit failed for test session ${session.sessionId}:`, error.message);
+    }
+  }
+
+  return { submitted, due: sessions.length };
+};
+
+// Run the sweep periodically (call once the database connection is ready)
+const scheduleSessionSweeper = () => {
+  const run = () => {
+    submitExpiredSessions().catch(error => {
+      console.error('Test session sweeper error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref(); // Don't keep the process alive just for the sweeper
+  return timer;
+};
+
+module.exports = {
+  submitExpiredSessions,
+  scheduleSessionSweeper
+};
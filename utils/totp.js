@@ -0,0 +1,117 @@
+// Time-based one-time passwords (RFC 6238) for two-factor authentication,
+// compatible with Google Authenticator, Microsoft Authenticator, Authy, ...
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Encode bytes as unpadded base32 (the format authenticator apps expect)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New random secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value for a counter (RFC 4226)
+const generateHOTP = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a TOTP code, allowing `window` steps of clock drift either way.
+ * Returns the matched time step (store it to block replays) or null.
+ * Steps at or before lastUsedStep are never accepted.
+ */
+const verifyTOTP = (secret, token, { window = 1, lastUsedStep = -1 } = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import from a QR code
+const buildOtpauthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  // Some authenticator apps show a literal "+" for form-encoded spaces
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateHOTP,
+  verifyTOTP,
+  buildOtpauthUrl,
+  getTimeStep
+};
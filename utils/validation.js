@@ -351,6 +351,7 @@ const convertToLegacyFormat = (newFormatData) => {
       numberOfQuestions: safeData.numberOfQuestions,
       timeInMins: safeData.timeInMins,
       cutoff: safeData.cutoff,
+      sections: Array.isArray(newFormatData.sections) ? newFormatData.sections : [],
       questions: safeData.questions.map((q, index) => {
         // Convert area to number if it's a string
         const areaNumber = getAreaNumberFromName(q.area || q.Area || 1);
@@ -383,7 +384,8 @@ const convertToLegacyFormat = (newFormatData) => {
           explanation: q.explanation || '',
           difficulty: q.difficulty || 'Medium',
           area: areaNumber, // Store as number
-          subarea: q.subarea || q.subArea || q.SubArea || '' // Normalize subarea field
+          subarea: q.subarea || q.subArea || q.SubArea || '', // Normalize subarea field
+          marking: q.marking || { mode: 'normal', weight: 1 } // Bonus/dropped questions and weights
         };
 
         return safeQuestion;